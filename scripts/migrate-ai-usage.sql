@@ -0,0 +1,111 @@
+-- Migration Script: AI Usage Accounting
+--
+-- Creates ai_usage_events, written by src/lib/ai-usage.js, the reporting functions behind
+-- GET /orgs/:orgId/ai-usage and GET /ops/ai-usage, and the org's monthly AI budget.
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Creates ai_usage_events: one row per model and kind for each tracked operation
+--     (ingest, reembed, upload_analysis, structured), with calls, input/output tokens and
+--     estimated cost in USD. Rows outlive their document (doc_id is cleared on delete) so
+--     monthly totals stay correct
+--   - Adds org_settings.ai_monthly_budget_usd (null = no budget). Over budget, ingestion
+--     skips summaries and metadata embeddings until the next UTC month
+--   - Adds ai_usage_cost_since, ai_usage_summary and ai_usage_top_documents
+--   - Enables RLS without member policies: usage is read through the API with the service
+--     role, so the functions return nothing to other callers
+
+CREATE TABLE IF NOT EXISTS public.ai_usage_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  doc_id uuid REFERENCES public.documents(id) ON DELETE SET NULL,
+  operation text NOT NULL,
+  provider text NOT NULL,
+  model text NOT NULL,
+  kind text NOT NULL CHECK (kind IN ('generate', 'embed')),
+  calls integer NOT NULL DEFAULT 0,
+  input_tokens bigint NOT NULL DEFAULT 0,
+  output_tokens bigint NOT NULL DEFAULT 0,
+  estimated boolean NOT NULL DEFAULT false,
+  cost_usd numeric(14, 6) NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_events_org_time
+  ON public.ai_usage_events (org_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_events_doc
+  ON public.ai_usage_events (doc_id)
+  WHERE doc_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_events_time
+  ON public.ai_usage_events (created_at DESC);
+
+ALTER TABLE public.ai_usage_events ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.org_settings
+  ADD COLUMN IF NOT EXISTS ai_monthly_budget_usd numeric(12, 2) CHECK (ai_monthly_budget_usd >= 0);
+
+CREATE OR REPLACE FUNCTION public.ai_usage_cost_since(p_org_id uuid, p_since timestamptz)
+RETURNS numeric
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(SUM(cost_usd), 0)
+  FROM public.ai_usage_events
+  WHERE org_id = p_org_id
+    AND created_at >= p_since;
+$$;
+
+-- p_org_id NULL reports every org
+CREATE OR REPLACE FUNCTION public.ai_usage_summary(p_org_id uuid, p_since timestamptz, p_until timestamptz)
+RETURNS TABLE (
+  org_id uuid,
+  operation text,
+  provider text,
+  model text,
+  kind text,
+  estimated boolean,
+  calls bigint,
+  input_tokens bigint,
+  output_tokens bigint,
+  cost_usd numeric
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT e.org_id, e.operation, e.provider, e.model, e.kind, bool_or(e.estimated),
+         SUM(e.calls)::bigint, SUM(e.input_tokens)::bigint, SUM(e.output_tokens)::bigint, SUM(e.cost_usd)
+  FROM public.ai_usage_events e
+  WHERE (p_org_id IS NULL OR e.org_id = p_org_id)
+    AND e.created_at >= p_since
+    AND e.created_at < p_until
+  GROUP BY e.org_id, e.operation, e.provider, e.model, e.kind
+  ORDER BY SUM(e.cost_usd) DESC;
+$$;
+
+CREATE OR REPLACE FUNCTION public.ai_usage_top_documents(p_org_id uuid, p_since timestamptz, p_until timestamptz, p_limit integer DEFAULT 10)
+RETURNS TABLE (
+  doc_id uuid,
+  calls bigint,
+  input_tokens bigint,
+  output_tokens bigint,
+  cost_usd numeric
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT e.doc_id, SUM(e.calls)::bigint, SUM(e.input_tokens)::bigint, SUM(e.output_tokens)::bigint, SUM(e.cost_usd)
+  FROM public.ai_usage_events e
+  WHERE e.org_id = p_org_id
+    AND e.doc_id IS NOT NULL
+    AND e.created_at >= p_since
+    AND e.created_at < p_until
+  GROUP BY e.doc_id
+  ORDER BY SUM(e.cost_usd) DESC
+  LIMIT GREATEST(1, LEAST(p_limit, 100));
+$$;
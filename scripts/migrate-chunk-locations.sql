@@ -0,0 +1,27 @@
+-- Migration Script: Chunk Locations for Precise Citations
+--
+-- Adds per-chunk location columns written during ingestion (src/lib/chunking.js).
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once, before deploying the ingestion change that writes these columns
+--   3. Reingest documents to populate locations for existing chunks
+--
+-- What it does:
+--   - heading_path: heading breadcrumb the chunk sits under, outermost first
+--   - chunk_type: dominant block type (paragraph, table, list)
+--   - page_index: index into the extraction JSON's ocrPages (null when chunked from ocrText)
+--   - char_start / char_end: [start, end) character offsets into that page's text
+--     (or into ocrText when page_index is null)
+
+ALTER TABLE public.doc_chunks ADD COLUMN IF NOT EXISTS heading_path text[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.doc_chunks ADD COLUMN IF NOT EXISTS chunk_type text;
+ALTER TABLE public.doc_chunks ADD COLUMN IF NOT EXISTS page_index integer;
+ALTER TABLE public.doc_chunks ADD COLUMN IF NOT EXISTS char_start integer;
+ALTER TABLE public.doc_chunks ADD COLUMN IF NOT EXISTS char_end integer;
+
+ALTER TABLE public.doc_chunks DROP CONSTRAINT IF EXISTS doc_chunks_chunk_type_check;
+ALTER TABLE public.doc_chunks
+  ADD CONSTRAINT doc_chunks_chunk_type_check
+  CHECK (chunk_type IS NULL OR chunk_type IN ('paragraph', 'table', 'list'));
@@ -0,0 +1,21 @@
+-- Migration Script: Per-Org Chunking Strategy
+--
+-- Adds org_settings.chunking_strategy, read by src/lib/chunking.js during ingestion.
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Adds chunking_strategy ('structured' or 'fixed', default 'structured')
+--   - Existing orgs get 'structured'; set 'fixed' to keep the legacy 1200-char splitter
+--   - The new strategy applies to documents ingested or reingested afterwards
+
+ALTER TABLE public.org_settings
+  ADD COLUMN IF NOT EXISTS chunking_strategy text NOT NULL DEFAULT 'structured';
+
+ALTER TABLE public.org_settings DROP CONSTRAINT IF EXISTS org_settings_chunking_strategy_check;
+ALTER TABLE public.org_settings
+  ADD CONSTRAINT org_settings_chunking_strategy_check
+  CHECK (chunking_strategy IN ('structured', 'fixed'));
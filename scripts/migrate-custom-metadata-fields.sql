@@ -0,0 +1,37 @@
+-- Migration Script: Custom Metadata Fields
+--
+-- Extends org_metadata_config with org-defined typed fields and adds documents.custom_fields.
+-- Used by src/lib/custom-fields.js. It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Adds label, description (extraction hint), is_custom, is_extracted, is_required and
+--     validation (options / pattern / min / max / maxLength) to org_metadata_config
+--   - Adds documents.custom_fields (jsonb, field name -> typed value) with a GIN index
+--     for equality filters
+--   - Ensures a field name is configured at most once per org
+
+ALTER TABLE public.org_metadata_config ADD COLUMN IF NOT EXISTS label text;
+ALTER TABLE public.org_metadata_config ADD COLUMN IF NOT EXISTS description text;
+ALTER TABLE public.org_metadata_config ADD COLUMN IF NOT EXISTS is_custom boolean NOT NULL DEFAULT false;
+ALTER TABLE public.org_metadata_config ADD COLUMN IF NOT EXISTS is_extracted boolean NOT NULL DEFAULT true;
+ALTER TABLE public.org_metadata_config ADD COLUMN IF NOT EXISTS is_required boolean NOT NULL DEFAULT false;
+ALTER TABLE public.org_metadata_config ADD COLUMN IF NOT EXISTS validation jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+-- Keep the earliest row if a field was configured twice
+DELETE FROM public.org_metadata_config a
+USING public.org_metadata_config b
+WHERE a.org_id = b.org_id
+  AND a.field_name = b.field_name
+  AND a.ctid > b.ctid;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_org_metadata_config_field
+  ON public.org_metadata_config (org_id, field_name);
+
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS custom_fields jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_documents_custom_fields
+  ON public.documents USING gin (custom_fields jsonb_path_ops);
@@ -0,0 +1,45 @@
+-- Migration Script: Duplicate Upload Detection
+--
+-- Creates the document_duplicates table used by src/lib/duplicates.js.
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Creates document_duplicates: one row per (new document, existing document) match
+--     - kind 'exact' (same content_hash, found at finalize) or 'near' (chunk embeddings, found after ingestion)
+--     - status 'pending' until resolved with 'skip', 'version' or 'keep_both'
+--   - Adds an index on documents (org_id, content_hash) for the upload-time lookup
+--   - Lets org members read duplicate records for their org (writes go through the service role)
+
+CREATE TABLE IF NOT EXISTS public.document_duplicates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  doc_id uuid NOT NULL REFERENCES public.documents(id) ON DELETE CASCADE,
+  duplicate_of_id uuid NOT NULL REFERENCES public.documents(id) ON DELETE CASCADE,
+  kind text NOT NULL CHECK (kind IN ('exact', 'near')),
+  similarity real,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved')),
+  resolution text CHECK (resolution IS NULL OR resolution IN ('skip', 'version', 'keep_both')),
+  resolved_by uuid,
+  resolved_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (doc_id, duplicate_of_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_duplicates_pending
+  ON public.document_duplicates (org_id, created_at DESC)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_documents_content_hash
+  ON public.documents (org_id, content_hash)
+  WHERE content_hash IS NOT NULL;
+
+ALTER TABLE public.document_duplicates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS document_duplicates_read ON public.document_duplicates;
+CREATE POLICY document_duplicates_read ON public.document_duplicates
+  FOR SELECT TO public
+  USING ((SELECT auth.uid()) IS NOT NULL AND is_member_of(org_id));
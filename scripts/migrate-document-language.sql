@@ -0,0 +1,36 @@
+-- Migration Script: Document Language and Multilingual Settings
+--
+-- Adds the language columns written by ingestion (src/lib/languages.js) and the org's
+-- language settings.
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Adds documents.language (main language code, e.g. 'hi', 'mr', 'en'), documents.languages
+--     (every language with a sizeable share, for bilingual documents) and
+--     documents.summary_translation (English translation of a non-English summary)
+--   - Adds doc_chunks.language
+--   - Adds org_settings.summary_language (default 'en'), summary_translation (keep an English
+--     translation, default false) and search_languages (languages search queries are
+--     translated into, default none)
+--   - Existing documents get a language when they are next ingested or reingested
+
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS language text;
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS languages text[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS summary_translation text;
+
+CREATE INDEX IF NOT EXISTS idx_documents_org_language
+  ON public.documents (org_id, language)
+  WHERE language IS NOT NULL;
+
+ALTER TABLE public.doc_chunks ADD COLUMN IF NOT EXISTS language text;
+
+ALTER TABLE public.org_settings
+  ADD COLUMN IF NOT EXISTS summary_language text NOT NULL DEFAULT 'en';
+ALTER TABLE public.org_settings
+  ADD COLUMN IF NOT EXISTS summary_translation boolean NOT NULL DEFAULT false;
+ALTER TABLE public.org_settings
+  ADD COLUMN IF NOT EXISTS search_languages text[] NOT NULL DEFAULT '{}';
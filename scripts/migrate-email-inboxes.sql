@@ -0,0 +1,81 @@
+-- Migration Script: Email-in Inboxes
+--
+-- Creates email_inboxes and email_messages, used by src/lib/email-inbox.js.
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Creates email_inboxes: an org's inbound addresses, each with the hash of its secret
+--     token, the team and folder new documents go to, whether message bodies are kept as
+--     documents and which senders are accepted
+--   - Creates email_messages: one row per received message with the documents it created.
+--     A Message-ID is recorded once per inbox, before any document is created, so a
+--     redelivery (even one arriving while the first is still processing) is not ingested twice
+--   - Enables RLS without member policies: inboxes are managed and read through the API
+--
+-- Status lifecycle (email_messages):
+--   processing (claimed by a delivery) -> processed (documents created) | ignored (nothing
+--   to keep) | rejected (sender not allowed) | failed (documents could not be created; the
+--   sender's MTA may retry, which claims the row again)
+
+CREATE TABLE IF NOT EXISTS public.email_inboxes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  address text NOT NULL UNIQUE CHECK (address = lower(address)),
+  token_hash text NOT NULL,
+  department_id uuid NOT NULL,
+  folder_path text[] NOT NULL DEFAULT '{Email}',
+  include_body boolean NOT NULL DEFAULT true,
+  allowed_senders text[] NOT NULL DEFAULT '{}',
+  enabled boolean NOT NULL DEFAULT true,
+  created_by uuid NOT NULL,
+  last_received_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_inboxes_org
+  ON public.email_inboxes (org_id);
+
+CREATE TABLE IF NOT EXISTS public.email_messages (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  inbox_id uuid NOT NULL REFERENCES public.email_inboxes(id) ON DELETE CASCADE,
+  message_id text,
+  from_address text,
+  subject text,
+  sent_at timestamptz,
+  status text NOT NULL,
+  error text,
+  doc_ids uuid[] NOT NULL DEFAULT '{}',
+  attachment_count integer NOT NULL DEFAULT 0,
+  received_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.email_messages DROP CONSTRAINT IF EXISTS email_messages_status_check;
+ALTER TABLE public.email_messages
+  ADD CONSTRAINT email_messages_status_check
+  CHECK (status IN ('processing', 'processed', 'ignored', 'rejected', 'failed'));
+
+-- Earlier versions only kept processed Message-IDs unique: keep one row per message (the
+-- processed one, else the latest) before making every Message-ID unique
+DROP INDEX IF EXISTS public.uq_email_messages_processed;
+DELETE FROM public.email_messages m
+USING public.email_messages keep
+WHERE m.message_id IS NOT NULL
+  AND keep.inbox_id = m.inbox_id
+  AND keep.message_id = m.message_id
+  AND keep.id <> m.id
+  AND (keep.status = 'processed', keep.received_at, keep.id) > (m.status = 'processed', m.received_at, m.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_email_messages_message_id
+  ON public.email_messages (inbox_id, message_id);
+
+CREATE INDEX IF NOT EXISTS idx_email_messages_inbox
+  ON public.email_messages (inbox_id, received_at DESC);
+
+ALTER TABLE public.email_inboxes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.email_messages ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,37 @@
+-- Migration Script: Embedding Provider per Chunk
+--
+-- Records which embedding model produced each doc_chunks vector and lets orgs pick
+-- their embedding provider (src/lib/embedding-providers.js).
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Adds doc_chunks.embedding_model (e.g. 'openai/text-embedding-3-small') and embedding_dim
+--   - Backfills existing embeddings as 'openai/text-embedding-3-small' (1536 dims), the previous hard-coded model
+--   - Adds org_settings.embedding_provider ('openai', 'gemini', 'local' or NULL for the deployment default)
+--   - After switching provider, GET /orgs/:orgId/embeddings/status lists stale documents and
+--     POST /orgs/:orgId/embeddings/reembed re-embeds them
+
+ALTER TABLE public.doc_chunks
+  ADD COLUMN IF NOT EXISTS embedding_model text,
+  ADD COLUMN IF NOT EXISTS embedding_dim integer;
+
+UPDATE public.doc_chunks
+SET embedding_model = 'openai/text-embedding-3-small',
+    embedding_dim = 1536
+WHERE embedding IS NOT NULL
+  AND embedding_model IS NULL;
+
+CREATE INDEX IF NOT EXISTS doc_chunks_org_embedding_model_idx
+  ON public.doc_chunks (org_id, embedding_model);
+
+ALTER TABLE public.org_settings
+  ADD COLUMN IF NOT EXISTS embedding_provider text;
+
+ALTER TABLE public.org_settings DROP CONSTRAINT IF EXISTS org_settings_embedding_provider_check;
+ALTER TABLE public.org_settings
+  ADD CONSTRAINT org_settings_embedding_provider_check
+  CHECK (embedding_provider IS NULL OR embedding_provider IN ('openai', 'gemini', 'local'));
@@ -0,0 +1,17 @@
+-- Migration Script: Metadata Field Provenance
+--
+-- Adds documents.field_provenance, used by src/lib/field-provenance.js.
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Adds documents.field_provenance (jsonb): per metadata field, its source ('ai', 'user'
+--     or 'import'), the model and prompt version, a confidence score and the supporting
+--     page and snippet
+--   - Existing documents start with no entries; ingestion treats their non-blank values as
+--     not AI-filled, so re-ingesting them never overwrites what is already there
+
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS field_provenance jsonb NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,146 @@
+-- Migration Script: Full-Text Search
+--
+-- Adds full-text indexes over document metadata and chunk text, and the functions used by
+-- src/lib/full-text-search.js for ranking and highlighted snippets.
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Adds documents.search_vector, kept up to date by a trigger, with weighted fields:
+--     title and filename (A), subject, category, sender and receiver (B), tags and keywords
+--     (C), description (D). Existing documents are backfilled
+--   - Adds doc_chunks.content_tsv, generated from the chunk text
+--   - Both use the 'english' configuration: English words are stemmed, other scripts are
+--     indexed as written
+--   - Adds search_documents_fts (documents matching a tsquery, ranked by metadata and by
+--     their best chunk) and search_headlines (ts_headline snippets for a page of results)
+--   - Both functions run with the caller's permissions, so RLS applies as for any query
+
+CREATE OR REPLACE FUNCTION public.document_search_vector(
+  p_title text, p_filename text, p_subject text, p_category text, p_sender text, p_receiver text,
+  p_tags text[], p_keywords text[], p_description text
+)
+RETURNS tsvector
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT setweight(to_tsvector('english', concat_ws(' ', p_title, p_filename)), 'A')
+      || setweight(to_tsvector('english', concat_ws(' ', p_subject, p_category, p_sender, p_receiver)), 'B')
+      || setweight(to_tsvector('english', concat_ws(' ', array_to_string(p_tags, ' '), array_to_string(p_keywords, ' '))), 'C')
+      || setweight(to_tsvector('english', coalesce(p_description, '')), 'D');
+$$;
+
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+CREATE OR REPLACE FUNCTION public.documents_search_vector_refresh()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.search_vector := public.document_search_vector(
+    NEW.title, NEW.filename, NEW.subject, NEW.category, NEW.sender, NEW.receiver,
+    NEW.tags, NEW.keywords, NEW.description
+  );
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS documents_search_vector_refresh ON public.documents;
+CREATE TRIGGER documents_search_vector_refresh
+  BEFORE INSERT OR UPDATE OF title, filename, subject, category, sender, receiver, tags, keywords, description
+  ON public.documents
+  FOR EACH ROW
+  EXECUTE FUNCTION public.documents_search_vector_refresh();
+
+UPDATE public.documents
+SET search_vector = public.document_search_vector(title, filename, subject, category, sender, receiver, tags, keywords, description)
+WHERE search_vector IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_documents_search_vector
+  ON public.documents USING gin (search_vector);
+
+ALTER TABLE public.doc_chunks
+  ADD COLUMN IF NOT EXISTS content_tsv tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', coalesce(content, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_doc_chunks_content_tsv
+  ON public.doc_chunks USING gin (content_tsv);
+
+-- p_query is a to_tsquery expression (built by src/lib/full-text-search.js). Ranks are
+-- normalized to 0..1; a body match counts for a little less than a metadata match.
+CREATE OR REPLACE FUNCTION public.search_documents_fts(p_org_id uuid, p_query text, p_limit integer DEFAULT 100)
+RETURNS TABLE (
+  doc_id uuid,
+  rank real,
+  metadata_rank real,
+  chunk_id uuid,
+  chunk_rank real
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH q AS (
+    SELECT to_tsquery('english', p_query) AS query
+  ),
+  meta AS (
+    SELECT d.id AS doc_id, ts_rank_cd(d.search_vector, q.query, 32) AS rank
+    FROM public.documents d, q
+    WHERE d.org_id = p_org_id
+      AND d.deleted_at IS NULL
+      AND d.type <> 'folder'
+      AND d.search_vector @@ q.query
+  ),
+  chunks AS (
+    SELECT DISTINCT ON (c.doc_id) c.doc_id, c.id AS chunk_id, ts_rank_cd(c.content_tsv, q.query, 32) AS rank
+    FROM public.doc_chunks c
+    JOIN public.documents d ON d.id = c.doc_id AND d.deleted_at IS NULL
+    CROSS JOIN q
+    WHERE c.org_id = p_org_id
+      AND c.content_tsv @@ q.query
+    ORDER BY c.doc_id, ts_rank_cd(c.content_tsv, q.query, 32) DESC
+  )
+  SELECT COALESCE(m.doc_id, c.doc_id),
+         GREATEST(COALESCE(m.rank, 0), COALESCE(c.rank, 0) * 0.8)::real,
+         COALESCE(m.rank, 0)::real,
+         c.chunk_id,
+         COALESCE(c.rank, 0)::real
+  FROM meta m
+  FULL JOIN chunks c ON c.doc_id = m.doc_id
+  ORDER BY 2 DESC
+  LIMIT GREATEST(1, LEAST(p_limit, 1000));
+$$;
+
+-- Matches are wrapped in [[mark]] ... [[/mark]]; the API escapes the text and turns them
+-- into <mark> tags
+CREATE OR REPLACE FUNCTION public.search_headlines(p_query text, p_doc_ids uuid[], p_chunk_ids uuid[] DEFAULT '{}')
+RETURNS TABLE (
+  doc_id uuid,
+  title text,
+  snippet text
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH q AS (
+    SELECT to_tsquery('english', p_query) AS query
+  )
+  SELECT d.id,
+         ts_headline('english', coalesce(d.title, d.filename, ''), q.query,
+                     'HighlightAll=true, StartSel=[[mark]], StopSel=[[/mark]]'),
+         COALESCE(
+           (SELECT ts_headline('english', c.content, q.query,
+                               'StartSel=[[mark]], StopSel=[[/mark]], MaxFragments=2, MinWords=8, MaxWords=30, FragmentDelimiter=" … "')
+            FROM public.doc_chunks c
+            WHERE c.doc_id = d.id AND c.id = ANY(p_chunk_ids)
+            LIMIT 1),
+           CASE WHEN to_tsvector('english', concat_ws(' ', d.subject, d.description)) @@ q.query THEN
+             ts_headline('english', concat_ws(' — ', d.subject, d.description), q.query,
+                         'StartSel=[[mark]], StopSel=[[/mark]], MaxFragments=2, MinWords=8, MaxWords=30, FragmentDelimiter=" … "')
+           END
+         )
+  FROM public.documents d, q
+  WHERE d.id = ANY(p_doc_ids);
+$$;
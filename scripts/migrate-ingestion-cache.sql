@@ -0,0 +1,32 @@
+-- Migration Script: Content-Addressed Ingestion Cache
+--
+-- Creates the ingestion_cache table used by src/lib/ingestion-cache.js.
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Creates ingestion_cache: (org_id, SHA-256 of the file bytes) -> last fully ingested document
+--   - Records the chunking strategy and embedding model its chunks were built with, so
+--     chunks are only copied when both still match the org's settings
+--   - Entries are removed with their source document (ON DELETE CASCADE)
+--   - No RLS read policy: only the ingestion worker (service role) uses it
+
+CREATE TABLE IF NOT EXISTS public.ingestion_cache (
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  content_sha256 text NOT NULL,
+  doc_id uuid NOT NULL REFERENCES public.documents(id) ON DELETE CASCADE,
+  chunking_strategy text,
+  embedding_model text,
+  chunk_count integer NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (org_id, content_sha256)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_cache_doc
+  ON public.ingestion_cache (doc_id);
+
+ALTER TABLE public.ingestion_cache ENABLE ROW LEVEL SECURITY;
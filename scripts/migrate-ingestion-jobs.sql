@@ -0,0 +1,75 @@
+-- Migration Script: Durable Ingestion Job Queue
+--
+-- Creates the ingestion_jobs table used by src/lib/ingestion-queue.js.
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Creates ingestion_jobs (status, attempts, last error, stage reached, retry schedule, worker lock)
+--   - Adds chunk_count so progress streams can report chunk totals across instances
+--   - Adds follow_up: a newer file (or forced run) requested while the job was processing;
+--     the worker queues it once the current run ends
+--   - Adds indexes for the worker poll and the per-document status lookup
+--   - Lets org members read job state for their org (writes go through the service role)
+--   - Queues an ingestion job for every document that has a file but no chunks yet
+--
+-- Status lifecycle:
+--   queued -> processing -> succeeded
+--                        -> queued (retry with backoff, run_after in the future)
+--                        -> failed (attempts exhausted or non-retryable error)
+
+CREATE TABLE IF NOT EXISTS public.ingestion_jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  doc_id uuid NOT NULL REFERENCES public.documents(id) ON DELETE CASCADE,
+  storage_key text NOT NULL,
+  mime_type text,
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status text NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'succeeded', 'failed')),
+  stage text,
+  attempts integer NOT NULL DEFAULT 0,
+  max_attempts integer NOT NULL DEFAULT 5,
+  last_error text,
+  run_after timestamptz NOT NULL DEFAULT now(),
+  locked_by text,
+  locked_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz
+);
+
+ALTER TABLE public.ingestion_jobs ADD COLUMN IF NOT EXISTS chunk_count integer;
+ALTER TABLE public.ingestion_jobs ADD COLUMN IF NOT EXISTS follow_up jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_poll
+  ON public.ingestion_jobs (run_after)
+  WHERE status = 'queued';
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_doc
+  ON public.ingestion_jobs (org_id, doc_id, created_at DESC);
+
+-- At most one pending job per document
+CREATE UNIQUE INDEX IF NOT EXISTS uq_ingestion_jobs_active_doc
+  ON public.ingestion_jobs (doc_id)
+  WHERE status IN ('queued', 'processing');
+
+ALTER TABLE public.ingestion_jobs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS ingestion_jobs_read ON public.ingestion_jobs;
+CREATE POLICY ingestion_jobs_read ON public.ingestion_jobs
+  FOR SELECT TO public
+  USING ((SELECT auth.uid()) IS NOT NULL AND is_member_of(org_id));
+
+-- Backfill: documents that never got chunks (e.g. lost to a restart mid-ingest)
+INSERT INTO public.ingestion_jobs (org_id, doc_id, storage_key, mime_type)
+SELECT d.org_id, d.id, d.storage_key, d.mime_type
+FROM public.documents d
+WHERE d.storage_key IS NOT NULL
+  AND d.type <> 'folder'
+  AND d.deleted_at IS NULL
+  AND NOT EXISTS (SELECT 1 FROM public.doc_chunks dc WHERE dc.doc_id = d.id)
+  AND NOT EXISTS (SELECT 1 FROM public.ingestion_jobs j WHERE j.doc_id = d.id)
+ON CONFLICT DO NOTHING;
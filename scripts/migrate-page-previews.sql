@@ -0,0 +1,40 @@
+-- Migration Script: Page Previews
+--
+-- Creates document_page_previews, written by ingestion (src/lib/page-previews.js).
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Creates document_page_previews: one row per previewed page, pointing at a file in the
+--     private `previews` bucket (created by the server on first use), or at the original
+--     in `documents` for image uploads
+--   - Records the content hash the previews were built from, so re-ingesting identical bytes
+--     does not rebuild them
+--   - Enables RLS without member policies: previews are signed by the API after it has
+--     checked the caller can read the document
+--   - Existing documents get previews when they are next ingested or reingested
+
+CREATE TABLE IF NOT EXISTS public.document_page_previews (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  doc_id uuid NOT NULL REFERENCES public.documents(id) ON DELETE CASCADE,
+  page integer NOT NULL CHECK (page >= 1),
+  kind text NOT NULL CHECK (kind IN ('image', 'pdf')),
+  content_type text NOT NULL,
+  bucket text NOT NULL DEFAULT 'previews',
+  storage_key text NOT NULL,
+  width integer,
+  height integer,
+  byte_size integer,
+  content_sha256 text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (doc_id, page)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_page_previews_org
+  ON public.document_page_previews (org_id, doc_id);
+
+ALTER TABLE public.document_page_previews ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,73 @@
+-- Migration Script: Extraction Review Queue
+--
+-- Creates document_reviews and metadata_corrections, used by src/lib/review-queue.js.
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Creates document_reviews: documents flagged by ingestion (extraction failed, category
+--     fell back to the default, low-confidence fields), at most one pending item per document
+--   - Creates metadata_corrections: reviewer corrections (field, extracted value, corrected
+--     value, supporting snippet), reused as examples in the org's metadata prompt
+--   - Lets org members read both (writes go through the service role)
+--
+-- Status lifecycle:
+--   pending -> resolved (accepted, corrected, or cleared by a re-ingest)
+--           -> dismissed
+
+CREATE TABLE IF NOT EXISTS public.document_reviews (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  doc_id uuid NOT NULL REFERENCES public.documents(id) ON DELETE CASCADE,
+  department_id uuid,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'dismissed')),
+  reasons text[] NOT NULL DEFAULT '{}',
+  fields text[] NOT NULL DEFAULT '{}',
+  details jsonb NOT NULL DEFAULT '{}'::jsonb,
+  resolution text CHECK (resolution IN ('accepted', 'corrected', 'dismissed', 'reingested')),
+  resolved_by uuid,
+  resolved_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_document_reviews_pending
+  ON public.document_reviews (doc_id)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_document_reviews_queue
+  ON public.document_reviews (org_id, status, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.metadata_corrections (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  doc_id uuid REFERENCES public.documents(id) ON DELETE SET NULL,
+  review_id uuid REFERENCES public.document_reviews(id) ON DELETE SET NULL,
+  field text NOT NULL,
+  previous_value jsonb,
+  corrected_value jsonb,
+  previous_confidence real,
+  document_title text,
+  snippet text,
+  corrected_by uuid,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_metadata_corrections_org
+  ON public.metadata_corrections (org_id, created_at DESC);
+
+ALTER TABLE public.document_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.metadata_corrections ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS document_reviews_read ON public.document_reviews;
+CREATE POLICY document_reviews_read ON public.document_reviews
+  FOR SELECT TO public
+  USING (is_member_of(org_id));
+
+DROP POLICY IF EXISTS metadata_corrections_read ON public.metadata_corrections;
+CREATE POLICY metadata_corrections_read ON public.metadata_corrections
+  FOR SELECT TO public
+  USING (is_member_of(org_id));
@@ -0,0 +1,53 @@
+-- Migration Script: Saved Searches
+--
+-- Creates saved_searches, used by src/lib/saved-searches.js.
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Creates saved_searches: a named query (the field-qualified search syntax) with its
+--     filters, either private to its owner or shared with one department
+--   - Saved searches marked show_as_folder are listed as smart folders next to the org's
+--     folders; their documents are whatever the search matches for the reader
+--   - Enables RLS with a read policy for the owner and members of the department a search
+--     is shared with; changes go through the API
+
+CREATE TABLE IF NOT EXISTS public.saved_searches (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  owner_id uuid NOT NULL,
+  name text NOT NULL CHECK (length(name) BETWEEN 1 AND 100),
+  query text NOT NULL DEFAULT '',
+  filters jsonb NOT NULL DEFAULT '{}'::jsonb,
+  -- NULL: only the owner sees it
+  department_id uuid,
+  show_as_folder boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_owner
+  ON public.saved_searches (org_id, owner_id);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_department
+  ON public.saved_searches (org_id, department_id)
+  WHERE department_id IS NOT NULL;
+
+ALTER TABLE public.saved_searches ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS saved_searches_read ON public.saved_searches;
+CREATE POLICY saved_searches_read ON public.saved_searches
+  FOR SELECT TO public
+  USING (
+    is_member_of(org_id)
+    AND (
+      owner_id = (SELECT auth.uid())
+      OR department_id IN (
+        SELECT du.department_id FROM public.department_users du
+        WHERE du.org_id = saved_searches.org_id AND du.user_id = (SELECT auth.uid())
+      )
+    )
+  );
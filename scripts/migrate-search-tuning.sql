@@ -0,0 +1,37 @@
+-- Migration Script: Search Tuning
+--
+-- Creates org_search_config, the per-org rank fusion settings read by
+-- src/lib/search-fusion.js and edited with the org's metadata configuration
+-- (GET/PUT /orgs/:orgId/metadata-config/search).
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Creates org_search_config: the fusion strategy ('rrf' or 'zscore'), a weight per search
+--     leg (metadata embeddings, content embeddings, keyword), the RRF k constant and the
+--     minimum number of results hybrid search returns before applying its quality cutoff
+--   - Orgs without a row use the defaults (rrf, equal weights, k = 60, 3 results)
+--   - The settings get their own table rather than columns on org_metadata_config because
+--     that table holds one row per metadata field, while these are one set per org; they
+--     are still read and written under /metadata-config so they are managed together
+--   - Enables RLS with a read policy for members; changes go through the API
+
+CREATE TABLE IF NOT EXISTS public.org_search_config (
+  org_id uuid PRIMARY KEY REFERENCES public.organizations(id) ON DELETE CASCADE,
+  fusion text NOT NULL DEFAULT 'rrf' CHECK (fusion IN ('rrf', 'zscore')),
+  weights jsonb NOT NULL DEFAULT '{"metadata": 1, "content": 1, "keyword": 1}'::jsonb,
+  rrf_k integer NOT NULL DEFAULT 60 CHECK (rrf_k BETWEEN 1 AND 1000),
+  min_results integer NOT NULL DEFAULT 3 CHECK (min_results BETWEEN 0 AND 50),
+  updated_by uuid,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.org_search_config ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS org_search_config_read ON public.org_search_config;
+CREATE POLICY org_search_config_read ON public.org_search_config
+  FOR SELECT TO public
+  USING (is_member_of(org_id));
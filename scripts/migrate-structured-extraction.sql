@@ -0,0 +1,28 @@
+-- Migration Script: Document-Type Structured Extraction
+--
+-- Adds the columns written by ingestion's document-type templates (src/lib/extraction-templates.js).
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Adds documents.document_type ('invoice', 'contract', 'inspection_report' or 'other') and the
+--     classifier's confidence
+--   - Adds documents.structured_data (jsonb: the template's typed fields and rows, e.g.
+--     line_items, parties, violations) with the template version and extraction time
+--   - Indexes document_type per org and structured_data (GIN) for equality filters
+
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS document_type text;
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS document_type_confidence real;
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS structured_data jsonb;
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS structured_version integer;
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS structured_extracted_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_documents_org_document_type
+  ON public.documents (org_id, document_type)
+  WHERE document_type IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_documents_structured_data
+  ON public.documents USING gin (structured_data jsonb_path_ops);
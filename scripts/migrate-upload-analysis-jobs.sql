@@ -0,0 +1,56 @@
+-- Migration Script: Persistent Upload Analysis Jobs
+--
+-- Creates the upload_analysis_jobs table used by src/lib/upload-analysis-queue.js.
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Creates upload_analysis_jobs (owner, storage key, status, result or error, worker lock)
+--     so a job created on one instance can be polled, listed or cancelled on any other
+--   - Adds indexes for the worker poll, the per-user listing and the expiry sweep
+--   - Lets users read their own jobs (writes go through the service role)
+--
+-- Status lifecycle:
+--   queued -> processing -> succeeded
+--                        -> failed
+--          -> cancelled (by the owner, before or during processing)
+
+CREATE TABLE IF NOT EXISTS public.upload_analysis_jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL,
+  storage_key text NOT NULL,
+  mime_type text,
+  status text NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'succeeded', 'failed', 'cancelled')),
+  result jsonb,
+  error text,
+  http_status integer,
+  fallback jsonb,
+  attempts integer NOT NULL DEFAULT 0,
+  locked_by text,
+  locked_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz,
+  expires_at timestamptz NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_analysis_jobs_poll
+  ON public.upload_analysis_jobs (created_at)
+  WHERE status = 'queued';
+
+CREATE INDEX IF NOT EXISTS idx_upload_analysis_jobs_user
+  ON public.upload_analysis_jobs (org_id, user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_upload_analysis_jobs_expiry
+  ON public.upload_analysis_jobs (expires_at);
+
+ALTER TABLE public.upload_analysis_jobs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS upload_analysis_jobs_read_own ON public.upload_analysis_jobs;
+CREATE POLICY upload_analysis_jobs_read_own ON public.upload_analysis_jobs
+  FOR SELECT TO public
+  USING ((SELECT auth.uid()) = user_id AND is_member_of(org_id));
@@ -0,0 +1,50 @@
+-- Migration Script: Resumable Upload Sessions
+--
+-- Creates the upload_sessions table used by src/lib/resumable-uploads.js.
+-- It's safe to run multiple times (idempotent).
+--
+-- Usage:
+--   1. Copy and paste this entire script into Supabase SQL Editor
+--   2. Run it once
+--
+-- What it does:
+--   - Creates upload_sessions: declared size, bytes received so far, and the part objects
+--     (in the private 'uploads' storage bucket) that make up the file
+--   - Adds indexes for the per-user lookup and the expiry sweep
+--   - Lets users read their own sessions (writes go through the service role)
+--
+-- Status lifecycle:
+--   uploading -> complete (parts assembled into the 'documents' bucket)
+--             -> aborted  (cancelled by the client or expired)
+
+CREATE TABLE IF NOT EXISTS public.upload_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL,
+  filename text NOT NULL,
+  mime_type text,
+  content_hash text,
+  total_bytes bigint NOT NULL CHECK (total_bytes >= 0),
+  received_bytes bigint NOT NULL DEFAULT 0,
+  parts jsonb NOT NULL DEFAULT '[]'::jsonb,
+  status text NOT NULL DEFAULT 'uploading' CHECK (status IN ('uploading', 'complete', 'aborted')),
+  storage_key text,
+  sha256 text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user
+  ON public.upload_sessions (org_id, user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expiry
+  ON public.upload_sessions (expires_at)
+  WHERE status = 'uploading';
+
+ALTER TABLE public.upload_sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS upload_sessions_read_own ON public.upload_sessions;
+CREATE POLICY upload_sessions_read_own ON public.upload_sessions
+  FOR SELECT TO public
+  USING ((SELECT auth.uid()) = user_id AND is_member_of(org_id));
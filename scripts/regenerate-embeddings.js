@@ -2,12 +2,19 @@
 
 /**
  * Script to regenerate embeddings for documents that are missing them
- * Usage: node scripts/regenerate-embeddings.js
+ * Usage: node scripts/regenerate-embeddings.js [--rechunk]
+ *
+ * Embeds only chunks without a vector (or with one from another model), so it can be
+ * re-run after an interruption. Documents without chunks, or every document with
+ * --rechunk, are first re-chunked from their stored extraction.
  */
 
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import { ai } from '../src/ai.js';
+import { chunkDocument, loadOrgChunkingStrategy, toChunkLocationColumns } from '../src/lib/chunking.js';
+import { resolveEmbeddingProvider } from '../src/lib/embedding-providers.js';
+import { embedMissingChunks, writeChunkRows } from '../src/lib/embedding-batches.js';
 
 // Load environment variables
 dotenv.config();
@@ -15,49 +22,15 @@ dotenv.config();
 // Validate environment
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-const openaiApiKey = process.env.OPENAI_API_KEY;
 
 if (!supabaseUrl || !supabaseServiceKey) {
   console.error('Missing Supabase environment variables');
   process.exit(1);
 }
 
-if (!openaiApiKey) {
-  console.error('Missing OpenAI API key - please set OPENAI_API_KEY in your environment');
-  process.exit(1);
-}
-
 // Initialize Supabase client
 const supabase = createClient(supabaseUrl, supabaseServiceKey);
-
-async function embedChunks(chunks) {
-  if (!openaiApiKey) return null;
-  
-  // OpenAI embeddings API expects an array of strings. Map chunk objects to their content.
-  const inputs = Array.isArray(chunks)
-    ? chunks.map((c) => (typeof c === 'string' ? c : (c && typeof c.content === 'string' ? c.content : '')))
-    : [];
-    
-  console.log(`Generating embeddings for ${inputs.length} chunks...`);
-  
-  const res = await fetch('https://api.openai.com/v1/embeddings', {
-    method: 'POST',
-    headers: { 
-      'Authorization': `Bearer ${openaiApiKey}`, 
-      'Content-Type': 'application/json' 
-    },
-    body: JSON.stringify({ model: 'text-embedding-3-small', input: inputs }),
-  });
-  
-  if (!res.ok) {
-    const txt = await res.text().catch(() => '');
-    throw new Error(`OpenAI embed failed: ${res.status} ${txt}`);
-  }
-  
-  const data = await res.json();
-  const out = data?.data?.map((d) => d.embedding) || null;
-  return out;
-}
+const rechunk = process.argv.includes('--rechunk');
 
 async function getDocumentExtraction(orgId, docId) {
   try {
@@ -78,124 +51,79 @@ async function getDocumentExtraction(orgId, docId) {
   }
 }
 
-function chunkText(text) {
-  const target = 1200; // chars
-  const overlap = 200;
-  const words = text.split(/\s+/);
-  const chunks = [];
-  let buf = [];
-  let len = 0;
-  
-  for (const w of words) {
-    const wlen = w.length + 1;
-    if (len + wlen > target && buf.length > 0) {
-      chunks.push(buf.join(' '));
-      // overlap
-      const back = [];
-      let backLen = 0;
-      for (let i = buf.length - 1; i >= 0; i--) {
-        const l = buf[i].length + 1;
-        if (backLen + l > overlap) break;
-        back.unshift(buf[i]);
-        backLen += l;
-      }
-      buf = back;
-      len = back.join(' ').length;
-    }
-    buf.push(w);
-    len += wlen;
+// Replace a document's chunks with fresh ones (no vectors) built from its stored extraction
+async function rebuildChunks(orgId, docId) {
+  const extraction = await getDocumentExtraction(orgId, docId);
+  if (!extraction) {
+    console.log(`  No extraction data found for document ${docId}`);
+    return 0;
   }
-  if (buf.length) chunks.push(buf.join(' '));
-  return chunks;
-}
-
-function chunkTextByPages(pages) {
-  // pages: array of { page?: number, text: string }
-  const out = [];
-  let idx = 0;
-  for (const p of pages) {
-    const pageNum = typeof p.page === 'number' ? p.page : (idx + 1);
-    const parts = chunkText(String(p.text || ''));
-    for (const part of parts) out.push({ content: part, page: pageNum });
-    idx++;
+  
+  const { ocrText, ocrPages } = extraction;
+  const text = String(ocrText || '').trim();
+  if (!text) {
+    console.log(`  No OCR text found for document ${docId}`);
+    return 0;
   }
-  return out;
+  
+  // Build chunks with the org's strategy, preserving page numbers when available
+  const strategy = await loadOrgChunkingStrategy(supabase, orgId);
+  const chunks = chunkDocument({ text, pages: ocrPages, strategy });
+  console.log(`  Generated ${chunks.length} chunks`);
+  
+  // Remove prior chunks for this doc
+  const { error: deleteError } = await supabase
+    .from('doc_chunks')
+    .delete()
+    .eq('org_id', orgId)
+    .eq('doc_id', docId);
+  if (deleteError) throw deleteError;
+  
+  await writeChunkRows(supabase, chunks.map((c, i) => ({
+    org_id: orgId,
+    doc_id: docId,
+    chunk_index: i,
+    content: c.content,
+    page: c.page ?? null,
+    embedding: null,
+    ...toChunkLocationColumns(c),
+  })));
+  return chunks.length;
 }
 
-async function regenerateEmbeddingsForDocument(orgId, docId) {
+async function regenerateEmbeddingsForDocument(orgId, docId, { rebuild = rechunk } = {}) {
   console.log(`\nProcessing document ${docId}...`);
   
   try {
-    // Get document extraction data
-    const extraction = await getDocumentExtraction(orgId, docId);
-    if (!extraction) {
-      console.log(`  No extraction data found for document ${docId}`);
+    const provider = await resolveEmbeddingProvider(supabase, orgId);
+    if (!provider.isConfigured()) {
+      console.error(`  ${provider.name} embedding provider is not configured`);
       return;
     }
     
-    const { ocrText, ocrPages } = extraction;
-    const text = String(ocrText || '').trim();
-    
-    if (!text) {
-      console.log(`  No OCR text found for document ${docId}`);
-      return;
-    }
-    
-    // Build chunks, preserving page numbers when available
-    const chunks = ocrPages && ocrPages.length > 0
-      ? chunkTextByPages(ocrPages)
-      : chunkText(text).map((c, i) => ({ content: c, page: null }));
-      
-    if (chunks.length === 0) {
-      console.log(`  No chunks generated for document ${docId}`);
-      return;
-    }
-    
-    console.log(`  Generated ${chunks.length} chunks`);
-    
-    // Generate embeddings
-    const embeddings = await embedChunks(chunks);
-    if (!embeddings) {
-      console.log(`  Failed to generate embeddings for document ${docId}`);
-      return;
-    }
-    
-    console.log(`  Generated ${embeddings.length} embeddings`);
-    
-    // Remove prior chunks for this doc
-    const { error: deleteError } = await supabase
+    const { count, error: countError } = await supabase
       .from('doc_chunks')
-      .delete()
+      .select('id', { count: 'exact', head: true })
       .eq('org_id', orgId)
       .eq('doc_id', docId);
-      
-    if (deleteError) {
-      console.error(`  Error deleting old chunks for ${docId}:`, deleteError);
+    if (countError) throw countError;
+    
+    if ((rebuild || !count) && (await rebuildChunks(orgId, docId)) === 0) {
+      console.log(`  No chunks generated for document ${docId}`);
       return;
     }
     
-    // Insert new chunks with embeddings
-    const rows = chunks.map((c, i) => ({ 
-      org_id: orgId, 
-      doc_id: docId, 
-      chunk_index: i, 
-      content: c.content, 
-      page: c.page ?? null, 
-      embedding: embeddings?.[i] || null 
-    }));
+    // Embed whatever is still missing; finished batches are saved even if later ones fail
+    const result = await embedMissingChunks(supabase, {
+      orgId,
+      docId,
+      provider,
+      onProgress: ({ total, embedded }) => console.log(`  Embedded ${embedded}/${total} chunks with ${provider.modelId}`),
+    });
     
-    // Insert in batches
-    const batchSize = 100;
-    for (let i = 0; i < rows.length; i += batchSize) {
-      const slice = rows.slice(i, i + batchSize);
-      const { error: insertError } = await supabase
-        .from('doc_chunks')
-        .insert(slice);
-        
-      if (insertError) {
-        console.error(`  Error inserting chunks for ${docId}:`, insertError);
-        return;
-      }
+    if (result.failed > 0) {
+      console.error(`  ⚠️  ${result.failed} of ${result.total} chunks still missing embeddings for ${docId}: ${result.errors[0] || 'unknown error'}`);
+      return;
     }
     
     console.log(`  ✅ Successfully regenerated embeddings for document ${docId}`);
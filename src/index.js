@@ -11,6 +11,8 @@ import { registerSimpleOrgsRoute } from './routes/simple-orgs.js';
 import { registerSimpleOrgsTestRoute } from './routes/test-simple-orgs.js';
 import { registerSimplifiedOpsRoutes } from './routes/simple-ops.js';
 import { ipValidationPlugin } from './ip-validation.js';
+import { removePagePreviews } from './lib/page-previews.js';
+import { usagePeriod, summarizeAiUsage, checkAiBudget } from './lib/ai-usage.js';
 
 async function main() {
   const env = loadEnv();
@@ -200,6 +202,45 @@ async function main() {
     return list;
   });
 
+  // AI usage and estimated cost per org over a period (default: this month so far), with
+  // each org's monthly budget. `orgId` narrows it to one org with the full breakdown.
+  app.get('/ops/ai-usage', { preHandler: [app.verifyAuth, app.requireIpAccess, app.ensurePlatformAdmin] }, async (req) => {
+    const admin = app.supabaseAdmin;
+    const q = req.query || {};
+    const orgId = typeof q.orgId === 'string' && q.orgId ? q.orgId : null;
+    const { since, until } = usagePeriod(q);
+    const { totals, breakdown } = await summarizeAiUsage(admin, { orgId, since, until });
+    const byOrg = new Map();
+    for (const r of breakdown) {
+      const org = byOrg.get(r.orgId) || { orgId: r.orgId, calls: 0, inputTokens: 0, outputTokens: 0, embeddingTokens: 0, costUsd: 0 };
+      org.calls += r.calls;
+      org.costUsd += r.costUsd;
+      if (r.kind === 'embed') org.embeddingTokens += r.inputTokens;
+      else {
+        org.inputTokens += r.inputTokens;
+        org.outputTokens += r.outputTokens;
+      }
+      byOrg.set(r.orgId, org);
+    }
+    const ids = Array.from(byOrg.keys());
+    const [orgs, budgets] = ids.length
+      ? await Promise.all([
+          admin.from('organizations').select('id, name').in('id', ids),
+          admin.from('org_settings').select('org_id, ai_monthly_budget_usd').in('org_id', ids).not('ai_monthly_budget_usd', 'is', null),
+        ])
+      : [{ data: [] }, { data: [] }];
+    const names = new Map((orgs.data || []).map((o) => [o.id, o.name]));
+    const budgeted = new Set((budgets.data || []).map((b) => b.org_id));
+    const list = await Promise.all(Array.from(byOrg.values()).map(async (org) => ({
+      ...org,
+      name: names.get(org.orgId) || null,
+      costUsd: Number(org.costUsd.toFixed(6)),
+      budget: budgeted.has(org.orgId) ? await checkAiBudget(admin, org.orgId) : null,
+    })));
+    list.sort((a, b) => b.costUsd - a.costUsd);
+    return { since, until, totals, orgs: list, ...(orgId ? { breakdown } : {}) };
+  });
+
   // Retry ingestion for a document (ops)
   app.post('/ops/incidents/retry-ingest', { preHandler: [app.verifyAuth, app.requireIpAccess, app.ensurePlatformAdmin] }, async (req) => {
     const { orgId, docId } = req.body || {};
@@ -829,6 +870,7 @@ USING (
             try { await app.supabaseAdmin.storage.from('documents').remove([v.storage_key]); } catch (e) { app.log.error(e, 'purge: storage doc remove failed'); }
             try { await app.supabaseAdmin.storage.from('extractions').remove([`${v.org_id}/${v.id}.json`]); } catch {}
           }
+          try { await removePagePreviews(app.supabaseAdmin, { orgId: v.org_id, docId: v.id }); } catch {}
           await app.supabaseAdmin.from('documents').delete().eq('org_id', v.org_id).eq('id', v.id);
           try { await app.supabaseAdmin.from('audit_events').insert({ org_id: v.org_id, type: 'documents.purge', doc_id: v.id, note: 'scheduled purge' }); } catch {}
           purged++;
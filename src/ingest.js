@@ -1,5 +1,32 @@
 import { generateMetadataEmbeddings } from './lib/metadata-embeddings.js';
-import { uploadBufferToGemini, deleteGeminiFile, generateJsonFromGeminiFile } from './lib/gemini-files.js';
+import { uploadBufferToGemini, deleteGeminiFile, generateJsonFromGeminiFile, generateJsonFromGeminiText, hasGeminiClient, GEMINI_EXTRACTION_MODEL } from './lib/gemini-files.js';
+import { getExtractor, extractTextLocally } from './lib/text-extractors.js';
+import { chunkDocument, loadOrgChunkingStrategy, toChunkLocationColumns } from './lib/chunking.js';
+import { resolveEmbeddingProvider } from './lib/embedding-providers.js';
+import { embedInBatches, embedMissingChunks, embeddingColumns, writeChunkRows } from './lib/embedding-batches.js';
+import { findNearDuplicates, recordDuplicates } from './lib/duplicates.js';
+import { hashContent, lookupIngestionCache, copyCachedChunks, saveIngestionCache } from './lib/ingestion-cache.js';
+import { analyzePdfInRanges, shouldSplitPdf } from './lib/pdf-ranges.js';
+import { loadCustomFields, buildCustomFieldsPrompt, coerceExtractedValues } from './lib/custom-fields.js';
+import { extractStructuredData, toStructuredColumns, TEMPLATE_VERSION } from './lib/extraction-templates.js';
+import { EVIDENCE_FIELDS, FIELD_EVIDENCE_PROMPT, buildAiProvenance, canAutofill, customFieldKey } from './lib/field-provenance.js';
+import { assessExtraction, syncDocumentReview, loadCorrectionExamples, buildCorrectionExamplesPrompt } from './lib/review-queue.js';
+import { detectLanguage, loadOrgLanguageSettings, summaryLanguagePrompt, translateText } from './lib/languages.js';
+import { buildPagePreviews, hasCurrentPreviews, storePagePreviews } from './lib/page-previews.js';
+import { checkAiBudget, withUsageTracking } from './lib/ai-usage.js';
+
+// Thrown when ingestion cannot continue. `stage` names the pipeline step that failed
+// so the ingestion queue can record how far the document got before retrying.
+class IngestError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'IngestError';
+    this.stage = options.stage || null;
+    this.retryable = options.retryable !== false;
+    // Job mode to retry in when the failed work can be resumed without starting over
+    this.resumeMode = options.resumeMode || null;
+  }
+}
 
 function sanitizeFilename(name) {
   try {
@@ -36,7 +63,7 @@ export async function ingestDocumentsBatch(app, documents) {
   for (let i = 0; i < documents.length; i += BATCH_SIZE) {
     const batch = documents.slice(i, i + BATCH_SIZE);
     const batchPromises = batch.map(doc => 
-      ingestDocument(app, doc).catch(error => {
+      withUsageTracking(app.supabaseAdmin, { orgId: doc.orgId, docId: doc.docId, operation: 'ingest', log }, () => ingestDocument(app, doc)).catch(error => {
         log.error({ orgId: doc.orgId, docId: doc.docId, error: error.message }, 'Batch ingestion failed for document');
         return { error: error.message, docId: doc.docId };
       })
@@ -58,9 +85,18 @@ export async function ingestDocumentsBatch(app, documents) {
   return { successful, failed, results };
 }
 
-export async function ingestDocument(app, { orgId, docId, storageKey, mimeType, geminiFile }) {
+const OCR_PROMPT = 'Extract readable text from the attached document. Prefer returning an array of pages when possible. Respond strictly as JSON in the form {"pages":[{"page":1,"text":"..."}],"extractedText":"..."}. If page-level text is not possible, supply extractedText only. Keep the text in the language and script it is written in (e.g. Devanagari for Hindi and Marathi); do not translate or transliterate.';
+
+// Documents arrive in Indian languages as well as English
+const METADATA_LANGUAGE_PROMPT = 'The document may be written in Hindi, Marathi, English or another language. Copy names, dates and quoted text as written, and give keywords both in the document\'s language and in English.';
+
+export async function ingestDocument(app, { orgId, docId, storageKey, mimeType, geminiFile, onStage, force = false }) {
   const log = app.log || console;
   log.info({ orgId, docId, storageKey }, 'ingest start');
+  const reportStage = async (stage, info = {}) => {
+    if (typeof onStage !== 'function') return;
+    try { await onStage(stage, info); } catch (err) { log.warn({ orgId, docId, stage, err: err?.message }, 'ingest stage callback failed'); }
+  };
 
   // Get org categories to guide metadata
   let availableCategories = ['General', 'Legal', 'Financial', 'HR', 'Marketing', 'Technical', 'Invoice', 'Contract', 'Report', 'Correspondence'];
@@ -75,40 +111,104 @@ export async function ingestDocument(app, { orgId, docId, storageKey, mimeType,
     }
   } catch {}
 
+  // Org-defined fields to extract alongside the built-in metadata
+  let customFields = [];
+  try {
+    customFields = await loadCustomFields(app.supabaseAdmin, orgId, { extractedOnly: true });
+  } catch (e) {
+    log.warn({ orgId, err: e?.message }, 'ingest: failed to load custom metadata fields');
+  }
+  // Reviewer corrections from the review queue, shown to the model as examples
+  let correctionExamples = '';
+  try {
+    correctionExamples = buildCorrectionExamplesPrompt(await loadCorrectionExamples(app.supabaseAdmin, orgId));
+  } catch (e) {
+    log.warn({ orgId, err: e?.message }, 'ingest: failed to load metadata corrections');
+  }
+
   const baseName = sanitizeFilename(storageKey.split('/').pop() || 'Document');
 
   let fileInfo = null;
   let effectiveMime = mimeType || 'application/octet-stream';
+  let local = null;
+  let splitPages = false;
 
-  try {
-    if (geminiFile?.fileUri && geminiFile?.fileId) {
-      fileInfo = {
-        fileUri: geminiFile.fileUri,
-        fileId: geminiFile.fileId,
-        mimeType: geminiFile.mimeType || mimeType || 'application/octet-stream',
-      };
-      effectiveMime = fileInfo.mimeType;
-      log.info({ orgId, docId, fileId: fileInfo.fileId }, 'ingest reusing Gemini file reference');
-    } else {
-      const { data: fileBlob, error: dlErr } = await app.supabaseAdmin.storage
-        .from('documents')
-        .download(storageKey);
-      if (dlErr || !fileBlob) {
-        log.error(dlErr, 'ingest: download failed');
-        return;
+  const downloadFile = async (stage) => {
+    const { data: fileBlob, error: dlErr } = await app.supabaseAdmin.storage
+      .from('documents')
+      .download(storageKey);
+    if (dlErr || !fileBlob) {
+      log.error(dlErr, 'ingest: download failed');
+      throw new IngestError('storage download failed', { stage });
+    }
+    effectiveMime = mimeType || fileBlob.type || 'application/octet-stream';
+    return Buffer.from(await fileBlob.arrayBuffer());
+  };
+
+  // Identical bytes already ingested in this org: reuse that extraction instead of OCR.
+  // `force` (reingest) bypasses the cache.
+  const buffer = await downloadFile('extract');
+  const contentSha256 = hashContent(buffer);
+  let cached = null;
+  if (!force) {
+    try {
+      cached = await lookupIngestionCache(app.supabaseAdmin, { orgId, contentSha256 });
+    } catch (e) {
+      log.warn(e, 'ingest: ingestion cache lookup failed');
+    }
+    if (cached) {
+      log.info({ orgId, docId, sourceDocId: cached.sourceDocId }, 'ingest reusing cached extraction');
+      if (geminiFile?.fileId) await deleteGeminiFile(geminiFile.fileId).catch(() => {});
+    }
+  }
+
+  // Text-native formats are read locally; only scans and images need Gemini OCR
+  if (!cached && getExtractor(mimeType, storageKey)) {
+    await reportStage('extract');
+    try {
+      local = await extractTextLocally(buffer, { mimeType: effectiveMime, filename: storageKey });
+    } catch (e) {
+      log.warn({ orgId, docId, err: e?.message }, 'ingest: local extraction failed, falling back to Gemini');
+    }
+    if (local) {
+      log.info({ orgId, docId, extractor: local.extractor, pages: local.pages.length }, 'ingest extracted text locally');
+      if (geminiFile?.fileId) await deleteGeminiFile(geminiFile.fileId).catch(() => {});
+    }
+  }
+
+  if (!local && !cached) {
+    await reportStage('gemini_upload');
+    if (!hasGeminiClient()) {
+      throw new IngestError(`gemini not configured; cannot extract ${effectiveMime}`, { stage: 'gemini_upload', retryable: false });
+    }
+    // Large PDFs are OCR'd page range by page range instead of uploaded whole
+    splitPages = !geminiFile?.fileUri && shouldSplitPdf(buffer.length, effectiveMime, storageKey);
+  }
+  if (splitPages) {
+    log.info({ orgId, docId, sizeMb: (buffer.length / (1024 * 1024)).toFixed(1) }, 'ingest splitting large PDF into page ranges');
+  } else if (!local && !cached) {
+    try {
+      if (geminiFile?.fileUri && geminiFile?.fileId) {
+        fileInfo = {
+          fileUri: geminiFile.fileUri,
+          fileId: geminiFile.fileId,
+          mimeType: geminiFile.mimeType || mimeType || 'application/octet-stream',
+        };
+        effectiveMime = fileInfo.mimeType;
+        log.info({ orgId, docId, fileId: fileInfo.fileId }, 'ingest reusing Gemini file reference');
+      } else {
+        fileInfo = await uploadBufferToGemini(buffer, {
+          mimeType: effectiveMime,
+          displayName: baseName,
+        });
+        log.info({ orgId, docId, fileId: fileInfo.fileId }, 'ingest uploaded document to Gemini');
       }
-      const buffer = Buffer.from(await fileBlob.arrayBuffer());
-      effectiveMime = mimeType || fileBlob.type || 'application/octet-stream';
-      fileInfo = await uploadBufferToGemini(buffer, {
-        mimeType: effectiveMime,
-        displayName: baseName,
-      });
-      log.info({ orgId, docId, fileId: fileInfo.fileId }, 'ingest uploaded document to Gemini');
+    } catch (error) {
+      if (error instanceof IngestError) throw error;
+      log.warn(error, 'ingest: failed to prepare Gemini file');
+      try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: 'gemini upload failed' }); } catch {}
+      throw new IngestError(`gemini upload failed: ${error?.message || error}`, { stage: 'gemini_upload' });
     }
-  } catch (error) {
-    log.warn(error, 'ingest: failed to prepare Gemini file');
-    try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: 'gemini upload failed' }); } catch {}
-    return;
   }
 
   // Fetch per‑org summary prompt (fallback to default)
@@ -130,71 +230,195 @@ export async function ingestDocument(app, { orgId, docId, storageKey, mimeType,
     }
   } catch {}
 
+  // Summary language (and optional English translation) chosen by the org
+  const languageSettings = await loadOrgLanguageSettings(app.supabaseAdmin, orgId);
+
+  // Over the org's monthly AI budget: text, metadata and chunks are still extracted, but
+  // summaries, their translation, document-type extraction and metadata embeddings wait
+  // for the next ingest
+  const budget = await checkAiBudget(app.supabaseAdmin, orgId);
+  if (budget.exceeded) {
+    log.warn({ orgId, docId, budgetUsd: budget.monthlyBudgetUsd, spentUsd: budget.spentUsd }, 'ingest: monthly AI budget exceeded, skipping summary, structured extraction and metadata embeddings');
+    try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.budget', doc_id: docId, note: `monthly AI budget of $${budget.monthlyBudgetUsd} reached; summary, structured extraction and metadata embeddings skipped` }); } catch {}
+  }
+
+  const metadataPrompt = `You are an expert document information extractor. Respond strictly as JSON with keys: title, subject, keywords (array, >=3), tags (array, 3-8), sender, receiver, senderOptions (array), receiverOptions (array), documentDate (ISO or empty), category (one of: ${availableCategories.join(', ')}). IMPORTANT: You MUST always select a category from the provided list. If none seem perfect, choose the closest match. Never leave category empty or undefined. Do not include a summary in this response.\n\n${METADATA_LANGUAGE_PROMPT}\n\n${FIELD_EVIDENCE_PROMPT}${customFields.length ? `\n\n${buildCustomFieldsPrompt(customFields)}` : ''}${correctionExamples ? `\n\n${correctionExamples}` : ''}`;
+  const summaryPrompt = `${orgSummaryPrompt}\n\n${summaryLanguagePrompt(languageSettings.summaryLanguage)}\n\nRespond strictly as JSON with key "summary" containing the summary string.`;
+
   let ocrText = '';
   let ocrPages = [];
   let metadata = {};
   let summaryText = '';
   let keyPointers = [];
-  try {
-    // Process all Gemini calls in parallel for 3x speed improvement
-    const [ocr, meta, sum] = await Promise.all([
-      generateJsonFromGeminiFile({
-        fileUri: fileInfo.fileUri,
-        mimeType: fileInfo.mimeType || effectiveMime,
-        prompt: 'Extract readable text from the attached document. Prefer returning an array of pages when possible. Respond strictly as JSON in the form {"pages":[{"page":1,"text":"..."}],"extractedText":"..."}. If page-level text is not possible, supply extractedText only.',
-      }),
-      generateJsonFromGeminiFile({
-        fileUri: fileInfo.fileUri,
-        mimeType: fileInfo.mimeType || effectiveMime,
-        prompt: `You are an expert document information extractor. Respond strictly as JSON with keys: title, subject, keywords (array, >=3), tags (array, 3-8), sender, receiver, senderOptions (array), receiverOptions (array), documentDate (ISO or empty), category (one of: ${availableCategories.join(', ')}). IMPORTANT: You MUST always select a category from the provided list. If none seem perfect, choose the closest match. Never leave category empty or undefined. Do not include a summary in this response.`,
-      }),
-      generateJsonFromGeminiFile({
-        fileUri: fileInfo.fileUri,
-        mimeType: fileInfo.mimeType || effectiveMime,
-        prompt: `${orgSummaryPrompt}\n\nRespond strictly as JSON with key "summary" containing the summary string.`,
-      })
-    ]);
-
-    ocrPages = Array.isArray(ocr?.pages) ? ocr.pages.filter((p) => p && typeof p.text === 'string') : [];
-    ocrText = typeof ocr?.extractedText === 'string' && ocr.extractedText.trim().length > 0
-      ? ocr.extractedText
-      : (Array.isArray(ocrPages) ? ocrPages.map((p) => String(p.text || '')).join('\n\n') : '');
-    const rawSummary = (sum && typeof sum.summary === 'string') ? sum.summary : '';
-    keyPointers = Array.isArray(sum?.keyPointers)
-      ? sum.keyPointers.map((p) => (typeof p === 'string' ? p.trim() : '')).filter(Boolean)
-      : [];
-    summaryText = combineSummaryWithKeyPointers(rawSummary, keyPointers);
-    metadata = {
-      title: (meta && typeof meta.title === 'string' && meta.title.trim()) ? meta.title : baseName,
-      subject: (meta && typeof meta.subject === 'string' && meta.subject.trim()) ? meta.subject : baseName,
-      keywords: Array.from(new Set((Array.isArray(meta?.keywords) ? meta.keywords : []).filter(Boolean).map((k) => String(k)).slice(0, 10).concat([baseName]))).slice(0, 10),
-      tags: Array.from(new Set((Array.isArray(meta?.tags) ? meta.tags : []).filter(Boolean).map((k) => String(k)).slice(0, 8).concat(['document']))).slice(0, 8),
-      summary: summaryText,
-      keyPointers,
-      sender: typeof meta?.sender === 'string' ? meta.sender : undefined,
-      receiver: typeof meta?.receiver === 'string' ? meta.receiver : undefined,
-      senderOptions: Array.isArray(meta?.senderOptions) ? meta.senderOptions : [],
-      receiverOptions: Array.isArray(meta?.receiverOptions) ? meta.receiverOptions : [],
-      documentDate: typeof meta?.documentDate === 'string' ? meta.documentDate : undefined,
-      category: typeof meta?.category === 'string' && meta.category.trim() ? meta.category : (availableCategories.includes('General') ? 'General' : availableCategories[0]),
-    };
-    try {
-      if ((process.env.LOG_SUMMARY_PROMPT || '').toLowerCase() === 'true' || process.env.LOG_SUMMARY_PROMPT === '1') {
-        app.log.info({ orgId, docId, summaryLen: (summaryText || '').length }, 'Ingest: summary generated');
+  let meta = null;
+  let sum = null;
+  // Recorded with each AI-filled field; local extraction without Gemini names its extractor
+  let metadataModel = GEMINI_EXTRACTION_MODEL;
+  // Incomplete extractions that did not stop ingestion; they put the document up for review
+  const problems = [];
+  if (cached) {
+    ocrText = cached.extraction.ocrText;
+    ocrPages = Array.isArray(cached.extraction.ocrPages) ? cached.extraction.ocrPages : [];
+  } else if (local) {
+    ocrText = local.text;
+    ocrPages = local.pages;
+    // Metadata and summary are best-effort here: the text is already in hand, so chunking
+    // and embedding proceed even when Gemini is absent or failing
+    if (hasGeminiClient()) {
+      try {
+        [meta, sum] = await Promise.all([
+          generateJsonFromGeminiText({ text: ocrText, prompt: metadataPrompt }),
+          budget.exceeded ? null : generateJsonFromGeminiText({ text: ocrText, prompt: summaryPrompt }),
+        ]);
+      } catch (e) {
+        log.warn(e, 'ingest: gemini metadata for local extraction failed, continuing');
+        problems.push(`metadata extraction failed: ${e?.message || e}`);
+        try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: String(e?.message || e) }); } catch {}
       }
-    } catch {}
-  } catch (e) {
-    log.warn(e, 'ingest: gemini extraction failed, continuing');
-    try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: String(e?.message || e) }); } catch {}
-    if (fileInfo?.fileId) {
-      log.warn({ orgId, docId, fileId: fileInfo.fileId }, 'ingest deleting Gemini file after extraction failure');
-      await deleteGeminiFile(fileInfo.fileId).catch((err) => {
-        log.warn({ orgId, docId, fileId: fileInfo.fileId, err: err?.message }, 'ingest failed to delete Gemini file after extraction failure');
+    }
+    if (!meta) {
+      metadataModel = local.extractor;
+      const heading = ocrPages.find((p) => p.section)?.section;
+      meta = { title: heading && heading.length <= 120 ? heading : undefined };
+    }
+  } else if (splitPages) {
+    await reportStage('extract');
+    let result;
+    try {
+      result = await analyzePdfInRanges(buffer, {
+        displayName: baseName,
+        prompts: { ocr: OCR_PROMPT, metadata: metadataPrompt, summary: budget.exceeded ? null : summaryPrompt },
+        log,
+        // Each finished range refreshes the job's lock, so long documents are not taken for stale
+        onRange: ({ done, pageCount }) => reportStage('extract', { ranges: done, pages: pageCount }),
       });
+    } catch (e) {
+      log.warn(e, 'ingest: page-range extraction failed');
+      try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: String(e?.message || e) }); } catch {}
+      throw new IngestError(`page-range extraction failed: ${e?.message || e}`, { stage: 'extract' });
+    }
+    ocrPages = result.pages;
+    ocrText = result.ocrText;
+    meta = result.metadata;
+    sum = { summary: result.summary, keyPointers: result.keyPointers };
+    if (result.failedRanges.length) {
+      const missing = result.failedRanges.map((r) => `${r.startPage}-${r.endPage}`).join(', ');
+      problems.push(`pages not extracted: ${missing}`);
+      try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: `pages not extracted: ${missing}` }); } catch {}
+    }
+  } else {
+    await reportStage('extract');
+    try {
+      // Process all Gemini calls in parallel for 3x speed improvement
+      let ocr;
+      [ocr, meta, sum] = await Promise.all([
+        generateJsonFromGeminiFile({
+          fileUri: fileInfo.fileUri,
+          mimeType: fileInfo.mimeType || effectiveMime,
+          prompt: OCR_PROMPT,
+        }),
+        generateJsonFromGeminiFile({
+          fileUri: fileInfo.fileUri,
+          mimeType: fileInfo.mimeType || effectiveMime,
+          prompt: metadataPrompt,
+        }),
+        budget.exceeded ? null : generateJsonFromGeminiFile({
+          fileUri: fileInfo.fileUri,
+          mimeType: fileInfo.mimeType || effectiveMime,
+          prompt: summaryPrompt,
+        })
+      ]);
+
+      ocrPages = Array.isArray(ocr?.pages) ? ocr.pages.filter((p) => p && typeof p.text === 'string') : [];
+      ocrText = typeof ocr?.extractedText === 'string' && ocr.extractedText.trim().length > 0
+        ? ocr.extractedText
+        : (Array.isArray(ocrPages) ? ocrPages.map((p) => String(p.text || '')).join('\n\n') : '');
+    } catch (e) {
+      log.warn(e, 'ingest: gemini extraction failed, continuing');
+      try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: String(e?.message || e) }); } catch {}
+      if (fileInfo?.fileId) {
+        log.warn({ orgId, docId, fileId: fileInfo.fileId }, 'ingest deleting Gemini file after extraction failure');
+        await deleteGeminiFile(fileInfo.fileId).catch((err) => {
+          log.warn({ orgId, docId, fileId: fileInfo.fileId, err: err?.message }, 'ingest failed to delete Gemini file after extraction failure');
+        });
+      }
+      throw new IngestError(`gemini extraction failed: ${e?.message || e}`, { stage: 'extract' });
     }
-    return;
   }
 
+  const rawSummary = (sum && typeof sum.summary === 'string') ? sum.summary : '';
+  keyPointers = Array.isArray(sum?.keyPointers)
+    ? sum.keyPointers.map((p) => (typeof p === 'string' ? p.trim() : '')).filter(Boolean)
+    : [];
+  summaryText = combineSummaryWithKeyPointers(rawSummary, keyPointers);
+  metadata = {
+    title: (meta && typeof meta.title === 'string' && meta.title.trim()) ? meta.title : baseName,
+    subject: (meta && typeof meta.subject === 'string' && meta.subject.trim()) ? meta.subject : baseName,
+    keywords: Array.from(new Set((Array.isArray(meta?.keywords) ? meta.keywords : []).filter(Boolean).map((k) => String(k)).slice(0, 10).concat([baseName]))).slice(0, 10),
+    tags: Array.from(new Set((Array.isArray(meta?.tags) ? meta.tags : []).filter(Boolean).map((k) => String(k)).slice(0, 8).concat(['document']))).slice(0, 8),
+    summary: summaryText,
+    keyPointers,
+    sender: typeof meta?.sender === 'string' ? meta.sender : undefined,
+    receiver: typeof meta?.receiver === 'string' ? meta.receiver : undefined,
+    senderOptions: Array.isArray(meta?.senderOptions) ? meta.senderOptions : [],
+    receiverOptions: Array.isArray(meta?.receiverOptions) ? meta.receiverOptions : [],
+    documentDate: typeof meta?.documentDate === 'string' ? meta.documentDate : undefined,
+    category: typeof meta?.category === 'string' && meta.category.trim() ? meta.category : (availableCategories.includes('General') ? 'General' : availableCategories[0]),
+  };
+  if (cached?.extraction.metadata) {
+    metadata = { ...metadata, ...cached.extraction.metadata };
+    summaryText = typeof metadata.summary === 'string' ? metadata.summary : '';
+  }
+  // Main language of the text, plus any other language with a sizeable share of it
+  const detected = detectLanguage(ocrText);
+  metadata.language = detected.language;
+  metadata.languages = detected.languages;
+  if (detected.language) log.info({ orgId, docId, language: detected.language, languages: detected.languages, confidence: detected.confidence }, 'ingest detected language');
+  // English translation of a summary written in another language, when the org keeps one
+  const wantsTranslation = languageSettings.summaryTranslation && languageSettings.summaryLanguage !== 'en';
+  if (wantsTranslation && summaryText && !metadata.summaryTranslation && !budget.exceeded && hasGeminiClient()) {
+    try {
+      metadata.summaryTranslation = await translateText(summaryText, 'en') || undefined;
+    } catch (e) {
+      log.warn({ orgId, docId, err: e?.message }, 'ingest: summary translation failed');
+    }
+  }
+  // Values that fail the field's type or validation are dropped rather than stored
+  const extractedCustom = coerceExtractedValues(customFields, cached ? metadata.customFields : meta?.customFields);
+  metadata.customFields = extractedCustom.values;
+  if (extractedCustom.rejected.length) {
+    log.info({ orgId, docId, rejected: extractedCustom.rejected }, 'ingest: discarded invalid custom field values');
+  }
+  // Source, confidence and supporting snippet for each auto-filled field. A cached
+  // extraction carries its own; older cache entries without it get entries with no evidence.
+  const provenance = cached?.extraction.provenance || buildAiProvenance({
+    metadata,
+    evidence: cached ? null : meta?.evidence,
+    modelFields: new Set(Object.keys(EVIDENCE_FIELDS).filter((k) => typeof (cached ? metadata : meta)?.[k] === 'string' && (cached ? metadata : meta)[k].trim())),
+    pages: ocrPages,
+    text: ocrText,
+    model: cached ? (cached.extraction.extractor === 'gemini' ? GEMINI_EXTRACTION_MODEL : null) : metadataModel,
+  });
+  // Document-type template (invoice line items, contract terms, inspection violations).
+  // Best-effort: when it fails, or the org is over budget, the document keeps whatever
+  // structured data it had.
+  let structured = cached?.extraction.structured?.version === TEMPLATE_VERSION ? cached.extraction.structured : null;
+  if (!structured && !budget.exceeded && hasGeminiClient() && String(ocrText || '').trim()) {
+    await reportStage('structured');
+    try {
+      structured = await extractStructuredData(ocrText, { title: metadata.title, category: metadata.category });
+      log.info({ orgId, docId, documentType: structured.docType, confidence: structured.confidence }, 'ingest classified document type');
+    } catch (e) {
+      log.warn(e, 'ingest: structured extraction failed');
+      try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: `structured extraction failed: ${e?.message || e}`.slice(0, 500) }); } catch {}
+    }
+  }
+  try {
+    if ((process.env.LOG_SUMMARY_PROMPT || '').toLowerCase() === 'true' || process.env.LOG_SUMMARY_PROMPT === '1') {
+      app.log.info({ orgId, docId, summaryLen: (summaryText || '').length }, 'Ingest: summary generated');
+    }
+  } catch {}
+
   if (fileInfo?.fileId) {
     log.info({ orgId, docId, fileId: fileInfo.fileId }, 'ingest deleting Gemini file after processing');
     await deleteGeminiFile(fileInfo.fileId).catch((err) => {
@@ -203,9 +427,11 @@ export async function ingestDocument(app, { orgId, docId, storageKey, mimeType,
   }
 
   // Persist extraction JSON
+  await reportStage('persist_extraction');
   try {
     const key = `${orgId}/${docId}.json`;
-    const payload = JSON.stringify({ ocrText, ocrPages, metadata });
+    const extractor = cached ? (cached.extraction.extractor || 'gemini') : (local ? local.extractor : (splitPages ? 'gemini-page-ranges' : 'gemini'));
+    const payload = JSON.stringify({ ocrText, ocrPages, metadata, provenance, structured, extractor, contentSha256 });
     // Ensure bucket exists
     try {
       const { data: buckets } = await app.supabaseAdmin.storage.listBuckets();
@@ -219,174 +445,240 @@ export async function ingestDocument(app, { orgId, docId, storageKey, mimeType,
     try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: 'persist extraction failed' }); } catch {}
   }
 
-  // Update document metadata only if blank (avoid stomping later edits)
+  // Update document metadata that is blank or was itself AI-filled; values a user entered
+  // (or cleared) are never overwritten
+  await reportStage('update_metadata');
+  let reviewInput = null;
   try {
     const { data: doc } = await app.supabaseAdmin
       .from('documents')
-      .select('title, subject, description, category, tags, keywords, sender, receiver, document_date')
+      .select('title, subject, description, category, tags, keywords, sender, receiver, document_date, custom_fields, field_provenance, department_id')
       .eq('org_id', orgId)
       .eq('id', docId)
       .maybeSingle();
     if (doc) {
       const payload = {};
-      if (!doc.title && metadata.title) payload.title = metadata.title;
-      if (!doc.subject && metadata.subject) payload.subject = metadata.subject;
-      if (!doc.category && metadata.category) payload.category = metadata.category;
-      if ((!doc.tags || doc.tags.length === 0) && Array.isArray(metadata.tags)) payload.tags = metadata.tags;
-      if ((!doc.keywords || doc.keywords.length === 0) && Array.isArray(metadata.keywords)) payload.keywords = metadata.keywords;
-      if (!doc.sender && metadata.sender) payload.sender = metadata.sender;
-      if (!doc.receiver && metadata.receiver) payload.receiver = metadata.receiver;
+      const current = doc.field_provenance || {};
+      const filled = [];
+      const fill = (key, value, existing) => {
+        const blank = value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+        if (blank || !canAutofill(current, key, existing)) return false;
+        filled.push(key);
+        return true;
+      };
+      for (const column of ['title', 'subject', 'category', 'sender', 'receiver']) {
+        if (fill(column, metadata[column], doc[column])) payload[column] = metadata[column];
+      }
+      for (const column of ['tags', 'keywords']) {
+        if (Array.isArray(metadata[column]) && fill(column, metadata[column], doc[column])) payload[column] = metadata[column];
+      }
       if (summaryText) {
         const currentDescription = typeof doc.description === 'string' ? doc.description.trim() : '';
-        const looksAuto =
-          !currentDescription ||
-          /^Large [A-Z0-9]+ file \(/.test(currentDescription) ||
-          currentDescription === metadata.summary;
-        if (looksAuto) payload.description = summaryText;
+        // Placeholders from upload analysis and the previous summary count as blank
+        const placeholder = /^Large [A-Z0-9]+ (file|document) \(/.test(currentDescription) || currentDescription === metadata.summary;
+        if (fill('description', summaryText, placeholder ? '' : currentDescription)) {
+          payload.description = summaryText;
+          payload.summary_translation = (wantsTranslation && metadata.summaryTranslation) || null;
+        }
+      }
+      const documentDate = metadata.documentDate ? normalizeDate(metadata.documentDate) : null;
+      if (fill('document_date', documentDate, doc.document_date)) payload.document_date = documentDate;
+      const customValues = { ...(doc.custom_fields || {}) };
+      let customChanged = false;
+      for (const [name, value] of Object.entries(metadata.customFields)) {
+        if (fill(customFieldKey(name), value, customValues[name])) {
+          customValues[name] = value;
+          customChanged = true;
+        }
       }
-      if (!doc.document_date && metadata.documentDate) {
-        const norm = normalizeDate(metadata.documentDate);
-        if (norm) payload.document_date = norm;
+      if (customChanged) payload.custom_fields = customValues;
+      if (filled.length) {
+        payload.field_provenance = { ...current };
+        for (const key of filled) {
+          if (provenance[key]) payload.field_provenance[key] = provenance[key];
+        }
       }
+      // Derived from the text rather than edited by users, so a new extraction replaces it
+      if (structured) Object.assign(payload, toStructuredColumns(structured));
+      if (detected.language) Object.assign(payload, { language: detected.language, languages: detected.languages });
       if (Object.keys(payload).length > 0) {
         await app.supabaseAdmin.from('documents').update(payload).eq('org_id', orgId).eq('id', docId);
       }
+      reviewInput = {
+        departmentId: doc.department_id || null,
+        ...assessExtraction({
+          provenance: payload.field_provenance || current,
+          category: payload.category ?? doc.category,
+          problems,
+        }),
+      };
     }
   } catch (e) {
     log.warn(e, 'ingest: update doc metadata failed');
     try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: 'update metadata failed' }); } catch {}
   }
+  if (reviewInput) {
+    try {
+      await syncDocumentReview(app.supabaseAdmin, { orgId, docId, ...reviewInput });
+      if (reviewInput.reasons.length) log.info({ orgId, docId, reasons: reviewInput.reasons, fields: reviewInput.fields }, 'ingest flagged document for review');
+    } catch (e) {
+      log.warn(e, 'ingest: updating review queue failed');
+    }
+  }
+
+  // Per-page previews for citations. Best-effort, and skipped when the document already
+  // has previews of these exact bytes (unless `force`).
+  try {
+    if (force || !(await hasCurrentPreviews(app.supabaseAdmin, { docId, contentSha256 }))) {
+      const previews = await buildPagePreviews(buffer, { mimeType: effectiveMime, filename: storageKey });
+      if (previews.pageCount) {
+        await reportStage('previews', { pages: previews.pageCount });
+        const stored = await storePagePreviews(app.supabaseAdmin, { orgId, docId, storageKey, contentSha256, previews });
+        log.info({ orgId, docId, pages: stored, pageCount: previews.pageCount }, 'ingest stored page previews');
+      }
+    }
+  } catch (e) {
+    log.warn(e, 'ingest: page previews failed');
+    try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: `page previews failed: ${e?.message || e}`.slice(0, 500) }); } catch {}
+  }
 
   // 3) Chunk text
   const text = String(ocrText || '').trim();
   if (!text) {
     log.info('ingest: no OCR text, skipping chunk/embeddings');
-    return;
+    await reportStage('complete', { chunks: 0 });
+    return { chunks: 0 };
   }
-  // Build chunks, preserving page numbers when available
-  const chunks = ocrPages && ocrPages.length > 0
-    ? chunkTextByPages(ocrPages)
-    : chunkText(text).map((c, i) => ({ content: c, page: null }));
+  await reportStage('chunk');
+  // Build chunks with the org's strategy, preserving page numbers when available
+  const strategy = await loadOrgChunkingStrategy(app.supabaseAdmin, orgId);
+  const provider = await resolveEmbeddingProvider(app.supabaseAdmin, orgId);
+  const embeddingModel = provider.isConfigured() ? provider.modelId : null;
 
-  // 4) Embed and write chunks
-  try {
-    const embeddings = await embedChunks(chunks);
-    // Remove prior chunks for this doc
-    await app.supabaseAdmin.from('doc_chunks').delete().eq('org_id', orgId).eq('doc_id', docId);
-    const rows = chunks.map((c, i) => ({ org_id: orgId, doc_id: docId, chunk_index: i, content: c.content, page: c.page ?? null, embedding: embeddings?.[i] || null }));
-    // Insert in batches
-    const batchSize = 100;
-    for (let i = 0; i < rows.length; i += batchSize) {
-      const slice = rows.slice(i, i + batchSize);
-      const { error } = await app.supabaseAdmin.from('doc_chunks').upsert(slice, { onConflict: 'doc_id,chunk_index' });
-      if (error) throw error;
+  // Same bytes already chunked and embedded the same way: copy those chunks
+  let reused = 0;
+  if (cached && embeddingModel && cached.chunkingStrategy === strategy && cached.embeddingModel === embeddingModel) {
+    try {
+      reused = await copyCachedChunks(app.supabaseAdmin, { orgId, sourceDocId: cached.sourceDocId, docId });
+      if (reused > 0) log.info({ orgId, docId, sourceDocId: cached.sourceDocId, chunks: reused }, 'ingest reused cached chunks');
+    } catch (e) {
+      log.warn(e, 'ingest: copying cached chunks failed, re-embedding');
     }
-  } catch (e) {
-    log.warn(e, 'ingest: embeddings or write failed');
-    try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: 'embeddings/write failed' }); } catch {}
   }
+  const chunks = reused > 0 ? [] : chunkDocument({ text, pages: ocrPages, strategy });
+  const chunkCount = reused || chunks.length;
 
-  // Generate metadata embeddings for the document
+  // 4) Embed and write chunks. Chunks whose batch failed are written without a vector
+  // and filled in by the job's next attempt (resumes in 'reembed' mode, no OCR rerun).
+  await reportStage('embed', { chunks: chunkCount });
+  let embedFailure = null;
+  let embeddings = [];
+  if (reused === 0) {
+    try {
+      const result = embeddingModel
+        ? await embedInBatches(chunks.map((c) => c.content), provider, { log })
+        : { embeddings: [], failed: 0, errors: [] };
+      embeddings = result.embeddings;
+      if (result.failed > 0) {
+        embedFailure = `${result.failed} of ${chunks.length} chunk embeddings failed: ${result.errors[0] || 'unknown error'}`;
+      }
+      // Remove prior chunks for this doc
+      await app.supabaseAdmin.from('doc_chunks').delete().eq('org_id', orgId).eq('doc_id', docId);
+      const rows = chunks.map((c, i) => ({ org_id: orgId, doc_id: docId, chunk_index: i, content: c.content, page: c.page ?? null, language: detectLanguage(c.content, { fallback: detected.language }).language, ...embeddingColumns(result.embeddings[i], provider), ...toChunkLocationColumns(c) }));
+      await writeChunkRows(app.supabaseAdmin, rows);
+    } catch (e) {
+      log.warn(e, 'ingest: chunk write failed');
+      try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: 'chunk write failed' }); } catch {}
+      throw new IngestError(`chunk write failed: ${e?.message || e}`, { stage: 'embed' });
+    }
+  }
+  if (embedFailure) {
+    log.warn({ orgId, docId, error: embedFailure }, 'ingest: some chunk embeddings failed');
+    try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: embedFailure.slice(0, 500) }); } catch {}
+  }
+
+  // Flag near-duplicates of existing documents for the uploader to resolve
   try {
-    // Get the updated document with all metadata
-    const { data: document } = await app.supabaseAdmin
-      .from('documents')
-      .select('*')
-      .eq('org_id', orgId)
-      .eq('id', docId)
-      .single();
-      
-    if (document) {
-      await generateMetadataEmbeddings(app.supabaseAdmin, orgId, docId, document);
-      log.info({ orgId, docId }, 'metadata embeddings generated');
+    const duplicates = await findNearDuplicates(app.supabaseAdmin, { orgId, docId, embeddings });
+    if (duplicates.length > 0) {
+      await recordDuplicates(app.supabaseAdmin, { orgId, docId, duplicates });
+      log.info({ orgId, docId, duplicates: duplicates.map((d) => d.id) }, 'ingest: near-duplicates found');
     }
   } catch (e) {
-    log.warn(e, 'ingest: metadata embeddings generation failed');
-    try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: 'metadata embeddings failed' }); } catch {}
+    log.warn(e, 'ingest: near-duplicate detection failed');
   }
 
-  log.info({ orgId, docId, chunks: chunks.length }, 'ingest complete');
-}
-
-function chunkText(text) {
-  const target = 1200; // chars
-  const overlap = 200;
-  const words = text.split(/\s+/);
-  const chunks = [];
-  let buf = [];
-  let len = 0;
-  for (const w of words) {
-    const wlen = w.length + 1;
-    if (len + wlen > target && buf.length > 0) {
-      chunks.push(buf.join(' '));
-      // overlap
-      const back = [];
-      let backLen = 0;
-      for (let i = buf.length - 1; i >= 0; i--) {
-        const l = buf[i].length + 1;
-        if (backLen + l > overlap) break;
-        back.unshift(buf[i]);
-        backLen += l;
+  // Generate metadata embeddings for the document (not over the monthly AI budget)
+  if (!budget.exceeded) {
+    await reportStage('metadata_embeddings');
+    try {
+      // Get the updated document with all metadata
+      const { data: document } = await app.supabaseAdmin
+        .from('documents')
+        .select('*')
+        .eq('org_id', orgId)
+        .eq('id', docId)
+        .single();
+      
+      if (document) {
+        await generateMetadataEmbeddings(app.supabaseAdmin, orgId, docId, document);
+        log.info({ orgId, docId }, 'metadata embeddings generated');
       }
-      buf = back;
-      len = back.join(' ').length;
+    } catch (e) {
+      log.warn(e, 'ingest: metadata embeddings generation failed');
+      try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, type: 'ingest.error', doc_id: docId, note: 'metadata embeddings failed' }); } catch {}
     }
-    buf.push(w);
-    len += wlen;
   }
-  if (buf.length) chunks.push(buf.join(' '));
-  return chunks;
-}
 
-function detectHeadings(pageText) {
-  const lines = String(pageText||'').split(/\n+/).map(s=>s.trim()).filter(Boolean);
-  const heads = [];
-  for (const line of lines) {
-    if (line.length > 8 && line.length < 120) {
-      const letters = line.replace(/[^A-Za-z]/g,'');
-      const upper = letters.replace(/[^A-Z]/g,'').length;
-      const ratio = letters.length ? upper/letters.length : 0;
-      if (ratio > 0.6) heads.push(line);
+  if (embedFailure) throw new IngestError(embedFailure, { stage: 'embed', resumeMode: 'reembed' });
+
+  // Only complete ingestions are offered for reuse (one without its summary is not)
+  if (!budget.exceeded) {
+    try {
+      await saveIngestionCache(app.supabaseAdmin, { orgId, contentSha256, docId, chunkingStrategy: strategy, embeddingModel, chunkCount });
+    } catch (e) {
+      log.warn(e, 'ingest: saving ingestion cache entry failed');
     }
   }
-  return heads;
-}
 
-function chunkTextByPages(pages) {
-  // pages: array of { page?: number, text: string }
-  const out = [];
-  let idx = 0;
-  for (const p of pages) {
-    const pageNum = typeof p.page === 'number' ? p.page : (idx + 1);
-    const raw = String(p.text || '');
-    const heads = detectHeadings(raw);
-    const parts = chunkText(raw);
-    const prefix = heads.length ? `[Section: ${heads[0]}] ` : '';
-    for (const part of parts) out.push({ content: prefix + part, page: pageNum });
-    idx++;
-  }
-  return out;
+  log.info({ orgId, docId, chunks: chunkCount, reused: reused > 0 }, 'ingest complete');
+  await reportStage('complete', { chunks: chunkCount });
+  return { chunks: chunkCount };
 }
 
-async function embedChunks(chunks) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) return null;
-  // OpenAI embeddings API expects an array of strings. Map chunk objects to their content.
-  const inputs = Array.isArray(chunks)
-    ? chunks.map((c) => (typeof c === 'string' ? c : (c && typeof c.content === 'string' ? c.content : '')))
-    : [];
-  const res = await fetch('https://api.openai.com/v1/embeddings', {
-    method: 'POST',
-    headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({ model: 'text-embedding-3-small', input: inputs }),
-  });
-  if (!res.ok) {
-    const txt = await res.text().catch(() => '');
-    throw new Error(`OpenAI embed failed: ${res.status} ${txt}`);
+// Embed a document's chunks that have no vector yet or one from another model than the
+// org's current provider (after a provider switch or a partially failed ingest). Batches
+// are persisted as they complete, so a retry only embeds what is still missing.
+export async function reembedDocument(app, { orgId, docId, onStage }) {
+  const log = app.log || console;
+  const reportStage = async (stage, info = {}) => {
+    if (typeof onStage !== 'function') return;
+    try { await onStage(stage, info); } catch (err) { log.warn({ orgId, docId, stage, err: err?.message }, 'reembed stage callback failed'); }
+  };
+  const provider = await resolveEmbeddingProvider(app.supabaseAdmin, orgId);
+  if (!provider.isConfigured()) {
+    throw new IngestError(`${provider.name} embedding provider not configured`, { stage: 'embed', retryable: false });
   }
-  const data = await res.json();
-  const out = data?.data?.map((d) => d.embedding) || null;
-  return out;
+  await reportStage('embed');
+  let result;
+  try {
+    result = await embedMissingChunks(app.supabaseAdmin, {
+      orgId,
+      docId,
+      provider,
+      log,
+      onProgress: ({ embedded }) => reportStage('embed', { chunks: embedded }),
+    });
+  } catch (e) {
+    log.warn(e, 'reembed: load chunks failed');
+    throw new IngestError(`load chunks failed: ${e?.message || e}`, { stage: 'embed' });
+  }
+  if (result.failed > 0) {
+    throw new IngestError(`${result.failed} of ${result.total} chunk embeddings failed: ${result.errors[0] || 'unknown error'}`, { stage: 'embed' });
+  }
+  log.info({ orgId, docId, chunks: result.embedded, model: provider.modelId }, 'reembed complete');
+  await reportStage('complete', { chunks: result.embedded });
+  return { chunks: result.embedded };
 }
 
 function normalizeDate(val) {
@@ -407,3 +699,5 @@ function normalizeDate(val) {
   if (!isNaN(dt.getTime())) return dt.toISOString().slice(0,10);
   return null;
 }
+
+export { IngestError };
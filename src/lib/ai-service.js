@@ -1,6 +1,7 @@
 import { genkit } from 'genkit';
 import { googleAI } from '@genkit-ai/googleai';
 import { retryWithBackoff, shouldRetryError } from './retry-service.js';
+import { aiBudgetExceeded, recordModelUsage } from './ai-usage.js';
 
 // Rate limiting constants - Updated for Gemini 2.0 Flash Pay-as-You-Go Tier 1
 const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
@@ -8,6 +9,7 @@ const MAX_REQUESTS_PER_WINDOW = 30000; // Gemini 2.0 Flash Tier 1: 30,000 RPM
 const MAX_CONCURRENT_REQUESTS = 50; // Increased from 5 for better throughput
 const BACKOFF_BASE_DELAY = 1000; // 1 second
 const MAX_RETRIES = 3;
+const DEFAULT_MODEL = 'googleai/gemini-2.0-flash';
 
 // Rate limiting tracking
 const requestTimestamps = [];
@@ -101,14 +103,37 @@ function getUsageStats() {
   };
 }
 
+/**
+ * Record a Genkit response's tokens against the org's usage ledger (see ai-usage.js)
+ */
+function recordResponseUsage(response, model) {
+  const usage = response?.usage;
+  recordModelUsage({
+    provider: 'gemini',
+    model: String(model || DEFAULT_MODEL).replace(/^googleai\//, ''),
+    kind: 'generate',
+    inputTokens: usage?.inputTokens || 0,
+    outputTokens: usage?.outputTokens || 0,
+    estimated: !usage,
+  });
+}
+
 /**
  * Safe LLM call with rate limiting and retry logic
  * @param {Function} callFunction - Function that makes the LLM call
- * @param {Object} options - Options for the call
+ * @param {Object} options - Options for the call ({ model } when not the default Gemini model)
  * @returns {Promise} Promise that resolves with the LLM response
  */
 async function safeLLMCall(callFunction, options = {}) {
-  const { maxRetries = MAX_RETRIES, onRetry, onError } = options;
+  const { maxRetries = MAX_RETRIES, onRetry, onError, model = DEFAULT_MODEL } = options;
+
+  // Query-time calls stop once the org's monthly AI budget is used up
+  if (await aiBudgetExceeded()) {
+    const error = new Error('Monthly AI budget exceeded for this organization.');
+    error.code = 'AI_BUDGET_EXCEEDED';
+    error.statusCode = 429;
+    throw error;
+  }
   
   // Check rate limits first
   if (!canMakeRequest()) {
@@ -125,6 +150,7 @@ async function safeLLMCall(callFunction, options = {}) {
         // Add timestamp before making request
         addRequestTimestamp();
         const response = await callFunction();
+        recordResponseUsage(response, model);
         // Track successful usage (estimate tokens if not provided)
         trackUsage(response?.usage?.total_tokens || 100, false);
         return response;
@@ -185,19 +211,21 @@ async function generateText(options) {
     };
   }
   
+  const model = options.model || DEFAULT_MODEL;
   try {
     return await safeLLMCall(async () => {
       const response = await ai.generate({
         ...options,
-        model: options.model || 'googleai/gemini-2.0-flash'
+        model
       });
       let text = '';
       if (typeof response === 'string') text = response;
       else if (response && typeof response.text === 'string') text = response.text;
       else if (response && typeof response.toString === 'function') text = response.toString();
       else text = JSON.stringify(response);
-      return { text };
+      return { text, usage: response?.usage };
     }, {
+      model,
       maxRetries: MAX_RETRIES,
       onRetry: (attempt, delay, error) => {
         console.log(`🔄 Retrying AI call (attempt ${attempt + 1}): ${error.message}`);
@@ -207,6 +235,8 @@ async function generateText(options) {
       }
     });
   } catch (primaryErr) {
+    // Over budget: the fallback provider costs money too
+    if (primaryErr?.code === 'AI_BUDGET_EXCEEDED') throw primaryErr;
     // Fallback to OpenAI Chat Completions if available
     try {
       const key = process.env.OPENAI_API_KEY;
@@ -226,6 +256,14 @@ async function generateText(options) {
         throw new Error(`OpenAI fallback failed: ${res.status} ${txt}`);
       }
       const data = await res.json();
+      recordModelUsage({
+        provider: 'openai',
+        model: 'gpt-4o-mini',
+        kind: 'generate',
+        inputTokens: data?.usage?.prompt_tokens || 0,
+        outputTokens: data?.usage?.completion_tokens || 0,
+        estimated: !data?.usage,
+      });
       const text = data?.choices?.[0]?.message?.content || '';
       return { text };
     } catch (fallbackErr) {
@@ -0,0 +1,255 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * Per-org AI usage accounting.
+ *
+ * Work that calls models (an ingestion job, a re-embed, an upload analysis) runs inside
+ * `withUsageTracking`, which keeps a ledger for it. The Gemini and embedding helpers report
+ * each call with `recordModelUsage`; calls made outside a tracked operation are not recorded.
+ * When the operation ends, successful or not, the ledger is written to `ai_usage_events`
+ * (scripts/migrate-ai-usage.sql), one row per model and kind.
+ *
+ * Cost is estimated from AI_PRICES (USD per million tokens), overridable with
+ * AI_PRICES_JSON, e.g. {"gemini/gemini-2.0-flash": {"input": 0.1, "output": 0.4}}.
+ * Providers that return no token counts (Gemini embeddings) are estimated at 4 characters
+ * per token and flagged `estimated`.
+ *
+ * Orgs may set `org_settings.ai_monthly_budget_usd`; once the current UTC month's cost
+ * reaches it, ingestion skips non-essential work (summaries, metadata embeddings) until the
+ * next month or a higher budget. Query-time operations (searches, answers) are tracked with
+ * `enforceBudget`, which makes their model calls stop (see aiBudgetExceeded) so callers fall
+ * back to what they do without a model.
+ */
+
+const DEFAULT_PRICES = {
+  'gemini/gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini/gemini-embedding-001': { input: 0.15, output: 0 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'openai/text-embedding-3-small': { input: 0.02, output: 0 },
+  'openai/text-embedding-3-large': { input: 0.13, output: 0 },
+  'openai/text-embedding-ada-002': { input: 0.1, output: 0 },
+};
+
+function loadPrices() {
+  const raw = process.env.AI_PRICES_JSON;
+  if (!raw) return DEFAULT_PRICES;
+  try {
+    const overrides = JSON.parse(raw);
+    return { ...DEFAULT_PRICES, ...overrides };
+  } catch {
+    console.warn('AI_PRICES_JSON is not valid JSON; using default AI prices');
+    return DEFAULT_PRICES;
+  }
+}
+
+export const AI_PRICES = loadPrices();
+const BUDGET_CACHE_TTL_MS = 60 * 1000;
+
+const storage = new AsyncLocalStorage();
+const budgetCache = new Map(); // orgId -> { status, exp }
+
+/**
+ * Estimated cost in USD of a call, or 0 for a model without a price.
+ */
+export function estimateCost({ provider, model, inputTokens = 0, outputTokens = 0 }) {
+  const price = AI_PRICES[`${provider}/${model}`];
+  if (!price) return 0;
+  return ((inputTokens * (Number(price.input) || 0)) + (outputTokens * (Number(price.output) || 0))) / 1e6;
+}
+
+/**
+ * Record one model call against the current tracked operation (no-op outside one).
+ * @param {Object} usage - { provider, model, kind: 'generate'|'embed', inputTokens, outputTokens, estimated }
+ */
+export function recordModelUsage({ provider, model, kind = 'generate', inputTokens = 0, outputTokens = 0, estimated = false }) {
+  const ledger = storage.getStore();
+  if (!ledger) return;
+  const key = `${provider}/${model}/${kind}/${estimated ? 1 : 0}`;
+  let entry = ledger.entries.get(key);
+  if (!entry) {
+    entry = { provider, model, kind, estimated, calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+    ledger.entries.set(key, entry);
+  }
+  const input = Math.max(0, Math.round(Number(inputTokens) || 0));
+  const output = Math.max(0, Math.round(Number(outputTokens) || 0));
+  entry.calls += 1;
+  entry.inputTokens += input;
+  entry.outputTokens += output;
+  entry.costUsd += estimateCost({ provider, model, inputTokens: input, outputTokens: output });
+}
+
+async function flushLedger(db, ledger, log) {
+  if (ledger.entries.size === 0) return;
+  const rows = Array.from(ledger.entries.values()).map((e) => ({
+    org_id: ledger.orgId,
+    doc_id: ledger.docId,
+    operation: ledger.operation,
+    provider: e.provider,
+    model: e.model,
+    kind: e.kind,
+    calls: e.calls,
+    input_tokens: e.inputTokens,
+    output_tokens: e.outputTokens,
+    estimated: e.estimated,
+    cost_usd: Number(e.costUsd.toFixed(6)),
+  }));
+  try {
+    const { error } = await db.from('ai_usage_events').insert(rows);
+    if (error) throw error;
+  } catch (e) {
+    log?.warn?.({ orgId: ledger.orgId, docId: ledger.docId, operation: ledger.operation, err: e?.message }, 'Failed to record AI usage');
+  }
+  // Spend changed; the next budget check should see it
+  budgetCache.delete(ledger.orgId);
+}
+
+/**
+ * Run `fn` with model calls recorded against an org (and document).
+ * @param {Object} db - service-role client
+ * @param {Object} context - { orgId, docId?, operation, log?, enforceBudget? }
+ *   With `enforceBudget`, model calls inside `fn` are refused once the org is over budget.
+ */
+export async function withUsageTracking(db, { orgId, docId = null, operation, log, enforceBudget = false }, fn) {
+  const ledger = { db, orgId, docId, operation, enforceBudget, entries: new Map() };
+  try {
+    return await storage.run(ledger, fn);
+  } finally {
+    await flushLedger(db, ledger, log);
+  }
+}
+
+function monthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+}
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Reporting period from `since` / `until` query values (dates or timestamps).
+ * Defaults to the current UTC month up to now.
+ * @returns {{ since: string, until: string }} ISO timestamps
+ */
+export function usagePeriod({ since, until } = {}) {
+  const parse = (value, name) => {
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) throw httpError(`${name} must be a date`, 400);
+    return d.toISOString();
+  };
+  const period = {
+    since: since ? parse(since, 'since') : monthStart(),
+    until: until ? parse(until, 'until') : new Date().toISOString(),
+  };
+  if (period.until <= period.since) throw httpError('until must be after since', 400);
+  return period;
+}
+
+/**
+ * The org's monthly budget and this month's spend.
+ * A missing budget (or a database without the migration) is never exceeded.
+ * @returns {Promise<{ monthlyBudgetUsd: number|null, spentUsd: number|null, exceeded: boolean, since: string }>}
+ */
+export async function checkAiBudget(db, orgId) {
+  const cached = budgetCache.get(orgId);
+  if (cached && cached.exp > Date.now()) return cached.status;
+  const since = monthStart();
+  const status = { monthlyBudgetUsd: null, spentUsd: null, exceeded: false, since };
+  try {
+    const { data, error } = await db
+      .from('org_settings')
+      .select('ai_monthly_budget_usd')
+      .eq('org_id', orgId)
+      .maybeSingle();
+    const budget = data?.ai_monthly_budget_usd;
+    if (!error && budget !== null && budget !== undefined && Number.isFinite(Number(budget))) {
+      status.monthlyBudgetUsd = Number(budget);
+      const { data: spent, error: spentErr } = await db.rpc('ai_usage_cost_since', { p_org_id: orgId, p_since: since });
+      if (spentErr) throw spentErr;
+      status.spentUsd = Number(spent) || 0;
+      status.exceeded = status.spentUsd >= status.monthlyBudgetUsd;
+    }
+  } catch {}
+  budgetCache.set(orgId, { status, exp: Date.now() + BUDGET_CACHE_TTL_MS });
+  return status;
+}
+
+/**
+ * Whether the current tracked operation must skip model calls: it was started with
+ * `enforceBudget` and its org is over the monthly budget. Always false outside one.
+ */
+export async function aiBudgetExceeded() {
+  const ledger = storage.getStore();
+  if (!ledger?.enforceBudget) return false;
+  return (await checkAiBudget(ledger.db, ledger.orgId)).exceeded;
+}
+
+export function invalidateAiBudgetCache(orgId) {
+  if (orgId) budgetCache.delete(orgId);
+  else budgetCache.clear();
+}
+
+/**
+ * Usage totals grouped by operation, provider, model and kind.
+ * @param {Object} db - service-role client
+ * @param {Object} opts - { orgId (null for every org), since, until }
+ */
+export async function summarizeAiUsage(db, { orgId = null, since, until }) {
+  const { data, error } = await db.rpc('ai_usage_summary', { p_org_id: orgId, p_since: since, p_until: until });
+  if (error) throw error;
+  const breakdown = (data || []).map((r) => ({
+    orgId: r.org_id,
+    operation: r.operation,
+    provider: r.provider,
+    model: r.model,
+    kind: r.kind,
+    calls: Number(r.calls) || 0,
+    inputTokens: Number(r.input_tokens) || 0,
+    outputTokens: Number(r.output_tokens) || 0,
+    estimated: r.estimated === true,
+    costUsd: Number(r.cost_usd) || 0,
+  }));
+  const totals = { calls: 0, inputTokens: 0, outputTokens: 0, embeddingTokens: 0, costUsd: 0 };
+  for (const r of breakdown) {
+    totals.calls += r.calls;
+    totals.costUsd += r.costUsd;
+    if (r.kind === 'embed') totals.embeddingTokens += r.inputTokens;
+    else {
+      totals.inputTokens += r.inputTokens;
+      totals.outputTokens += r.outputTokens;
+    }
+  }
+  totals.costUsd = Number(totals.costUsd.toFixed(6));
+  return { totals, breakdown };
+}
+
+/**
+ * Documents with the highest AI cost in a period.
+ * @returns {Promise<Array<{ docId, calls, inputTokens, outputTokens, costUsd }>>}
+ */
+export async function topAiUsageDocuments(db, { orgId, since, until, limit = 10 }) {
+  const { data, error } = await db.rpc('ai_usage_top_documents', { p_org_id: orgId, p_since: since, p_until: until, p_limit: limit });
+  if (error) throw error;
+  return (data || []).map((r) => ({
+    docId: r.doc_id,
+    calls: Number(r.calls) || 0,
+    inputTokens: Number(r.input_tokens) || 0,
+    outputTokens: Number(r.output_tokens) || 0,
+    costUsd: Number(r.cost_usd) || 0,
+  }));
+}
+
+export default {
+  AI_PRICES,
+  estimateCost,
+  recordModelUsage,
+  withUsageTracking,
+  checkAiBudget,
+  aiBudgetExceeded,
+  invalidateAiBudgetCache,
+  usagePeriod,
+  summarizeAiUsage,
+  topAiUsageDocuments,
+};
@@ -30,5 +30,41 @@ export async function buildWindowedChunks({ db, orgId, docId, anchorChunks, wind
   }
 }
 
-export default { buildWindowedChunks };
+// Citation location for a doc_chunks row: page plus heading path, block type and the
+// [charStart, charEnd) span within the extraction's ocrPages[pageIndex] text.
+export function chunkLocation(row) {
+  const num = (v) => (typeof v === 'number' ? v : null);
+  return {
+    page: num(row?.page),
+    headingPath: Array.isArray(row?.heading_path) ? row.heading_path : [],
+    chunkType: row?.chunk_type || null,
+    pageIndex: num(row?.page_index),
+    charStart: num(row?.char_start),
+    charEnd: num(row?.char_end),
+  };
+}
+
+// match_doc_chunks returns a fixed column set; look up location columns for the matched
+// chunks. Returns the input unchanged if the lookup fails (e.g. migration not yet run).
+export async function attachChunkLocations(db, chunks) {
+  const list = Array.isArray(chunks) ? chunks : [];
+  const ids = Array.from(new Set(list.map((c) => c.chunk_id || c.id).filter(Boolean)));
+  if (ids.length === 0) return list;
+  try {
+    const { data, error } = await db
+      .from('doc_chunks')
+      .select('id, heading_path, chunk_type, page_index, char_start, char_end')
+      .in('id', ids);
+    if (error) return list;
+    const byId = new Map((data || []).map(({ id, ...loc }) => [id, loc]));
+    return list.map((c) => {
+      const loc = byId.get(c.chunk_id || c.id);
+      return loc ? { ...loc, ...c } : c;
+    });
+  } catch {
+    return list;
+  }
+}
+
+export default { buildWindowedChunks, chunkLocation, attachChunkLocations };
 
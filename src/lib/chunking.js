@@ -0,0 +1,416 @@
+/**
+ * Chunking strategies for ingestion.
+ *
+ * - `structured` (default): splits on headings, numbered clauses, lists and tables,
+ *   keeps table rows and list items whole (repeating a table's header row when it
+ *   has to be split), and prefixes every chunk with its full heading breadcrumb.
+ * - `fixed`: the original ~1200-char word splitter with 200-char overlap.
+ *
+ * Heading, clause and sentence detection understands uncased scripts such as Devanagari:
+ * all-caps checks only look at cased letters, and numbered clauses, Hindi/Marathi section
+ * keywords, Devanagari digits and the danda (।) are recognised.
+ *
+ * Orgs choose a strategy via `org_settings.chunking_strategy`
+ * (see scripts/migrate-chunking-strategy.sql).
+ */
+
+export const CHUNKING_STRATEGIES = ['structured', 'fixed'];
+export const DEFAULT_CHUNKING_STRATEGY = 'structured';
+
+const TARGET_CHARS = 1200;
+const OVERLAP_CHARS = 200;
+
+/**
+ * Load an org's chunking strategy. Kept separate from the other org_settings reads so a
+ * database without the column (migration not yet run) still gets the default.
+ */
+export async function loadOrgChunkingStrategy(db, orgId) {
+  try {
+    const { data, error } = await db
+      .from('org_settings')
+      .select('chunking_strategy')
+      .eq('org_id', orgId)
+      .maybeSingle();
+    if (!error && CHUNKING_STRATEGIES.includes(data?.chunking_strategy)) return data.chunking_strategy;
+  } catch {}
+  return DEFAULT_CHUNKING_STRATEGY;
+}
+
+/**
+ * Chunk extracted document text
+ * @param {Object} params
+ * @param {string} params.text - Full extracted text (used when there are no pages)
+ * @param {Array} params.pages - [{ page, text, section?, level?, sheet? }] from OCR or local extraction
+ * @param {string} params.strategy - One of CHUNKING_STRATEGIES
+ * @returns {Array} [{ content, page, pageIndex, headingPath, type, start, end }] where
+ *   `start`/`end` are character offsets into `pages[pageIndex].text` (or into `text`
+ *   when there are no pages, with pageIndex null)
+ */
+export function chunkDocument({ text, pages, strategy = DEFAULT_CHUNKING_STRATEGY }) {
+  const hasPages = Array.isArray(pages) && pages.length > 0;
+  if (strategy === 'fixed') {
+    return hasPages
+      ? chunkTextByPages(pages)
+      : locateChunks(String(text || '')).map(({ part, start, end }) => ({ content: part, page: null, pageIndex: null, headingPath: [], type: 'paragraph', start, end }));
+  }
+  return hasPages
+    ? chunkStructured(pages)
+    : chunkStructured([{ page: null, text: String(text || '') }], { paged: false });
+}
+
+// doc_chunks location columns for a chunk (see scripts/migrate-chunk-locations.sql)
+export function toChunkLocationColumns(chunk) {
+  return {
+    heading_path: Array.isArray(chunk.headingPath) ? chunk.headingPath : [],
+    chunk_type: chunk.type || 'paragraph',
+    page_index: typeof chunk.pageIndex === 'number' ? chunk.pageIndex : null,
+    char_start: typeof chunk.start === 'number' ? chunk.start : null,
+    char_end: typeof chunk.end === 'number' ? chunk.end : null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Fixed strategy (legacy)
+
+export function chunkText(text, { target = TARGET_CHARS, overlap = OVERLAP_CHARS } = {}) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const chunks = [];
+  let buf = [];
+  let len = 0;
+  for (const w of words) {
+    const wlen = w.length + 1;
+    if (len + wlen > target && buf.length > 0) {
+      chunks.push(buf.join(' '));
+      // overlap
+      const back = [];
+      let backLen = 0;
+      for (let i = buf.length - 1; i >= 0; i--) {
+        const l = buf[i].length + 1;
+        if (backLen + l > overlap) break;
+        back.unshift(buf[i]);
+        backLen += l;
+      }
+      buf = back;
+      len = back.join(' ').length;
+    }
+    buf.push(w);
+    len += wlen;
+  }
+  if (buf.length) chunks.push(buf.join(' '));
+  return chunks;
+}
+
+// Letters with an upper/lower case distinction (Latin, Greek, Cyrillic; not Devanagari)
+function casedLetters(line) {
+  return (line.match(/[\p{Lu}\p{Ll}]/gu) || []).length;
+}
+
+function isAllCapsHeading(line) {
+  if (line.length <= 8 || line.length >= 120) return false;
+  const cased = casedLetters(line);
+  const letters = (line.match(/\p{L}/gu) || []).length;
+  // Mostly uncased text (e.g. Hindi with an English acronym) is not "all caps"
+  if (cased === 0 || cased < letters / 2) return false;
+  const upper = (line.match(/\p{Lu}/gu) || []).length;
+  return upper / cased > 0.6;
+}
+
+function detectHeadings(pageText) {
+  const lines = String(pageText || '').split(/\n+/).map((s) => s.trim()).filter(Boolean);
+  // Uncased scripts have no all-caps headings; accept their section keywords instead
+  return lines.filter((line) => isAllCapsHeading(line) || (line.length < 100 && casedLetters(line) === 0 && STRUCTURAL_HEADING.test(line)));
+}
+
+// Word-split chunks located back in the page text (overlapping pieces are searched in order)
+function locateChunks(source) {
+  const { text, map } = normalizeWithMap(source);
+  let cursor = 0;
+  return chunkText(text).map((part) => {
+    const at = text.indexOf(part, cursor);
+    if (at < 0) return { part, start: null, end: null };
+    cursor = Math.max(at + 1, at + part.length - OVERLAP_CHARS);
+    return { part, ...toSourceRange(map, at, at + part.length) };
+  });
+}
+
+function chunkTextByPages(pages) {
+  // pages: array of { page?: number|null, text: string, section?: string, sheet?: string }
+  const out = [];
+  let idx = 0;
+  for (const p of pages) {
+    // Locally extracted sections have no pagination and pass page: null explicitly
+    const pageNum = typeof p.page === 'number' ? p.page : (p.page === null ? null : idx + 1);
+    const raw = String(p.text || '');
+    const heads = p.section ? [p.section] : detectHeadings(raw);
+    const prefix = p.sheet ? `[Sheet: ${p.sheet}] ` : (heads.length ? `[Section: ${heads[0]}] ` : '');
+    for (const { part, start, end } of locateChunks(raw)) {
+      out.push({ content: prefix + part, page: pageNum, pageIndex: idx, headingPath: heads.slice(0, 1), type: 'paragraph', start, end });
+    }
+    idx++;
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Structured strategy
+
+// Hindi/Marathi: अनुच्छेद article, धारा/कलम section, अध्याय/प्रकरण chapter, भाग part,
+// अनुसूची schedule, परिशिष्ट appendix, खंड clause
+const STRUCTURAL_HEADING = /^((?:article|section|chapter|part|schedule|annexure|appendix|clause|अनुच्छेद|धारा|कलम|अध्याय|प्रकरण|भाग|अनुसूची|परिशिष्ट|खंड)\s+[0-9०-९ivxlc]+[a-z]?(?:\.[0-9०-९]+)*)(?![\p{L}\p{M}\p{N}])[\s:.\-–—]*(.*)$/iu;
+const NUMBERED_LINE = /^([0-9०-९]{1,3}(?:\.[0-9०-९]{1,3})*)[.)]?\s+(\S.*)$/u;
+const LIST_ITEM = /^(?:[•\-*‣◦▪●]|\(?[a-z]\)|\(?[ivx]{1,4}\)|\(?[क-ह]\)|\([0-9०-९]+\)|[0-9०-९]+\))\s+/iu;
+// Hindi/Marathi auxiliaries that end clauses ("... भुगतान करेगा", "... लागू आहे")
+const CLAUSE_VERB = /(?:^|\s)(?:है|हैं|था|थे|होगा|होगी|होंगे|करेगा|करेगी|करेंगे|जाएगा|जाएगी|चाहिए|आहे|आहेत|होते|होती|होईल|येईल|करावे|करावी|करील)(?:\s|$)/u;
+
+// Returns { level, text } when a line reads as a heading
+function classifyHeading(line) {
+  const md = line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+  if (md) return { level: md[1].length, text: md[2] };
+  if (line.length > 100 || /[.;,।॥]$/.test(line)) return null;
+  const structural = line.match(STRUCTURAL_HEADING);
+  if (structural && structural[2].split(/\s+/).length <= 10) return { level: 1, text: line };
+  const numbered = line.match(NUMBERED_LINE);
+  if (numbered) {
+    const title = numbered[2];
+    const words = title.split(/\s+/).length;
+    // "2.1 Payment Terms" is a heading; "2.1 The Tenant shall pay ..." is a clause
+    if (words <= 8 && /^[A-Z]/.test(title) && !/[a-z]{3,}\s+(shall|will|must|may|is|are)\b/i.test(title)) {
+      return { level: numbered[1].split('.').length, text: line };
+    }
+    // Uncased scripts: a short title without a clause-ending verb ("२.१ भाडे भरणा")
+    if (words <= 6 && casedLetters(title) === 0 && /^\p{L}/u.test(title) && !CLAUSE_VERB.test(title)) {
+      return { level: numbered[1].split('.').length, text: line };
+    }
+    return null;
+  }
+  if (isAllCapsHeading(line) && !/\d{3,}/.test(line)) return { level: 1, text: line };
+  return null;
+}
+
+function isTableRow(line, rawLine) {
+  if (line.includes('|') && line.split('|').filter((c) => c.trim()).length >= 2) return true;
+  return rawLine.split('\t').filter((c) => c.trim()).length >= 2;
+}
+
+function isClauseStart(line) {
+  return NUMBERED_LINE.test(line) || STRUCTURAL_HEADING.test(line);
+}
+
+// Collapse whitespace runs to single spaces, remembering where each output char came from
+function normalizeWithMap(source, from = 0, to = source.length) {
+  let text = '';
+  const map = [];
+  let space = -1;
+  for (let i = from; i < to; i++) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      if (text && space < 0) space = i;
+      continue;
+    }
+    if (space >= 0) {
+      text += ' ';
+      map.push(space);
+      space = -1;
+    }
+    text += ch;
+    map.push(i);
+  }
+  return { text, map };
+}
+
+// Translate a [start, end) range in normalized text back to source offsets
+function toSourceRange(map, start, end) {
+  if (map.length === 0) return { start: null, end: null };
+  const a = Math.min(Math.max(start, 0), map.length - 1);
+  const b = Math.min(Math.max(end - 1, a), map.length - 1);
+  return { start: map[a], end: map[b] + 1 };
+}
+
+// Split page text into heading / paragraph / list / table blocks. Every line keeps its
+// [start, end) offsets in the page text so chunks can point back at their source span.
+function parseBlocks(text) {
+  const blocks = [];
+  let current = null;
+  const flush = () => {
+    // A lone tab-separated line is more likely indented prose than a table
+    if (current?.type === 'table' && current.lines.length === 1 && current.lines[0].raw) {
+      current.type = 'paragraph';
+      current.lines[0].text = current.lines[0].raw;
+    }
+    if (current) blocks.push(current);
+    current = null;
+  };
+  let pos = 0;
+  for (const rawLine of String(text || '').split('\n')) {
+    const lineStart = pos;
+    pos += rawLine.length + 1;
+    const line = rawLine.trim();
+    if (!line) {
+      // Blank lines end paragraphs but not tables or lists, which often have spacing rows
+      if (current?.type === 'paragraph') flush();
+      continue;
+    }
+    const start = lineStart + rawLine.indexOf(line);
+    const unit = { text: line, start, end: start + line.length };
+    const heading = classifyHeading(line);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading.level, text: heading.text, lines: [unit] });
+      continue;
+    }
+    if (isTableRow(line, rawLine)) {
+      if (current?.type !== 'table') { flush(); current = { type: 'table', lines: [] }; }
+      if (!line.includes('|')) {
+        unit.raw = line;
+        unit.text = rawLine.split('\t').map((c) => c.trim()).join(' | ');
+      }
+      current.lines.push(unit);
+      continue;
+    }
+    if (LIST_ITEM.test(line)) {
+      if (current?.type !== 'list') { flush(); current = { type: 'list', lines: [] }; }
+      current.lines.push(unit);
+      continue;
+    }
+    if (current?.type === 'list' && /^\s{2,}/.test(rawLine)) {
+      const last = current.lines[current.lines.length - 1];
+      last.text += ` ${line}`;
+      last.end = unit.end;
+      continue;
+    }
+    if (isClauseStart(line) || (current && current.type !== 'paragraph')) flush();
+    if (!current) current = { type: 'paragraph', lines: [] };
+    current.lines.push(unit);
+  }
+  flush();
+  return blocks;
+}
+
+// Break a block into { text, start, end } pieces no longer than `max`, never splitting
+// a table row or list item
+function splitBlock(block, max, source) {
+  if (block.type === 'paragraph') {
+    const first = block.lines[0];
+    const last = block.lines[block.lines.length - 1];
+    const { text, map } = normalizeWithMap(source, first.start, last.end);
+    const sentences = [];
+    const boundary = /(?<=[.!?;:।॥])\s+(?=[\p{Lu}\p{Lo}\p{Nd}("'“])/gu;
+    let from = 0;
+    for (const m of text.matchAll(boundary)) {
+      sentences.push({ text: text.slice(from, m.index), start: from, end: m.index });
+      from = m.index + m[0].length;
+    }
+    sentences.push({ text: text.slice(from), start: from, end: text.length });
+    const pieces = text.length <= max ? [{ text, start: 0, end: text.length }] : packUnits(sentences, max, ' ');
+    return pieces.map((piece) => ({ text: piece.text, ...toSourceRange(map, piece.start, piece.end) }));
+  }
+  const whole = { text: block.lines.map((l) => l.text).join('\n'), start: block.lines[0].start, end: block.lines[block.lines.length - 1].end };
+  if (whole.text.length <= max) return [whole];
+  if (block.type === 'table' && block.lines.length > 2) {
+    // Repeat the header row (and a markdown separator row) on every piece
+    const headerCount = /^\|?\s*:?-{3,}/.test(block.lines[1]?.text || '') ? 2 : 1;
+    const header = block.lines.slice(0, headerCount).map((l) => l.text).join('\n');
+    if (header.length < max / 2) {
+      return packUnits(block.lines.slice(headerCount), max - header.length - 1, '\n')
+        .map((piece, i) => ({ ...piece, start: i === 0 ? block.lines[0].start : piece.start, text: `${header}\n${piece.text}` }));
+    }
+  }
+  return packUnits(block.lines, max, '\n');
+}
+
+// Greedily join units up to `max`; an oversized unit falls back to the word splitter
+function packUnits(units, max, sep) {
+  const out = [];
+  let buf = null;
+  for (const unit of units) {
+    if (unit.text.length > max) {
+      if (buf) { out.push(buf); buf = null; }
+      let cursor = 0;
+      for (const part of chunkText(unit.text, { target: max })) {
+        const at = unit.text.indexOf(part, cursor);
+        // Rows rewritten from tab-separated text may not match; cite the whole unit then
+        out.push(at >= 0 && unit.text.length === unit.end - unit.start
+          ? { text: part, start: unit.start + at, end: unit.start + at + part.length }
+          : { text: part, start: unit.start, end: unit.end });
+        // The next piece overlaps this one by at most OVERLAP_CHARS
+        if (at >= 0) cursor = Math.max(at + 1, at + part.length - OVERLAP_CHARS);
+      }
+      continue;
+    }
+    if (buf && buf.text.length + sep.length + unit.text.length > max) {
+      out.push(buf);
+      buf = null;
+    }
+    buf = buf ? { text: `${buf.text}${sep}${unit.text}`, start: buf.start, end: unit.end } : { ...unit };
+  }
+  if (buf) out.push(buf);
+  return out;
+}
+
+function chunkStructured(pages, { target = TARGET_CHARS, paged = true } = {}) {
+  const out = [];
+  let headingStack = []; // [{ level, text }]
+  pages.forEach((p, idx) => {
+    const pageNum = typeof p.page === 'number' ? p.page : (p.page === null ? null : idx + 1);
+    const source = String(p.text || '');
+    if (p.sheet) headingStack = []; // each worksheet starts its own outline
+    let blocks = parseBlocks(source);
+    // Sections from local extraction already know their heading and level
+    if (p.section) {
+      // Drop the repeated heading line only; a title without heading styling ("Scope")
+      // parses as the first line of the paragraph that follows it
+      const first = blocks[0];
+      if (first?.lines[0]?.text === p.section) {
+        blocks = first.type === 'heading' || first.lines.length === 1
+          ? blocks.slice(1)
+          : [{ ...first, lines: first.lines.slice(1) }, ...blocks.slice(1)];
+      }
+      blocks.unshift({ type: 'heading', level: p.level || 1, text: p.section });
+    }
+
+    let parts = [];
+    let length = 0;
+    const flush = () => {
+      if (parts.length === 0) return;
+      const headingPath = headingStack.map((h) => h.text);
+      const labels = [];
+      if (p.sheet) labels.push(`[Sheet: ${p.sheet}]`);
+      if (headingPath.length) labels.push(`[Section: ${headingPath.join(' > ')}]`);
+      const body = parts.map((x) => x.text).join('\n');
+      const sizes = {};
+      for (const x of parts) sizes[x.type] = (sizes[x.type] || 0) + x.text.length;
+      const type = Object.entries(sizes).sort((a, b) => b[1] - a[1])[0][0];
+      const starts = parts.map((x) => x.start).filter((n) => typeof n === 'number');
+      const ends = parts.map((x) => x.end).filter((n) => typeof n === 'number');
+      out.push({
+        content: labels.length ? `${labels.join(' ')} ${body}` : body,
+        page: pageNum,
+        pageIndex: paged ? idx : null,
+        headingPath,
+        type,
+        start: starts.length ? Math.min(...starts) : null,
+        end: ends.length ? Math.max(...ends) : null,
+      });
+      parts = [];
+      length = 0;
+    };
+
+    for (const block of blocks) {
+      if (block.type === 'heading') {
+        flush();
+        headingStack = headingStack.filter((h) => h.level < block.level);
+        headingStack.push({ level: block.level, text: block.text });
+        continue;
+      }
+      for (const piece of splitBlock(block, target, source)) {
+        if (length > 0 && length + piece.text.length + 1 > target) flush();
+        parts.push({ type: block.type, ...piece });
+        length += piece.text.length + 1;
+      }
+    }
+    flush();
+  });
+  return out;
+}
+
+export default { CHUNKING_STRATEGIES, DEFAULT_CHUNKING_STRATEGY, loadOrgChunkingStrategy, chunkDocument, chunkText, toChunkLocationColumns };
@@ -2,19 +2,14 @@
  * Lightweight coverage checker: ensures answer claims are supported by retrieved snippets.
  * Strategy: split answer into sentences; for each sentence, compute token-overlap with each snippet.
  * If max overlap >= threshold (e.g., 0.15) consider the claim covered.
+ * Tokens and sentence breaks are script-aware, so Hindi and Marathi answers are checked too.
  */
 
-function tokenize(s) {
-  return String(s || '')
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .split(/\s+/)
-    .filter((w) => w.length > 2);
-}
+import { tokenize } from './languages.js';
 
 function sentenceSplit(answer) {
   const parts = String(answer || '')
-    .split(/(?<=[.!?])\s+/)
+    .split(/(?<=[.!?।॥])\s+/)
     .map((s) => s.trim())
     .filter(Boolean);
   return parts.length ? parts : [String(answer || '').trim()].filter(Boolean);
@@ -0,0 +1,347 @@
+import { z } from 'zod';
+import { quote, likePattern } from './search-query.js';
+
+/**
+ * Org-defined custom metadata fields.
+ *
+ * Custom fields are rows of `org_metadata_config` with `is_custom = true` (see
+ * scripts/migrate-custom-metadata-fields.sql). Each has a type and optional validation;
+ * values live in `documents.custom_fields` (jsonb) keyed by field name and stored typed:
+ * numbers as JSON numbers, dates as `YYYY-MM-DD` strings, booleans as JSON booleans.
+ * Ingestion asks the model for the fields marked `is_extracted` and keeps only values
+ * that validate.
+ */
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'enum'];
+// Fields with their own documents column; everything else configured is custom
+export const BUILTIN_FIELD_NAMES = new Set(['title', 'subject', 'sender', 'receiver', 'category', 'document_date', 'tags', 'keywords', 'description']);
+export const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
+const FILTER_OPS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'contains'];
+
+export const FieldValidationSchema = z.object({
+  options: z.array(z.string().min(1)).min(1).optional(),
+  pattern: z.string().min(1).optional(),
+  min: z.number().optional(),
+  max: z.number().optional(),
+  maxLength: z.number().int().min(1).optional(),
+}).strict();
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Check a custom field definition (type, name, validation) before it is saved.
+ * Throws a 400 error describing the first problem.
+ */
+export function assertValidFieldDefinition({ field_name, field_type, validation }) {
+  if (!FIELD_NAME_PATTERN.test(field_name || '')) {
+    throw httpError('field_name must be lowercase letters, digits and underscores, starting with a letter', 400);
+  }
+  if (!CUSTOM_FIELD_TYPES.includes(field_type)) {
+    throw httpError(`field_type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`, 400);
+  }
+  const rules = validation || {};
+  if (field_type === 'enum' && !rules.options?.length) throw httpError('enum fields need validation.options', 400);
+  if (rules.pattern) {
+    try { new RegExp(rules.pattern); } catch { throw httpError('validation.pattern is not a valid regular expression', 400); }
+  }
+  if (typeof rules.min === 'number' && typeof rules.max === 'number' && rules.min > rules.max) {
+    throw httpError('validation.min must not exceed validation.max', 400);
+  }
+}
+
+/**
+ * The org's custom field definitions, ordered by name.
+ * @param {Object} db - Supabase client
+ * @param {string} orgId
+ * @param {Object} [opts] - { extractedOnly }
+ */
+export async function loadCustomFields(db, orgId, { extractedOnly = false } = {}) {
+  let query = db
+    .from('org_metadata_config')
+    .select('*')
+    .eq('org_id', orgId)
+    .eq('is_custom', true);
+  if (extractedOnly) query = query.eq('is_extracted', true);
+  const { data, error } = await query.order('field_name');
+  if (error) throw error;
+  return data || [];
+}
+
+// A calendar day: 2024-13-45 or 2024-02-30 would otherwise be stored (or roll over)
+function isRealDate(iso) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === iso;
+}
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+function isoDate(year, month, day) {
+  const iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return isRealDate(iso) ? iso : null;
+}
+
+// "March", "Mar", "Mar." or "Sept"
+function monthNumber(name) {
+  const word = name.replace(/\.$/, '').toLowerCase();
+  const i = word.length >= 3 ? MONTHS.findIndex((month) => month.startsWith(word)) : -1;
+  return i >= 0 ? i + 1 : null;
+}
+
+// Dates are parsed field by field, never with Date(): its guesses depend on the host's
+// time zone and read 05/03/2024 as 3 May. Numeric dates are YYYY-MM-DD or day first
+// (DD/MM/YYYY, as Indian documents write them); month names are accepted in either order.
+function normalizeDate(value) {
+  const str = String(value).trim();
+  let m = str.match(/^(\d{4})[/\-.](\d{1,2})[/\-.](\d{1,2})(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (m) return isoDate(m[1], m[2], m[3]);
+  m = str.match(/^(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{4})$/);
+  if (m) return isoDate(m[3], m[2], m[1]);
+  // "5 March 2024", "05-Mar-2024", "5th Mar, 2024"
+  m = str.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s\-/]+([a-z]+\.?)[\s\-/,]+(\d{4})$/i);
+  if (m) return monthNumber(m[2]) ? isoDate(m[3], monthNumber(m[2]), m[1]) : null;
+  // "March 5, 2024", "Mar 5 2024"
+  m = str.match(/^([a-z]+\.?)\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i);
+  if (m) return monthNumber(m[1]) ? isoDate(m[3], monthNumber(m[1]), m[2]) : null;
+  return null;
+}
+
+// Amounts as documents write them: "₹1,20,000.50", "Rs. 1200/-", "$ 1,200", "1200 INR".
+// Only a currency mark, spaces and thousands separators are removed; anything else left
+// over (e.g. a GSTIN "27AAAPL1234C1Z5", or "1.2e3") makes the value not a number.
+const CURRENCY = '(?:[₹$€£¥]|rs\\.?|inr|usd|eur|gbp)';
+const AMOUNT = new RegExp(`^([-+])?\\s*${CURRENCY}?\\s*(\\d[\\d,\\s]*(?:\\.\\d+)?|\\.\\d+)\\s*(?:${CURRENCY}|/-)?$`, 'i');
+
+function parseNumber(raw) {
+  if (typeof raw === 'number') return raw;
+  const m = String(raw).trim().match(AMOUNT);
+  if (!m) return NaN;
+  const digits = m[2].replace(/\s+/g, '');
+  // Commas must group digits (1,200 or 1,20,000); "1,2" is not a thousands separator
+  if (!/^(?:\d+|\d{1,3}(?:,\d{2,3})+)(?:\.\d+)?$|^\.\d+$/.test(digits)) return NaN;
+  return Number(`${m[1] || ''}${digits.replace(/,/g, '')}`);
+}
+
+/**
+ * Convert a raw value (user input or model output) to the field's stored form.
+ * @returns {{ ok: true, value: any } | { ok: false, error: string }}
+ */
+export function coerceFieldValue(field, raw) {
+  const rules = field.validation || {};
+  const fail = (error) => ({ ok: false, error: `${field.field_name}: ${error}` });
+  if (raw === null || raw === undefined || (typeof raw === 'string' && !raw.trim())) return fail('value is empty');
+
+  switch (field.field_type) {
+    case 'number': {
+      const n = parseNumber(raw);
+      if (!Number.isFinite(n)) return fail('not a number');
+      if (typeof rules.min === 'number' && n < rules.min) return fail(`must be at least ${rules.min}`);
+      if (typeof rules.max === 'number' && n > rules.max) return fail(`must be at most ${rules.max}`);
+      return { ok: true, value: n };
+    }
+    case 'date': {
+      const iso = normalizeDate(raw);
+      return iso ? { ok: true, value: iso } : fail('not a date');
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { ok: true, value: raw };
+      const s = String(raw).trim().toLowerCase();
+      if (['true', 'yes', 'y', '1'].includes(s)) return { ok: true, value: true };
+      if (['false', 'no', 'n', '0'].includes(s)) return { ok: true, value: false };
+      return fail('not a boolean');
+    }
+    case 'enum': {
+      const s = String(raw).trim().toLowerCase();
+      const match = (rules.options || []).find((o) => o.toLowerCase() === s);
+      return match ? { ok: true, value: match } : fail(`must be one of: ${(rules.options || []).join(', ')}`);
+    }
+    default: {
+      const s = String(raw).trim();
+      if (rules.maxLength && s.length > rules.maxLength) return fail(`longer than ${rules.maxLength} characters`);
+      if (rules.pattern && !new RegExp(rules.pattern).test(s)) return fail('does not match the required format');
+      return { ok: true, value: s };
+    }
+  }
+}
+
+/**
+ * Validate a user edit of custom field values and merge it into the current values.
+ * `null` clears a field. Unknown fields and invalid values are a 400 listing each problem.
+ */
+export function mergeCustomFieldValues(fields, current, changes) {
+  const byName = new Map(fields.map((f) => [f.field_name, f]));
+  const next = { ...(current || {}) };
+  const problems = [];
+  for (const [name, raw] of Object.entries(changes || {})) {
+    const field = byName.get(name);
+    if (!field) { problems.push(`${name}: unknown field`); continue; }
+    if (raw === null) {
+      if (field.is_required) problems.push(`${name}: required`);
+      else delete next[name];
+      continue;
+    }
+    const result = coerceFieldValue(field, raw);
+    if (result.ok) next[name] = result.value;
+    else problems.push(result.error);
+  }
+  if (problems.length) throw httpError(`Invalid custom field values: ${problems.join('; ')}`, 400);
+  return next;
+}
+
+/**
+ * Prompt text asking the model for the org's custom fields under `customFields`.
+ */
+export function buildCustomFieldsPrompt(fields) {
+  if (!fields.length) return '';
+  const lines = fields.map((f) => {
+    const rules = f.validation || {};
+    const kind = f.field_type === 'enum' ? `one of: ${rules.options.join(', ')}`
+      : f.field_type === 'date' ? 'date as YYYY-MM-DD'
+        : f.field_type;
+    const hint = f.description ? ` - ${f.description}` : '';
+    return `- ${f.field_name} (${f.label || f.field_name}; ${kind})${hint}`;
+  });
+  return `Also return "customFields": an object with these keys, using null when the document does not state the value (never guess):\n${lines.join('\n')}`;
+}
+
+/**
+ * Gemini response-schema property for the custom fields object.
+ */
+export function buildCustomFieldsSchema(fields) {
+  const properties = {};
+  for (const f of fields) {
+    const description = f.description || f.label || f.field_name;
+    if (f.field_type === 'number') properties[f.field_name] = { type: 'number', nullable: true, description };
+    else if (f.field_type === 'boolean') properties[f.field_name] = { type: 'boolean', nullable: true, description };
+    else if (f.field_type === 'enum') properties[f.field_name] = { type: 'string', enum: f.validation.options, nullable: true, description };
+    else properties[f.field_name] = { type: 'string', nullable: true, description };
+  }
+  return { type: 'object', properties };
+}
+
+/**
+ * Keep the extracted custom field values that validate.
+ * @returns {{ values: Object, rejected: string[] }}
+ */
+export function coerceExtractedValues(fields, raw) {
+  const values = {};
+  const rejected = [];
+  if (!raw || typeof raw !== 'object') return { values, rejected };
+  for (const field of fields) {
+    const value = raw[field.field_name];
+    if (value === null || value === undefined || value === '') continue;
+    const result = coerceFieldValue(field, value);
+    if (result.ok) values[field.field_name] = result.value;
+    else rejected.push(result.error);
+  }
+  return { values, rejected };
+}
+
+function parseFilterValue(field, op, raw) {
+  if (op === 'contains') return String(raw);
+  const result = coerceFieldValue(field, raw);
+  if (!result.ok) throw httpError(`Invalid filter value for ${result.error}`, 400);
+  return result.value;
+}
+
+/**
+ * Parse custom field filters from either query-string keys (`cf.<field>[.<op>]=value`)
+ * or a body object (`{ <field>: value | { <op>: value } }`).
+ * `prefix` and `noun` let other typed jsonb columns reuse the same filter syntax.
+ * @returns {Array<{ field: Object, op: string, value: any }>}
+ */
+export function parseCustomFieldFilters(fields, input, { fromQuery = false, prefix = 'cf.', noun = 'custom field' } = {}) {
+  const byName = new Map(fields.map((f) => [f.field_name, f]));
+  const entries = [];
+  if (fromQuery) {
+    for (const [key, raw] of Object.entries(input || {})) {
+      if (!key.startsWith(prefix)) continue;
+      const [name, op = 'eq'] = key.slice(prefix.length).split('.');
+      entries.push([name, op, raw]);
+    }
+  } else {
+    for (const [name, spec] of Object.entries(input || {})) {
+      if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+        for (const [op, raw] of Object.entries(spec)) entries.push([name, op, raw]);
+      } else {
+        entries.push([name, 'eq', spec]);
+      }
+    }
+  }
+  return entries.map(([name, op, raw]) => {
+    const field = byName.get(name);
+    if (!field) throw httpError(`Unknown ${noun}: ${name}`, 400);
+    if (!FILTER_OPS.includes(op)) throw httpError(`Unsupported filter operator: ${op}`, 400);
+    if (['gt', 'gte', 'lt', 'lte'].includes(op) && !['number', 'date'].includes(field.field_type)) {
+      throw httpError(`${op} only applies to number and date fields`, 400);
+    }
+    return { field, op, value: parseFilterValue(field, op, raw) };
+  });
+}
+
+/**
+ * Apply parsed filters to a PostgREST query on `documents`.
+ * Equality uses jsonb containment (served by the GIN index). Range filters compare numbers
+ * as jsonb (numerically) and dates as text, which orders `YYYY-MM-DD` correctly. `neq`
+ * keeps documents without the field, as negated search filters do; `contains` matches
+ * `%` and `_` literally.
+ */
+export function applyCustomFieldFilters(query, filters, { column: jsonColumn = 'custom_fields' } = {}) {
+  let q = query;
+  for (const { field, op, value } of filters) {
+    const numeric = field.field_type === 'number';
+    const text = `${jsonColumn}->>${field.field_name}`;
+    const column = numeric ? `${jsonColumn}->${field.field_name}` : text;
+    if (op === 'eq') q = q.contains(jsonColumn, { [field.field_name]: value });
+    else if (op === 'neq') q = q.or(`${text}.is.null,${column}.neq.${numeric ? value : quote(value)}`);
+    else if (op === 'contains') q = q.ilike(text, likePattern(String(value), { partial: true }));
+    else q = q[op](column, numeric ? value : String(value));
+  }
+  return q;
+}
+
+/**
+ * In-memory equivalent of applyCustomFieldFilters, for results that come from RPCs.
+ * Gives the same results: only `neq` matches documents without the field.
+ */
+export function matchesCustomFieldFilters(values, filters) {
+  for (const { field, op, value } of filters) {
+    const actual = values?.[field.field_name];
+    if (actual === undefined || actual === null) {
+      if (op === 'neq') continue;
+      return false;
+    }
+    const a = field.field_type === 'number' ? Number(actual) : String(actual);
+    const b = field.field_type === 'number' ? Number(value) : String(value);
+    switch (op) {
+      case 'eq': if (a !== b) return false; break;
+      case 'neq': if (a === b) return false; break;
+      case 'gt': if (!(a > b)) return false; break;
+      case 'gte': if (!(a >= b)) return false; break;
+      case 'lt': if (!(a < b)) return false; break;
+      case 'lte': if (!(a <= b)) return false; break;
+      // `*` cannot be matched literally by PostgREST's ilike, so the database path drops it too
+      case 'contains': if (!String(actual).toLowerCase().includes(String(value).replace(/\*/g, '').toLowerCase())) return false; break;
+      default: return false;
+    }
+  }
+  return true;
+}
+
+export default {
+  CUSTOM_FIELD_TYPES,
+  BUILTIN_FIELD_NAMES,
+  assertValidFieldDefinition,
+  loadCustomFields,
+  coerceFieldValue,
+  mergeCustomFieldValues,
+  buildCustomFieldsPrompt,
+  buildCustomFieldsSchema,
+  coerceExtractedValues,
+  parseCustomFieldFilters,
+  applyCustomFieldFilters,
+  matchesCustomFieldFilters,
+};
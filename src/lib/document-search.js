@@ -0,0 +1,394 @@
+import { z } from 'zod';
+import { generateEmbedding, filterChunksByEmbeddingModel } from './embeddings.js';
+import { resolveEmbeddingProvider } from './embedding-providers.js';
+import { searchFullText, fullTextHeadlines } from './full-text-search.js';
+import { DEFAULT_SEARCH_TUNING, fuseLegs } from './search-fusion.js';
+import { parseSearchQuery, applyPlainTextFilter } from './search-query.js';
+
+/**
+ * Unified, permission-aware document search behind POST /orgs/:orgId/search.
+ *
+ * A query is matched three ways: by full-text search over metadata and chunk text
+ * (src/lib/full-text-search.js; ilike over metadata without it), against the org's
+ * metadata embeddings (search_metadata_embeddings) and against chunk embeddings
+ * (match_doc_chunks). Every candidate is then loaded through the same document query, so
+ * filters, the recycle bin and the caller's access scope apply to all three legs alike.
+ * The legs are ranked together with the org's fusion settings (src/lib/search-fusion.js).
+ *
+ * Access follows GET /orgs/:orgId/documents: org admins see everything; other members see
+ * documents of their departments and documents under folders shared with one of their
+ * departments (folder_access), as the documents_read policy does.
+ *
+ * Facet counts are computed over every matching document, not just the returned page.
+ */
+
+export const FACET_FIELDS = ['category', 'sender', 'receiver', 'year', 'department', 'tags'];
+// Matches per leg; facets and totals are exact up to this many lexical matches
+export const SEARCH_CANDIDATES = Math.max(50, Number(process.env.SEARCH_CANDIDATES || 500));
+const VECTOR_MATCHES = 100;
+const FACET_VALUES = 20;
+const SNIPPET_CHARS = 300;
+
+const LEXICAL_FIELDS = [
+  ['title', 1],
+  ['filename', 0.9],
+  ['subject', 0.8],
+  ['category', 0.7],
+  ['sender', 0.6],
+  ['receiver', 0.6],
+  ['description', 0.5],
+];
+
+// Columns free text is matched against without full-text search
+export const SEARCH_TEXT_COLUMNS = LEXICAL_FIELDS.map(([field]) => field);
+
+const FilterValues = z.array(z.string().min(1)).max(50);
+const Year = z.number().int().min(1900).max(2100);
+
+// Facet filters as requests send them; `year` is one year or a { from, to } range
+export const SearchFiltersSchema = z.object({
+  category: FilterValues.optional(),
+  sender: FilterValues.optional(),
+  receiver: FilterValues.optional(),
+  departmentId: z.array(z.string().uuid()).max(50).optional(),
+  // Documents must carry every listed tag
+  tags: FilterValues.optional(),
+  year: z.union([Year, z.object({ from: Year.optional(), to: Year.optional() })]).optional(),
+});
+
+const DOCUMENT_COLUMNS = 'id, title, filename, type, category, subject, sender, receiver, document_date, department_id, folder_path, tags, description, mime_type, uploaded_at, deleted_at';
+const NO_MATCH_ID = '00000000-0000-0000-0000-000000000000';
+const ID_BATCH = 100;
+
+function pgArray(arr) {
+  return '{' + arr.map((s) => '"' + String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"').join(',') + '}';
+}
+
+/**
+ * What the caller may read in an org.
+ * @returns {Promise<{ all: boolean, departmentIds: string[], folderPaths: string[][] }>}
+ */
+export async function loadSearchScope(db, { orgId, userId }) {
+  const { data: membership } = await db
+    .from('organization_users')
+    .select('role')
+    .eq('org_id', orgId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (membership?.role === 'orgAdmin') return { all: true, departmentIds: [], folderPaths: [] };
+  const { data: depts } = await db
+    .from('department_users')
+    .select('department_id')
+    .eq('org_id', orgId)
+    .eq('user_id', userId);
+  const departmentIds = (depts || []).map((d) => d.department_id);
+  const folderPaths = [];
+  if (departmentIds.length) {
+    const { data: shared } = await db
+      .from('folder_access')
+      .select('path')
+      .eq('org_id', orgId)
+      .in('department_id', departmentIds);
+    const seen = new Set();
+    for (const row of shared || []) {
+      const path = Array.isArray(row.path) ? row.path.filter(Boolean) : [];
+      const key = path.join('/');
+      if (!path.length || seen.has(key)) continue;
+      seen.add(key);
+      folderPaths.push(path);
+    }
+  }
+  return { all: false, departmentIds, folderPaths };
+}
+
+function isPathPrefix(path, prefix) {
+  return Array.isArray(path) && prefix.length <= path.length && prefix.every((segment, i) => path[i] === segment);
+}
+
+export function canReadDocument(doc, scope) {
+  if (!doc || doc.deleted_at || doc.type === 'folder') return false;
+  if (scope.all) return true;
+  if (doc.department_id && scope.departmentIds.includes(doc.department_id)) return true;
+  return scope.folderPaths.some((prefix) => isPathPrefix(doc.folder_path, prefix));
+}
+
+// Narrow a documents query to the scope. Folder containment is a superset of "under the
+// folder", so rows are checked again with canReadDocument.
+function applyScope(query, scope) {
+  if (scope.all) return query;
+  const clauses = [];
+  if (scope.departmentIds.length) clauses.push(`department_id.in.(${scope.departmentIds.join(',')})`);
+  for (const path of scope.folderPaths) clauses.push(`folder_path.cs.${pgArray(path)}`);
+  if (!clauses.length) return query.eq('id', NO_MATCH_ID);
+  return query.or(clauses.join(','));
+}
+
+/**
+ * SearchFiltersSchema filters in the shape applySearchFilters takes.
+ */
+export function toSearchFilters({ year, ...filters } = {}) {
+  const range = typeof year === 'number' ? { from: year, to: year } : (year || {});
+  return { ...filters, yearFrom: range.from, yearTo: range.to };
+}
+
+/**
+ * Apply facet filters to a documents query.
+ * @param {Object} filters - { category, sender, receiver, departmentId: string[], tags: string[] (all required), yearFrom, yearTo }
+ */
+export function applySearchFilters(query, filters = {}) {
+  let q = query;
+  if (filters.category?.length) q = q.in('category', filters.category);
+  if (filters.sender?.length) q = q.in('sender', filters.sender);
+  if (filters.receiver?.length) q = q.in('receiver', filters.receiver);
+  if (filters.departmentId?.length) q = q.in('department_id', filters.departmentId);
+  if (filters.tags?.length) q = q.contains('tags', filters.tags);
+  if (filters.yearFrom) q = q.gte('document_date', `${filters.yearFrom}-01-01`);
+  if (filters.yearTo) q = q.lte('document_date', `${filters.yearTo}-12-31`);
+  return q;
+}
+
+function baseQuery(db, { orgId, scope, filters, refine }, { count = false } = {}) {
+  let query = db
+    .from('documents')
+    .select(count ? 'id' : DOCUMENT_COLUMNS, count ? { count: 'exact', head: true } : undefined)
+    .eq('org_id', orgId)
+    .neq('type', 'folder')
+    .is('deleted_at', null);
+  query = applySearchFilters(applyScope(query, scope), filters);
+  return refine ? refine(query) : query;
+}
+
+function lexicalScore(doc, terms) {
+  let best = 0;
+  for (const [field, weight] of LEXICAL_FIELDS) {
+    const value = String(doc[field] || '').toLowerCase();
+    if (!value) continue;
+    const hits = terms.filter((t) => value.includes(t)).length;
+    if (hits) best = Math.max(best, weight * (hits / terms.length));
+  }
+  return best;
+}
+
+// Documents by id through the same query, in batches that keep the request URL short
+async function loadDocuments(db, ctx, ids) {
+  const docs = [];
+  for (let i = 0; i < ids.length; i += ID_BATCH) {
+    const { data, error } = await baseQuery(db, ctx).in('id', ids.slice(i, i + ID_BATCH));
+    if (error) throw error;
+    docs.push(...(data || []));
+  }
+  return docs;
+}
+
+// Free text word by word, with OR and -word as full-text search reads them
+async function ilikeLeg(db, ctx, q) {
+  const parsed = parseSearchQuery(q);
+  const { data, error } = await applyPlainTextFilter(baseQuery(db, ctx), parsed, SEARCH_TEXT_COLUMNS)
+    .order('uploaded_at', { ascending: false })
+    .limit(SEARCH_CANDIDATES);
+  if (error) throw error;
+  const terms = parsed.terms.flat().filter((t) => !t.negated).map((t) => t.text.replace(/\*/g, '').toLowerCase());
+  return {
+    fullText: false,
+    docs: data || [],
+    truncated: (data || []).length >= SEARCH_CANDIDATES,
+    scores: new Map((data || []).map((d) => [d.id, terms.length ? lexicalScore(d, terms) : 0])),
+    chunks: new Map(),
+  };
+}
+
+// Full-text matches over metadata and chunk text; ilike over metadata without the migration
+async function lexicalLeg(db, ctx, q, log) {
+  if (!q) return ilikeLeg(db, ctx, q);
+  const hits = await searchFullText(db, ctx.orgId, q, { limit: SEARCH_CANDIDATES, log });
+  if (!hits) return ilikeLeg(db, ctx, q);
+  return {
+    fullText: true,
+    docs: await loadDocuments(db, ctx, hits.map((h) => h.docId)),
+    truncated: hits.length >= SEARCH_CANDIDATES,
+    scores: new Map(hits.map((h) => [h.docId, h.rank])),
+    chunks: new Map(hits.filter((h) => h.chunkId).map((h) => [h.docId, h.chunkId])),
+  };
+}
+
+async function vectorLegs(db, { orgId, q, log }) {
+  const metadata = new Map();
+  const content = new Map();
+  const embedding = await generateEmbedding(q, { db, orgId });
+  if (!embedding) return { available: false, metadata, content };
+
+  const [metaRes, chunkRes] = await Promise.all([
+    db.rpc('search_metadata_embeddings', {
+      p_org_id: orgId,
+      p_query_embedding: embedding,
+      p_limit: VECTOR_MATCHES,
+      p_similarity_threshold: 0.3,
+    }),
+    db.rpc('match_doc_chunks', {
+      p_org_id: orgId,
+      p_query_embedding: embedding,
+      p_match_count: VECTOR_MATCHES,
+      p_similarity_threshold: 0.3,
+    }),
+  ]);
+  if (metaRes.error) log?.warn?.({ err: metaRes.error.message }, 'Metadata embedding search failed');
+  // As in hybridSearch, a metadata match counts with its field's configured weight
+  for (const r of metaRes.data || []) {
+    const score = (Number(r.similarity) || 0) * (r.weight ?? 1);
+    if (score > (metadata.get(r.doc_id) || 0)) metadata.set(r.doc_id, score);
+  }
+  if (chunkRes.error) log?.warn?.({ err: chunkRes.error.message }, 'Chunk embedding search failed');
+  // Chunks embedded by another model than the query are not comparable
+  const provider = await resolveEmbeddingProvider(db, orgId);
+  const chunks = await filterChunksByEmbeddingModel(db, chunkRes.data || [], provider.modelId);
+  for (const r of chunks) {
+    const similarity = Number(r.similarity) || 0;
+    const prev = content.get(r.doc_id);
+    if (!prev || similarity > prev.similarity) content.set(r.doc_id, { similarity, snippet: String(r.content || '').slice(0, SNIPPET_CHARS) });
+  }
+  return { available: true, metadata, content };
+}
+
+function facetValue(map, value) {
+  const key = typeof value === 'string' ? value.trim() : value;
+  if (key === null || key === undefined || key === '') return;
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+/**
+ * Counts per value for FACET_FIELDS, most frequent first.
+ * @returns {Object<string, Array<{ value: string, count: number }>>}
+ */
+export function computeFacets(docs) {
+  const counts = Object.fromEntries(FACET_FIELDS.map((f) => [f, new Map()]));
+  for (const doc of docs) {
+    facetValue(counts.category, doc.category);
+    facetValue(counts.sender, doc.sender);
+    facetValue(counts.receiver, doc.receiver);
+    facetValue(counts.department, doc.department_id);
+    const year = /^\d{4}/.exec(String(doc.document_date || ''))?.[0];
+    facetValue(counts.year, year);
+    for (const tag of new Set(Array.isArray(doc.tags) ? doc.tags : [])) facetValue(counts.tags, tag);
+  }
+  return Object.fromEntries(FACET_FIELDS.map((field) => {
+    const values = Array.from(counts[field].entries()).map(([value, count]) => ({ value, count }));
+    values.sort((a, b) => (field === 'year'
+      ? String(b.value).localeCompare(String(a.value))
+      : b.count - a.count || String(a.value).localeCompare(String(b.value))));
+    return [field, values.slice(0, FACET_VALUES)];
+  }));
+}
+
+function toResult(doc, { score, signals, snippet }) {
+  return {
+    id: doc.id,
+    title: doc.title || doc.filename || 'Untitled',
+    filename: doc.filename,
+    type: doc.type,
+    category: doc.category || null,
+    subject: doc.subject || null,
+    sender: doc.sender || null,
+    receiver: doc.receiver || null,
+    documentDate: doc.document_date || null,
+    departmentId: doc.department_id || null,
+    folderPath: doc.folder_path || [],
+    tags: doc.tags || [],
+    uploadedAt: doc.uploaded_at,
+    score,
+    signals,
+    snippet: snippet || null,
+  };
+}
+
+/**
+ * Search the documents the caller may read.
+ * @param {Object} db - caller's Supabase client
+ * @param {Object} opts
+ * @param {string} opts.orgId
+ * @param {Object} opts.scope - from loadSearchScope
+ * @param {string} [opts.q] - empty lists every matching document, newest first
+ * @param {Object} [opts.filters] - see applySearchFilters
+ * @param {Function} [opts.refine] - extra query filters (custom fields, document type, language)
+ * @param {boolean} [opts.semantic] - include the embedding legs (default true)
+ * @param {Object} [opts.tuning] - fusion settings (see search-fusion.js)
+ * @param {boolean} [opts.debug] - add each leg's score and rank to every result
+ * @returns {Promise<{ mode, total, truncated, results, facets }>}
+ */
+export async function searchDocuments(db, { orgId, scope, q = '', filters = {}, refine, semantic = true, tuning = DEFAULT_SEARCH_TUNING, debug = false, limit = 20, offset = 0, log }) {
+  const ctx = { orgId, scope, filters, refine };
+  const query = String(q || '').trim();
+  const [lexical, vectors] = await Promise.all([
+    lexicalLeg(db, ctx, query, log),
+    query && semantic ? vectorLegs(db, { orgId, q: query, log }) : null,
+  ]);
+
+  const docs = new Map(lexical.docs.map((d) => [d.id, d]));
+  // Vector matches are loaded through the same query so filters and scope apply to them too
+  const vectorIds = vectors
+    ? Array.from(new Set([...vectors.metadata.keys(), ...vectors.content.keys()])).filter((id) => !docs.has(id))
+    : [];
+  for (const d of await loadDocuments(db, ctx, vectorIds)) docs.set(d.id, d);
+
+  const readable = Array.from(docs.values()).filter((d) => canReadDocument(d, scope));
+  // Legs are ranked among readable documents only
+  const readableIds = new Set(readable.map((d) => d.id));
+  const visible = (entries) => new Map(Array.from(entries).filter(([id]) => readableIds.has(id)));
+  const legs = query
+    ? {
+      keyword: visible(lexical.scores),
+      metadata: visible(vectors?.metadata || []),
+      content: visible(Array.from(vectors?.content || []).map(([id, c]) => [id, c.similarity])),
+    }
+    : {};
+  const fused = new Map(fuseLegs(legs, tuning).map((f) => [f.docId, f]));
+  const results = readable.map((doc) => {
+    const f = fused.get(doc.id);
+    const signals = Object.fromEntries(Object.entries(f?.legs || {}).map(([leg, hit]) => [leg, Number(hit.score.toFixed(4))]));
+    const result = toResult(doc, { score: f?.score ?? 0, signals, snippet: vectors?.content.get(doc.id)?.snippet });
+    if (debug) result.debug = { legs: f?.legs || {} };
+    return result;
+  });
+  if (query) results.sort((a, b) => b.score - a.score || String(b.uploadedAt).localeCompare(String(a.uploadedAt)));
+  else results.sort((a, b) => String(b.uploadedAt).localeCompare(String(a.uploadedAt)));
+
+  const page = results.slice(offset, offset + limit);
+  if (lexical.fullText && page.length) {
+    const highlights = await fullTextHeadlines(db, query, page.map((r) => ({ docId: r.id, chunkId: lexical.chunks.get(r.id) })), { log });
+    for (const r of page) r.highlights = highlights.get(r.id) || null;
+  }
+
+  return {
+    mode: !query ? 'browse' : vectors?.available ? 'hybrid' : 'lexical',
+    total: results.length,
+    truncated: lexical.truncated,
+    results: page,
+    facets: computeFacets(readable),
+    ...(debug ? { fusion: tuning } : {}),
+  };
+}
+
+/**
+ * How many documents match the filters, from one count query instead of loading them.
+ * Folder shares are matched by path containment only (see applyScope), so for a caller who
+ * reads through them the count may include a few documents the search would drop.
+ * @returns {Promise<{ total: number, exact: boolean }>}
+ */
+export async function countDocuments(db, { orgId, scope, filters = {}, refine }) {
+  const { count, error } = await baseQuery(db, { orgId, scope, filters, refine }, { count: true });
+  if (error) throw error;
+  return { total: count || 0, exact: scope.all || !scope.folderPaths.length };
+}
+
+export default {
+  FACET_FIELDS,
+  SEARCH_CANDIDATES,
+  SEARCH_TEXT_COLUMNS,
+  SearchFiltersSchema,
+  loadSearchScope,
+  canReadDocument,
+  toSearchFilters,
+  applySearchFilters,
+  computeFacets,
+  searchDocuments,
+  countDocuments,
+};
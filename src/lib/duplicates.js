@@ -0,0 +1,126 @@
+/**
+ * Duplicate detection for uploads.
+ *
+ * Exact duplicates share `documents.content_hash` and are found at sign/finalize time.
+ * Near duplicates are found after ingestion by matching a sample of the new document's
+ * chunk embeddings against the org's chunks. Both are recorded in `document_duplicates`
+ * (see scripts/migrate-document-duplicates.sql) until a user resolves them.
+ */
+
+export const DUPLICATE_RESOLUTIONS = ['skip', 'version', 'keep_both'];
+
+const NEAR_DUPLICATE_THRESHOLD = Number(process.env.DUPLICATE_SIMILARITY_THRESHOLD || 0.95);
+const NEAR_DUPLICATE_SAMPLES = 3;
+const DOC_FIELDS = 'id, title, filename, folder_path, uploaded_at, version_group_id, version_number, is_current_version';
+
+export function toDuplicateView(doc, { kind, similarity = null } = {}) {
+  return {
+    id: doc.id,
+    title: doc.title || doc.filename || 'Untitled',
+    filename: doc.filename || null,
+    folderPath: doc.folder_path || [],
+    uploadedAt: doc.uploaded_at || null,
+    versionGroupId: doc.version_group_id || null,
+    versionNumber: doc.version_number || 1,
+    isCurrentVersion: doc.is_current_version !== false,
+    kind,
+    similarity,
+  };
+}
+
+/**
+ * Live (not trashed) documents in the org with the same content hash.
+ * @param {Object} db - Supabase client; with the request client only visible documents match
+ * @param {string} orgId - Organization ID
+ * @param {string} contentHash - Hash of the file contents
+ * @param {Object} options - { excludeId } to skip the document being uploaded
+ */
+export async function findExactDuplicates(db, orgId, contentHash, { excludeId = null } = {}) {
+  if (!contentHash) return [];
+  let query = db
+    .from('documents')
+    .select(DOC_FIELDS)
+    .eq('org_id', orgId)
+    .eq('content_hash', contentHash)
+    .is('deleted_at', null)
+    .neq('type', 'folder')
+    .order('uploaded_at', { ascending: false })
+    .limit(10);
+  if (excludeId) query = query.neq('id', excludeId);
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map((d) => toDuplicateView(d, { kind: 'exact', similarity: 1 }));
+}
+
+/**
+ * Documents whose chunks closely match a sample of this document's chunk embeddings.
+ * A candidate must match every sampled chunk; its score is the mean best similarity.
+ * Versions of the same document are not reported.
+ * @param {Object} db - Supabase client (service role during ingestion)
+ * @param {Object} params - { orgId, docId, embeddings: Array<number[]|null>, threshold }
+ */
+export async function findNearDuplicates(db, { orgId, docId, embeddings, threshold = NEAR_DUPLICATE_THRESHOLD }) {
+  const vectors = (embeddings || []).filter(Array.isArray);
+  if (vectors.length === 0) return [];
+  // Spread samples across the document so a shared cover page alone does not match
+  const step = vectors.length / Math.min(NEAR_DUPLICATE_SAMPLES, vectors.length);
+  const samples = Array.from({ length: Math.min(NEAR_DUPLICATE_SAMPLES, vectors.length) }, (_, i) => vectors[Math.floor(i * step)]);
+
+  const best = new Map(); // doc id -> best similarity per sample
+  for (let s = 0; s < samples.length; s++) {
+    const { data, error } = await db.rpc('match_doc_chunks', {
+      p_org_id: orgId,
+      p_query_embedding: samples[s],
+      p_match_count: 20,
+      p_similarity_threshold: threshold,
+    });
+    if (error) throw error;
+    for (const row of data || []) {
+      if (row.doc_id === docId) continue;
+      const sims = best.get(row.doc_id) || new Array(samples.length).fill(0);
+      sims[s] = Math.max(sims[s], Number(row.similarity || 0));
+      best.set(row.doc_id, sims);
+    }
+  }
+  const scored = Array.from(best.entries())
+    .filter(([, sims]) => sims.every((v) => v >= threshold))
+    .map(([id, sims]) => ({ id, similarity: sims.reduce((a, b) => a + b, 0) / sims.length }));
+  if (scored.length === 0) return [];
+
+  const { data: self } = await db.from('documents').select('version_group_id').eq('org_id', orgId).eq('id', docId).maybeSingle();
+  const { data: docs, error } = await db
+    .from('documents')
+    .select(DOC_FIELDS)
+    .eq('org_id', orgId)
+    .in('id', scored.map((c) => c.id))
+    .is('deleted_at', null);
+  if (error) throw error;
+  const byId = new Map((docs || []).map((d) => [d.id, d]));
+  return scored
+    .filter((c) => byId.has(c.id) && !(self?.version_group_id && byId.get(c.id).version_group_id === self.version_group_id))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, 10)
+    .map((c) => toDuplicateView(byId.get(c.id), { kind: 'near', similarity: Number(c.similarity.toFixed(4)) }));
+}
+
+/**
+ * Record detected duplicates as pending for the document. Already-resolved pairs keep
+ * their resolution.
+ * @param {Object} db - Supabase client (service role)
+ */
+export async function recordDuplicates(db, { orgId, docId, duplicates }) {
+  if (!duplicates?.length) return;
+  const rows = duplicates.map((d) => ({
+    org_id: orgId,
+    doc_id: docId,
+    duplicate_of_id: d.id,
+    kind: d.kind,
+    similarity: d.similarity,
+  }));
+  const { error } = await db
+    .from('document_duplicates')
+    .upsert(rows, { onConflict: 'doc_id,duplicate_of_id', ignoreDuplicates: true });
+  if (error) throw error;
+}
+
+export default { DUPLICATE_RESOLUTIONS, toDuplicateView, findExactDuplicates, findNearDuplicates, recordDuplicates };
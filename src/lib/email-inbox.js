@@ -0,0 +1,339 @@
+import crypto from 'crypto';
+import { parseEmail } from './email-parser.js';
+import { hashContent } from './ingestion-cache.js';
+import { findExactDuplicates, recordDuplicates } from './duplicates.js';
+import { sourceProvenance } from './field-provenance.js';
+import { enqueueIngestionJob } from './ingestion-queue.js';
+
+/**
+ * Email-in ingestion.
+ *
+ * Each org can have inboxes (`email_inboxes`, scripts/migrate-email-inboxes.sql): an address
+ * such as `invoices@in.example.com` and a secret token. A local MTA hook or a forwarding
+ * service posts the raw RFC 822 message to `POST /inbound/email/:address` with the token;
+ * every attachment becomes a document, and the body becomes one too when the inbox keeps
+ * bodies (or when there is nothing else to keep). Sender, receiver and document date come
+ * from the headers and are recorded as imported, so ingestion does not overwrite them;
+ * title and subject are placeholders ingestion replaces. Documents from one message are
+ * linked in `document_links`, and each goes through the usual ingestion queue.
+ *
+ * Every message is logged in `email_messages` before any document is created; a message
+ * redelivered with the same Message-ID returns the documents created the first time.
+ */
+
+export const MAX_EMAIL_BYTES = Number(process.env.EMAIL_IN_MAX_MB || 25) * 1024 * 1024;
+// Inline images below this size are signature logos and the like, not documents
+const MIN_INLINE_IMAGE_BYTES = 10 * 1024;
+const MAX_BODY_CHARS = 200000;
+// A message still processing after this long was abandoned, and a redelivery may take it over
+const STALE_PROCESSING_MS = 15 * 60 * 1000;
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function sanitizeFilename(name) {
+  try {
+    const trimmed = String(name || '').trim();
+    const decomp = trimmed.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    const cleaned = decomp.replace(/\s+/g, '-').replace(/[^A-Za-z0-9._-]/g, '-');
+    return cleaned.replace(/-+/g, '-');
+  } catch {
+    return 'upload.bin';
+  }
+}
+
+export function normalizeInboxAddress(address) {
+  return String(address || '').trim().toLowerCase();
+}
+
+export function generateInboxToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+export function hashInboxToken(token) {
+  return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+}
+
+function tokenMatches(inbox, token) {
+  if (!inbox?.token_hash || !token) return false;
+  const expected = Buffer.from(inbox.token_hash, 'hex');
+  const actual = Buffer.from(hashInboxToken(token), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+export function toInboxView(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    address: row.address,
+    departmentId: row.department_id,
+    folderPath: row.folder_path || [],
+    includeBody: row.include_body,
+    allowedSenders: row.allowed_senders || [],
+    enabled: row.enabled,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastReceivedAt: row.last_received_at || null,
+  };
+}
+
+/**
+ * The enabled inbox for an address, if the token is its token.
+ * @returns {Promise<Object|null>} the inbox row
+ */
+export async function authenticateInbox(db, { address, token }) {
+  const { data, error } = await db
+    .from('email_inboxes')
+    .select('*')
+    .eq('address', normalizeInboxAddress(address))
+    .eq('enabled', true)
+    .maybeSingle();
+  if (error) throw error;
+  return data && tokenMatches(data, token) ? data : null;
+}
+
+// `allowed_senders` lists addresses or whole domains ("@example.com"); empty allows anyone
+function senderAllowed(inbox, address) {
+  const allowed = (inbox.allowed_senders || []).map((s) => String(s).trim().toLowerCase()).filter(Boolean);
+  if (!allowed.length) return true;
+  if (!address) return false;
+  const domain = address.slice(address.lastIndexOf('@'));
+  return allowed.includes(address) || allowed.includes(domain);
+}
+
+function formatAddress(a) {
+  if (!a) return '';
+  return a.name ? `${a.name} <${a.address}>` : a.address;
+}
+
+function documentType(filename, contentType) {
+  const ext = String(filename).split('.').pop()?.toLowerCase();
+  if (contentType === 'application/pdf' || ext === 'pdf') return 'PDF';
+  if (String(contentType).startsWith('image/')) return 'Image';
+  return ext && ext !== filename.toLowerCase() ? ext.toUpperCase() : 'File';
+}
+
+// The message as a text file: a header block, then the body
+function bodyFile(message) {
+  const lines = [
+    `From: ${formatAddress(message.from)}`,
+    message.to.length ? `To: ${message.to.map(formatAddress).join(', ')}` : null,
+    message.cc.length ? `Cc: ${message.cc.map(formatAddress).join(', ')}` : null,
+    message.date ? `Date: ${message.date.toISOString()}` : null,
+    `Subject: ${message.subject}`,
+  ].filter(Boolean);
+  const text = `${lines.join('\n')}\n\n${String(message.text || '').slice(0, MAX_BODY_CHARS).trim()}\n`;
+  const name = `${(message.subject || 'email').slice(0, 80)}.txt`;
+  return { filename: name, contentType: 'text/plain; charset=utf-8', content: Buffer.from(text, 'utf8') };
+}
+
+// Claim the message before creating anything. Message-IDs are unique per inbox, so a
+// redelivery, even one arriving while the first is still processing, fails the insert and
+// gets the existing row instead. A failed or rejected delivery may be claimed again, as may
+// one whose process died mid-way.
+// Returns { id } when this delivery owns the message, or { existing } for a duplicate.
+async function claimMessage(db, inbox, message) {
+  const fields = {
+    from_address: message.from?.address || null,
+    subject: message.subject?.slice(0, 500) || null,
+    sent_at: message.date ? message.date.toISOString() : null,
+    status: 'processing',
+    error: null,
+    doc_ids: [],
+    attachment_count: 0,
+    received_at: new Date().toISOString(),
+  };
+  const { data, error } = await db
+    .from('email_messages')
+    .insert({ org_id: inbox.org_id, inbox_id: inbox.id, message_id: message.messageId || null, ...fields })
+    .select('id')
+    .single();
+  if (!error) return { id: data.id };
+  if (error.code !== '23505') throw error;
+
+  const { data: existing, error: findErr } = await db
+    .from('email_messages')
+    .select('id, status, doc_ids, received_at')
+    .eq('inbox_id', inbox.id)
+    .eq('message_id', message.messageId)
+    .maybeSingle();
+  if (findErr) throw findErr;
+  if (!existing) throw error;
+  const stale = existing.status === 'processing' && Date.parse(existing.received_at) < Date.now() - STALE_PROCESSING_MS;
+  if (stale || existing.status === 'failed' || existing.status === 'rejected') {
+    const { data: claimed, error: claimErr } = await db
+      .from('email_messages')
+      .update(fields)
+      .eq('id', existing.id)
+      .eq('status', existing.status)
+      .eq('received_at', existing.received_at)
+      .select('id');
+    if (claimErr) throw claimErr;
+    if (claimed?.length) return { id: existing.id };
+  }
+  return { existing };
+}
+
+async function finishMessage(db, id, fields) {
+  const { error } = await db.from('email_messages').update(fields).eq('id', id);
+  if (error) throw error;
+}
+
+async function createDocument(db, { inbox, message, file, isBody, receiver, log }) {
+  const orgId = inbox.org_id;
+  const storageKey = `${orgId}/${Date.now()}-${crypto.randomBytes(3).toString('hex')}-${sanitizeFilename(file.filename) || 'attachment'}`;
+  const mimeType = file.contentType.split(';')[0].trim() || 'application/octet-stream';
+  const { error: upErr } = await db.storage
+    .from('documents')
+    .upload(storageKey, file.content, { contentType: file.contentType, upsert: false });
+  if (upErr) throw upErr;
+
+  const contentHash = hashContent(file.content);
+  const title = isBody ? (message.subject || '(no subject)') : file.filename.replace(/\.[^.]+$/, '') || file.filename;
+  const row = {
+    org_id: orgId,
+    owner_user_id: inbox.created_by,
+    department_id: inbox.department_id,
+    folder_path: inbox.folder_path || [],
+    type: isBody ? 'Email' : documentType(file.filename, mimeType),
+    title,
+    filename: file.filename,
+    subject: message.subject || title,
+    sender: message.from ? (message.from.name || message.from.address) : null,
+    receiver: receiver ? (receiver.name || receiver.address) : null,
+    document_date: message.day,
+    tags: [],
+    keywords: [],
+    storage_key: storageKey,
+    mime_type: mimeType,
+    file_size_bytes: file.content.length,
+    content_hash: contentHash,
+  };
+  const imported = ['sender', 'receiver', 'document_date'].filter((k) => row[k]);
+  // The body's title and subject are the email's; an attachment's are placeholders
+  if (isBody) imported.push('title', 'subject');
+  row.field_provenance = {
+    ...sourceProvenance(isBody ? [] : ['title', 'subject'], 'ai'),
+    ...sourceProvenance(imported, 'import'),
+  };
+  const insert = (fields) => db.from('documents').insert(fields).select('id, title, filename, storage_key, mime_type').single();
+  let { data: doc, error } = await insert(row);
+  // content_hash may be unique per org; keep the copy and flag it as a duplicate instead
+  if (error?.code === '23505') ({ data: doc, error } = await insert({ ...row, content_hash: null }));
+  if (error) {
+    await db.storage.from('documents').remove([storageKey]).catch(() => {});
+    throw error;
+  }
+  try {
+    const duplicates = await findExactDuplicates(db, orgId, contentHash, { excludeId: doc.id });
+    if (duplicates.length) await recordDuplicates(db, { orgId, docId: doc.id, duplicates });
+  } catch (e) {
+    log?.warn?.({ orgId, docId: doc.id, err: e?.message }, 'email-in: duplicate lookup failed');
+  }
+  try {
+    await db.from('audit_events').insert({ org_id: orgId, actor_user_id: null, type: 'create', doc_id: doc.id, title: doc.title, note: `created from email to ${inbox.address}` });
+  } catch {}
+  return doc;
+}
+
+/**
+ * Turn a raw inbound message into documents and queue their ingestion.
+ * @param {Object} app - Fastify app (service-role client on app.supabaseAdmin)
+ * @param {Object} params - { inbox (row), raw (Buffer), log }
+ * @returns {Promise<{ messageId, duplicate: boolean, documents: Array<{ id, title, filename, role }> }>}
+ */
+export async function ingestInboundEmail(app, { inbox, raw, log }) {
+  const db = app.supabaseAdmin;
+  const message = parseEmail(raw);
+
+  const { id: messageRowId, existing } = await claimMessage(db, inbox, message);
+  if (existing) {
+    const ids = existing.doc_ids || [];
+    const { data: docs } = ids.length
+      ? await db.from('documents').select('id, title, filename').eq('org_id', inbox.org_id).in('id', ids)
+      : { data: [] };
+    return { messageId: message.messageId, duplicate: true, documents: (docs || []).map((d) => ({ id: d.id, title: d.title, filename: d.filename })) };
+  }
+
+  if (!senderAllowed(inbox, message.from?.address)) {
+    await finishMessage(db, messageRowId, { status: 'rejected', error: 'sender not allowed' }).catch(() => {});
+    throw httpError('Sender is not allowed to send to this inbox', 403);
+  }
+
+  const attachments = message.attachments
+    .filter((a) => a.size > 0)
+    .filter((a) => !(a.inline && (!a.filename || (a.contentType.startsWith('image/') && a.size < MIN_INLINE_IMAGE_BYTES))))
+    .map((a, i) => ({ ...a, filename: a.filename || `attachment-${i + 1}` }));
+  const keepBody = Boolean(String(message.text || '').trim()) && (inbox.include_body || attachments.length === 0);
+  const inboxAddress = normalizeInboxAddress(inbox.address);
+  const receiver = [...message.to, ...message.cc].find((a) => a.address !== inboxAddress) || null;
+
+  const created = [];
+  try {
+    if (keepBody) {
+      const doc = await createDocument(db, { inbox, message, file: bodyFile(message), isBody: true, receiver, log });
+      created.push({ ...doc, role: 'body' });
+    }
+    for (const file of attachments) {
+      const doc = await createDocument(db, { inbox, message, file, isBody: false, receiver, log });
+      created.push({ ...doc, role: 'attachment' });
+    }
+  } catch (e) {
+    log?.error?.({ orgId: inbox.org_id, inboxId: inbox.id, err: e?.message }, 'email-in: creating documents failed');
+    await finishMessage(db, messageRowId, {
+      status: 'failed',
+      error: String(e?.message || e).slice(0, 500),
+      doc_ids: created.map((d) => d.id),
+      attachment_count: attachments.length,
+    }).catch(() => {});
+    throw e;
+  }
+
+  // Attachments hang off the body document, or off the first attachment without one
+  const [hub, ...rest] = created;
+  if (hub && rest.length) {
+    const { error } = await db.from('document_links').insert(rest.map((d) => ({
+      org_id: inbox.org_id,
+      doc_id: hub.id,
+      linked_doc_id: d.id,
+      link_type: hub.role === 'body' ? 'attachment' : 'email',
+    })));
+    if (error) log?.warn?.({ orgId: inbox.org_id, err: error.message }, 'email-in: linking documents failed');
+  }
+
+  for (const doc of created) {
+    try {
+      await enqueueIngestionJob({ orgId: inbox.org_id, docId: doc.id, storageKey: doc.storage_key, mimeType: doc.mime_type });
+    } catch (e) {
+      log?.warn?.({ orgId: inbox.org_id, docId: doc.id, err: e?.message }, 'email-in: failed to schedule ingestion');
+    }
+  }
+
+  await finishMessage(db, messageRowId, {
+    status: created.length ? 'processed' : 'ignored',
+    doc_ids: created.map((d) => d.id),
+    attachment_count: attachments.length,
+  });
+  await db.from('email_inboxes').update({ last_received_at: new Date().toISOString() }).eq('id', inbox.id).then(() => {}, () => {});
+
+  log?.info?.({ orgId: inbox.org_id, inboxId: inbox.id, documents: created.length }, 'email-in: message ingested');
+  return {
+    messageId: message.messageId,
+    duplicate: false,
+    documents: created.map((d) => ({ id: d.id, title: d.title, filename: d.filename, role: d.role })),
+  };
+}
+
+export default {
+  MAX_EMAIL_BYTES,
+  normalizeInboxAddress,
+  generateInboxToken,
+  hashInboxToken,
+  toInboxView,
+  authenticateInbox,
+  ingestInboundEmail,
+};
@@ -0,0 +1,292 @@
+/**
+ * Minimal RFC 822 / MIME parser for inbound email.
+ *
+ * Handles what mail clients and forwarding services send in practice: folded headers,
+ * RFC 2047 encoded words, RFC 2231 parameters (long or non-ASCII filenames), nested
+ * multipart bodies, base64 and quoted-printable transfer encodings. The message is read
+ * as bytes throughout, so attachments come out exactly as they were sent.
+ */
+
+const DECODABLE_CHARSETS = new Set(['utf-8', 'utf8', 'us-ascii', 'ascii', 'iso-8859-1', 'latin1', 'windows-1252', 'utf-16', 'utf-16le', 'iso-8859-15', 'windows-1251', 'koi8-r', 'shift_jis', 'euc-jp', 'gb2312', 'gbk', 'big5', 'euc-kr']);
+const MAX_DEPTH = 10;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function decodeBytes(buffer, charset = 'utf-8') {
+  const cs = String(charset || 'utf-8').toLowerCase().replace(/^"|"$/g, '');
+  try {
+    return new TextDecoder(DECODABLE_CHARSETS.has(cs) ? cs : 'utf-8').decode(buffer);
+  } catch {
+    return buffer.toString('utf8');
+  }
+}
+
+// "=?utf-8?B?...?=" / "=?iso-8859-1?Q?...?=" words; whitespace between adjacent words is dropped
+function decodeEncodedWords(value) {
+  return String(value || '')
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?[^?]+\?[BbQq]\?[^?]*\?=)/g, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (_, charset, enc, text) => {
+      try {
+        const bytes = enc.toUpperCase() === 'B'
+          ? Buffer.from(text, 'base64')
+          : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (m, h) => String.fromCharCode(parseInt(h, 16))), 'latin1');
+        return decodeBytes(bytes, charset);
+      } catch {
+        return text;
+      }
+    });
+}
+
+function decodeQuotedPrintable(buffer) {
+  const text = buffer.toString('latin1').replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '=' && /^[0-9A-Fa-f]{2}$/.test(text.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(text.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(ch.charCodeAt(0) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeTransfer(buffer, encoding) {
+  const enc = String(encoding || '').trim().toLowerCase();
+  if (enc === 'base64') return Buffer.from(buffer.toString('latin1').replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+  if (enc === 'quoted-printable') return decodeQuotedPrintable(buffer);
+  return buffer;
+}
+
+// Index just past the blank line that ends the headers, and where the headers end
+function headerBoundary(buffer) {
+  const text = buffer.toString('latin1');
+  // A part may have no headers at all
+  if (text.startsWith('\r\n')) return { headerEnd: 0, bodyStart: 2 };
+  if (text.startsWith('\n')) return { headerEnd: 0, bodyStart: 1 };
+  const crlf = text.indexOf('\r\n\r\n');
+  const lf = text.indexOf('\n\n');
+  if (crlf !== -1 && (lf === -1 || crlf < lf)) return { headerEnd: crlf, bodyStart: crlf + 4 };
+  if (lf !== -1) return { headerEnd: lf, bodyStart: lf + 2 };
+  return { headerEnd: text.length, bodyStart: text.length };
+}
+
+function parseHeaders(raw) {
+  const headers = new Map(); // lowercased name -> raw values (in order)
+  const unfolded = raw.replace(/\r?\n[ \t]+/g, ' ');
+  for (const line of unfolded.split(/\r?\n/)) {
+    const idx = line.indexOf(':');
+    if (idx <= 0) continue;
+    const name = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+    if (!headers.has(name)) headers.set(name, []);
+    headers.get(name).push(value);
+  }
+  return headers;
+}
+
+/**
+ * Split a structured header value ("text/plain; charset=utf-8; name*0*=...") into its main
+ * value and lowercased parameters, joining RFC 2231 continuations and charsets.
+ */
+export function parseHeaderParams(value) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (const ch of String(value || '')) {
+    if (ch === '"') quoted = !quoted;
+    if (ch === ';' && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  const main = parts.shift().trim().toLowerCase();
+  const params = {};
+  const continued = new Map(); // name -> [{ index, value, encoded }]
+  for (const part of parts) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    let key = part.slice(0, idx).trim().toLowerCase();
+    let val = part.slice(idx + 1).trim();
+    if (val.startsWith('"') && val.endsWith('"')) val = val.slice(1, -1).replace(/\\(.)/g, '$1');
+    const m = key.match(/^([^*]+)\*(?:(\d+)\*?|)$/);
+    if (m && (key.endsWith('*') || m[2] !== undefined)) {
+      const name = m[1];
+      if (!continued.has(name)) continued.set(name, []);
+      continued.get(name).push({ index: Number(m[2] || 0), value: val, encoded: key.endsWith('*') });
+      continue;
+    }
+    params[key] = decodeEncodedWords(val);
+  }
+  for (const [name, pieces] of continued) {
+    pieces.sort((a, b) => a.index - b.index);
+    let charset = 'utf-8';
+    const bytes = [];
+    pieces.forEach((p, i) => {
+      let v = p.value;
+      if (p.encoded && i === 0) {
+        const m = v.match(/^([^']*)'[^']*'(.*)$/);
+        if (m) {
+          charset = m[1] || charset;
+          v = m[2];
+        }
+      }
+      bytes.push(p.encoded
+        ? Buffer.from(v.replace(/%([0-9A-Fa-f]{2})/g, (x, h) => String.fromCharCode(parseInt(h, 16))), 'latin1')
+        : Buffer.from(v, 'utf8'));
+    });
+    params[name] = decodeBytes(Buffer.concat(bytes), charset);
+  }
+  return { value: main, params };
+}
+
+/**
+ * Parse an address header ("Name <a@b.c>, c@d.e") into `{ name, address }` entries.
+ */
+export function parseAddressList(value) {
+  const text = decodeEncodedWords(value);
+  const out = [];
+  let current = '';
+  let quoted = false;
+  let angle = 0;
+  const flush = () => {
+    const item = current.trim();
+    current = '';
+    if (!item) return;
+    const m = item.match(/^(.*?)<([^>]+)>/);
+    const address = (m ? m[2] : item).trim().replace(/^mailto:/i, '').toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+$/.test(address)) return;
+    const name = m ? m[1].trim().replace(/^"|"$/g, '').trim() : '';
+    out.push({ name, address });
+  };
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && ch === '<') angle++;
+    if (!quoted && ch === '>') angle = Math.max(0, angle - 1);
+    // Group syntax ("undisclosed-recipients:;") ends at the colon or semicolon
+    if (!quoted && !angle && (ch === ',' || ch === ';')) flush();
+    else if (!quoted && !angle && ch === ':' && !current.includes('@')) current = '';
+    else current += ch;
+  }
+  flush();
+  return out;
+}
+
+function splitMultipart(body, boundary) {
+  const text = body.toString('latin1');
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let pos = text.indexOf(delimiter);
+  while (pos !== -1) {
+    let start = pos + delimiter.length;
+    if (text.startsWith('--', start)) break; // closing delimiter
+    start = text.indexOf('\n', start);
+    if (start === -1) break;
+    start += 1;
+    const next = text.indexOf(`\n${delimiter}`, start);
+    const end = next === -1 ? text.length : next;
+    // The line break before the next delimiter belongs to the delimiter
+    const contentEnd = end > start && text[end - 1] === '\r' ? end - 1 : end;
+    parts.push(body.subarray(start, Math.max(start, contentEnd)));
+    if (next === -1) break;
+    pos = next + 1;
+  }
+  return parts;
+}
+
+function parsePart(buffer, depth, out) {
+  const { headerEnd, bodyStart } = headerBoundary(buffer);
+  const headers = parseHeaders(buffer.subarray(0, headerEnd).toString('latin1'));
+  const first = (name) => headers.get(name)?.[0] || '';
+  const type = parseHeaderParams(first('content-type') || 'text/plain');
+  const disposition = parseHeaderParams(first('content-disposition'));
+  const body = buffer.subarray(bodyStart);
+
+  if (type.value.startsWith('multipart/') && type.params.boundary && depth < MAX_DEPTH) {
+    for (const part of splitMultipart(body, type.params.boundary)) parsePart(part, depth + 1, out);
+    return headers;
+  }
+
+  const content = decodeTransfer(body, first('content-transfer-encoding'));
+  const filename = disposition.params.filename || type.params.name || '';
+  const isAttachment = disposition.value === 'attachment' || Boolean(filename) || type.value === 'message/rfc822';
+  if (!isAttachment && (type.value === 'text/plain' || type.value === 'text/html')) {
+    const text = decodeBytes(content, type.params.charset);
+    if (type.value === 'text/plain' && !out.text) out.text = text;
+    if (type.value === 'text/html' && !out.html) out.html = text;
+    return headers;
+  }
+  if (!isAttachment && !first('content-id')) return headers;
+  out.attachments.push({
+    filename: filename || (type.value === 'message/rfc822' ? 'message.eml' : ''),
+    contentType: type.value || 'application/octet-stream',
+    content,
+    size: content.length,
+    inline: disposition.value === 'inline' || (!filename && Boolean(first('content-id'))),
+    contentId: first('content-id').replace(/^<|>$/g, '') || null,
+  });
+  return headers;
+}
+
+/**
+ * Plain text of an HTML body, for messages without a text/plain part.
+ */
+export function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6]|table)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#(\d+);/g, (m, n) => (Number(n) <= 0x10ffff ? String.fromCodePoint(Number(n)) : m))
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Calendar day of a Date header in the sender's own timezone ("Tue, 14 Oct 2025 00:30 +0530"
+// is the 14th, though it is still the 13th in UTC)
+function headerDay(value, date) {
+  const m = String(value || '').match(/(\d{1,2})\s+([A-Za-z]{3})[a-z]*\s+(\d{4})/);
+  const month = m ? MONTHS.indexOf(m[2].toLowerCase()) : -1;
+  if (month !== -1) return `${m[3]}-${String(month + 1).padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Parse a raw message.
+ * @param {Buffer|string} raw
+ * @returns {{ messageId: string|null, subject: string, from: Object|null, to: Object[], cc: Object[],
+ *   replyTo: Object[], date: Date|null, day: string|null (YYYY-MM-DD), text: string, html: string,
+ *   attachments: Array<{ filename, contentType, content: Buffer, size, inline, contentId }> }}
+ */
+export function parseEmail(raw) {
+  const buffer = Buffer.isBuffer(raw) ? raw : Buffer.from(String(raw || ''), 'utf8');
+  const out = { text: '', html: '', attachments: [] };
+  const headers = parsePart(buffer, 0, out);
+  const first = (name) => headers.get(name)?.[0] || '';
+  const parsedDate = first('date') ? new Date(first('date').replace(/\s*\([^)]*\)\s*$/, '')) : null;
+  const date = parsedDate && !Number.isNaN(parsedDate.getTime()) ? parsedDate : null;
+  return {
+    messageId: first('message-id').replace(/^<|>$/g, '').trim() || null,
+    subject: decodeEncodedWords(first('subject')).trim(),
+    from: parseAddressList(first('from'))[0] || null,
+    to: parseAddressList((headers.get('to') || []).join(', ')),
+    cc: parseAddressList((headers.get('cc') || []).join(', ')),
+    replyTo: parseAddressList(first('reply-to')),
+    date,
+    day: date ? headerDay(first('date'), date) : null,
+    text: out.text || (out.html ? htmlToText(out.html) : ''),
+    html: out.html,
+    attachments: out.attachments,
+  };
+}
+
+export default { parseEmail, parseAddressList, parseHeaderParams, htmlToText };
@@ -0,0 +1,177 @@
+import { retryWithBackoff, shouldRetryError } from './retry-service.js';
+
+/**
+ * Batched chunk embedding.
+ *
+ * Inputs are split into requests that respect the provider's `limits` (see
+ * embedding-providers.js), each request is retried with backoff, and a failed request
+ * only loses its own chunks: callers persist what succeeded and `embedMissingChunks`
+ * fills in the rest later (e.g. on the ingestion job's next attempt).
+ */
+
+// Conservative estimate (~3 chars per token) so non-English text stays under request limits
+const CHARS_PER_TOKEN = 3;
+const BATCH_RETRIES = Number(process.env.EMBEDDING_BATCH_RETRIES || 3);
+const WRITE_BATCH_SIZE = 100;
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Group inputs into request-sized batches. Over-long inputs are truncated to the
+ * provider's per-input limit.
+ * @param {string[]} texts - Inputs to embed
+ * @param {Object} limits - { maxBatchItems, maxBatchTokens, maxInputTokens }
+ * @returns {Array<{ indexes: number[], texts: string[], tokens: number }>}
+ */
+export function planEmbeddingBatches(texts, limits = {}) {
+  const maxItems = limits.maxBatchItems || 100;
+  const maxTokens = limits.maxBatchTokens || Infinity;
+  const maxInputChars = Number.isFinite(limits.maxInputTokens) ? limits.maxInputTokens * CHARS_PER_TOKEN : Infinity;
+  const batches = [];
+  let current = null;
+  texts.forEach((raw, index) => {
+    const text = String(raw || '');
+    if (!text.trim()) return;
+    const input = text.length > maxInputChars ? text.slice(0, maxInputChars) : text;
+    const tokens = estimateTokens(input);
+    if (!current || current.texts.length >= maxItems || current.tokens + tokens > maxTokens) {
+      current = { indexes: [], texts: [], tokens: 0 };
+      batches.push(current);
+    }
+    current.indexes.push(index);
+    current.texts.push(input);
+    current.tokens += tokens;
+  });
+  return batches;
+}
+
+// Sliding one-minute token window per provider
+const usage = new Map(); // provider name -> [{ ts, tokens }]
+
+async function waitForTokenBudget(provider, tokens) {
+  const limit = provider.limits?.tokensPerMinute || 0;
+  if (!limit) return;
+  const window = usage.get(provider.name) || [];
+  usage.set(provider.name, window);
+  for (;;) {
+    const now = Date.now();
+    while (window.length && now - window[0].ts >= 60000) window.shift();
+    const used = window.reduce((sum, u) => sum + u.tokens, 0);
+    // A single batch larger than the budget is let through on an empty window
+    if (used + tokens <= limit || window.length === 0) break;
+    await new Promise((resolve) => setTimeout(resolve, Math.max(50, 60000 - (now - window[0].ts))));
+  }
+  window.push({ ts: Date.now(), tokens });
+}
+
+async function embedBatch(provider, batch, { taskType, log }) {
+  await waitForTokenBudget(provider, batch.tokens);
+  return retryWithBackoff(
+    () => provider.embed(batch.texts, { taskType }),
+    {
+      maxRetries: BATCH_RETRIES,
+      shouldRetry: shouldRetryError,
+      // Embedding outages must not trip the breaker shared with the chat/AI calls
+      circuitBreakerEnabled: false,
+      onRetry: (attempt, delay, error) => {
+        log.warn({ provider: provider.name, size: batch.texts.length, attempt: attempt + 1, delay, error: error?.message }, 'embedding batch failed, retrying');
+      },
+    },
+  );
+}
+
+/**
+ * Embed texts in provider-sized batches.
+ * @param {string[]} texts - Inputs; empty ones get a null vector
+ * @param {Object} provider - Embedding provider
+ * @param {Object} options - { taskType, log, onBatch(result) } where onBatch receives
+ *   `{ indexes, embeddings }` for every successful batch so callers can persist as they go
+ * @returns {Promise<{ embeddings: Array, failed: number, errors: string[] }>}
+ */
+export async function embedInBatches(texts, provider, { taskType = 'RETRIEVAL_DOCUMENT', log = console, onBatch } = {}) {
+  const embeddings = new Array(texts.length).fill(null);
+  const errors = [];
+  let failed = 0;
+  const queue = planEmbeddingBatches(texts, provider.limits);
+  while (queue.length > 0) {
+    const batch = queue.shift();
+    try {
+      const vectors = await embedBatch(provider, batch, { taskType, log });
+      batch.indexes.forEach((index, j) => { embeddings[index] = Array.isArray(vectors?.[j]) ? vectors[j] : null; });
+      if (typeof onBatch === 'function') await onBatch({ indexes: batch.indexes, embeddings: batch.indexes.map((i) => embeddings[i]) });
+    } catch (error) {
+      // A rejected request (e.g. an input the estimate under-counted) may succeed in halves
+      if (batch.texts.length > 1 && error?.status >= 400 && error?.status < 500 && error.status !== 429) {
+        const mid = Math.ceil(batch.texts.length / 2);
+        const half = (from, to) => {
+          const texts = batch.texts.slice(from, to);
+          return { indexes: batch.indexes.slice(from, to), texts, tokens: texts.reduce((sum, t) => sum + estimateTokens(t), 0) };
+        };
+        queue.unshift(half(0, mid), half(mid));
+        continue;
+      }
+      failed += batch.indexes.length;
+      errors.push(String(error?.message || error).slice(0, 300));
+      log.warn({ provider: provider.name, size: batch.indexes.length, error: error?.message }, 'embedding batch failed');
+    }
+  }
+  return { embeddings, failed, errors };
+}
+
+/**
+ * Embed a document's chunks that have no embedding, or one from another model than
+ * `provider`. Each batch is written as soon as it is embedded, so an interrupted run
+ * resumes where it stopped.
+ * @param {Object} db - Supabase client (service role)
+ * @param {Object} params - { orgId, docId, provider, log, onProgress({ total, embedded }) }
+ * @returns {Promise<{ total: number, embedded: number, failed: number, errors: string[] }>}
+ */
+export async function embedMissingChunks(db, { orgId, docId, provider, log = console, onProgress }) {
+  const { data, error } = await db
+    .from('doc_chunks')
+    // embedding_dim is set exactly when a vector is stored; avoids selecting the vectors
+    .select('chunk_index, content, embedding_model, embedding_dim')
+    .eq('org_id', orgId)
+    .eq('doc_id', docId)
+    .order('chunk_index', { ascending: true });
+  if (error) throw error;
+  const pending = (data || []).filter((c) => !c.embedding_dim || c.embedding_model !== provider.modelId);
+  let embedded = 0;
+  const result = await embedInBatches(pending.map((c) => c.content), provider, {
+    log,
+    onBatch: async ({ indexes, embeddings }) => {
+      const rows = [];
+      indexes.forEach((index, j) => {
+        if (!embeddings[j]) return;
+        const c = pending[index];
+        rows.push({ org_id: orgId, doc_id: docId, chunk_index: c.chunk_index, content: c.content, ...embeddingColumns(embeddings[j], provider) });
+      });
+      await writeChunkRows(db, rows);
+      embedded += rows.length;
+      if (typeof onProgress === 'function') await onProgress({ total: pending.length, embedded });
+    },
+  });
+  return { total: pending.length, embedded, failed: pending.length - embedded, errors: result.errors };
+}
+
+// Upsert chunk rows keyed by (doc_id, chunk_index)
+export async function writeChunkRows(db, rows) {
+  for (let i = 0; i < rows.length; i += WRITE_BATCH_SIZE) {
+    const { error } = await db.from('doc_chunks').upsert(rows.slice(i, i + WRITE_BATCH_SIZE), { onConflict: 'doc_id,chunk_index' });
+    if (error) throw error;
+  }
+}
+
+// Record which model produced each vector so mixed-model indexes can be detected
+export function embeddingColumns(embedding, provider) {
+  const vector = Array.isArray(embedding) ? embedding : null;
+  return {
+    embedding: vector,
+    embedding_model: vector ? provider.modelId : null,
+    embedding_dim: vector ? vector.length : null,
+  };
+}
+
+export default { estimateTokens, planEmbeddingBatches, embedInBatches, embedMissingChunks, writeChunkRows, embeddingColumns };
@@ -0,0 +1,176 @@
+import { embedTextsWithGemini } from './gemini-files.js';
+import { recordModelUsage } from './ai-usage.js';
+
+/**
+ * Embedding providers.
+ *
+ * Every provider exposes `{ name, model, modelId, dimensions, limits, embed(texts, { taskType }) }`
+ * and returns one vector per input (null for empty input). `limits` bound a single request
+ * (`maxBatchItems`, `maxBatchTokens`, `maxInputTokens`) and the request rate
+ * (`tokensPerMinute`, 0 = unlimited); src/lib/embedding-batches.js plans batches from them. `modelId` (e.g.
+ * `openai/text-embedding-3-small`) is recorded on each doc_chunks row so chunks embedded
+ * by a different model can be found and re-embedded; queries must use the same model
+ * as the chunks they are compared against.
+ *
+ * The deployment default comes from EMBEDDING_PROVIDER (openai | gemini | local) and
+ * orgs may override it with org_settings.embedding_provider.
+ */
+
+export const EMBEDDING_PROVIDERS = ['openai', 'gemini', 'local'];
+
+// All providers emit vectors of this size so they fit the same doc_chunks.embedding column
+const DIMENSIONS = Number(process.env.EMBEDDING_DIMENSIONS || 1536);
+const ORG_CACHE_TTL_MS = 60 * 1000;
+// Overrides every provider's default rate limit when set
+const TOKENS_PER_MINUTE = process.env.EMBEDDING_TOKENS_PER_MINUTE;
+
+function tokensPerMinute(fallback) {
+  const n = Number(TOKENS_PER_MINUTE);
+  return TOKENS_PER_MINUTE !== undefined && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const openaiProvider = {
+  name: 'openai',
+  model: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+  dimensions: DIMENSIONS,
+  // 2048 inputs / 300k tokens per request, 8191 tokens per input
+  limits: { maxBatchItems: 2048, maxBatchTokens: 300000, maxInputTokens: 8191, tokensPerMinute: tokensPerMinute(1000000) },
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  async embed(texts) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) throw new Error('OpenAI API key not configured for embeddings');
+    const res = await fetch('https://api.openai.com/v1/embeddings', {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+      // Only the text-embedding-3 family accepts a custom output size
+      body: JSON.stringify(/^text-embedding-3/.test(this.model)
+        ? { model: this.model, input: texts, dimensions: this.dimensions }
+        : { model: this.model, input: texts }),
+    });
+    if (!res.ok) {
+      const txt = await res.text().catch(() => '');
+      const err = new Error(`OpenAI embed failed: ${res.status} ${txt}`);
+      err.status = res.status;
+      throw err;
+    }
+    const data = await res.json();
+    const tokens = data?.usage?.prompt_tokens;
+    recordModelUsage({
+      provider: 'openai',
+      model: this.model,
+      kind: 'embed',
+      inputTokens: tokens ?? Math.ceil(texts.reduce((sum, t) => sum + String(t || '').length, 0) / 4),
+      estimated: typeof tokens !== 'number',
+    });
+    const out = new Array(texts.length).fill(null);
+    for (const d of data?.data || []) out[d.index] = d.embedding;
+    return out;
+  },
+};
+
+const geminiProvider = {
+  name: 'gemini',
+  model: process.env.GEMINI_EMBEDDING_MODEL || 'gemini-embedding-001',
+  dimensions: DIMENSIONS,
+  // batchEmbedContents takes at most 100 requests of 2048 tokens each
+  limits: { maxBatchItems: 100, maxBatchTokens: 100 * 2048, maxInputTokens: 2048, tokensPerMinute: tokensPerMinute(0) },
+  isConfigured: () => Boolean(process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY || process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON || process.env.GOOGLE_APPLICATION_CREDENTIALS),
+  async embed(texts, { taskType = 'RETRIEVAL_DOCUMENT' } = {}) {
+    return embedTextsWithGemini(texts, { model: this.model, dimensions: this.dimensions, taskType });
+  },
+};
+
+// Deterministic feature-hashing embedding: log-scaled unigram and bigram counts hashed into
+// a fixed-size signed vector and L2-normalised. No network or keys, so it works offline and
+// in tests; retrieval quality is lexical rather than semantic.
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function hashEmbed(text, dimensions) {
+  const tokens = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (tokens.length === 0) return null;
+  const counts = new Map();
+  const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+  for (let i = 0; i < tokens.length; i++) {
+    add(tokens[i], 1);
+    if (i > 0) add(`${tokens[i - 1]} ${tokens[i]}`, 0.5);
+  }
+  const vec = new Array(dimensions).fill(0);
+  for (const [feature, count] of counts) {
+    const h = fnv1a(feature);
+    const sign = (h & 0x80000000) ? -1 : 1;
+    vec[h % dimensions] += sign * (1 + Math.log(count));
+  }
+  const norm = Math.sqrt(vec.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vec.map((v) => v / norm);
+}
+
+const localProvider = {
+  name: 'local',
+  model: 'hash-v1',
+  dimensions: DIMENSIONS,
+  limits: { maxBatchItems: 1000, maxBatchTokens: Infinity, maxInputTokens: Infinity, tokensPerMinute: 0 },
+  isConfigured: () => true,
+  async embed(texts) {
+    return texts.map((t) => hashEmbed(t, this.dimensions));
+  },
+};
+
+const providers = { openai: openaiProvider, gemini: geminiProvider, local: localProvider };
+for (const p of Object.values(providers)) p.modelId = `${p.name}/${p.model}`;
+
+export function getEmbeddingProvider(name) {
+  return providers[name] || providers[getDefaultProviderName()];
+}
+
+function getDefaultProviderName() {
+  const configured = String(process.env.EMBEDDING_PROVIDER || '').toLowerCase();
+  return EMBEDDING_PROVIDERS.includes(configured) ? configured : 'openai';
+}
+
+const orgCache = new Map(); // orgId -> { name, exp }
+let settingsDb = null;
+
+/**
+ * Read org overrides with the service-role client. org_settings is not readable by every
+ * member under RLS, and queries must resolve the same provider as ingestion did.
+ */
+export function initEmbeddingProviders(app) {
+  settingsDb = app?.supabaseAdmin || null;
+}
+
+/**
+ * Resolve the provider for an org: org_settings.embedding_provider, else the deployment default.
+ * A failed lookup (including a database without the column) falls back to the default.
+ */
+export async function resolveEmbeddingProvider(db, orgId) {
+  const client = settingsDb || db;
+  if (!client || !orgId) return getEmbeddingProvider(getDefaultProviderName());
+  const cached = orgCache.get(orgId);
+  if (cached && cached.exp > Date.now()) return getEmbeddingProvider(cached.name);
+  let name = null;
+  try {
+    const { data, error } = await client
+      .from('org_settings')
+      .select('embedding_provider')
+      .eq('org_id', orgId)
+      .maybeSingle();
+    if (!error && EMBEDDING_PROVIDERS.includes(data?.embedding_provider)) name = data.embedding_provider;
+  } catch {}
+  name = name || getDefaultProviderName();
+  orgCache.set(orgId, { name, exp: Date.now() + ORG_CACHE_TTL_MS });
+  return getEmbeddingProvider(name);
+}
+
+export function invalidateEmbeddingProviderCache(orgId) {
+  if (orgId) orgCache.delete(orgId);
+  else orgCache.clear();
+}
+
+export default { EMBEDDING_PROVIDERS, initEmbeddingProviders, getEmbeddingProvider, resolveEmbeddingProvider, invalidateEmbeddingProviderCache };
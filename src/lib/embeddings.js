@@ -1,21 +1,23 @@
+import { resolveEmbeddingProvider } from './embedding-providers.js';
+import { aiBudgetExceeded } from './ai-usage.js';
+
 /**
- * Generate embedding for text using OpenAI API
+ * Generate a query embedding with the org's embedding provider
  * @param {string} text - Text to embed
+ * @param {Object} options - { db, orgId } to pick the org's provider (deployment default otherwise)
  * @returns {Array|null} Embedding vector or null if failed
  */
-export async function generateEmbedding(text) {
+export async function generateEmbedding(text, { db, orgId } = {}) {
   try {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      console.warn('OpenAI API key not configured for embeddings');
+    const provider = await resolveEmbeddingProvider(db, orgId);
+    if (!provider.isConfigured()) {
+      console.warn(`${provider.name} embedding provider not configured`);
       return null;
     }
     
     // Clean and truncate text if too long
     const cleanedText = String(text || '').trim();
     if (!cleanedText) return null;
-    const cached = getCache(cleanedText);
-    if (cached) return cached;
     
     // OpenAI has a limit of 8192 tokens for text-embedding-3-small
     // Roughly estimate token count (4 chars = 1 token)
@@ -23,28 +25,14 @@ export async function generateEmbedding(text) {
     const truncatedText = cleanedText.length > maxChars 
       ? cleanedText.substring(0, maxChars) 
       : cleanedText;
+    const cacheKey = `${provider.modelId}:${truncatedText}`;
+    const cached = getCache(cacheKey);
+    if (cached) return cached;
+    // Over the org's monthly AI budget: callers fall back as when embeddings are unavailable
+    if (await aiBudgetExceeded()) return null;
     
-    const res = await fetch('https://api.openai.com/v1/embeddings', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ 
-        model: 'text-embedding-3-small', 
-        input: truncatedText 
-      }),
-    });
-    
-    if (!res.ok) {
-      const errTxt = await res.text().catch(() => '');
-      console.error(`OpenAI embeddings error: ${res.status} ${errTxt}`);
-      return null;
-    }
-    
-    const data = await res.json();
-    const embedding = data?.data?.[0]?.embedding;
-    if (embedding) setCache(cleanedText, embedding, 5 * 60_000);
+    const [embedding] = await provider.embed([truncatedText], { taskType: 'RETRIEVAL_QUERY' });
+    if (embedding) setCache(cacheKey, embedding, 5 * 60_000);
     
     return Array.isArray(embedding) ? embedding : null;
   } catch (error) {
@@ -61,3 +49,32 @@ function getCache(key){
   return v.data;
 }
 function setCache(key, data, ttlMs){ _cache.set(key, { data, exp: Date.now()+ttlMs }); }
+
+/**
+ * Drop matched chunks embedded by a different model than the query. match_doc_chunks
+ * compares raw vectors, so after a provider switch stale chunks score as noise until
+ * they are re-embedded. Chunks without a recorded model are kept (legacy rows), and the
+ * input is returned unchanged if the lookup fails (e.g. migration not yet run).
+ * @param {Object} db - Supabase client
+ * @param {Array} chunks - match_doc_chunks rows
+ * @param {string} modelId - Model id of the query embedding
+ */
+export async function filterChunksByEmbeddingModel(db, chunks, modelId) {
+  const list = Array.isArray(chunks) ? chunks : [];
+  const ids = Array.from(new Set(list.map((c) => c.chunk_id || c.id).filter(Boolean)));
+  if (ids.length === 0 || !modelId) return list;
+  try {
+    const { data, error } = await db
+      .from('doc_chunks')
+      .select('id, embedding_model')
+      .in('id', ids);
+    if (error) return list;
+    const models = new Map((data || []).map((r) => [r.id, r.embedding_model]));
+    return list.filter((c) => {
+      const model = models.get(c.chunk_id || c.id);
+      return !model || model === modelId;
+    });
+  } catch {
+    return list;
+  }
+}
@@ -0,0 +1,300 @@
+import { generateJsonFromGeminiText } from './gemini-files.js';
+import { coerceFieldValue } from './custom-fields.js';
+
+/**
+ * Document-type extraction templates.
+ *
+ * After OCR, ingestion asks the model which kind of document it has read and, for the
+ * types below, runs that type's template over the text. The result is stored typed (see
+ * coerceFieldValue) in `documents.structured_data` with the type in `documents.document_type`
+ * (scripts/migrate-structured-extraction.sql), and copied into the extraction JSON.
+ *
+ * A template has scalar `fields`, which can be filtered on like custom fields
+ * (`sd.<field>[.<op>]`), and `lists` of rows (line items, parties, findings). Values the
+ * model states are kept; `computed` values are derived here from the rows, never asked for.
+ */
+
+// Bump when a template's fields change so stale extractions can be found and re-run
+export const TEMPLATE_VERSION = 1;
+const CLASSIFY_TEXT_CHARS = 12000;
+const MIN_CONFIDENCE = Number(process.env.STRUCTURED_EXTRACTION_MIN_CONFIDENCE || 0.6);
+
+const field = (field_name, field_type, description) => ({ field_name, field_type, description });
+
+function sumOf(rows, key) {
+  const values = rows.map((r) => r[key]).filter((v) => typeof v === 'number');
+  return values.length ? Math.round(values.reduce((a, b) => a + b, 0) * 100) / 100 : null;
+}
+
+function earliest(rows, key) {
+  const dates = rows.map((r) => r[key]).filter(Boolean).sort();
+  return dates[0] || null;
+}
+
+export const EXTRACTION_TEMPLATES = {
+  invoice: {
+    label: 'Invoice',
+    synonyms: ['invoice', 'bill', 'tax invoice', 'receipt', 'utility bill', 'demand note'],
+    fields: [
+      field('invoice_number', 'text', 'Invoice or bill number'),
+      field('invoice_date', 'date', 'Date the invoice was issued'),
+      field('due_date', 'date', 'Payment due date'),
+      field('vendor', 'text', 'Who issued the invoice'),
+      field('customer', 'text', 'Who is billed'),
+      field('currency', 'text', 'ISO currency code, e.g. INR or USD'),
+      field('subtotal', 'number', 'Total before tax'),
+      field('tax_total', 'number', 'Total tax'),
+      field('total_amount', 'number', 'Grand total as printed'),
+      field('amount_due', 'number', 'Amount still payable, if stated separately'),
+    ],
+    lists: {
+      line_items: {
+        description: 'Every billed line or charge, in document order',
+        fields: [
+          field('description', 'text', 'What the line is for'),
+          field('quantity', 'number', 'Quantity or units'),
+          field('unit_price', 'number', 'Price per unit'),
+          field('amount', 'number', 'Line amount as printed'),
+        ],
+      },
+    },
+    computed: [
+      field('line_items_total', 'number', 'Sum of the line item amounts'),
+      field('totals_match', 'boolean', 'Whether the line items add up to the subtotal or total'),
+    ],
+    compute(data) {
+      const lineItemsTotal = sumOf(data.line_items, 'amount');
+      const stated = data.subtotal ?? data.total_amount;
+      return {
+        line_items_total: lineItemsTotal,
+        totals_match: lineItemsTotal === null || stated === null ? null : Math.abs(lineItemsTotal - stated) < 0.01,
+      };
+    },
+  },
+  contract: {
+    label: 'Contract',
+    synonyms: ['contract', 'agreement', 'lease', 'memorandum of understanding', 'service agreement', 'purchase order terms'],
+    fields: [
+      field('contract_title', 'text', 'Name of the agreement'),
+      field('effective_date', 'date', 'Date the agreement takes effect'),
+      field('end_date', 'date', 'Date the current term ends'),
+      field('term_months', 'number', 'Length of the initial term in months'),
+      field('auto_renews', 'boolean', 'Whether the term renews automatically'),
+      field('renewal_terms', 'text', 'How and for how long it renews'),
+      field('notice_period_days', 'number', 'Notice needed to terminate or prevent renewal, in days'),
+      field('termination_terms', 'text', 'When and how either party may terminate'),
+      field('governing_law', 'text', 'Governing law or jurisdiction'),
+      field('contract_value', 'number', 'Total contract value, if stated'),
+      field('currency', 'text', 'ISO currency code of the contract value'),
+    ],
+    lists: {
+      parties: {
+        description: 'Each party to the agreement',
+        fields: [
+          field('name', 'text', 'Party name'),
+          field('role', 'text', 'Role, e.g. client, vendor, lessor, lessee'),
+        ],
+      },
+    },
+    computed: [],
+    compute() {
+      return {};
+    },
+  },
+  inspection_report: {
+    label: 'Inspection report',
+    synonyms: ['inspection report', 'inspection', 'visit report', 'site inspection', 'compliance visit', 'inspection note', 'inspection findings', 'audit report'],
+    fields: [
+      field('inspection_date', 'date', 'Date of the inspection'),
+      field('inspector', 'text', 'Inspecting officer'),
+      field('authority', 'text', 'Inspecting authority or agency'),
+      field('site', 'text', 'Site, facility or premises inspected'),
+      field('overall_result', 'text', 'Overall outcome, e.g. satisfactory or non-compliant'),
+    ],
+    lists: {
+      findings: {
+        description: 'Observations recorded during the inspection',
+        fields: [
+          field('description', 'text', 'What was observed'),
+          field('severity', 'text', 'Severity if stated, e.g. minor, major, critical'),
+          field('location', 'text', 'Where it was observed'),
+        ],
+      },
+      violations: {
+        description: 'Breaches of a rule, consent condition or regulation, with required actions',
+        fields: [
+          field('description', 'text', 'The violation'),
+          field('regulation', 'text', 'Rule, section or condition breached'),
+          field('corrective_action', 'text', 'Action required'),
+          field('deadline', 'date', 'Date the action is due'),
+        ],
+      },
+    },
+    computed: [
+      field('violation_count', 'number', 'Number of violations'),
+      field('next_deadline', 'date', 'Earliest corrective action deadline'),
+    ],
+    compute(data) {
+      return {
+        violation_count: data.violations.length,
+        next_deadline: earliest(data.violations, 'deadline'),
+      };
+    },
+  },
+};
+
+export const DOC_TYPES = Object.keys(EXTRACTION_TEMPLATES);
+
+/**
+ * Scalar fields of a template (stated and computed), in the custom field shape so the
+ * custom field filter helpers can parse and apply `sd.<field>` filters.
+ */
+export function templateFilterFields(docType) {
+  const template = EXTRACTION_TEMPLATES[docType];
+  return template ? [...template.fields, ...template.computed] : [];
+}
+
+function schemaFor(fields) {
+  const properties = {};
+  for (const f of fields) {
+    const type = f.field_type === 'number' ? 'number' : f.field_type === 'boolean' ? 'boolean' : 'string';
+    properties[f.field_name] = { type, nullable: true, description: f.field_type === 'date' ? `${f.description} (YYYY-MM-DD)` : f.description };
+  }
+  return { type: 'object', properties };
+}
+
+function buildTemplatePrompt(template) {
+  const describe = (f) => `- ${f.field_name} (${f.field_type === 'date' ? 'date as YYYY-MM-DD' : f.field_type}): ${f.description}`;
+  const lists = Object.entries(template.lists).map(([name, list]) => (
+    `"${name}": ${list.description}. Each entry has:\n${list.fields.map(describe).join('\n')}`
+  ));
+  return `Document type: ${template.label}. Extract its details as JSON.
+
+Top-level keys:
+${template.fields.map(describe).join('\n')}
+
+Arrays:
+${lists.join('\n\n')}
+
+Copy numbers as printed (no currency symbols or thousands separators). Use null for anything the document does not state and an empty array when there are no entries. Never guess or compute values.`;
+}
+
+function buildTemplateSchema(template) {
+  const schema = schemaFor(template.fields);
+  for (const [name, list] of Object.entries(template.lists)) {
+    schema.properties[name] = { type: 'array', items: schemaFor(list.fields) };
+  }
+  return schema;
+}
+
+// Keep the values that validate for their type; drop the rest
+function coerceRecord(fields, raw) {
+  const out = {};
+  for (const f of fields) {
+    const value = raw?.[f.field_name];
+    if (value === null || value === undefined || value === '') {
+      out[f.field_name] = null;
+      continue;
+    }
+    const result = coerceFieldValue(f, value);
+    out[f.field_name] = result.ok ? result.value : null;
+  }
+  return out;
+}
+
+/**
+ * Normalise a model response for a template: typed scalars, typed list rows (rows with no
+ * values are dropped) and the computed fields.
+ */
+export function normalizeStructuredData(docType, raw) {
+  const template = EXTRACTION_TEMPLATES[docType];
+  if (!template) return null;
+  const data = coerceRecord(template.fields, raw);
+  for (const [name, list] of Object.entries(template.lists)) {
+    const rows = Array.isArray(raw?.[name]) ? raw[name] : [];
+    data[name] = rows
+      .map((row) => coerceRecord(list.fields, row))
+      .filter((row) => Object.values(row).some((v) => v !== null));
+  }
+  return { ...data, ...template.compute(data) };
+}
+
+/**
+ * Ask the model which template, if any, fits the document.
+ * @returns {Promise<{ docType: string, confidence: number }>} docType is 'other' when none fits
+ */
+export async function classifyDocumentType(text, { title, category } = {}) {
+  const catalogue = DOC_TYPES.map((t) => `- ${t}: ${EXTRACTION_TEMPLATES[t].synonyms.join(', ')}`).join('\n');
+  const hints = [title && `Title: ${title}`, category && `Category: ${category}`].filter(Boolean).join('\n');
+  const result = await generateJsonFromGeminiText({
+    text: String(text || '').slice(0, CLASSIFY_TEXT_CHARS),
+    prompt: `Classify the document as one of these types, or "other" if it is none of them. Letters, notices and reports that merely mention an invoice or contract are "other".
+${catalogue}
+${hints ? `\n${hints}\n` : ''}
+Respond as JSON: {"docType": "...", "confidence": 0..1}.`,
+    responseSchema: {
+      type: 'object',
+      properties: {
+        docType: { type: 'string', enum: [...DOC_TYPES, 'other'] },
+        confidence: { type: 'number' },
+      },
+      required: ['docType', 'confidence'],
+    },
+  });
+  const docType = DOC_TYPES.includes(result?.docType) ? result.docType : 'other';
+  const confidence = Math.max(0, Math.min(1, Number(result?.confidence) || 0));
+  return { docType, confidence };
+}
+
+/**
+ * Classify a document's text and run the matching template.
+ * `docType` skips classification (e.g. when a user corrects the type).
+ * @returns {Promise<{ docType, confidence, version, data, extractedAt }>} data is null for 'other'
+ */
+export async function extractStructuredData(text, { title, category, docType } = {}) {
+  let classified = docType && EXTRACTION_TEMPLATES[docType] ? { docType, confidence: 1 } : null;
+  if (!classified) {
+    classified = await classifyDocumentType(text, { title, category });
+    if (classified.docType !== 'other' && classified.confidence < MIN_CONFIDENCE) {
+      classified = { docType: 'other', confidence: classified.confidence };
+    }
+  }
+  const extractedAt = new Date().toISOString();
+  if (classified.docType === 'other') return { ...classified, version: TEMPLATE_VERSION, data: null, extractedAt };
+  const template = EXTRACTION_TEMPLATES[classified.docType];
+  const raw = await generateJsonFromGeminiText({
+    text,
+    prompt: buildTemplatePrompt(template),
+    responseSchema: buildTemplateSchema(template),
+  });
+  return {
+    ...classified,
+    version: TEMPLATE_VERSION,
+    data: normalizeStructuredData(classified.docType, raw),
+    extractedAt,
+  };
+}
+
+/**
+ * documents columns for an extraction result.
+ */
+export function toStructuredColumns(result) {
+  return {
+    document_type: result.docType,
+    document_type_confidence: result.confidence,
+    structured_data: result.data,
+    structured_extracted_at: result.extractedAt,
+    structured_version: result.version,
+  };
+}
+
+export default {
+  TEMPLATE_VERSION,
+  EXTRACTION_TEMPLATES,
+  DOC_TYPES,
+  templateFilterFields,
+  normalizeStructuredData,
+  classifyDocumentType,
+  extractStructuredData,
+  toStructuredColumns,
+};
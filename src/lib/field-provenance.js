@@ -0,0 +1,147 @@
+/**
+ * Per-field provenance for document metadata.
+ *
+ * `documents.field_provenance` (scripts/migrate-field-provenance.sql) maps a column name
+ * (`title`, `document_date`, ...; custom fields as `custom_fields.<name>`) to where its
+ * value came from:
+ *   { source: 'ai' | 'user' | 'import', model?, promptVersion?, confidence?, page?, snippet?,
+ *     userId?, recordedAt }
+ * Ingestion may fill a field that is blank or was filled by AI; a `user` or `import` entry
+ * (including a value the user cleared) is never overwritten. Fields without an entry predate
+ * provenance and are treated as not AI-filled.
+ */
+
+export const PROVENANCE_SOURCES = ['ai', 'user', 'import'];
+
+// Bump when the metadata prompt changes in a way that affects extracted values
+export const METADATA_PROMPT_VERSION = 'metadata-v3';
+
+// Metadata keys the model reports evidence for, and the documents column each fills
+export const EVIDENCE_FIELDS = {
+  title: 'title',
+  subject: 'subject',
+  sender: 'sender',
+  receiver: 'receiver',
+  documentDate: 'document_date',
+  category: 'category',
+};
+
+// Columns that get an entry in field_provenance when set
+export const PROVENANCE_COLUMNS = ['title', 'subject', 'description', 'category', 'tags', 'keywords', 'sender', 'receiver', 'document_date'];
+
+const SNIPPET_CHARS = 200;
+
+export const FIELD_EVIDENCE_PROMPT = `Also return "evidence": an object with keys ${Object.keys(EVIDENCE_FIELDS).join(', ')}. For each, give {"confidence": number from 0 to 1 that the value is right, "quote": the shortest verbatim text from the document (at most ${SNIPPET_CHARS} characters) that supports it, or null if the value was inferred}.`;
+
+export function customFieldKey(name) {
+  return `custom_fields.${name}`;
+}
+
+// Match the words of `needle` in order, ignoring case and whitespace differences
+function needlePattern(needle) {
+  const words = String(needle || '').trim().split(/\s+/).filter(Boolean);
+  if (words.join(' ').length < 3) return null;
+  return new RegExp(words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'), 'i');
+}
+
+/**
+ * Find the page holding the first needle that occurs in the text (e.g. the model's quote,
+ * then the value itself) and return a snippet of the original text around it.
+ * @returns {{ page: number|null, snippet: string }|null}
+ */
+export function locateEvidence(pages, fullText, needles) {
+  const sources = Array.isArray(pages) && pages.length ? pages : [{ page: null, text: fullText }];
+  for (const needle of needles) {
+    const pattern = needlePattern(needle);
+    if (!pattern) continue;
+    for (const p of sources) {
+      const text = String(p.text || '');
+      const match = pattern.exec(text);
+      if (!match) continue;
+      const pad = Math.max(0, Math.floor((SNIPPET_CHARS - match[0].length) / 2));
+      const start = Math.max(0, match.index - pad);
+      const snippet = text.slice(start, start + Math.max(SNIPPET_CHARS, match[0].length)).replace(/\s+/g, ' ').trim();
+      return { page: Number.isInteger(p.page) ? p.page : null, snippet };
+    }
+  }
+  return null;
+}
+
+function clampConfidence(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : null;
+}
+
+/**
+ * Provenance entries for metadata produced by the model.
+ * `modelFields` lists the metadata keys the model actually returned; values filled from
+ * defaults (file name, fallback category) are recorded with a confidence of 0.
+ * @param {Object} opts - { metadata, evidence, modelFields, pages, text, model, promptVersion }
+ * @returns {Object} column -> provenance entry
+ */
+export function buildAiProvenance({ metadata, evidence, modelFields, pages, text, model, promptVersion = METADATA_PROMPT_VERSION }) {
+  const recordedAt = new Date().toISOString();
+  const base = { source: 'ai', model: model || null, promptVersion, recordedAt };
+  const out = {};
+  for (const [key, column] of Object.entries(EVIDENCE_FIELDS)) {
+    const value = metadata[key];
+    if (value === undefined || value === null || value === '') continue;
+    if (!modelFields.has(key)) {
+      out[column] = { ...base, confidence: 0, page: null, snippet: null };
+      continue;
+    }
+    const ev = evidence && typeof evidence[key] === 'object' ? evidence[key] : {};
+    const found = locateEvidence(pages, text, [ev.quote, value]);
+    out[column] = {
+      ...base,
+      confidence: clampConfidence(ev.confidence),
+      page: found?.page ?? null,
+      snippet: found?.snippet ?? null,
+    };
+  }
+  for (const [key, column] of [['tags', 'tags'], ['keywords', 'keywords'], ['summary', 'description']]) {
+    const value = metadata[key];
+    if (Array.isArray(value) ? value.length : value) out[column] = { ...base, confidence: null, page: null, snippet: null };
+  }
+  for (const name of Object.keys(metadata.customFields || {})) {
+    const found = locateEvidence(pages, text, [metadata.customFields[name]]);
+    out[customFieldKey(name)] = { ...base, confidence: null, page: found?.page ?? null, snippet: found?.snippet ?? null };
+  }
+  return out;
+}
+
+/**
+ * Entries without model evidence: fields a user edited, an import supplied, or a client
+ * submitted as an AI suggestion at creation. Returns e.g. { title: {...}, tags: {...} }.
+ */
+export function sourceProvenance(keys, source = 'user', userId = null) {
+  const recordedAt = new Date().toISOString();
+  const out = {};
+  for (const key of keys) out[key] = { source, userId: userId || null, recordedAt };
+  return out;
+}
+
+/**
+ * Whether ingestion may write a field: it is blank and not cleared by a user, or the
+ * current value was itself filled by AI.
+ */
+export function canAutofill(provenance, key, currentValue) {
+  const source = provenance?.[key]?.source;
+  if (source === 'user' || source === 'import') return false;
+  const blank = currentValue === undefined || currentValue === null || currentValue === ''
+    || (Array.isArray(currentValue) && currentValue.length === 0);
+  return blank || source === 'ai';
+}
+
+export default {
+  PROVENANCE_SOURCES,
+  METADATA_PROMPT_VERSION,
+  EVIDENCE_FIELDS,
+  PROVENANCE_COLUMNS,
+  FIELD_EVIDENCE_PROMPT,
+  customFieldKey,
+  locateEvidence,
+  buildAiProvenance,
+  sourceProvenance,
+  canAutofill,
+};
@@ -0,0 +1,126 @@
+/**
+ * Postgres full-text search over document metadata and chunk text
+ * (scripts/migrate-full-text-search.sql).
+ *
+ * Queries use a small web-search syntax compiled to a to_tsquery expression:
+ *   consent renewal     both words (stemmed: "renewals" matches too)
+ *   "consent order"     the phrase
+ *   renew*              any word starting with "renew"
+ *   water OR air        either word
+ *   -draft              without the word (also -"draft copy")
+ *
+ * Without the migration the search functions are missing; callers then get `null` and fall
+ * back to their ilike search.
+ */
+
+const MARK_START = '[[mark]]';
+const MARK_END = '[[/mark]]';
+const MAX_TERMS = 32;
+
+// Letters (with their combining marks) and digits in any script; anything else separates words
+function lexemes(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+}
+
+function compileTerm(raw, { phrase }) {
+  const prefix = !phrase && raw.endsWith('*');
+  const words = lexemes(raw);
+  if (!words.length) return null;
+  if (prefix) words[words.length - 1] += ':*';
+  // Punctuated words ("e-mail", "2024/25") are matched as phrases too
+  return words.length === 1 ? words[0] : `(${words.join(' <-> ')})`;
+}
+
+/**
+ * Compile a search string into a to_tsquery expression.
+ * @returns {string|null} null when the query has nothing to match (e.g. only negations)
+ */
+export function toTsQuery(q) {
+  const tokens = String(q || '').match(/-?"[^"]*"?|\S+/g) || [];
+  const groups = []; // AND of OR-groups
+  let joinNext = false;
+  for (const token of tokens.slice(0, MAX_TERMS)) {
+    if (token === 'OR') {
+      joinNext = groups.length > 0;
+      continue;
+    }
+    const negated = token.startsWith('-') && token.length > 1;
+    const body = negated ? token.slice(1) : token;
+    const phrase = body.startsWith('"');
+    const term = compileTerm(phrase ? body.replace(/"/g, '') : body, { phrase });
+    if (!term) continue;
+    const clause = { term: negated ? `!${term}` : term, negated };
+    if (joinNext && !negated && !groups[groups.length - 1].some((c) => c.negated)) groups[groups.length - 1].push(clause);
+    else groups.push([clause]);
+    joinNext = false;
+  }
+  if (!groups.some((g) => g.some((c) => !c.negated))) return null;
+  return groups.map((g) => (g.length === 1 ? g[0].term : `(${g.map((c) => c.term).join(' | ')})`)).join(' & ');
+}
+
+function escapeHtml(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * ts_headline output as HTML: text escaped, matches wrapped in <mark>.
+ */
+export function headlineToHtml(text) {
+  if (!text) return null;
+  return escapeHtml(String(text)).split(MARK_START).join('<mark>').split(MARK_END).join('</mark>');
+}
+
+/**
+ * Documents matching a query, best first.
+ * @param {Object} db - Supabase client (the caller's, so RLS applies)
+ * @returns {Promise<Array<{ docId, rank, metadataRank, chunkId, chunkRank }>|null>} null when
+ *   full-text search is unavailable
+ */
+export async function searchFullText(db, orgId, q, { limit = 100, log } = {}) {
+  const tsQuery = toTsQuery(q);
+  if (!tsQuery) return [];
+  const { data, error } = await db.rpc('search_documents_fts', { p_org_id: orgId, p_query: tsQuery, p_limit: limit });
+  if (error) {
+    log?.warn?.({ err: error.message }, 'Full-text search unavailable; using ilike');
+    return null;
+  }
+  return (data || []).map((r) => ({
+    docId: r.doc_id,
+    rank: Number(r.rank) || 0,
+    metadataRank: Number(r.metadata_rank) || 0,
+    chunkId: r.chunk_id || null,
+    chunkRank: Number(r.chunk_rank) || 0,
+  }));
+}
+
+/**
+ * Highlighted title and snippet for each document, from the matching chunk when there is one.
+ * Best-effort: an empty map when headlines can't be computed.
+ * @param {Array<{ docId, chunkId? }>} hits
+ * @returns {Promise<Map<string, { title: string|null, snippet: string|null }>>}
+ */
+export async function fullTextHeadlines(db, q, hits, { log } = {}) {
+  const tsQuery = toTsQuery(q);
+  const highlights = new Map();
+  if (!tsQuery || !hits.length) return highlights;
+  const { data, error } = await db.rpc('search_headlines', {
+    p_query: tsQuery,
+    p_doc_ids: hits.map((h) => h.docId),
+    p_chunk_ids: hits.map((h) => h.chunkId).filter(Boolean),
+  });
+  if (error) {
+    log?.warn?.({ err: error.message }, 'Search headlines failed');
+    return highlights;
+  }
+  for (const r of data || []) {
+    highlights.set(r.doc_id, { title: headlineToHtml(r.title), snippet: headlineToHtml(r.snippet) });
+  }
+  return highlights;
+}
+
+export default {
+  toTsQuery,
+  headlineToHtml,
+  searchFullText,
+  fullTextHeadlines,
+};
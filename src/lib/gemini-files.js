@@ -2,6 +2,7 @@ import { GoogleGenerativeAI } from '@google/generative-ai';
 import { GoogleAIFileManager } from '@google/generative-ai/server';
 import { jsonrepair } from 'jsonrepair';
 import { GoogleAuth } from 'google-auth-library';
+import { recordModelUsage } from './ai-usage.js';
 
 // Support both API key and OAuth2 credentials
 const API_KEY = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY || '';
@@ -45,6 +46,11 @@ if (!genAI || !fileManager) {
   console.warn('Gemini client not configured. Check credentials.');
 }
 
+// Locally extracted text sent inline; keeps very large spreadsheets within the request limit
+const MAX_TEXT_PROMPT_CHARS = Number(process.env.GEMINI_TEXT_PROMPT_MAX_CHARS || 400000);
+// Model behind the JSON extraction helpers; recorded with AI-filled metadata
+export const GEMINI_EXTRACTION_MODEL = 'gemini-2.0-flash';
+
 export async function uploadBufferToGemini(buffer, { mimeType, displayName }) {
   if (!fileManager) throw new Error('Gemini FileManager not configured');
   const upload = await fileManager.uploadFile(buffer, {
@@ -82,87 +88,154 @@ export async function generateJsonFromGeminiFile({ fileUri, mimeType, prompt, re
   if (responseJsonSchema) generationConfig.responseJsonSchema = responseJsonSchema;
 
   const model = genAI.getGenerativeModel({
-    model: 'models/gemini-2.0-flash',
+    model: `models/${GEMINI_EXTRACTION_MODEL}`,
     generationConfig,
   });
   const result = await model.generateContent([
     { fileData: { fileUri, mimeType } },
     { text: prompt },
   ]);
+  recordGenerateUsage(result);
   const raw = result?.response?.text?.();
   if (!raw) {
     throw new Error('Gemini response empty');
   }
 
-  const tryParse = (value) => {
-    if (!value) return null;
-    try {
-      return JSON.parse(value);
-    } catch (err) {
-      // Gemini occasionally emits stray backslashes (e.g. \\ or lone \ before non-escape chars).
-      // Escape any invalid sequences and try again before giving up.
-      const sanitized = value.replace(/\\(?!["\\/bfnrtu])/g, '\\\\');
-      if (sanitized !== value) {
-        try {
-          return JSON.parse(sanitized);
-        } catch {}
-      }
-      throw err;
-    }
-  };
+  return parseGeminiJson(raw);
+}
 
-  const parseJsonSafely = (input) => {
-    if (!input) return null;
-    const trimmed = input.trim();
+// Same as generateJsonFromGeminiFile, but for text already extracted locally (no file upload)
+export async function generateJsonFromGeminiText({ text, prompt, responseMimeType = 'application/json', responseSchema }) {
+  if (!genAI) throw new Error('Gemini client not configured');
+  const generationConfig = { responseMimeType };
+  if (responseSchema) generationConfig.responseSchema = responseSchema;
+  const model = genAI.getGenerativeModel({
+    model: `models/${GEMINI_EXTRACTION_MODEL}`,
+    generationConfig,
+  });
+  const result = await model.generateContent([
+    { text: `Document text:\n"""\n${String(text || '').slice(0, MAX_TEXT_PROMPT_CHARS)}\n"""` },
+    { text: prompt },
+  ]);
+  recordGenerateUsage(result);
+  const raw = result?.response?.text?.();
+  if (!raw) {
+    throw new Error('Gemini response empty');
+  }
+  return parseGeminiJson(raw);
+}
 
-    // Try plain JSON first
-    try {
-      return tryParse(trimmed);
-    } catch {}
+// Batch-embed texts; empty inputs map to null
+export async function embedTextsWithGemini(texts, { model = 'gemini-embedding-001', dimensions, taskType = 'RETRIEVAL_DOCUMENT' } = {}) {
+  if (!genAI) throw new Error('Gemini client not configured');
+  const out = new Array(texts.length).fill(null);
+  const requests = [];
+  const positions = [];
+  texts.forEach((text, i) => {
+    const value = String(text || '').trim();
+    if (!value) return;
+    positions.push(i);
+    requests.push({
+      content: { role: 'user', parts: [{ text: value }] },
+      taskType,
+      ...(dimensions ? { outputDimensionality: dimensions } : {}),
+    });
+  });
+  if (requests.length === 0) return out;
+  const embedder = genAI.getGenerativeModel({ model });
+  const result = await embedder.batchEmbedContents({ requests });
+  // batchEmbedContents reports no token counts
+  const chars = requests.reduce((sum, r) => sum + r.content.parts[0].text.length, 0);
+  recordModelUsage({ provider: 'gemini', model, kind: 'embed', inputTokens: Math.ceil(chars / 4), estimated: true });
+  (result?.embeddings || []).forEach((e, j) => {
+    out[positions[j]] = Array.isArray(e?.values) ? e.values : null;
+  });
+  return out;
+}
 
-    // Look for fenced code blocks ```json ... ```
-    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
-    if (fenced) {
-      try {
-        return tryParse(fenced[1].trim());
-      } catch {}
-    }
+// Tokens billed for a generateContent call, from the response's usage metadata
+function recordGenerateUsage(result) {
+  const usage = result?.response?.usageMetadata;
+  recordModelUsage({
+    provider: 'gemini',
+    model: GEMINI_EXTRACTION_MODEL,
+    kind: 'generate',
+    inputTokens: usage?.promptTokenCount || 0,
+    outputTokens: usage?.candidatesTokenCount || 0,
+    estimated: !usage,
+  });
+}
 
-    // Fallback: grab the first {...} section
-    const firstBrace = trimmed.indexOf('{');
-    const lastBrace = trimmed.lastIndexOf('}');
-    if (firstBrace !== -1 && lastBrace !== -1 && firstBrace < lastBrace) {
-      const candidate = trimmed.slice(firstBrace, lastBrace + 1);
+function parseGeminiJson(raw) {
+  const parsed = parseJsonSafely(raw);
+  if (parsed !== null) {
+    return parsed;
+  }
+
+  console.error('Gemini JSON parse failure. Response was:', raw);
+  const error = new SyntaxError('Gemini returned non-JSON response');
+  error.rawResponse = raw;
+  throw error;
+}
+
+function tryParse(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    // Gemini occasionally emits stray backslashes (e.g. \\ or lone \ before non-escape chars).
+    // Escape any invalid sequences and try again before giving up.
+    const sanitized = value.replace(/\\(?!["\\/bfnrtu])/g, '\\\\');
+    if (sanitized !== value) {
       try {
-        return tryParse(candidate);
+        return JSON.parse(sanitized);
       } catch {}
     }
+    throw err;
+  }
+}
+
+function parseJsonSafely(input) {
+  if (!input) return null;
+  const trimmed = input.trim();
+
+  // Try plain JSON first
+  try {
+    return tryParse(trimmed);
+  } catch {}
 
-    // Fallback: Gemini sometimes returns multiple JSON objects separated by commas.
+  // Look for fenced code blocks ```json ... ```
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
     try {
-      const merged = tryParse(`[${trimmed}]`);
-      if (Array.isArray(merged) && merged.length > 0) {
-        return Object.assign({}, ...merged);
-      }
+      return tryParse(fenced[1].trim());
     } catch {}
+  }
 
-    // Last resort: attempt to repair almost-valid JSON before failing.
+  // Fallback: grab the first {...} section
+  const firstBrace = trimmed.indexOf('{');
+  const lastBrace = trimmed.lastIndexOf('}');
+  if (firstBrace !== -1 && lastBrace !== -1 && firstBrace < lastBrace) {
+    const candidate = trimmed.slice(firstBrace, lastBrace + 1);
     try {
-      return tryParse(jsonrepair(trimmed));
+      return tryParse(candidate);
     } catch {}
+  }
 
-    return null;
-  };
+  // Fallback: Gemini sometimes returns multiple JSON objects separated by commas.
+  try {
+    const merged = tryParse(`[${trimmed}]`);
+    if (Array.isArray(merged) && merged.length > 0) {
+      return Object.assign({}, ...merged);
+    }
+  } catch {}
 
-  const parsed = parseJsonSafely(raw);
-  if (parsed !== null) {
-    return parsed;
-  }
+  // Last resort: attempt to repair almost-valid JSON before failing.
+  try {
+    return tryParse(jsonrepair(trimmed));
+  } catch {}
 
-  console.error('Gemini JSON parse failure. Response was:', raw);
-  const error = new SyntaxError('Gemini returned non-JSON response');
-  error.rawResponse = raw;
-  throw error;
+  return null;
 }
 
 export function hasGeminiClient() {
@@ -0,0 +1,117 @@
+import { EventEmitter } from 'events';
+
+// In-process fan-out of ingestion progress, published by the ingestion queue and
+// consumed by the SSE status endpoint. Jobs may run on another instance, so the
+// progress stream also polls the persisted job row and merges both sources.
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const TERMINAL_STATUSES = new Set(['succeeded', 'failed']);
+
+function publishIngestEvent(event) {
+  if (!event?.docId) return;
+  emitter.emit(`doc:${event.docId}`, { ...event, ts: event.ts || new Date().toISOString() });
+}
+
+function subscribeIngestEvents(docId, listener) {
+  const key = `doc:${docId}`;
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+}
+
+// Map a job state (queue event or persisted job view) onto the SSE event vocabulary
+function toProgressEvent(state) {
+  const base = {
+    jobId: state.jobId || null,
+    status: state.status,
+    stage: state.stage || null,
+    attempts: state.attempts || 0,
+    chunks: typeof state.chunks === 'number' ? state.chunks : null,
+    ts: state.ts || state.updatedAt || new Date().toISOString(),
+  };
+  if (state.status === 'succeeded') return { event: 'complete', data: base };
+  if (state.status === 'failed') return { event: 'failed', data: { ...base, error: state.lastError || null } };
+  if (state.status === 'queued' && state.lastError) {
+    return { event: 'retry', data: { ...base, error: state.lastError, nextRunAt: state.nextRunAt || null } };
+  }
+  if (state.status === 'queued') return { event: 'queued', data: base };
+  return { event: 'stage', data: base };
+}
+
+function stateKey(state) {
+  return `${state.status}:${state.stage || ''}:${state.attempts || 0}:${typeof state.chunks === 'number' ? state.chunks : ''}`;
+}
+
+/**
+ * Async iterator of SSE messages describing a document's ingestion progress.
+ * Emits a `snapshot` first, then `queued` / `stage` / `retry` transitions, and
+ * finishes after `complete` or `failed`.
+ * @param {Object} params
+ * @param {string} params.docId - Document ID
+ * @param {Function} params.loadSnapshot - async () => { job, chunks, hasEmbeddings, ready }
+ * @param {AbortSignal} params.signal - Aborted when the client disconnects
+ */
+async function* createIngestProgressStream({ docId, loadSnapshot, signal, pollMs = 3000, heartbeatMs = 15000 }) {
+  const pending = [];
+  let wake = null;
+  const notify = () => { if (wake) { const w = wake; wake = null; w(); } };
+  const unsubscribe = subscribeIngestEvents(docId, (event) => { pending.push(event); notify(); });
+  const onAbort = () => notify();
+  signal?.addEventListener?.('abort', onAbort);
+
+  let lastKey = null;
+  let seq = 0;
+  const message = (event, data) => ({ id: String(++seq), event, data: JSON.stringify(data) });
+
+  try {
+    const snapshot = await loadSnapshot();
+    yield message('snapshot', snapshot);
+    const job = snapshot?.job;
+    // Nothing left to report: the job finished, or a legacy document is already chunked
+    if (job ? TERMINAL_STATUSES.has(job.status) : snapshot?.ready) return;
+    if (job) lastKey = stateKey(job);
+
+    let nextPoll = Date.now() + pollMs;
+    let nextHeartbeat = Date.now() + heartbeatMs;
+    while (!signal?.aborted) {
+      if (pending.length === 0) {
+        const wait = Math.max(0, Math.min(nextPoll, nextHeartbeat) - Date.now());
+        await new Promise((resolve) => {
+          wake = resolve;
+          setTimeout(notify, wait);
+        });
+      }
+      if (signal?.aborted) break;
+
+      const now = Date.now();
+      if (pending.length === 0 && now >= nextPoll) {
+        nextPoll = now + pollMs;
+        try {
+          const polled = (await loadSnapshot())?.job;
+          if (polled) pending.push(polled);
+        } catch {}
+      }
+      if (pending.length === 0 && now >= nextHeartbeat) {
+        nextHeartbeat = now + heartbeatMs;
+        yield { comment: 'keepalive' };
+        continue;
+      }
+
+      while (pending.length > 0) {
+        const state = pending.shift();
+        const key = stateKey(state);
+        if (key === lastKey) continue;
+        lastKey = key;
+        const { event, data } = toProgressEvent(state);
+        yield message(event, data);
+        if (TERMINAL_STATUSES.has(state.status)) return;
+      }
+    }
+  } finally {
+    unsubscribe();
+    signal?.removeEventListener?.('abort', onAbort);
+  }
+}
+
+export { publishIngestEvent, subscribeIngestEvents, createIngestProgressStream };
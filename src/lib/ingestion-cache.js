@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import { writeChunkRows } from './embedding-batches.js';
+
+/**
+ * Content-addressed reuse of ingestion work.
+ *
+ * After a document is fully ingested, `ingestion_cache` maps the SHA-256 of its file
+ * bytes to that document (see scripts/migrate-ingestion-cache.sql). Ingesting the same
+ * bytes again in the org reuses its extraction JSON instead of OCR, and copies its chunks
+ * and vectors when they were built with the current chunking strategy and embedding model.
+ * Entries are per org and disappear with their source document.
+ */
+
+const CHUNK_COLUMNS = 'chunk_index, content, page, embedding, embedding_model, embedding_dim, heading_path, chunk_type, page_index, char_start, char_end, language';
+
+export function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Find the cached ingestion for identical bytes, with its extraction JSON.
+ * Returns null on a miss or when the source extraction is gone.
+ * @param {Object} db - Supabase client (service role)
+ * @param {Object} params - { orgId, contentSha256 }
+ * @returns {Promise<{ sourceDocId, chunkingStrategy, embeddingModel, chunkCount, extraction }|null>}
+ */
+export async function lookupIngestionCache(db, { orgId, contentSha256 }) {
+  if (!contentSha256) return null;
+  const { data: entry, error } = await db
+    .from('ingestion_cache')
+    .select('doc_id, chunking_strategy, embedding_model, chunk_count')
+    .eq('org_id', orgId)
+    .eq('content_sha256', contentSha256)
+    .maybeSingle();
+  if (error || !entry) return null;
+  const { data: blob, error: dlErr } = await db.storage.from('extractions').download(`${orgId}/${entry.doc_id}.json`);
+  if (dlErr || !blob) return null;
+  let extraction = null;
+  try { extraction = JSON.parse(await blob.text()); } catch { return null; }
+  if (typeof extraction?.ocrText !== 'string') return null;
+  return {
+    sourceDocId: entry.doc_id,
+    chunkingStrategy: entry.chunking_strategy || null,
+    embeddingModel: entry.embedding_model || null,
+    chunkCount: entry.chunk_count || 0,
+    extraction,
+  };
+}
+
+/**
+ * Replace docId's chunks with copies of the source document's chunks (vectors included).
+ * Returns the number of chunks copied; 0 when the source has none left.
+ */
+export async function copyCachedChunks(db, { orgId, sourceDocId, docId }) {
+  const { data: chunks, error } = await db
+    .from('doc_chunks')
+    .select(CHUNK_COLUMNS)
+    .eq('org_id', orgId)
+    .eq('doc_id', sourceDocId)
+    .order('chunk_index', { ascending: true });
+  if (error) throw error;
+  if (!chunks?.length) return 0;
+  if (sourceDocId === docId) return chunks.length;
+  const { error: delErr } = await db.from('doc_chunks').delete().eq('org_id', orgId).eq('doc_id', docId);
+  if (delErr) throw delErr;
+  await writeChunkRows(db, chunks.map((c) => ({ ...c, org_id: orgId, doc_id: docId })));
+  return chunks.length;
+}
+
+/**
+ * Point the cache entry for these bytes at a fully ingested document.
+ * @param {Object} db - Supabase client (service role)
+ * @param {Object} params - { orgId, contentSha256, docId, chunkingStrategy, embeddingModel, chunkCount }
+ */
+export async function saveIngestionCache(db, { orgId, contentSha256, docId, chunkingStrategy, embeddingModel, chunkCount }) {
+  if (!contentSha256) return;
+  const { error } = await db
+    .from('ingestion_cache')
+    .upsert({
+      org_id: orgId,
+      content_sha256: contentSha256,
+      doc_id: docId,
+      chunking_strategy: chunkingStrategy || null,
+      embedding_model: embeddingModel || null,
+      chunk_count: chunkCount,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'org_id,content_sha256' });
+  if (error) throw error;
+}
+
+export default { hashContent, lookupIngestionCache, copyCachedChunks, saveIngestionCache };
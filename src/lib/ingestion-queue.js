@@ -0,0 +1,355 @@
+import { randomUUID } from 'crypto';
+import { ingestDocument, reembedDocument, IngestError } from '../ingest.js';
+import { calculateExponentialBackoff } from './retry-service.js';
+import { publishIngestEvent } from './ingest-events.js';
+import { flagDocumentForReview } from './review-queue.js';
+import { withUsageTracking } from './ai-usage.js';
+
+// Durable ingestion queue backed by the `ingestion_jobs` table
+// (see scripts/migrate-ingestion-jobs.sql). Every server instance runs a worker
+// loop that claims queued jobs, so a restart or crash only delays ingestion.
+
+const WORKER_ID = `${process.env.DYNO || 'local'}:${process.pid}:${randomUUID().slice(0, 8)}`;
+const POLL_INTERVAL_MS = Number(process.env.INGEST_POLL_INTERVAL_MS || 5000);
+const CONCURRENCY = Math.max(1, Number(process.env.INGEST_CONCURRENCY || 2));
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.INGEST_MAX_ATTEMPTS || 5));
+// A processing job whose heartbeat is older than this is assumed orphaned by a dead worker.
+// Running jobs refresh their lock every HEARTBEAT_INTERVAL_MS, and every worker looks for
+// orphaned jobs every RECOVER_INTERVAL_MS, so a restart mid-ingest only delays the job.
+const STALE_LOCK_MS = Number(process.env.INGEST_STALE_LOCK_MS || 5 * 60 * 1000);
+const HEARTBEAT_INTERVAL_MS = Math.min(60 * 1000, Math.floor(STALE_LOCK_MS / 3));
+const RECOVER_INTERVAL_MS = 60 * 1000;
+const BACKOFF = { baseDelay: 30 * 1000, maxDelay: 30 * 60 * 1000, factor: 2, jitter: false };
+
+const ACTIVE_STATUSES = ['queued', 'processing'];
+
+let appRef = null;
+let workerEnabled = false;
+let pollTimer = null;
+let polling = false;
+let running = 0;
+let lastRecoverAt = 0;
+
+function ensureApp() {
+  if (!appRef) throw new Error('Ingestion queue not initialized');
+}
+
+function toJobView(row) {
+  if (!row) return null;
+  return {
+    jobId: row.id,
+    docId: row.doc_id,
+    status: row.status,
+    mode: row.payload?.mode || 'ingest',
+    stage: row.stage || null,
+    attempts: row.attempts || 0,
+    maxAttempts: row.max_attempts || MAX_ATTEMPTS,
+    lastError: row.last_error || null,
+    chunks: typeof row.chunk_count === 'number' ? row.chunk_count : null,
+    // Another run is queued to start when this one ends
+    followUp: Boolean(row.follow_up),
+    nextRunAt: row.status === 'queued' ? row.run_after : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at || null,
+  };
+}
+
+async function updateJob(jobId, fields) {
+  const { error } = await appRef.supabaseAdmin
+    .from('ingestion_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', jobId);
+  if (error) throw error;
+}
+
+// Update a running job only while this worker still holds it, so a job another worker took
+// over (after this one missed its heartbeats) is not overwritten. False when it does not.
+async function updateOwnedJob(jobId, fields) {
+  const { data, error } = await appRef.supabaseAdmin
+    .from('ingestion_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .eq('status', 'processing')
+    .eq('locked_by', WORKER_ID)
+    .select('id');
+  if (error) throw error;
+  return Boolean(data?.length);
+}
+
+// Requeue jobs left in `processing` by a worker that stopped heartbeating
+async function recoverStaleJobs() {
+  lastRecoverAt = Date.now();
+  const cutoff = new Date(Date.now() - STALE_LOCK_MS).toISOString();
+  const { data, error } = await appRef.supabaseAdmin
+    .from('ingestion_jobs')
+    .update({ status: 'queued', locked_by: null, locked_at: null, run_after: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('status', 'processing')
+    .lt('locked_at', cutoff)
+    .select('id');
+  if (error) throw error;
+  if (data?.length) appRef.log?.warn?.({ count: data.length }, 'Requeued stale ingestion jobs');
+}
+
+// Claim a queued job with a conditional update so only one worker wins it
+async function claimJob(row) {
+  const now = new Date().toISOString();
+  const { data, error } = await appRef.supabaseAdmin
+    .from('ingestion_jobs')
+    .update({ status: 'processing', locked_by: WORKER_ID, locked_at: now, attempts: (row.attempts || 0) + 1, updated_at: now })
+    .eq('id', row.id)
+    .eq('status', 'queued')
+    .select('*');
+  if (error) throw error;
+  return Array.isArray(data) && data.length > 0 ? data[0] : null;
+}
+
+// Queue what enqueueIngestionJob deferred while the job was processing. A job requeued for a
+// retry takes the newer inputs itself; otherwise the follow-up becomes a job of its own.
+async function startFollowUp(job) {
+  // The job is no longer processing, so enqueueIngestionJob can't set follow_up meanwhile
+  const { data: row, error } = await appRef.supabaseAdmin
+    .from('ingestion_jobs')
+    .select('status, follow_up')
+    .eq('id', job.id)
+    .maybeSingle();
+  if (error) throw error;
+  const next = row?.follow_up;
+  if (!next) return;
+  if (row.status === 'queued') {
+    await updateJob(job.id, {
+      storage_key: next.storageKey,
+      mime_type: next.mimeType || null,
+      payload: { geminiFile: next.geminiFile || null, mode: next.mode || 'ingest', force: next.force === true },
+      follow_up: null,
+      run_after: new Date().toISOString(),
+    });
+    return;
+  }
+  await updateJob(job.id, { follow_up: null });
+  await enqueueIngestionJob({ orgId: job.org_id, docId: job.doc_id, ...next });
+}
+
+async function runJob(job) {
+  const log = appRef.log || console;
+  const payload = job.payload || {};
+  const publish = (fields) => publishIngestEvent({ jobId: job.id, orgId: job.org_id, docId: job.doc_id, attempts: job.attempts, ...fields });
+  // 'reembed' jobs only refresh embeddings of existing chunks (e.g. after a provider change)
+  const run = payload.mode === 'reembed' ? reembedDocument : ingestDocument;
+  // Set when another worker took the job over: nothing more is written for this run
+  let lockLost = false;
+  const keepLock = async (fields = {}) => {
+    if (lockLost) return false;
+    if (!(await updateOwnedJob(job.id, { ...fields, locked_at: new Date().toISOString() }))) {
+      lockLost = true;
+      log.warn({ orgId: job.org_id, docId: job.doc_id, jobId: job.id }, 'ingestion job was taken over by another worker');
+    }
+    return !lockLost;
+  };
+  const heartbeatTimer = setInterval(() => {
+    keepLock().catch((err) => log.warn({ jobId: job.id, err: err?.message }, 'Ingestion job heartbeat failed'));
+  }, HEARTBEAT_INTERVAL_MS);
+  if (heartbeatTimer.unref) heartbeatTimer.unref();
+  try {
+    // Model calls made by the job are charged to the org and document, failed attempts included
+    const usage = { orgId: job.org_id, docId: job.doc_id, operation: payload.mode === 'reembed' ? 'reembed' : 'ingest', log };
+    const result = await withUsageTracking(appRef.supabaseAdmin, usage, () => run(appRef, {
+      orgId: job.org_id,
+      docId: job.doc_id,
+      storageKey: job.storage_key,
+      mimeType: job.mime_type || 'application/octet-stream',
+      // The client-side Gemini handle is deleted after the first attempt, so only reuse it once
+      geminiFile: job.attempts <= 1 ? payload.geminiFile || null : null,
+      force: payload.force === true,
+      onStage: async (stage, info = {}) => {
+        const fields = { stage };
+        if (typeof info.chunks === 'number') fields.chunk_count = info.chunks;
+        if (!(await keepLock(fields))) throw new Error('Ingestion job was taken over by another worker');
+        publish({ status: 'processing', stage, chunks: info.chunks });
+      },
+    }));
+    clearInterval(heartbeatTimer);
+    if (lockLost || !(await updateOwnedJob(job.id, { status: 'succeeded', stage: 'complete', last_error: null, locked_by: null, completed_at: new Date().toISOString() }))) {
+      log.warn({ orgId: job.org_id, docId: job.doc_id, jobId: job.id }, 'ingestion job finished after another worker took it over; result not recorded');
+      return;
+    }
+    publish({ status: 'succeeded', stage: 'complete', chunks: typeof result?.chunks === 'number' ? result.chunks : null });
+    log.info({ orgId: job.org_id, docId: job.doc_id, jobId: job.id }, 'ingestion job succeeded');
+  } catch (error) {
+    clearInterval(heartbeatTimer);
+    // The worker that took the job over runs it and records the outcome
+    if (lockLost) return;
+    const message = String(error?.message || error).slice(0, 1000);
+    const retryable = !(error instanceof IngestError) || error.retryable;
+    const attempts = job.attempts || 1;
+    const maxAttempts = job.max_attempts || MAX_ATTEMPTS;
+    const fields = { last_error: message, locked_by: null };
+    if (error instanceof IngestError && error.stage) fields.stage = error.stage;
+    if (retryable && attempts < maxAttempts) {
+      const delay = calculateExponentialBackoff(attempts - 1, BACKOFF);
+      fields.status = 'queued';
+      fields.run_after = new Date(Date.now() + delay).toISOString();
+      // e.g. chunks were written but some embeddings failed: only embed the rest next time
+      if (error instanceof IngestError && error.resumeMode) fields.payload = { ...payload, mode: error.resumeMode };
+      log.warn({ orgId: job.org_id, docId: job.doc_id, jobId: job.id, attempts, delay, error: message }, 'ingestion job failed, will retry');
+    } else {
+      fields.status = 'failed';
+      fields.completed_at = new Date().toISOString();
+      log.error({ orgId: job.org_id, docId: job.doc_id, jobId: job.id, attempts, error: message }, 'ingestion job failed permanently');
+      try { await appRef.supabaseAdmin.from('audit_events').insert({ org_id: job.org_id, type: 'ingest.error', doc_id: job.doc_id, note: `ingestion gave up after ${attempts} attempts` }); } catch {}
+      await flagDocumentForReview(appRef.supabaseAdmin, {
+        orgId: job.org_id,
+        docId: job.doc_id,
+        reason: 'extraction_failed',
+        note: `${fields.stage || job.stage || 'ingest'}: ${message}`.slice(0, 500),
+      }).catch((err) => log.warn({ docId: job.doc_id, err: err?.message }, 'Failed to flag document for review'));
+    }
+    const recorded = await updateOwnedJob(job.id, fields).catch((err) => {
+      log.error(err, 'Failed to record ingestion job failure');
+      return true;
+    });
+    if (!recorded) return;
+    publish({ status: fields.status, stage: fields.stage || job.stage, lastError: message, nextRunAt: fields.run_after || null });
+  } finally {
+    clearInterval(heartbeatTimer);
+  }
+  await startFollowUp(job).catch((err) => log.error({ docId: job.doc_id, jobId: job.id, err: err?.message }, 'Failed to queue follow-up ingestion job'));
+}
+
+async function poll() {
+  if (polling || !appRef) return;
+  polling = true;
+  try {
+    if (Date.now() - lastRecoverAt >= RECOVER_INTERVAL_MS) await recoverStaleJobs();
+    const free = CONCURRENCY - running;
+    if (free <= 0) return;
+    const { data: rows, error } = await appRef.supabaseAdmin
+      .from('ingestion_jobs')
+      .select('*')
+      .eq('status', 'queued')
+      .lte('run_after', new Date().toISOString())
+      .order('run_after', { ascending: true })
+      .limit(free);
+    if (error) throw error;
+    for (const row of rows || []) {
+      const job = await claimJob(row);
+      if (!job) continue;
+      running++;
+      runJob(job).finally(() => {
+        running--;
+        schedulePoll(0);
+      });
+    }
+  } catch (error) {
+    appRef?.log?.error?.(error, 'Ingestion queue poll failed');
+  } finally {
+    polling = false;
+  }
+}
+
+function schedulePoll(delay = POLL_INTERVAL_MS) {
+  if (!appRef || !workerEnabled) return;
+  if (delay === 0) {
+    setImmediate(poll);
+    return;
+  }
+  if (pollTimer) return;
+  pollTimer = setInterval(poll, delay);
+  if (pollTimer.unref) pollTimer.unref();
+}
+
+function initIngestionQueue(app) {
+  if (appRef) return; // already initialized
+  appRef = app;
+  if ((process.env.INGEST_WORKER_ENABLED || 'true').toLowerCase() === 'false') {
+    app.log?.info?.('Ingestion worker disabled on this instance');
+    return;
+  }
+  workerEnabled = true;
+  // Resume anything a previous process left behind, then start polling
+  recoverStaleJobs()
+    .catch((error) => app.log?.error?.(error, 'Failed to recover stale ingestion jobs'))
+    .finally(() => {
+      schedulePoll();
+      schedulePoll(0);
+    });
+}
+
+async function enqueueIngestionJob({ orgId, docId, storageKey, mimeType, geminiFile = null, mode = 'ingest', force = false }) {
+  ensureApp();
+  // A document only needs one pending job; refresh its inputs instead of queueing a duplicate
+  const { data: existing, error: findErr } = await appRef.supabaseAdmin
+    .from('ingestion_jobs')
+    .select('*')
+    .eq('org_id', orgId)
+    .eq('doc_id', docId)
+    .in('status', ACTIVE_STATUSES)
+    .order('created_at', { ascending: false })
+    .limit(1);
+  if (findErr) throw findErr;
+  const active = existing?.[0];
+  // A pending full ingest re-embeds anyway, so it must not be downgraded to a re-embed
+  if (active && mode === 'reembed' && active.payload?.mode !== 'reembed') return toJobView(active);
+  if (active?.status === 'processing') {
+    // The running job covers the same file; a new file, a forced run or a full ingest after
+    // a re-embed runs once it ends (only one job per document may be active)
+    const changed = storageKey !== active.storage_key || (mimeType || null) !== (active.mime_type || null);
+    if (!changed && !force && (mode === 'reembed' || active.payload?.mode !== 'reembed')) return toJobView(active);
+    const { data, error } = await appRef.supabaseAdmin
+      .from('ingestion_jobs')
+      .update({ follow_up: { storageKey, mimeType: mimeType || null, geminiFile, mode, force }, updated_at: new Date().toISOString() })
+      .eq('id', active.id)
+      .eq('status', 'processing')
+      .select('*');
+    if (error) throw error;
+    // The job ended in the meantime: queue normally
+    if (!data?.length) return enqueueIngestionJob({ orgId, docId, storageKey, mimeType, geminiFile, mode, force });
+    return toJobView(data[0]);
+  }
+  if (active) {
+    const now = new Date().toISOString();
+    const { data, error } = await appRef.supabaseAdmin
+      .from('ingestion_jobs')
+      .update({ storage_key: storageKey, mime_type: mimeType || null, payload: { geminiFile, mode, force: force || active.payload?.force === true }, follow_up: null, run_after: now, updated_at: now })
+      .eq('id', active.id)
+      .select('*')
+      .single();
+    if (error) throw error;
+    schedulePoll(0);
+    return toJobView(data);
+  }
+
+  const { data, error } = await appRef.supabaseAdmin
+    .from('ingestion_jobs')
+    .insert({
+      org_id: orgId,
+      doc_id: docId,
+      storage_key: storageKey,
+      mime_type: mimeType || null,
+      payload: { geminiFile, mode, force },
+      status: 'queued',
+      attempts: 0,
+      max_attempts: MAX_ATTEMPTS,
+      run_after: new Date().toISOString(),
+    })
+    .select('*')
+    .single();
+  if (error) throw error;
+  publishIngestEvent({ jobId: data.id, orgId, docId, status: 'queued', attempts: 0 });
+  schedulePoll(0);
+  return toJobView(data);
+}
+
+async function getLatestIngestionJob(db, orgId, docId) {
+  const { data, error } = await db
+    .from('ingestion_jobs')
+    .select('*')
+    .eq('org_id', orgId)
+    .eq('doc_id', docId)
+    .order('created_at', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return toJobView(data?.[0] || null);
+}
+
+export { initIngestionQueue, enqueueIngestionJob, getLatestIngestionJob, recoverStaleJobs };
@@ -0,0 +1,187 @@
+/**
+ * Language detection and multilingual helpers.
+ *
+ * Languages are detected from the Unicode script of the text's letters; Devanagari text is
+ * told apart as Hindi or Marathi by common function words and suffixes. Ingestion stores
+ * the result on `documents.language` and `doc_chunks.language`
+ * (scripts/migrate-document-language.sql).
+ *
+ * Orgs choose the language summaries are written in (`org_settings.summary_language`),
+ * whether an English translation is kept alongside (`summary_translation`), and the
+ * languages search queries are translated into (`search_languages`).
+ */
+
+import { generateJsonFromGeminiText, hasGeminiClient } from './gemini-files.js';
+import { aiBudgetExceeded } from './ai-usage.js';
+
+export const LANGUAGES = {
+  en: { name: 'English', script: 'Latin' },
+  hi: { name: 'Hindi', script: 'Devanagari' },
+  mr: { name: 'Marathi', script: 'Devanagari' },
+  bn: { name: 'Bengali', script: 'Bengali' },
+  pa: { name: 'Punjabi', script: 'Gurmukhi' },
+  gu: { name: 'Gujarati', script: 'Gujarati' },
+  or: { name: 'Odia', script: 'Oriya' },
+  ta: { name: 'Tamil', script: 'Tamil' },
+  te: { name: 'Telugu', script: 'Telugu' },
+  kn: { name: 'Kannada', script: 'Kannada' },
+  ml: { name: 'Malayalam', script: 'Malayalam' },
+  ur: { name: 'Urdu', script: 'Arabic' },
+};
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+export const DEFAULT_SUMMARY_LANGUAGE = 'en';
+
+const SCRIPTS = Array.from(new Set(Object.values(LANGUAGES).map((l) => l.script)));
+const SCRIPT_PATTERNS = SCRIPTS.map((script) => [script, new RegExp(`\\p{Script=${script}}`, 'u')]);
+const SAMPLE_CHARS = 20000;
+// Scripts with at least this share of the letters are listed in `languages`
+const SECONDARY_SHARE = 0.15;
+
+// Devanagari function words that are common in one language and rare in the other
+const HINDI_WORDS = new Set(['है', 'हैं', 'और', 'नहीं', 'के', 'की', 'में', 'से', 'को', 'था', 'थे', 'गया', 'किया', 'यह', 'लिए', 'पर', 'होगा', 'जाएगा']);
+const MARATHI_WORDS = new Set(['आहे', 'आहेत', 'आणि', 'नाही', 'होते', 'होती', 'मध्ये', 'करण्यात', 'यांनी', 'तसेच', 'असे', 'केले', 'येईल', 'व', 'हे', 'ही', 'या']);
+const MARATHI_SUFFIX = /(च्या|चा|ची|चे|ला|ने|नी)$/;
+
+// Word tokens in any script: letters and digits with their combining marks (Devanagari
+// vowel signs, viramas and the like are marks, so they must not split words)
+const WORD = /[\p{L}\p{N}][\p{L}\p{M}\p{N}]*/gu;
+
+/**
+ * Lowercased word tokens of at least `minLength` code units.
+ */
+export function tokenize(text, { minLength = 3 } = {}) {
+  return (String(text || '').normalize('NFC').toLowerCase().match(WORD) || []).filter((w) => w.length >= minLength);
+}
+
+function devanagariLanguage(text, fallback) {
+  let hindi = 0;
+  let marathi = 0;
+  for (const word of tokenize(text, { minLength: 1 })) {
+    if (HINDI_WORDS.has(word)) hindi++;
+    else if (MARATHI_WORDS.has(word)) marathi++;
+    else if (word.length > 3 && MARATHI_SUFFIX.test(word)) marathi += 0.5;
+  }
+  if (hindi + marathi === 0) return { language: LANGUAGES[fallback]?.script === 'Devanagari' ? fallback : 'hi', certainty: 0.5 };
+  return marathi > hindi
+    ? { language: 'mr', certainty: marathi / (hindi + marathi) }
+    : { language: 'hi', certainty: hindi / (hindi + marathi) };
+}
+
+/**
+ * Detect the main language of a text.
+ * @param {string} text
+ * @param {Object} [options] - { fallback }: language to assume for Devanagari text too short
+ *   to tell Hindi from Marathi, e.g. the document's language for one of its chunks
+ * @returns {{ language: string|null, script: string|null, confidence: number, languages: string[] }}
+ *   `languages` lists every language with a sizeable share of the text (bilingual notices)
+ */
+export function detectLanguage(text, { fallback = null } = {}) {
+  const sample = String(text || '').slice(0, SAMPLE_CHARS);
+  const counts = new Map();
+  let total = 0;
+  for (const ch of sample.match(/\p{L}/gu) || []) {
+    const hit = SCRIPT_PATTERNS.find(([, pattern]) => pattern.test(ch));
+    if (!hit) continue;
+    counts.set(hit[0], (counts.get(hit[0]) || 0) + 1);
+    total++;
+  }
+  if (total === 0) return { language: null, script: null, confidence: 0, languages: [] };
+  const ranked = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+  const toLanguage = (script) => {
+    if (script === 'Devanagari') return devanagariLanguage(sample, fallback);
+    const code = LANGUAGE_CODES.find((c) => LANGUAGES[c].script === script);
+    return { language: code, certainty: 1 };
+  };
+  const [script, count] = ranked[0];
+  const main = toLanguage(script);
+  const languages = ranked
+    .filter(([, n]) => n / total >= SECONDARY_SHARE)
+    .map(([s]) => (s === script ? main.language : toLanguage(s).language));
+  return {
+    language: main.language,
+    script,
+    confidence: Math.round((count / total) * main.certainty * 100) / 100,
+    languages,
+  };
+}
+
+export function languageName(code) {
+  return LANGUAGES[code]?.name || code;
+}
+
+/**
+ * Load an org's language settings. Kept separate from the other org_settings reads so a
+ * database without the columns (migration not yet run) still gets the defaults.
+ * @returns {Promise<{ summaryLanguage: string, summaryTranslation: boolean, searchLanguages: string[] }>}
+ */
+export async function loadOrgLanguageSettings(db, orgId) {
+  const settings = { summaryLanguage: DEFAULT_SUMMARY_LANGUAGE, summaryTranslation: false, searchLanguages: [] };
+  try {
+    const { data, error } = await db
+      .from('org_settings')
+      .select('summary_language, summary_translation, search_languages')
+      .eq('org_id', orgId)
+      .maybeSingle();
+    if (error || !data) return settings;
+    if (LANGUAGES[data.summary_language]) settings.summaryLanguage = data.summary_language;
+    settings.summaryTranslation = data.summary_translation === true;
+    if (Array.isArray(data.search_languages)) settings.searchLanguages = data.search_languages.filter((c) => LANGUAGES[c]);
+  } catch {}
+  return settings;
+}
+
+// Prompt line asking for output in the org's language regardless of the document's
+export function summaryLanguagePrompt(code) {
+  return `The document may be written in any language (for example Hindi, Marathi or English). Write the summary in ${languageName(code)}, keeping names, reference numbers and quoted terms as they appear in the document.`;
+}
+
+/**
+ * Translate a text (e.g. a summary) with Gemini.
+ * @returns {Promise<string>} the translation, or '' when the model returned none
+ */
+export async function translateText(text, target) {
+  const result = await generateJsonFromGeminiText({
+    text,
+    prompt: `Translate the text into ${languageName(target)}. Keep names, reference numbers and dates unchanged. Respond strictly as JSON with key "translation" containing the translated text.`,
+  });
+  return typeof result?.translation === 'string' ? result.translation.trim() : '';
+}
+
+/**
+ * The query plus its translations into the org's search languages, for cross-lingual
+ * retrieval. Falls back to the query alone when Gemini is unavailable or fails, or the org
+ * is over its monthly AI budget.
+ * @returns {Promise<Array<{ language: string|null, q: string, translated: boolean }>>}
+ */
+export async function queryVariants(q, searchLanguages, { log } = {}) {
+  const source = detectLanguage(q).language;
+  const variants = [{ language: source, q, translated: false }];
+  const targets = (searchLanguages || []).filter((c) => LANGUAGES[c] && c !== source);
+  if (!targets.length || !hasGeminiClient() || await aiBudgetExceeded()) return variants;
+  try {
+    const result = await generateJsonFromGeminiText({
+      text: q,
+      prompt: `Translate this search query into each of these languages: ${targets.map((c) => `${languageName(c)} (${c})`).join(', ')}. Keep names, reference numbers and codes unchanged. Respond strictly as JSON in the form {"translations": {"<language code>": "<translated query>"}}.`,
+    });
+    for (const code of targets) {
+      const text = typeof result?.translations?.[code] === 'string' ? result.translations[code].trim() : '';
+      if (text && text !== q) variants.push({ language: code, q: text, translated: true });
+    }
+  } catch (e) {
+    log?.warn?.({ err: e?.message }, 'query translation failed; searching with the original query only');
+  }
+  return variants;
+}
+
+export default {
+  LANGUAGES,
+  LANGUAGE_CODES,
+  DEFAULT_SUMMARY_LANGUAGE,
+  tokenize,
+  detectLanguage,
+  languageName,
+  loadOrgLanguageSettings,
+  summaryLanguagePrompt,
+  translateText,
+  queryVariants,
+};
@@ -1,4 +1,7 @@
-import { generateEmbedding } from '../lib/embeddings.js';
+import { generateEmbedding, filterChunksByEmbeddingModel } from '../lib/embeddings.js';
+import { resolveEmbeddingProvider } from './embedding-providers.js';
+import { searchFullText } from './full-text-search.js';
+import { DEFAULT_SEARCH_TUNING, loadSearchTuning, withTuningOverrides, fuseLegs, selectResults } from './search-fusion.js';
 
 // Default metadata fields configuration
 const DEFAULT_METADATA_FIELDS = [
@@ -94,13 +97,16 @@ export async function generateMetadataEmbeddings(db, orgId, docId, document) {
  */
 async function processMetadataFields(db, orgId, docId, document, config) {
   for (const fieldConfig of config) {
-    const fieldValue = document[fieldConfig.field_name];
+    // Org-defined fields keep their values in the custom_fields column
+    const fieldValue = fieldConfig.is_custom
+      ? document.custom_fields?.[fieldConfig.field_name]
+      : document[fieldConfig.field_name];
     
     if (fieldValue && shouldEmbedField(fieldConfig, fieldValue)) {
       try {
         const textValue = formatFieldValue(fieldValue, fieldConfig.field_type);
         if (textValue && textValue.length >= 3) {
-          const embedding = await generateEmbedding(textValue);
+          const embedding = await generateEmbedding(textValue, { db, orgId });
           
           if (embedding) {
             const { error: upsertError } = await db.from('metadata_embeddings').upsert({
@@ -180,19 +186,30 @@ function formatFieldValue(value, fieldType) {
  * @param {string} orgId - Organization ID
  * @param {string} query - Search query
  * @param {Object} options - Search options
+ * @param {number} [options.limit] - maximum results (default 20)
+ * @param {number} [options.threshold] - minimum similarity for embedding matches
+ * @param {string} [options.fusion] - 'rrf' or 'zscore' (default: the org's setting)
+ * @param {Object} [options.weights] - { metadata, content, keyword } (default: the org's setting)
+ * @param {number} [options.minResults] - results returned even below the quality score (default: the org's setting)
+ * @param {boolean} [options.debug] - add each leg's score and rank to every result
  */
 const HYBRID_CACHE = new Map();
-function hk(orgId, query, options){
-  return `${orgId}::${String(query||'').slice(0,500)}::${options.limit||20}::${options.threshold||0.3}`;
+// A result is "strong" when one leg scored it at least this high
+const QUALITY_SCORE = 0.5;
+// Keyed by the resolved tuning, so a changed org setting is not answered from the cache
+function hk(orgId, query, options, tuning){
+  const t = JSON.stringify([tuning.fusion, tuning.weights, tuning.rrfK, tuning.minResults]);
+  return `${orgId}::${String(query||'').slice(0,500)}::${options.limit||20}::${options.threshold||0.3}::${t}`;
 }
 
 export async function hybridSearch(db, orgId, query, options = {}) {
   try {
-    const key = hk(orgId, query, options);
-    const cached = HYBRID_CACHE.get(key);
+    const tuning = withTuningOverrides(await loadSearchTuning(db, orgId), options);
+    const key = hk(orgId, query, options, tuning);
+    const cached = options.debug ? null : HYBRID_CACHE.get(key);
     if (cached && cached.exp > Date.now()) return cached.data;
     // Generate query embedding
-    const queryEmbedding = await generateEmbedding(query);
+    const queryEmbedding = await generateEmbedding(query, { db, orgId });
     
     // 1. Metadata embedding search with intelligent filtering
     const metadataResults = await searchMetadataEmbeddings(db, orgId, queryEmbedding, options);
@@ -203,27 +220,19 @@ export async function hybridSearch(db, orgId, query, options = {}) {
     // 3. Keyword search for exact matches
     const keywordResults = await searchKeywordMatches(db, orgId, query, options);
     
-    // 4. Combine and rerank with weighted scoring and intelligent filtering
+    // 4. Fuse the three rankings with the org's strategy and weights
     const combinedResults = combineAndRerank(
-      metadataResults, contentResults, keywordResults, orgId, options
+      metadataResults, contentResults, keywordResults, orgId, { ...options, tuning }
     );
     
-    // Final quality check: only return results with high relevance
-    // Use stricter threshold of 0.5 (50%) for quality results
-    const highQualityResults = combinedResults.filter(result => {
-      // At least one source must have >50% similarity for the result to be meaningful
-      return result.max_score >= 0.5;
-    });
-    
-    // If we don't have any results at all, return empty array
-    if (highQualityResults.length === 0) {
+    if (combinedResults.length === 0) {
       console.log('🔍 No relevant results found for query:', query);
       return [];
     }
     
-    console.log(`🔍 Found ${highQualityResults.length} relevant results for query:`, query);
-    HYBRID_CACHE.set(key, { data: highQualityResults, exp: Date.now() + 30_000 });
-    return highQualityResults;
+    console.log(`🔍 Found ${combinedResults.length} relevant results for query:`, query);
+    if (!options.debug) HYBRID_CACHE.set(key, { data: combinedResults, exp: Date.now() + 30_000 });
+    return combinedResults;
   } catch (error) {
     console.error('Hybrid search failed:', error);
     throw error;
@@ -257,12 +266,11 @@ async function searchMetadataEmbeddings(db, orgId, queryEmbedding, options) {
       return [];
     }
     
-    // Filter results to only include highly relevant matches
+    // Weak matches are kept: fusion ranks them below strong ones and they only surface
+    // when the minimum-results guarantee needs them
     const filteredResults = (data || []).filter(result => {
       const similarity = parseFloat(result.similarity) || 0;
-      // Only include results with high similarity (>50%)
-      // This ensures only the most relevant results are returned
-      return similarity >= Math.max(similarityThreshold, 0.5);
+      return similarity >= similarityThreshold;
     });
     
     return filteredResults;
@@ -299,8 +307,12 @@ async function searchContentEmbeddings(db, orgId, queryEmbedding, options) {
       return [];
     }
     
+    // Skip chunks embedded by another model than the query (org switched providers)
+    const provider = await resolveEmbeddingProvider(db, orgId);
+    const sameModel = await filterChunksByEmbeddingModel(db, data, provider.modelId);
+
     // Filter results to only include reasonably relevant matches
-    const filteredResults = (data || []).filter(result => {
+    const filteredResults = sameModel.filter(result => {
       const similarity = parseFloat(result.similarity) || 0;
       // Only include results with meaningful similarity (>40%)
       return similarity >= similarityThreshold;
@@ -314,7 +326,8 @@ async function searchContentEmbeddings(db, orgId, queryEmbedding, options) {
 }
 
 /**
- * Keyword search on document metadata
+ * Keyword search on document metadata and text: full-text search when the
+ * migration has been run, ilike over metadata otherwise
  * @param {Object} db - Supabase client
  * @param {string} orgId - Organization ID
  * @param {string} query - Search query
@@ -322,6 +335,18 @@ async function searchContentEmbeddings(db, orgId, queryEmbedding, options) {
  */
 async function searchKeywordMatches(db, orgId, query, options) {
   try {
+    const hits = await searchFullText(db, orgId, query, { limit: options.limit || 20 });
+    if (hits) {
+      // Ranks are 0..1; any full-text match counts at least as much as the weakest
+      // ilike field match did, so it passes the keyword threshold in combineAndRerank
+      return hits.map((h) => ({
+        doc_id: h.docId,
+        chunk_id: h.chunkId,
+        similarity: 0.5 + h.rank / 2,
+        source: 'keyword'
+      }));
+    }
+
     const raw = String(query || '').trim();
     // Sanitize to avoid breaking PostgREST or() parser (commas/parentheses split filters)
     const safe = raw.replace(/[(),]/g, ' ').replace(/\s+/g, ' ').trim();
@@ -368,72 +393,54 @@ async function searchKeywordMatches(db, orgId, query, options) {
 }
 
 /**
- * Combine and rerank search results from different sources with intelligent filtering
+ * Combine and rerank search results from different sources
  * @param {Array} metadataResults - Metadata embedding search results
  * @param {Array} contentResults - Content embedding search results
  * @param {Array} keywordResults - Keyword search results
  * @param {string} orgId - Organization ID
- * @param {Object} options - Search options
+ * @param {Object} options - Search options, with `tuning` from search-fusion.js
  * @returns {Array} Combined and reranked results
  */
 function combineAndRerank(metadataResults, contentResults, keywordResults, orgId, options = {}) {
-  // Create a map to store unique documents with their scores
-  const docScores = new Map();
+  const sources = new Map(); // doc_id -> matches that found it
+  const legs = { metadata: new Map(), content: new Map(), keyword: new Map() };
+  const add = (leg, result, score, source) => {
+    if (!result.doc_id) return;
+    if (score > (legs[leg].get(result.doc_id) ?? -Infinity)) legs[leg].set(result.doc_id, score);
+    const list = sources.get(result.doc_id) || [];
+    list.push(source);
+    sources.set(result.doc_id, list);
+  };
   
-  // Process metadata results (highest weight since it's semantic)\n  metadataResults.forEach(result => {\n    const baseScore = (result.similarity || 0);\n    const weight = (result.weight || 1.0);\n    const score = baseScore * weight;\n    \n    // Only process results with meaningful similarity\n    if (score >= 0.2) { // Lowered threshold to 20% for better inclusivity\n      const existing = docScores.get(result.doc_id) || { score: 0, sources: [], maxScore: 0 };\n      const newMaxScore = Math.max(existing.maxScore, baseScore);\n      docScores.set(result.doc_id, {\n        ...existing,\n        score: Math.max(existing.score, score),\n        maxScore: newMaxScore,\n        sources: [...existing.sources, { \n          type: 'metadata', \n          field: result.field_type, \n          similarity: result.similarity,\n          weight: weight\n        }]\n      });\n    }\n  });
-  
-  // Process content results
+  // Metadata matches count with their field's configured weight
+  metadataResults.forEach(result => {
+    const similarity = Number(result.similarity) || 0;
+    const weight = result.weight ?? 1.0;
+    add('metadata', result, similarity * weight, { type: 'metadata', field: result.field_type, similarity, weight });
+  });
   contentResults.forEach(result => {
-    const score = result.similarity || 0;
-    
-    // Only process results with meaningful similarity
-    if (score >= 0.2) { // Lowered threshold to 20% for better inclusivity
-      const existing = docScores.get(result.doc_id) || { score: 0, sources: [], maxScore: 0 };
-      const newMaxScore = Math.max(existing.maxScore, score);
-      docScores.set(result.doc_id, {
-        ...existing,
-        score: Math.max(existing.score, score * 0.9), // Slightly lower weight than metadata
-        maxScore: newMaxScore,
-        sources: [...existing.sources, { 
-          type: 'content', 
-          similarity: result.similarity,
-          weight: result.weight || 0.8
-        }]
-      });
-    }
+    const similarity = Number(result.similarity) || 0;
+    add('content', result, similarity, { type: 'content', similarity });
   });
-  
-  // Process keyword results
   keywordResults.forEach(result => {
-    const score = result.similarity || 0.6; // Higher base score for keyword matches
-    
-    // Only process results with reasonable keyword match strength
-    if (score >= 0.5) { // Increased threshold to 50% for keywords
-      const existing = docScores.get(result.doc_id) || { score: 0, sources: [], maxScore: 0 };
-      const newMaxScore = Math.max(existing.maxScore, score);
-      docScores.set(result.doc_id, {
-        ...existing,
-        score: Math.max(existing.score, score * 0.7), // Lower weight than metadata/content
-        maxScore: newMaxScore,
-        sources: [...existing.sources, { type: 'keyword', similarity: result.similarity }]
-      });
-    }
+    const similarity = Number(result.similarity) || 0;
+    add('keyword', result, similarity, { type: 'keyword', similarity });
   });
   
-  // Convert to array and apply final filtering
-  let combined = Array.from(docScores.entries())
-    .map(([docId, data]) => ({
-      doc_id: docId,
-      score: data.score,
-      max_score: data.maxScore, // Highest individual source score
-      sources: data.sources
-    }))
-    // Filter to only include documents with meaningful relevance
-    .filter(item => item.max_score >= 0.2) // Lowered threshold to 20% for better inclusivity
-    // Sort by composite score descending
-    .sort((a, b) => b.score - a.score)
-    // Limit results to prevent overwhelming and maintain quality
-    .slice(0, Math.min(options.limit || 20, 20)); // Increased limit to 20 for better coverage
+  const tuning = options.tuning || DEFAULT_SEARCH_TUNING;
+  const fused = fuseLegs(legs, tuning);
+  // Rather than a hard cutoff, weak matches fill up to minResults
+  const selected = selectResults(fused, {
+    minScore: QUALITY_SCORE,
+    minResults: tuning.minResults,
+    limit: options.limit || 20,
+  });
   
-  return combined;
+  return selected.map((item) => ({
+    doc_id: item.docId,
+    score: item.score,
+    max_score: item.maxScore, // Highest individual source score
+    sources: sources.get(item.docId) || [],
+    ...(options.debug ? { debug: { fusion: tuning.fusion, strong: item.maxScore >= QUALITY_SCORE, legs: item.legs } } : {}),
+  }));
 }
@@ -0,0 +1,207 @@
+import { PDFDocument, PDFDict, PDFName, PDFArray, PDFRawStream } from 'pdf-lib';
+import { isPdf } from './pdf-ranges.js';
+
+/**
+ * Per-page previews generated at ingestion, so a citation's page can be shown without
+ * downloading the whole original.
+ *
+ * Files live in the `previews` bucket under `<orgId>/<docId>/page-<n>.<ext>` and are listed
+ * in `document_page_previews` (scripts/migrate-page-previews.sql):
+ * - a scanned PDF page (one JPEG covering the page) is previewed by that JPEG, copied out of
+ *   the PDF without re-encoding;
+ * - any other PDF page becomes a one-page PDF (`kind: 'pdf'`), not an image: there is no PDF
+ *   rasterizer on the server, so clients render these pages themselves (e.g. with pdf.js);
+ * - an image document is its own page 1 preview (the row points at the original in the
+ *   `documents` bucket).
+ * Pages whose preview would be over PREVIEW_MAX_PAGE_MB get no preview. Previews are built
+ * and uploaded one page at a time, so only a few pages' bytes are in memory at once.
+ */
+
+export const PREVIEWS_BUCKET = 'previews';
+const MB = 1024 * 1024;
+const MAX_PAGES = Math.max(1, Number(process.env.PREVIEW_MAX_PAGES || 500));
+const MAX_PAGE_BYTES = Number(process.env.PREVIEW_MAX_PAGE_MB || 10) * MB;
+const UPLOAD_CONCURRENCY = 4;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+function isImage(mimeType, filename = '') {
+  return IMAGE_TYPES.includes(mimeType) || /\.(jpe?g|png|webp|gif)$/i.test(String(filename));
+}
+
+function previewFolder(orgId, docId) {
+  return `${orgId}/${docId}`;
+}
+
+// The JPEG behind a scanned page: the page's only image XObject, DCT-encoded, with the
+// page's aspect ratio (either orientation). Returns null for anything else.
+function scannedPageImage(page) {
+  const resources = page.node.Resources();
+  const xobjects = resources?.lookupMaybe(PDFName.of('XObject'), PDFDict);
+  if (!xobjects) return null;
+  const entries = xobjects.entries();
+  if (entries.length !== 1) return null;
+  const stream = page.doc.context.lookup(entries[0][1]);
+  if (!(stream instanceof PDFRawStream)) return null;
+  const dict = stream.dict;
+  if (dict.lookup(PDFName.of('Subtype')) !== PDFName.of('Image')) return null;
+  const filter = dict.lookup(PDFName.of('Filter'));
+  const filters = filter instanceof PDFArray ? filter.asArray() : [filter];
+  if (filters.length !== 1 || filters[0] !== PDFName.of('DCTDecode')) return null;
+  const width = Number(dict.lookup(PDFName.of('Width'))?.asNumber?.());
+  const height = Number(dict.lookup(PDFName.of('Height'))?.asNumber?.());
+  const { width: pw, height: ph } = page.getSize();
+  if (!width || !height || !pw || !ph) return null;
+  const ratio = width / height;
+  const close = (r) => Math.abs(ratio - r) / r < 0.1;
+  if (!close(pw / ph) && !close(ph / pw)) return null;
+  return { bytes: Buffer.from(stream.contents), width, height };
+}
+
+async function singlePagePdf(src, index) {
+  const out = await PDFDocument.create();
+  const [page] = await out.copyPages(src, [index]);
+  out.addPage(page);
+  return Buffer.from(await out.save());
+}
+
+async function* pdfPagePreviews(src, pageCount) {
+  for (let i = 0; i < Math.min(pageCount, MAX_PAGES); i++) {
+    let preview = null;
+    try {
+      const scan = scannedPageImage(src.getPage(i));
+      preview = scan
+        ? { page: i + 1, kind: 'image', contentType: 'image/jpeg', ...scan }
+        : { page: i + 1, kind: 'pdf', contentType: 'application/pdf', bytes: await singlePagePdf(src, i) };
+    } catch {
+      continue; // a malformed page gets no preview; the rest still do
+    }
+    if (preview.bytes.length <= MAX_PAGE_BYTES) yield preview;
+  }
+}
+
+/**
+ * Page previews for a document's bytes. Pages are built as `pages` is iterated, so callers
+ * should store each one before taking the next (storePagePreviews does).
+ * @returns {Promise<{ pageCount: number|null, pages: AsyncIterable<{ page, kind, contentType, bytes?, width?, height? }> }>}
+ *   `pageCount` is 0 or null when there is nothing to preview. An image document yields one
+ *   page without bytes: the original is the preview.
+ */
+export async function buildPagePreviews(buffer, { mimeType, filename } = {}) {
+  if (isImage(mimeType, filename)) {
+    const original = { page: 1, kind: 'image', contentType: mimeType || 'image/jpeg', original: true };
+    return { pageCount: 1, pages: (async function* () { yield original; })() };
+  }
+  if (!isPdf(mimeType, filename)) return { pageCount: null, pages: (async function* () {})() };
+  const src = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  const pageCount = src.getPageCount();
+  return { pageCount, pages: pdfPagePreviews(src, pageCount) };
+}
+
+/**
+ * Whether the document already has previews for these exact bytes.
+ */
+export async function hasCurrentPreviews(db, { docId, contentSha256 }) {
+  const { data, error } = await db
+    .from('document_page_previews')
+    .select('id')
+    .eq('doc_id', docId)
+    .eq('content_sha256', contentSha256)
+    .limit(1);
+  if (error) throw error;
+  return Array.isArray(data) && data.length > 0;
+}
+
+/**
+ * Delete a document's preview files (rows go with the document or are replaced on the
+ * next build).
+ */
+export async function removePagePreviews(db, { orgId, docId }) {
+  const folder = previewFolder(orgId, docId);
+  const { data, error } = await db.storage.from(PREVIEWS_BUCKET).list(folder, { limit: 1000 });
+  if (error) throw error;
+  const keys = (data || []).map((f) => `${folder}/${f.name}`);
+  if (keys.length) await db.storage.from(PREVIEWS_BUCKET).remove(keys);
+}
+
+/**
+ * Upload previews and replace the document's preview rows.
+ * @returns {Promise<number>} pages with a preview
+ */
+export async function storePagePreviews(db, { orgId, docId, storageKey, contentSha256, previews }) {
+  try {
+    const { data: buckets } = await db.storage.listBuckets();
+    if (!buckets?.some((b) => b.name === PREVIEWS_BUCKET)) {
+      await db.storage.createBucket(PREVIEWS_BUCKET, { public: false });
+    }
+  } catch {}
+  await removePagePreviews(db, { orgId, docId }).catch(() => {});
+  const folder = previewFolder(orgId, docId);
+  const rows = [];
+  // Workers pull pages from the generator as they free up; a page's bytes are dropped once
+  // uploaded
+  const uploadNext = async () => {
+    for (;;) {
+      const { value: p, done } = await previews.pages.next();
+      if (done) return;
+      const row = {
+        org_id: orgId,
+        doc_id: docId,
+        page: p.page,
+        kind: p.kind,
+        content_type: p.contentType,
+        width: p.width ?? null,
+        height: p.height ?? null,
+        content_sha256: contentSha256,
+      };
+      if (p.original) {
+        rows.push({ ...row, bucket: 'documents', storage_key: storageKey, byte_size: null });
+        continue;
+      }
+      const key = `${folder}/page-${p.page}.${p.kind === 'image' ? 'jpg' : 'pdf'}`;
+      const { error } = await db.storage.from(PREVIEWS_BUCKET).upload(key, p.bytes, { contentType: p.contentType, upsert: true });
+      if (error) throw error;
+      rows.push({ ...row, bucket: PREVIEWS_BUCKET, storage_key: key, byte_size: p.bytes.length });
+    }
+  };
+  await Promise.all(Array.from({ length: UPLOAD_CONCURRENCY }, uploadNext));
+  const { error: delErr } = await db.from('document_page_previews').delete().eq('doc_id', docId);
+  if (delErr) throw delErr;
+  if (rows.length) {
+    const { error } = await db.from('document_page_previews').insert(rows.sort((a, b) => a.page - b.page));
+    if (error) throw error;
+  }
+  return rows.length;
+}
+
+/**
+ * Signed URLs for a document's page previews.
+ * @param {Object} opts - { docId, pages (page numbers, or null for all), expiresIn (seconds) }
+ * @returns {Promise<Array<{ page, kind, contentType, width, height, url }>>}
+ */
+export async function signPagePreviews(db, { docId, pages = null, expiresIn = 3600 }) {
+  let query = db
+    .from('document_page_previews')
+    .select('page, kind, content_type, width, height, bucket, storage_key')
+    .eq('doc_id', docId);
+  if (pages) query = query.in('page', pages);
+  const { data, error } = await query.order('page', { ascending: true });
+  if (error) throw error;
+  const rows = data || [];
+  const out = [];
+  for (const bucket of new Set(rows.map((r) => r.bucket))) {
+    const inBucket = rows.filter((r) => r.bucket === bucket);
+    const { data: signed, error: signErr } = await db.storage
+      .from(bucket)
+      .createSignedUrls(inBucket.map((r) => r.storage_key), expiresIn);
+    if (signErr) throw signErr;
+    const byPath = new Map((signed || []).map((s) => [s.path, s.signedUrl]));
+    for (const r of inBucket) {
+      const url = byPath.get(r.storage_key);
+      if (!url) continue;
+      out.push({ page: r.page, kind: r.kind, contentType: r.content_type, width: r.width, height: r.height, url });
+    }
+  }
+  return out.sort((a, b) => a.page - b.page);
+}
+
+export default { PREVIEWS_BUCKET, buildPagePreviews, hasCurrentPreviews, removePagePreviews, storePagePreviews, signPagePreviews };
@@ -0,0 +1,268 @@
+import { PDFDocument } from 'pdf-lib';
+import { uploadBufferToGemini, deleteGeminiFile, generateJsonFromGeminiFile, generateJsonFromGeminiText } from './gemini-files.js';
+
+/**
+ * Page-range processing for PDFs too large to send to Gemini in one piece.
+ *
+ * The PDF is split locally into ranges of at most PDF_RANGE_MAX_PAGES pages (halved
+ * further while a range is over PDF_RANGE_MAX_MB). Each range is uploaded and analysed on
+ * its own, then the results are merged: OCR pages are renumbered to their position in the
+ * whole document, range summaries are summarised again, and per-range metadata is
+ * reconciled (cover-page fields from the first range that has them, category by majority,
+ * keywords and tags by how many ranges mention them).
+ */
+
+const MB = 1024 * 1024;
+export const PDF_SPLIT_THRESHOLD_BYTES = Number(process.env.PDF_SPLIT_THRESHOLD_MB || 40) * MB;
+export const PDF_SPLIT_MAX_BYTES = Number(process.env.PDF_SPLIT_MAX_MB || 500) * MB;
+const RANGE_MAX_PAGES = Math.max(1, Number(process.env.PDF_RANGE_MAX_PAGES || 50));
+const RANGE_MAX_BYTES = Number(process.env.PDF_RANGE_MAX_MB || 20) * MB;
+const RANGE_CONCURRENCY = Math.max(1, Number(process.env.PDF_RANGE_CONCURRENCY || 2));
+
+export function isPdf(mimeType, filename = '') {
+  return mimeType === 'application/pdf' || /\.pdf$/i.test(String(filename));
+}
+
+export function shouldSplitPdf(sizeBytes, mimeType, filename) {
+  return isPdf(mimeType, filename) && sizeBytes > PDF_SPLIT_THRESHOLD_BYTES;
+}
+
+async function loadPdf(buffer) {
+  return PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+}
+
+async function writeRange(src, startPage, endPage) {
+  const out = await PDFDocument.create();
+  const indices = [];
+  for (let p = startPage; p <= endPage; p++) indices.push(p - 1);
+  const pages = await out.copyPages(src, indices);
+  for (const page of pages) out.addPage(page);
+  return Buffer.from(await out.save());
+}
+
+// Build one planned range, halving it while the written file is over the byte cap.
+// A single page over the cap is returned as is.
+async function buildRange(src, startPage, endPage) {
+  const buffer = await writeRange(src, startPage, endPage);
+  if (buffer.length <= RANGE_MAX_BYTES || startPage === endPage) return [{ startPage, endPage, buffer }];
+  const mid = Math.floor((startPage + endPage) / 2);
+  return [...await buildRange(src, startPage, mid), ...await buildRange(src, mid + 1, endPage)];
+}
+
+/**
+ * Split a PDF into page ranges (1-based, inclusive). Ranges are written lazily.
+ * @returns {Promise<{ pageCount: number, ranges: AsyncGenerator<{ startPage, endPage, buffer }> }>}
+ */
+export async function splitPdf(buffer, { maxPages = RANGE_MAX_PAGES } = {}) {
+  const src = await loadPdf(buffer);
+  const pageCount = src.getPageCount();
+  async function* ranges() {
+    for (let start = 1; start <= pageCount; start += maxPages) {
+      yield* await buildRange(src, start, Math.min(pageCount, start + maxPages - 1));
+    }
+  }
+  return { pageCount, ranges: ranges() };
+}
+
+// Page numbers in a range's OCR are relative to the range file; map them back
+function toDocumentPages(ocr, range) {
+  const size = range.endPage - range.startPage + 1;
+  const pages = Array.isArray(ocr?.pages) ? ocr.pages.filter((p) => p && typeof p.text === 'string') : [];
+  if (pages.length) {
+    return pages.map((p, i) => {
+      const rel = Number(p.page);
+      const page = Number.isInteger(rel) && rel >= 1 && rel <= size ? range.startPage + rel - 1 : Math.min(range.endPage, range.startPage + i);
+      return { page, text: p.text };
+    });
+  }
+  const text = typeof ocr?.extractedText === 'string' ? ocr.extractedText : '';
+  return text.trim() ? [{ page: range.startPage, text }] : [];
+}
+
+function firstText(metas, key) {
+  for (const meta of metas) {
+    const value = meta?.[key];
+    if (typeof value === 'string' && value.trim()) return value;
+  }
+  return undefined;
+}
+
+function rankedUnion(lists, limit) {
+  const counts = new Map();
+  for (const list of lists) {
+    const seen = new Set();
+    for (const item of Array.isArray(list) ? list : []) {
+      const value = String(item || '').trim();
+      const key = value.toLowerCase();
+      if (!value || seen.has(key)) continue;
+      seen.add(key);
+      const entry = counts.get(key) || { value, count: 0, order: counts.size };
+      entry.count++;
+      counts.set(key, entry);
+    }
+  }
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.order - b.order)
+    .slice(0, limit)
+    .map((e) => e.value);
+}
+
+/**
+ * Merge metadata extracted from each range (in page order) into one document's metadata.
+ */
+export function reconcileRangeMetadata(metas) {
+  const list = metas.filter(Boolean);
+  const votes = new Map();
+  for (const meta of list) {
+    const category = typeof meta.category === 'string' ? meta.category.trim() : '';
+    if (category) votes.set(category, (votes.get(category) || 0) + 1);
+  }
+  let category;
+  for (const [name, count] of votes) {
+    if (!category || count > votes.get(category)) category = name;
+  }
+  const merged = {
+    title: firstText(list, 'title'),
+    subject: firstText(list, 'subject'),
+    sender: firstText(list, 'sender'),
+    receiver: firstText(list, 'receiver'),
+    documentDate: firstText(list, 'documentDate'),
+    category,
+    keywords: rankedUnion(list.map((m) => m.keywords), 10),
+    tags: rankedUnion(list.map((m) => m.tags), 8),
+    senderOptions: rankedUnion(list.map((m) => m.senderOptions), 10),
+    receiverOptions: rankedUnion(list.map((m) => m.receiverOptions), 10),
+    // Like the cover-page fields: the first range that states a value wins
+    customFields: list.reduce((acc, m) => {
+      for (const [name, value] of Object.entries(m.customFields || {})) {
+        if (acc[name] === undefined && value !== null && value !== '') acc[name] = value;
+      }
+      return acc;
+    }, {}),
+  };
+  // Evidence comes from the first range whose value was kept
+  merged.evidence = {};
+  for (const key of ['title', 'subject', 'sender', 'receiver', 'documentDate', 'category']) {
+    const source = merged[key] !== undefined && list.find((m) => m[key] === merged[key] && m.evidence?.[key]);
+    if (source) merged.evidence[key] = source.evidence[key];
+  }
+  return merged;
+}
+
+async function summarizeSummaries(parts, { prompt, schema }) {
+  const usable = parts.filter((p) => p.summary);
+  if (usable.length === 0) return null;
+  if (usable.length === 1) return { summary: usable[0].summary, keyPointers: usable[0].keyPointers };
+  const text = usable
+    .map((p) => `Pages ${p.startPage}-${p.endPage}:\n${p.summary}${p.keyPointers.length ? `\n- ${p.keyPointers.join('\n- ')}` : ''}`)
+    .join('\n\n');
+  try {
+    const result = await generateJsonFromGeminiText({
+      text,
+      prompt: `The text above holds summaries of consecutive page ranges of one document. Combine them into a single summary of the whole document.\n\n${prompt}`,
+      responseSchema: schema,
+    });
+    if (typeof result?.summary === 'string' && result.summary.trim()) return result;
+  } catch {}
+  // Keep the per-range summaries rather than losing them
+  return {
+    summary: usable.map((p) => `Pages ${p.startPage}-${p.endPage}: ${p.summary}`).join('\n\n'),
+    keyPointers: usable.flatMap((p) => p.keyPointers.slice(0, 2)).slice(0, 8),
+  };
+}
+
+/**
+ * OCR and analyse a PDF range by range with Gemini.
+ *
+ * Prompts are the caller's usual whole-document prompts; `schemas` are optional Gemini
+ * response schemas for them. A range whose OCR fails is reported in `failedRanges` and
+ * skipped; the call throws only when no range could be read.
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} options - { displayName, prompts: { ocr, metadata, summary }, schemas?, log?, onRange? }
+ *   A null `prompts.summary` skips summaries (e.g. over the org's AI budget).
+ * @returns {Promise<{ pageCount, pages, ocrText, metadata, summary, keyPointers, failedRanges }>}
+ */
+export async function analyzePdfInRanges(buffer, { displayName = 'document', prompts, schemas = {}, log = console, onRange } = {}) {
+  const { pageCount, ranges } = await splitPdf(buffer);
+  const results = [];
+  const failedRanges = [];
+  let done = 0;
+
+  async function analyzeRange(range) {
+    const label = `pages ${range.startPage}-${range.endPage} of ${pageCount}`;
+    let file = null;
+    try {
+      file = await uploadBufferToGemini(range.buffer, { mimeType: 'application/pdf', displayName: `${displayName} (${label})` });
+      const ask = (prompt, responseSchema) => generateJsonFromGeminiFile({ fileUri: file.fileUri, mimeType: file.mimeType, prompt, responseSchema });
+      const [ocr, meta, sum] = await Promise.allSettled([
+        ask(`${prompts.ocr}\n\nThis file holds ${label} of a larger document. Number pages from 1 within this file.`, schemas.ocr),
+        ask(`${prompts.metadata}\n\nThis file holds ${label} of a larger document; extract what these pages show.`, schemas.metadata),
+        prompts.summary ? ask(`${prompts.summary}\n\nThis file holds ${label} of a larger document; summarise these pages only.`, schemas.summary) : null,
+      ]);
+      if (ocr.status === 'rejected') throw ocr.reason;
+      results.push({
+        startPage: range.startPage,
+        endPage: range.endPage,
+        pages: toDocumentPages(ocr.value, range),
+        meta: meta.status === 'fulfilled' ? meta.value : null,
+        summary: sum.status === 'fulfilled' && typeof sum.value?.summary === 'string' ? sum.value.summary.trim() : '',
+        keyPointers: sum.status === 'fulfilled' && Array.isArray(sum.value?.keyPointers)
+          ? sum.value.keyPointers.map((p) => (typeof p === 'string' ? p.trim() : '')).filter(Boolean)
+          : [],
+      });
+    } catch (error) {
+      log.warn?.({ startPage: range.startPage, endPage: range.endPage, error: error?.message }, 'PDF range analysis failed');
+      failedRanges.push({ startPage: range.startPage, endPage: range.endPage, error: String(error?.message || error) });
+    } finally {
+      if (file?.fileId) await deleteGeminiFile(file.fileId).catch(() => {});
+      done++;
+      if (typeof onRange === 'function') await onRange({ done, startPage: range.startPage, endPage: range.endPage, pageCount });
+    }
+  }
+
+  // Ranges are pulled from the generator as workers free up, so only a few are in memory.
+  // Once one worker fails (e.g. onRange reports the job was cancelled, or the PDF cannot
+  // be split further) the others stop before taking another range.
+  let aborted = false;
+  const workers = Array.from({ length: RANGE_CONCURRENCY }, async () => {
+    try {
+      while (!aborted) {
+        const { value: range, done: finished } = await ranges.next();
+        if (finished || aborted) return;
+        await analyzeRange(range);
+      }
+    } catch (error) {
+      aborted = true;
+      throw error;
+    }
+  });
+  await Promise.all(workers);
+
+  if (results.length === 0) {
+    throw new Error(`all PDF page ranges failed: ${failedRanges[0]?.error || 'no pages'}`);
+  }
+  results.sort((a, b) => a.startPage - b.startPage);
+  failedRanges.sort((a, b) => a.startPage - b.startPage);
+  const pages = results.flatMap((r) => r.pages);
+  const merged = await summarizeSummaries(results, { prompt: prompts.summary, schema: schemas.summary });
+
+  return {
+    pageCount,
+    pages,
+    ocrText: pages.map((p) => p.text).join('\n\n'),
+    metadata: reconcileRangeMetadata(results.map((r) => r.meta)),
+    summary: merged?.summary || '',
+    keyPointers: Array.isArray(merged?.keyPointers) ? merged.keyPointers : [],
+    failedRanges,
+  };
+}
+
+export default {
+  PDF_SPLIT_THRESHOLD_BYTES,
+  PDF_SPLIT_MAX_BYTES,
+  isPdf,
+  shouldSplitPdf,
+  splitPdf,
+  reconcileRangeMetadata,
+  analyzePdfInRanges,
+};
@@ -70,6 +70,15 @@ export function parseRelativeDateRange(input) {
     const last = new Date(now.getFullYear(), now.getMonth(), 0);
     return { start: toIsoDate(first), end: toIsoDate(last) };
   }
+  if (s === 'this year') {
+    return { start: toIsoDate(new Date(now.getFullYear(), 0, 1)), end: toIsoDate(now) };
+  }
+  if (s === 'last year') {
+    const y = now.getFullYear() - 1;
+    return { start: `${y}-01-01`, end: `${y}-12-31` };
+  }
+  // Try YYYY
+  if (/^\d{4}$/.test(s)) return { start: `${s}-01-01`, end: `${s}-12-31` };
   // Try YYYY-MM-DD
   if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return { start: s, end: s };
   // Try YYYY-MM
@@ -0,0 +1,236 @@
+import crypto from 'crypto';
+import { Readable } from 'stream';
+
+/**
+ * Resumable (tus-style) uploads.
+ *
+ * A session is created with the file's total size, then the client PATCHes byte ranges
+ * in order, each starting at the session's current offset. Every accepted range is
+ * stored as a part object in the private `uploads` bucket and listed on the session
+ * row (`upload_sessions`, see scripts/migrate-upload-sessions.sql). After a dropped
+ * connection the client asks for the offset (HEAD) and continues from there. Completing
+ * the session streams the parts, in order, into the `documents` bucket and deletes them.
+ */
+
+export const UPLOAD_BUCKET = 'uploads';
+export const CHUNK_BYTES = Number(process.env.RESUMABLE_UPLOAD_CHUNK_BYTES || 8 * 1024 * 1024);
+export const MAX_UPLOAD_BYTES = Number(process.env.RESUMABLE_UPLOAD_MAX_BYTES || 2 * 1024 * 1024 * 1024);
+const SESSION_TTL_MS = Number(process.env.RESUMABLE_UPLOAD_TTL_HOURS || 24) * 60 * 60 * 1000;
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+async function ensureUploadBucket(db) {
+  try {
+    const { data: buckets } = await db.storage.listBuckets();
+    if (!buckets?.some((b) => b.name === UPLOAD_BUCKET)) {
+      await db.storage.createBucket(UPLOAD_BUCKET, { public: false });
+    }
+  } catch {}
+}
+
+export function toUploadView(session) {
+  return {
+    uploadId: session.id,
+    filename: session.filename,
+    mimeType: session.mime_type || null,
+    size: session.total_bytes,
+    offset: session.received_bytes,
+    chunkSize: CHUNK_BYTES,
+    status: session.status,
+    storageKey: session.storage_key || null,
+    expiresAt: session.expires_at,
+  };
+}
+
+/**
+ * @param {Object} db - Supabase client (service role)
+ * @param {Object} params - { orgId, userId, filename, mimeType, size, contentHash }
+ */
+export async function createUploadSession(db, { orgId, userId, filename, mimeType, size, contentHash }) {
+  if (size > MAX_UPLOAD_BYTES) throw httpError(`File exceeds the ${MAX_UPLOAD_BYTES} byte upload limit`, 413);
+  await ensureUploadBucket(db);
+  const { data, error } = await db
+    .from('upload_sessions')
+    .insert({
+      org_id: orgId,
+      user_id: userId,
+      filename,
+      mime_type: mimeType || null,
+      content_hash: contentHash || null,
+      total_bytes: size,
+      received_bytes: 0,
+      parts: [],
+      status: 'uploading',
+      expires_at: new Date(Date.now() + SESSION_TTL_MS).toISOString(),
+    })
+    .select('*')
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Load a session owned by the caller. Sessions are private to the user who created them.
+ */
+export async function getUploadSession(db, { orgId, userId, uploadId }) {
+  const { data, error } = await db
+    .from('upload_sessions')
+    .select('*')
+    .eq('org_id', orgId)
+    .eq('id', uploadId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw httpError('Upload not found', 404);
+  if (data.status === 'uploading' && new Date(data.expires_at).getTime() < Date.now()) {
+    throw httpError('Upload expired', 410);
+  }
+  return data;
+}
+
+/**
+ * Store the byte range starting at `offset` and advance the session.
+ * The offset must equal the bytes received so far (409 otherwise, with the server offset
+ * on the error) so retried or duplicated PATCHes never leave gaps or overlaps.
+ * @returns {Promise<Object>} Updated session row
+ */
+export async function appendUploadChunk(db, session, { offset, chunk }) {
+  if (session.status !== 'uploading') throw httpError(`Upload is ${session.status}`, 409);
+  if (offset !== session.received_bytes) {
+    const err = httpError(`Offset mismatch: expected ${session.received_bytes}`, 409);
+    err.offset = session.received_bytes;
+    throw err;
+  }
+  if (!chunk?.length) return session;
+  if (offset + chunk.length > session.total_bytes) throw httpError('Chunk exceeds the declared upload length', 413);
+
+  // Part keys are unique per attempt: a concurrent PATCH for the same offset cannot
+  // overwrite the part that wins the offset update below
+  const key = `${session.org_id}/${session.id}/${String(offset).padStart(13, '0')}-${crypto.randomUUID()}`;
+  const { error: upErr } = await db.storage.from(UPLOAD_BUCKET).upload(key, chunk, { contentType: 'application/octet-stream', upsert: false });
+  if (upErr) throw upErr;
+
+  const now = new Date().toISOString();
+  const { data, error } = await db
+    .from('upload_sessions')
+    .update({
+      received_bytes: offset + chunk.length,
+      parts: [...(session.parts || []), { key, offset, size: chunk.length }],
+      updated_at: now,
+      expires_at: new Date(Date.now() + SESSION_TTL_MS).toISOString(),
+    })
+    .eq('id', session.id)
+    .eq('received_bytes', offset)
+    .select('*');
+  if (error) throw error;
+  if (!data?.length) {
+    await db.storage.from(UPLOAD_BUCKET).remove([key]).catch(() => {});
+    throw httpError('Offset changed by a concurrent request', 409);
+  }
+  return data[0];
+}
+
+/**
+ * Stream the parts into the documents bucket at `storageKey`.
+ * @returns {Promise<{ storageKey: string, size: number, sha256: string }>}
+ */
+export async function completeUploadSession(db, session, { storageKey }) {
+  if (session.status === 'complete') {
+    return { storageKey: session.storage_key, size: session.total_bytes, sha256: session.sha256 || null };
+  }
+  if (session.status !== 'uploading') throw httpError(`Upload is ${session.status}`, 409);
+  if (session.received_bytes !== session.total_bytes) {
+    const err = httpError(`Upload incomplete: ${session.received_bytes} of ${session.total_bytes} bytes received`, 409);
+    err.offset = session.received_bytes;
+    throw err;
+  }
+
+  const parts = [...(session.parts || [])].sort((a, b) => a.offset - b.offset);
+  const hash = crypto.createHash('sha256');
+  let written = 0;
+  async function* readParts() {
+    for (const part of parts) {
+      const { data, error } = await db.storage.from(UPLOAD_BUCKET).download(part.key);
+      if (error || !data) throw new Error(`missing upload part at offset ${part.offset}`);
+      const buf = Buffer.from(await data.arrayBuffer());
+      hash.update(buf);
+      written += buf.length;
+      yield buf;
+    }
+  }
+  const { error: upErr } = await db.storage
+    .from('documents')
+    .upload(storageKey, Readable.from(readParts()), {
+      contentType: session.mime_type || 'application/octet-stream',
+      upsert: false,
+      cacheControl: '3600',
+      duplex: 'half',
+    });
+  if (upErr) throw upErr;
+  if (written !== session.total_bytes) {
+    await db.storage.from('documents').remove([storageKey]).catch(() => {});
+    throw httpError(`Assembled ${written} bytes, expected ${session.total_bytes}`, 409);
+  }
+  const sha256 = hash.digest('hex');
+
+  const { error } = await db
+    .from('upload_sessions')
+    .update({ status: 'complete', storage_key: storageKey, sha256, updated_at: new Date().toISOString() })
+    .eq('id', session.id);
+  if (error) throw error;
+  await removeParts(db, parts);
+  return { storageKey, size: written, sha256 };
+}
+
+export async function abortUploadSession(db, session) {
+  if (session.status === 'uploading') {
+    const { error } = await db
+      .from('upload_sessions')
+      .update({ status: 'aborted', updated_at: new Date().toISOString() })
+      .eq('id', session.id);
+    if (error) throw error;
+  }
+  await removeParts(db, session.parts || []);
+}
+
+/**
+ * Abort sessions past their expiry and delete their parts. Best-effort; called when
+ * new sessions are created.
+ */
+export async function purgeExpiredUploadSessions(db, { limit = 20 } = {}) {
+  const { data, error } = await db
+    .from('upload_sessions')
+    .select('id, status, parts')
+    .eq('status', 'uploading')
+    .lt('expires_at', new Date().toISOString())
+    .limit(limit);
+  if (error) return 0;
+  for (const session of data || []) {
+    try { await abortUploadSession(db, session); } catch {}
+  }
+  return data?.length || 0;
+}
+
+async function removeParts(db, parts) {
+  const keys = parts.map((p) => p.key);
+  for (let i = 0; i < keys.length; i += 100) {
+    await db.storage.from(UPLOAD_BUCKET).remove(keys.slice(i, i + 100)).catch(() => {});
+  }
+}
+
+export default {
+  UPLOAD_BUCKET,
+  CHUNK_BYTES,
+  MAX_UPLOAD_BYTES,
+  toUploadView,
+  createUploadSession,
+  getUploadSession,
+  appendUploadChunk,
+  completeUploadSession,
+  abortUploadSession,
+  purgeExpiredUploadSessions,
+};
@@ -0,0 +1,205 @@
+/**
+ * Human review queue for extractions that need a second look.
+ *
+ * Ingestion flags a document in `document_reviews` (scripts/migrate-review-queue.sql) when
+ * its extraction failed or was incomplete, its category fell back to the default, or an
+ * AI-filled field is below REVIEW_CONFIDENCE_THRESHOLD. At most one item per document is
+ * pending; re-ingesting refreshes its reasons, or resolves it when nothing is left to flag.
+ *
+ * Reviewer corrections are kept in `metadata_corrections` and the most recent ones are
+ * added to the org's metadata prompt as examples.
+ */
+
+export const REVIEW_REASONS = ['extraction_failed', 'category_fallback', 'low_confidence'];
+export const REVIEW_STATUSES = ['pending', 'resolved', 'dismissed'];
+export const REVIEW_CONFIDENCE_THRESHOLD = Number(process.env.REVIEW_CONFIDENCE_THRESHOLD || 0.5);
+// Fields whose confidence is assessed and that reviewers can correct
+export const REVIEWABLE_FIELDS = ['title', 'subject', 'category', 'sender', 'receiver', 'document_date'];
+const DEFAULT_CATEGORY = 'General';
+const CORRECTION_EXAMPLES = Math.max(0, Number(process.env.REVIEW_CORRECTION_EXAMPLES || 8));
+
+/**
+ * Reasons to review a document after ingestion.
+ * @param {Object} opts
+ * @param {Object} opts.provenance - the document's field_provenance after ingestion
+ * @param {string} [opts.category] - the document's category after ingestion
+ * @param {string[]} [opts.problems] - extraction problems (failed page ranges, metadata call failed, ...)
+ * @returns {{ reasons: string[], fields: string[], details: Object }}
+ */
+export function assessExtraction({ provenance = {}, category, problems = [] }) {
+  const reasons = [];
+  const fields = [];
+  if (problems.length) reasons.push('extraction_failed');
+  const categoryEntry = provenance.category;
+  if (categoryEntry?.source === 'ai' && (categoryEntry.confidence === 0 || String(category || '').toLowerCase() === DEFAULT_CATEGORY.toLowerCase())) {
+    reasons.push('category_fallback');
+  }
+  for (const field of REVIEWABLE_FIELDS) {
+    const entry = provenance[field];
+    if (entry?.source === 'ai' && typeof entry.confidence === 'number' && entry.confidence < REVIEW_CONFIDENCE_THRESHOLD) fields.push(field);
+  }
+  if (fields.length) reasons.push('low_confidence');
+  return { reasons, fields, details: problems.length ? { problems } : {} };
+}
+
+async function findPending(db, docId) {
+  const { data, error } = await db
+    .from('document_reviews')
+    .select('*')
+    .eq('doc_id', docId)
+    .eq('status', 'pending')
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Replace the pending review for a document with a fresh assessment, or resolve it when
+ * the assessment found nothing.
+ */
+export async function syncDocumentReview(db, { orgId, docId, departmentId = null, reasons, fields = [], details = {} }) {
+  const now = new Date().toISOString();
+  const existing = await findPending(db, docId);
+  if (!reasons.length) {
+    if (!existing) return null;
+    const { error } = await db
+      .from('document_reviews')
+      .update({ status: 'resolved', resolution: 'reingested', resolved_at: now, updated_at: now })
+      .eq('id', existing.id)
+      .eq('status', 'pending');
+    if (error) throw error;
+    return null;
+  }
+  const fieldsToWrite = { reasons, fields, details, department_id: departmentId, updated_at: now };
+  if (existing) {
+    const { error } = await db.from('document_reviews').update(fieldsToWrite).eq('id', existing.id);
+    if (error) throw error;
+    return existing.id;
+  }
+  const { data, error } = await db
+    .from('document_reviews')
+    .insert({ org_id: orgId, doc_id: docId, status: 'pending', created_at: now, ...fieldsToWrite })
+    .select('id')
+    .single();
+  // Another worker flagged it first: update that item instead
+  if (error?.code === '23505') return syncDocumentReview(db, { orgId, docId, departmentId, reasons, fields, details });
+  if (error) throw error;
+  return data.id;
+}
+
+/**
+ * Add a reason to a document's pending review (creating one if needed), e.g. when its
+ * ingestion job gives up.
+ */
+export async function flagDocumentForReview(db, { orgId, docId, reason, note }) {
+  const existing = await findPending(db, docId);
+  const { data: doc } = await db.from('documents').select('department_id').eq('org_id', orgId).eq('id', docId).maybeSingle();
+  const problems = [...(existing?.details?.problems || []), ...(note ? [note] : [])];
+  return syncDocumentReview(db, {
+    orgId,
+    docId,
+    departmentId: doc?.department_id ?? existing?.department_id ?? null,
+    reasons: Array.from(new Set([...(existing?.reasons || []), reason])),
+    fields: existing?.fields || [],
+    details: { ...(existing?.details || {}), problems },
+  });
+}
+
+/**
+ * Review items for an org, newest first.
+ * @param {Object} opts - { orgId, departmentIds (null = all), status, reason, limit, offset }
+ */
+export async function listReviewItems(db, { orgId, departmentIds = null, status = 'pending', reason, limit = 50, offset = 0 }) {
+  let query = db
+    .from('document_reviews')
+    .select('*', { count: 'exact' })
+    .eq('org_id', orgId)
+    .eq('status', status);
+  if (reason) query = query.contains('reasons', [reason]);
+  if (departmentIds) query = query.in('department_id', departmentIds.length ? departmentIds : ['00000000-0000-0000-0000-000000000000']);
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+  if (error) throw error;
+  return { items: data || [], total: typeof count === 'number' ? count : (data || []).length };
+}
+
+/**
+ * Close a pending review item.
+ * @returns {Promise<boolean>} false when it was no longer pending
+ */
+export async function resolveReviewItem(db, { reviewId, resolution, userId }) {
+  const now = new Date().toISOString();
+  const { data, error } = await db
+    .from('document_reviews')
+    .update({
+      status: resolution === 'dismissed' ? 'dismissed' : 'resolved',
+      resolution,
+      resolved_by: userId,
+      resolved_at: now,
+      updated_at: now,
+    })
+    .eq('id', reviewId)
+    .eq('status', 'pending')
+    .select('id');
+  if (error) throw error;
+  return Array.isArray(data) && data.length > 0;
+}
+
+export async function recordCorrections(db, rows) {
+  if (!rows.length) return;
+  const { error } = await db.from('metadata_corrections').insert(rows);
+  if (error) throw error;
+}
+
+/**
+ * The org's most recent corrections, one per field and corrected value.
+ */
+export async function loadCorrectionExamples(db, orgId, limit = CORRECTION_EXAMPLES) {
+  if (limit <= 0) return [];
+  const { data, error } = await db
+    .from('metadata_corrections')
+    .select('field, previous_value, corrected_value, document_title, snippet')
+    .eq('org_id', orgId)
+    .order('created_at', { ascending: false })
+    .limit(limit * 4);
+  if (error) throw error;
+  const seen = new Set();
+  const out = [];
+  for (const row of data || []) {
+    const key = `${row.field}:${JSON.stringify(row.corrected_value)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(row);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+/**
+ * Prompt text showing past reviewer corrections to the metadata extractor.
+ */
+export function buildCorrectionExamplesPrompt(examples) {
+  if (!examples?.length) return '';
+  const show = (v) => (v === null || v === undefined || v === '' ? '(empty)' : JSON.stringify(v));
+  const lines = examples.map((e) => {
+    const context = [e.document_title && `document "${e.document_title}"`, e.snippet && `text: "${String(e.snippet).slice(0, 160)}"`].filter(Boolean).join('; ');
+    return `- ${e.field}: extracted ${show(e.previous_value)}, corrected to ${show(e.corrected_value)}${context ? ` (${context})` : ''}`;
+  });
+  return `Reviewers in this organization corrected these earlier extractions. Follow the same conventions when similar documents come up:\n${lines.join('\n')}`;
+}
+
+export default {
+  REVIEW_REASONS,
+  REVIEW_STATUSES,
+  REVIEW_CONFIDENCE_THRESHOLD,
+  REVIEWABLE_FIELDS,
+  assessExtraction,
+  syncDocumentReview,
+  flagDocumentForReview,
+  listReviewItems,
+  resolveReviewItem,
+  recordCorrections,
+  loadCorrectionExamples,
+  buildCorrectionExamplesPrompt,
+};
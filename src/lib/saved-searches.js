@@ -0,0 +1,143 @@
+import { z } from 'zod';
+import { SearchFiltersSchema } from './document-search.js';
+
+/**
+ * Saved searches and smart folders (`saved_searches`, scripts/migrate-saved-searches.sql).
+ *
+ * A saved search is a query in the field-qualified syntax (src/lib/search-query.js) plus the
+ * filters POST /orgs/:orgId/search takes. It is private to its owner, or shared with one
+ * department, whose members can then run it. Org admins see and manage every shared search.
+ *
+ * Searches marked showAsFolder are listed by GET /orgs/:orgId/folders as smart folders. A
+ * smart folder has no documents of its own: its contents are the search run for the
+ * reader, through the same access scope as the documents list, so two readers of a shared
+ * folder may see different documents. Folder listings only count its matches, with one
+ * count query per folder (see countDocumentSearch in routes.js).
+ */
+
+// Smart folders listed (and counted) per folders request
+export const MAX_SMART_FOLDERS = 50;
+
+export const SavedSearchFiltersSchema = SearchFiltersSchema.extend({
+  // { <field>: value | { eq|neq|gt|gte|lt|lte|contains: value } }
+  customFields: z.record(z.any()).optional(),
+  documentType: z.string().optional(),
+  language: z.string().optional(),
+});
+
+export const SavedSearchSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  query: z.string().max(500).default(''),
+  filters: SavedSearchFiltersSchema.default({}),
+  // Share with a department; null keeps the search private
+  departmentId: z.string().uuid().nullable().default(null),
+  showAsFolder: z.boolean().default(true),
+});
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function visibleTo(query, { userId, scope }) {
+  if (scope.all) return query.or(`owner_id.eq.${userId},department_id.not.is.null`);
+  if (!scope.departmentIds.length) return query.eq('owner_id', userId);
+  return query.or(`owner_id.eq.${userId},department_id.in.(${scope.departmentIds.join(',')})`);
+}
+
+/**
+ * Saved searches the caller can run: their own and those shared with their departments.
+ * @param {Object} db - service-role client; visibility is applied here
+ * @param {Object} opts.scope - from loadSearchScope
+ */
+export async function listSavedSearches(db, { orgId, userId, scope, foldersOnly = false }) {
+  let query = visibleTo(db.from('saved_searches').select('*').eq('org_id', orgId), { userId, scope });
+  if (foldersOnly) query = query.eq('show_as_folder', true);
+  const { data, error } = await query.order('name', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * One saved search the caller can run; 404 otherwise.
+ */
+export async function loadSavedSearch(db, { orgId, userId, scope, id }) {
+  const { data, error } = await visibleTo(
+    db.from('saved_searches').select('*').eq('org_id', orgId).eq('id', id),
+    { userId, scope },
+  ).maybeSingle();
+  if (error) throw error;
+  if (!data) throw httpError('Saved search not found', 404);
+  return data;
+}
+
+// The owner manages a search; org admins also manage shared ones
+export function canManageSavedSearch(row, { userId, scope }) {
+  return row.owner_id === userId || (scope.all && Boolean(row.department_id));
+}
+
+/**
+ * Sharing with a department needs membership of it (org admins can share with any).
+ */
+export function ensureCanShareWith(departmentId, scope) {
+  if (departmentId && !scope.all && !scope.departmentIds.includes(departmentId)) {
+    throw httpError('You can only share searches with your own departments', 403);
+  }
+}
+
+/**
+ * The search a saved search runs, in the shape of a POST /orgs/:orgId/search body.
+ */
+export function toSearchRequest(row) {
+  const { customFields, documentType, language, ...filters } = row.filters || {};
+  return { q: row.query || '', filters, customFields, documentType, language };
+}
+
+export function toSavedSearchView(row, { userId } = {}) {
+  return {
+    id: row.id,
+    name: row.name,
+    query: row.query || '',
+    filters: row.filters || {},
+    departmentId: row.department_id || null,
+    shared: Boolean(row.department_id),
+    showAsFolder: row.show_as_folder !== false,
+    ownerId: row.owner_id,
+    own: row.owner_id === userId,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * A smart folder entry for GET /orgs/:orgId/folders.
+ * @param {Object} result - the folder's { total, exact } count; a count of null when it failed
+ */
+export function toSmartFolder(row, { total = null, exact = true, departmentName = null } = {}) {
+  return {
+    name: row.name,
+    smart: true,
+    savedSearchId: row.id,
+    query: row.query || '',
+    departmentId: row.department_id || null,
+    departmentName,
+    count: total,
+    // Counted without running the search (free text matched on metadata only); opening the
+    // folder may list a different number
+    countApproximate: total !== null && !exact,
+  };
+}
+
+export default {
+  MAX_SMART_FOLDERS,
+  SavedSearchFiltersSchema,
+  SavedSearchSchema,
+  listSavedSearches,
+  loadSavedSearch,
+  canManageSavedSearch,
+  ensureCanShareWith,
+  toSearchRequest,
+  toSavedSearchView,
+  toSmartFolder,
+};
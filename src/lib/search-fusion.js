@@ -0,0 +1,174 @@
+import { z } from 'zod';
+
+/**
+ * Rank fusion for searches that combine several legs: metadata embeddings, chunk (content)
+ * embeddings and keyword / full-text matches.
+ *
+ * Strategies:
+ *   rrf     reciprocal rank fusion, the sum over legs of weight / (k + rank). Only each leg's
+ *           ordering counts, so legs whose scores are on different scales mix safely
+ *   zscore  weighted sum of each leg's standardized scores; a document missing from a leg
+ *           counts as that leg's lowest-scoring match
+ *
+ * Per-org settings live in org_search_config (scripts/migrate-search-tuning.sql) and are
+ * edited with the org's metadata configuration; orgs without a row use
+ * DEFAULT_SEARCH_TUNING. Callers may override any setting per search.
+ */
+
+export const FUSION_STRATEGIES = ['rrf', 'zscore'];
+export const SEARCH_LEGS = ['metadata', 'content', 'keyword'];
+export const DEFAULT_SEARCH_TUNING = {
+  fusion: 'rrf',
+  weights: { metadata: 1, content: 1, keyword: 1 },
+  rrfK: 60,
+  minResults: 3,
+};
+const TUNING_CACHE_TTL_MS = 60 * 1000;
+
+// Weight per leg; 0 leaves a leg out of the ranking
+export const SearchWeightsSchema = z.object({
+  metadata: z.number().min(0).max(10),
+  content: z.number().min(0).max(10),
+  keyword: z.number().min(0).max(10),
+});
+
+export const SearchTuningSchema = z.object({
+  fusion: z.enum(FUSION_STRATEGIES),
+  weights: SearchWeightsSchema,
+  rrfK: z.number().int().min(1).max(1000),
+  minResults: z.number().int().min(0).max(50),
+});
+
+const tuningCache = new Map(); // orgId -> { tuning, exp }
+
+function normalizeTuning({ fusion, weights: raw = {}, rrfK, minResults } = {}) {
+  const weights = { ...DEFAULT_SEARCH_TUNING.weights };
+  for (const leg of SEARCH_LEGS) {
+    const w = Number(raw?.[leg]);
+    if (Number.isFinite(w) && w >= 0) weights[leg] = w;
+  }
+  return {
+    fusion: FUSION_STRATEGIES.includes(fusion) ? fusion : DEFAULT_SEARCH_TUNING.fusion,
+    weights,
+    rrfK: Number(rrfK) >= 1 ? Number(rrfK) : DEFAULT_SEARCH_TUNING.rrfK,
+    minResults: Number.isInteger(minResults) && minResults >= 0 ? minResults : DEFAULT_SEARCH_TUNING.minResults,
+  };
+}
+
+/**
+ * The org's fusion settings; defaults when it has none (or the table is missing).
+ * @returns {Promise<{ fusion: string, weights: Object<string, number>, rrfK: number, minResults: number }>}
+ */
+export async function loadSearchTuning(db, orgId) {
+  const cached = tuningCache.get(orgId);
+  if (cached && cached.exp > Date.now()) return cached.tuning;
+  let row = null;
+  try {
+    const { data, error } = await db
+      .from('org_search_config')
+      .select('fusion, weights, rrf_k, min_results')
+      .eq('org_id', orgId)
+      .maybeSingle();
+    if (!error) row = data;
+  } catch {}
+  const tuning = normalizeTuning(row ? { fusion: row.fusion, weights: row.weights, rrfK: row.rrf_k, minResults: row.min_results } : {});
+  tuningCache.set(orgId, { tuning, exp: Date.now() + TUNING_CACHE_TTL_MS });
+  return tuning;
+}
+
+export function invalidateSearchTuningCache(orgId) {
+  if (orgId) tuningCache.delete(orgId);
+  else tuningCache.clear();
+}
+
+/**
+ * Settings for one search: the org's, with per-search overrides.
+ * @param {Object} overrides - { fusion?, weights?: partial, rrfK?, minResults? }
+ */
+export function withTuningOverrides(tuning, overrides = {}) {
+  return normalizeTuning({
+    fusion: overrides.fusion ?? tuning.fusion,
+    weights: { ...tuning.weights, ...(overrides.weights || {}) },
+    rrfK: overrides.rrfK ?? tuning.rrfK,
+    minResults: overrides.minResults ?? tuning.minResults,
+  });
+}
+
+function rankLeg(scores) {
+  return Array.from(scores.entries()).sort((a, b) => b[1] - a[1]);
+}
+
+/**
+ * Fuse per-leg scores into one ranking.
+ * @param {Object<string, Map<string, number>>} legs - leg name -> (docId -> best score in that leg)
+ * @param {Object} tuning - from loadSearchTuning / withTuningOverrides
+ * @returns {Array<{ docId: string, score: number, maxScore: number, legs: Object<string, { score: number, rank: number }> }>}
+ *   best first; `maxScore` is the document's best raw leg score
+ */
+export function fuseLegs(legs, tuning) {
+  const fused = new Map();
+  const entry = (docId) => {
+    let e = fused.get(docId);
+    if (!e) {
+      e = { docId, score: 0, maxScore: 0, legs: {} };
+      fused.set(docId, e);
+    }
+    return e;
+  };
+  const stats = {};
+  for (const [leg, scores] of Object.entries(legs)) {
+    if (!scores?.size) continue;
+    const values = Array.from(scores.values());
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const std = Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length) || 1;
+    stats[leg] = { mean, std, min: Math.min(...values) };
+    rankLeg(scores).forEach(([docId, score], i) => {
+      const e = entry(docId);
+      e.legs[leg] = { score, rank: i + 1 };
+      e.maxScore = Math.max(e.maxScore, score);
+    });
+  }
+  for (const e of fused.values()) {
+    for (const leg of Object.keys(stats)) {
+      const weight = tuning.weights[leg] ?? 1;
+      const hit = e.legs[leg];
+      if (tuning.fusion === 'zscore') {
+        e.score += weight * (((hit?.score ?? stats[leg].min) - stats[leg].mean) / stats[leg].std);
+      } else if (hit) {
+        e.score += weight / (tuning.rrfK + hit.rank);
+      }
+    }
+    e.score = Number(e.score.toFixed(6));
+  }
+  return Array.from(fused.values()).sort((a, b) => b.score - a.score || b.maxScore - a.maxScore);
+}
+
+/**
+ * Results of at least `minScore` in some leg, topped up with the next best-fused results
+ * until there are `minResults`, instead of returning nothing for a weak query.
+ * @param {Array<{ maxScore: number }>} fused - best first
+ */
+export function selectResults(fused, { minScore = 0, minResults = 0, limit = 20 } = {}) {
+  const strong = fused.filter((r) => r.maxScore >= minScore);
+  if (strong.length >= minResults) return strong.slice(0, limit);
+  const keep = new Set(strong);
+  for (const r of fused) {
+    if (keep.size >= minResults) break;
+    keep.add(r);
+  }
+  // In fused order, so a topped-up result can rank above a weaker "strong" one
+  return fused.filter((r) => keep.has(r)).slice(0, limit);
+}
+
+export default {
+  FUSION_STRATEGIES,
+  SEARCH_LEGS,
+  DEFAULT_SEARCH_TUNING,
+  SearchWeightsSchema,
+  SearchTuningSchema,
+  loadSearchTuning,
+  invalidateSearchTuningCache,
+  withTuningOverrides,
+  fuseLegs,
+  selectResults,
+};
@@ -0,0 +1,271 @@
+import { parseRelativeDateRange } from './query-planner.js';
+
+/**
+ * Field-qualified search syntax for the documents list and unified search, e.g.
+ *
+ *   sender:"MPCB" category:Legal date:2024-01..2024-06 tag:renewal -tag:draft
+ *
+ *   field:value          text fields match anywhere in the value, case-insensitively;
+ *                        category matches the whole value; tag and keyword match one entry
+ *   field:"two words"    quoted values may contain spaces
+ *   -field:value         documents without the match (documents lacking the field count)
+ *   a:x OR b:y           either filter; OR joins field filters only
+ *   date:2024-01..2024-06, date:2024.., date:..2024-06-30, date:>=2024-03, date:<2024,
+ *   date:"last month", date:2024      ranges of days, months or years
+ *
+ * Anything else is free text, kept in the same web-search syntax ("phrase", -word, OR)
+ * for the full-text search. Field filters compile to PostgREST filter strings, so they can
+ * be applied to any documents query with applySearchQuery; without full-text search, free
+ * text is matched word by word with plainTextFilter.
+ */
+
+const TEXT = 'text';
+const EXACT = 'exact';
+const ARRAY = 'array';
+const DATE = 'date';
+
+export const SEARCH_QUERY_FIELDS = {
+  title: { column: 'title', kind: TEXT },
+  subject: { column: 'subject', kind: TEXT },
+  sender: { column: 'sender', kind: TEXT, aliases: ['from'] },
+  receiver: { column: 'receiver', kind: TEXT, aliases: ['to'] },
+  filename: { column: 'filename', kind: TEXT, aliases: ['file'] },
+  category: { column: 'category', kind: EXACT },
+  type: { column: 'type', kind: EXACT },
+  doctype: { column: 'document_type', kind: EXACT },
+  tag: { column: 'tags', kind: ARRAY, aliases: ['tags'] },
+  keyword: { column: 'keywords', kind: ARRAY, aliases: ['keywords'] },
+  lang: { column: 'languages', kind: ARRAY, aliases: ['language'] },
+  date: { column: 'document_date', kind: DATE },
+  uploaded: { column: 'uploaded_at', kind: DATE },
+};
+
+const FIELD_BY_NAME = new Map();
+for (const [name, def] of Object.entries(SEARCH_QUERY_FIELDS)) {
+  for (const alias of [name, ...(def.aliases || [])]) FIELD_BY_NAME.set(alias, { name, ...def });
+}
+
+const TOKEN = /(-?)([A-Za-z_]+):("[^"]*"?|\S*)|(-?"[^"]*"?)|(\S+)/g;
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function unquote(value) {
+  return value.startsWith('"') ? value.replace(/^"|"$/g, '') : value;
+}
+
+// Quoted for PostgREST filter strings, so commas, dots and parentheses are literal
+export function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// ILIKE pattern matching `value` literally; `partial` matches it anywhere in the column
+export function likePattern(value, { partial }) {
+  const escaped = value.replace(/[\\%_]/g, (c) => `\\${c}`).replace(/\*/g, '');
+  return partial ? `*${escaped}*` : escaped;
+}
+
+function nextDay(isoDate) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+// Calendar dates only: 2024-13 or 2024-02-30 would otherwise roll over into the next month
+function isRealDate(raw) {
+  const m = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(raw.trim());
+  if (!m) return true;
+  const iso = `${m[1]}-${m[2]}-${m[3] || '01'}`;
+  const d = new Date(`${iso}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === iso;
+}
+
+function dateRange(raw, field) {
+  const range = isRealDate(raw) ? parseRelativeDateRange(raw) : null;
+  if (!range) {
+    throw httpError(`${field}: "${raw}" is not a date, month, year or range`, 400);
+  }
+  return range;
+}
+
+// { from, to } as inclusive ISO days; either may be open
+function parseDateValue(raw, field) {
+  const value = raw.trim();
+  const cmp = /^(>=|<=|>|<)(.+)$/.exec(value);
+  if (cmp) {
+    const range = dateRange(cmp[2], field);
+    if (cmp[1] === '>=') return { from: range.start, to: null };
+    if (cmp[1] === '>') return { from: nextDay(range.end), to: null };
+    if (cmp[1] === '<=') return { from: null, to: range.end };
+    const before = new Date(`${range.start}T00:00:00Z`);
+    before.setUTCDate(before.getUTCDate() - 1);
+    return { from: null, to: before.toISOString().slice(0, 10) };
+  }
+  if (value.includes('..')) {
+    const [start, end] = value.split('..');
+    if (!start.trim() && !end.trim()) throw httpError(`${field}: a range needs a start or an end`, 400);
+    const range = {
+      from: start.trim() ? dateRange(start, field).start : null,
+      to: end.trim() ? dateRange(end, field).end : null,
+    };
+    if (range.from && range.to && range.from > range.to) throw httpError(`${field}: the range ends before it starts`, 400);
+    return range;
+  }
+  const range = dateRange(value, field);
+  return { from: range.start, to: range.end };
+}
+
+function dateConditions(column, { from, to }) {
+  // Timestamps compare against the start of the following day
+  const upper = column === 'uploaded_at' ? ['lt', to && nextDay(to)] : ['lte', to];
+  const conds = [];
+  if (from) conds.push(['gte', from]);
+  if (to) conds.push(upper);
+  return conds;
+}
+
+/**
+ * PostgREST filter string for one clause.
+ */
+export function compileClause({ field, value, negated }) {
+  const { column, kind } = field;
+  if (kind === DATE) {
+    const conds = dateConditions(column, value);
+    if (!negated) return conds.length === 1 ? `${column}.${conds[0][0]}.${conds[0][1]}` : `and(${conds.map(([op, v]) => `${column}.${op}.${v}`).join(',')})`;
+    const inverse = { gte: 'lt', lte: 'gt', lt: 'gte' };
+    return `or(${column}.is.null,${conds.map(([op, v]) => `${column}.${inverse[op]}.${v}`).join(',')})`;
+  }
+  let cond;
+  if (kind === ARRAY) cond = `cs.{${quote(value)}}`;
+  else cond = `ilike.${quote(likePattern(value, { partial: kind === TEXT }))}`;
+  return negated ? `or(${column}.is.null,${column}.not.${cond})` : `${column}.${cond}`;
+}
+
+/**
+ * Split a query into field filters and free text.
+ * @returns {{ text: string, plainText: string, terms: Array<Array<{ text, negated }>>, filters: Array<Array<{ field, value, negated }>> }}
+ *   `text` keeps the free-text operators for full-text search, `plainText` is just its words;
+ *   `terms` (its words and phrases) and `filters` are ANDs of OR-groups
+ */
+export function parseSearchQuery(input) {
+  const textTokens = [];
+  const plainWords = [];
+  const terms = [];
+  const filters = [];
+  let pendingOr = false;
+  let lastWasFilter = false;
+  let joinText = false;
+  for (const m of String(input || '').matchAll(TOKEN)) {
+    const [token, neg, name, rawValue, phrase, word] = m;
+    const field = name ? FIELD_BY_NAME.get(name.toLowerCase()) : null;
+    if (field) {
+      if (!lastWasFilter && textTokens[textTokens.length - 1] === 'OR') {
+        throw httpError('OR can only join two field filters or two words', 400);
+      }
+      const raw = unquote(rawValue).trim();
+      if (!raw) continue;
+      const value = field.kind === DATE ? parseDateValue(raw, field.name) : raw;
+      const clause = { field, value, negated: neg === '-' };
+      if (pendingOr && lastWasFilter) filters[filters.length - 1].push(clause);
+      else if (pendingOr) throw httpError('OR can only join two field filters or two words', 400);
+      else filters.push([clause]);
+      pendingOr = false;
+      lastWasFilter = true;
+      continue;
+    }
+    if (word === 'OR') {
+      if (lastWasFilter) pendingOr = true;
+      else {
+        textTokens.push('OR');
+        joinText = terms.length > 0;
+      }
+      continue;
+    }
+    if (pendingOr) throw httpError('OR can only join two field filters or two words', 400);
+    // Unknown fields ("re:", "10:30") are plain words
+    textTokens.push(token);
+    const negated = token.startsWith('-') && token.length > 1;
+    const text = phrase ? unquote(phrase.replace(/^-/, '')) : token.slice(negated ? 1 : 0);
+    if (!negated) plainWords.push(text);
+    // As in full-text search, OR joins neighbouring words but never a negated one
+    if (text.replace(/\*/g, '').trim()) {
+      const term = { text: text.trim(), negated };
+      const last = terms[terms.length - 1];
+      if (joinText && !negated && !last.some((t) => t.negated)) last.push(term);
+      else terms.push([term]);
+    }
+    joinText = false;
+    lastWasFilter = false;
+  }
+  return {
+    text: textTokens.join(' ').trim(),
+    plainText: plainWords.join(' ').trim(),
+    terms,
+    filters,
+  };
+}
+
+/**
+ * Apply parsed field filters to a PostgREST query on `documents`.
+ */
+export function applySearchQuery(query, parsed) {
+  let q = query;
+  for (const group of parsed?.filters || []) {
+    q = q.or(group.map(compileClause).join(','));
+  }
+  return q;
+}
+
+function textCondition({ text, negated }, columns) {
+  const pattern = quote(likePattern(text, { partial: true }));
+  if (!negated) return columns.map((column) => `${column}.ilike.${pattern}`).join(',');
+  return `and(${columns.map((column) => `or(${column}.is.null,${column}.not.ilike.${pattern})`).join(',')})`;
+}
+
+/**
+ * PostgREST or() filters, all of which must match, for the query's free text: every word or
+ * phrase (or one of the words joined by OR) somewhere in one of `columns`, and no negated
+ * one in any of them. Terms are quoted so commas and parentheses in them are literal.
+ * @returns {string[]} empty when there is no free text
+ */
+export function plainTextFilter(parsed, columns) {
+  return (parsed?.terms || []).map((group) => group.map((term) => textCondition(term, columns)).join(','));
+}
+
+/**
+ * Apply the query's free text to a PostgREST query with plainTextFilter.
+ */
+export function applyPlainTextFilter(query, parsed, columns) {
+  let q = query;
+  for (const filter of plainTextFilter(parsed, columns)) q = q.or(filter);
+  return q;
+}
+
+/**
+ * Parsed filters for API responses, e.g. to show them as removable chips.
+ */
+export function describeSearchQuery(parsed) {
+  return {
+    text: parsed.text,
+    filters: parsed.filters.map((group) => group.map(({ field, value, negated }) => ({
+      field: field.name,
+      negated,
+      ...(field.kind === DATE ? { from: value.from, to: value.to } : { value }),
+    }))),
+  };
+}
+
+export default {
+  SEARCH_QUERY_FIELDS,
+  parseSearchQuery,
+  compileClause,
+  applySearchQuery,
+  plainTextFilter,
+  applyPlainTextFilter,
+  describeSearchQuery,
+  quote,
+  likePattern,
+};
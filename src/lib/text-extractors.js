@@ -0,0 +1,336 @@
+import { inflateRawSync } from 'zlib';
+
+/**
+ * Local text extraction for text-native formats.
+ *
+ * Extractors are registered by MIME type (with file-extension fallbacks, since
+ * browsers often upload as application/octet-stream) and return the same
+ * `{ pages: [{ page, text }] }` shape Gemini OCR produces, so ingestion can chunk
+ * either source identically. Spreadsheet pages carry a `sheet` name; formats without
+ * real pagination (markdown, HTML, docx) return one entry per `section` with
+ * `page: null`. Formats without a registered extractor (PDFs, images) go to Gemini.
+ */
+
+const extractors = new Map(); // mimeType -> extractor
+const extensionIndex = new Map(); // file extension -> extractor
+
+/**
+ * Register an extractor
+ * @param {Object} extractor - { name, mimeTypes: string[], extensions: string[], structure, extract(buffer, ctx) }
+ */
+export function registerExtractor(extractor) {
+  for (const mime of extractor.mimeTypes || []) extractors.set(mime.toLowerCase(), extractor);
+  for (const ext of extractor.extensions || []) extensionIndex.set(ext.toLowerCase(), extractor);
+}
+
+/**
+ * Find the extractor for a file, or null if it must go to Gemini
+ * @param {string} mimeType - Declared MIME type
+ * @param {string} filename - Original filename or storage key
+ */
+export function getExtractor(mimeType, filename) {
+  const mime = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  if (mime && extractors.has(mime)) return extractors.get(mime);
+  const ext = String(filename || '').split('/').pop().split('.').pop()?.toLowerCase();
+  if (ext && extensionIndex.has(ext)) return extensionIndex.get(ext);
+  return null;
+}
+
+/**
+ * Extract text locally when a registered extractor handles the file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { mimeType, filename }
+ * @returns {Object|null} { extractor, structure, pages, text }, or null when no extractor handles the file
+ *   or the file has no text (e.g. a docx of scanned images), so callers fall back to Gemini OCR
+ */
+export async function extractTextLocally(buffer, { mimeType, filename } = {}) {
+  const extractor = getExtractor(mimeType, filename);
+  if (!extractor) return null;
+  const pages = (await extractor.extract(buffer, { mimeType, filename }))
+    .map((p) => ({ ...p, page: typeof p.page === 'number' ? p.page : null, text: String(p.text || '').trim() }))
+    .filter((p) => p.text.length > 0);
+  if (!pages.length) return null;
+  return {
+    extractor: extractor.name,
+    structure: extractor.structure,
+    pages,
+    text: pages.map((p) => p.text).join('\n\n'),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+
+function decodeText(buffer) {
+  let text = Buffer.from(buffer).toString('utf8');
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+  return text.replace(/\r\n?/g, '\n');
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', copy: '©', reg: '®', rupee: '₹' };
+
+function decodeEntities(str) {
+  return String(str || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === '#') {
+      const n = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      // fromCodePoint throws past U+10FFFF; leave such entities as written
+      return Number.isFinite(n) && n <= 0x10ffff ? String.fromCodePoint(n) : m;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
+
+// Split into sections at headings; text before the first heading becomes its own section.
+// `level` (1 = top) lets the chunker rebuild the heading breadcrumb across sections.
+function sectionsFromBlocks(blocks) {
+  const sections = [];
+  let current = { section: null, level: null, lines: [] };
+  for (const block of blocks) {
+    if (block.heading) {
+      if (current.lines.length > 0) sections.push(current);
+      current = { section: block.text, level: block.level || 1, lines: [block.text] };
+    } else if (block.text) {
+      current.lines.push(block.text);
+    }
+  }
+  if (current.lines.length > 0) sections.push(current);
+  return sections.map((s) => ({ page: null, section: s.section, level: s.level, text: s.lines.join('\n') }));
+}
+
+// Minimal ZIP reader (stored + deflate) for OOXML containers; avoids a dependency for docx/xlsx
+function readZipEntries(buffer) {
+  const buf = Buffer.from(buffer);
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a zip archive');
+  const count = buf.readUInt16LE(eocd + 10);
+  let offset = buf.readUInt32LE(eocd + 16);
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(offset) !== 0x02014b50) break;
+    const method = buf.readUInt16LE(offset + 10);
+    const compressedSize = buf.readUInt32LE(offset + 20);
+    const nameLen = buf.readUInt16LE(offset + 28);
+    const extraLen = buf.readUInt16LE(offset + 30);
+    const commentLen = buf.readUInt16LE(offset + 32);
+    const localOffset = buf.readUInt32LE(offset + 42);
+    const name = buf.toString('utf8', offset + 46, offset + 46 + nameLen);
+    entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLen + extraLen + commentLen;
+  }
+  return {
+    read(name) {
+      const e = entries.get(name);
+      if (!e) return null;
+      const lh = e.localOffset;
+      const start = lh + 30 + buf.readUInt16LE(lh + 26) + buf.readUInt16LE(lh + 28);
+      const data = buf.subarray(start, start + e.compressedSize);
+      if (e.method === 0) return data.toString('utf8');
+      if (e.method === 8) return inflateRawSync(data).toString('utf8');
+      throw new Error(`Unsupported zip compression method ${e.method}`);
+    },
+  };
+}
+
+function xmlText(fragment) {
+  return decodeEntities(String(fragment || '').replace(/<[^>]+>/g, ''));
+}
+
+// ---------------------------------------------------------------------------
+// Plain text: form feeds mark page boundaries (common in exported reports)
+
+registerExtractor({
+  name: 'text',
+  structure: 'pages',
+  mimeTypes: ['text/plain'],
+  extensions: ['txt', 'text', 'log'],
+  extract(buffer) {
+    return decodeText(buffer).split('\f').map((text, i) => ({ page: i + 1, text }));
+  },
+});
+
+// ---------------------------------------------------------------------------
+// Markdown: one section per heading
+
+registerExtractor({
+  name: 'markdown',
+  structure: 'sections',
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  extensions: ['md', 'markdown'],
+  extract(buffer) {
+    const blocks = [];
+    let inFence = false;
+    for (const line of decodeText(buffer).split('\n')) {
+      if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+      const m = !inFence && line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+      blocks.push(m ? { heading: true, level: m[1].length, text: m[2] } : { text: line });
+    }
+    return sectionsFromBlocks(blocks);
+  },
+});
+
+// ---------------------------------------------------------------------------
+// CSV / TSV: a single sheet, rows rendered as `a | b | c` so table rows stay intact
+
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = '';
+    } else if (ch === '\n') {
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c.trim() !== ''));
+}
+
+registerExtractor({
+  name: 'csv',
+  structure: 'sheets',
+  mimeTypes: ['text/csv', 'application/csv', 'text/tab-separated-values'],
+  extensions: ['csv', 'tsv'],
+  extract(buffer, { mimeType, filename }) {
+    const isTsv = /tab-separated/.test(String(mimeType || '')) || /\.tsv$/i.test(String(filename || ''));
+    const rows = parseDelimited(decodeText(buffer), isTsv ? '\t' : ',');
+    const sheet = String(filename || 'Sheet1').split('/').pop();
+    return [{ page: 1, sheet, text: rows.map((r) => r.map((c) => c.trim()).join(' | ')).join('\n') }];
+  },
+});
+
+// ---------------------------------------------------------------------------
+// HTML: drop scripts/styles, keep block structure, one section per h1–h3
+
+registerExtractor({
+  name: 'html',
+  structure: 'sections',
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extensions: ['html', 'htm', 'xhtml'],
+  extract(buffer) {
+    let html = decodeText(buffer)
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1>/gi, '');
+    const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+    if (body) html = body[1];
+    const marked = html
+      .replace(/<h([1-3])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, inner) => `\n\u0001${level}${xmlText(inner).replace(/\s+/g, ' ').trim()}\n`)
+      .replace(/<\/(td|th)>/gi, ' | ')
+      .replace(/<(br|hr)\b[^>]*>/gi, '\n')
+      .replace(/<\/?(p|div|section|article|header|footer|li|ul|ol|tr|table|h[4-6]|blockquote|pre)\b[^>]*>/gi, '\n');
+    const blocks = xmlText(marked)
+      .split('\n')
+      .map((line) => line.replace(/[ \t ]+/g, ' ').replace(/\s*\|\s*$/, '').trim())
+      .filter(Boolean)
+      .map((line) => (line[0] === '\u0001' ? { heading: true, level: Number(line[1]), text: line.slice(2) } : { text: line }));
+    return sectionsFromBlocks(blocks);
+  },
+});
+
+// ---------------------------------------------------------------------------
+// DOCX: paragraphs and tables from word/document.xml, sections at Heading/Title styles
+
+// Only run text (<w:t>), tabs and breaks carry content; everything else is formatting
+function docxParagraphText(pXml) {
+  let out = '';
+  for (const m of pXml.matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>/g)) {
+    if (m[1] !== undefined) out += m[1];
+    else out += m[0].startsWith('<w:tab') ? '\t' : '\n';
+  }
+  return decodeEntities(out);
+}
+
+registerExtractor({
+  name: 'docx',
+  structure: 'sections',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['docx'],
+  extract(buffer) {
+    const zip = readZipEntries(buffer);
+    const xml = zip.read('word/document.xml');
+    if (!xml) return [];
+    const body = (xml.match(/<w:body>([\s\S]*)<\/w:body>/) || [null, xml])[1];
+    const blocks = [];
+    const tokens = body.match(/<w:tbl>[\s\S]*?<\/w:tbl>|<w:p[ >][\s\S]*?<\/w:p>|<w:p\/>/g) || [];
+    for (const token of tokens) {
+      if (token.startsWith('<w:tbl>')) {
+        const rows = token.match(/<w:tr[ >][\s\S]*?<\/w:tr>/g) || [];
+        for (const tr of rows) {
+          const cells = (tr.match(/<w:tc>[\s\S]*?<\/w:tc>/g) || []).map((tc) =>
+            (tc.match(/<w:p[ >][\s\S]*?<\/w:p>/g) || []).map(docxParagraphText).join(' ').replace(/\s+/g, ' ').trim()
+          );
+          if (cells.some(Boolean)) blocks.push({ text: cells.join(' | ') });
+        }
+        continue;
+      }
+      const style = (token.match(/<w:pStyle w:val="([^"]+)"/) || [])[1] || '';
+      const text = docxParagraphText(token).trim();
+      if (!text) continue;
+      const heading = style.match(/^Heading([1-3])$/i);
+      const isTitle = /^Title$/i.test(style);
+      const isList = /<w:numPr\b/.test(token);
+      blocks.push({ heading: Boolean(heading || isTitle), level: heading ? Number(heading[1]) : 1, text: isList ? `• ${text}` : text });
+    }
+    return sectionsFromBlocks(blocks);
+  },
+});
+
+// ---------------------------------------------------------------------------
+// XLSX: one page per worksheet, labelled with the sheet name
+
+registerExtractor({
+  name: 'xlsx',
+  structure: 'sheets',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  extensions: ['xlsx'],
+  extract(buffer) {
+    const zip = readZipEntries(buffer);
+    const shared = [];
+    const sst = zip.read('xl/sharedStrings.xml');
+    for (const si of (sst || '').match(/<si>[\s\S]*?<\/si>/g) || []) {
+      shared.push(xmlText((si.match(/<t(?:\s[^>]*)?>[\s\S]*?<\/t>/g) || []).join('')));
+    }
+    const rels = new Map();
+    for (const rel of (zip.read('xl/_rels/workbook.xml.rels') || '').match(/<Relationship\b[^>]*>/g) || []) {
+      const id = (rel.match(/Id="([^"]+)"/) || [])[1];
+      const target = (rel.match(/Target="([^"]+)"/) || [])[1];
+      if (id && target) rels.set(id, target.replace(/^\/?(xl\/)?/, 'xl/'));
+    }
+    const sheets = [];
+    for (const sheet of (zip.read('xl/workbook.xml') || '').match(/<sheet\b[^>]*>/g) || []) {
+      const name = decodeEntities((sheet.match(/name="([^"]*)"/) || [])[1] || `Sheet${sheets.length + 1}`);
+      const rid = (sheet.match(/r:id="([^"]+)"/) || [])[1];
+      const path = rels.get(rid) || `xl/worksheets/sheet${sheets.length + 1}.xml`;
+      const sheetXml = zip.read(path) || '';
+      const lines = [];
+      for (const row of sheetXml.match(/<row\b[\s\S]*?<\/row>/g) || []) {
+        const cells = [];
+        for (const c of row.match(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g) || []) {
+          const type = (c.match(/\bt="([^"]+)"/) || [])[1];
+          const v = (c.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+          if (type === 's') cells.push(shared[Number(v)] ?? '');
+          else if (type === 'inlineStr') cells.push(xmlText((c.match(/<is>([\s\S]*?)<\/is>/) || [])[1]));
+          else cells.push(v != null ? decodeEntities(v) : '');
+        }
+        if (cells.some((x) => String(x).trim())) lines.push(cells.map((x) => String(x).trim()).join(' | '));
+      }
+      sheets.push({ page: sheets.length + 1, sheet: name, text: lines.join('\n') });
+    }
+    return sheets;
+  },
+});
+
+export default { registerExtractor, getExtractor, extractTextLocally };
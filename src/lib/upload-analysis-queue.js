@@ -1,136 +1,311 @@
 import { randomUUID } from 'crypto';
 import { performUploadAnalysis, AnalysisError } from './upload-analysis.js';
+import { withUsageTracking } from './ai-usage.js';
+
+// Upload analysis jobs backed by the `upload_analysis_jobs` table
+// (see scripts/migrate-upload-analysis-jobs.sql). Any instance can accept, report on or
+// cancel a job; every instance runs a worker loop that claims queued jobs.
+
+const WORKER_ID = `${process.env.DYNO || 'local'}:${process.pid}:${randomUUID().slice(0, 8)}`;
+const POLL_INTERVAL_MS = Number(process.env.UPLOAD_ANALYSIS_POLL_INTERVAL_MS || 2000);
+const CONCURRENCY = Math.max(1, Number(process.env.UPLOAD_ANALYSIS_CONCURRENCY || 4));
+// Finished jobs (and jobs nobody picked up) are deleted after this long
+const JOB_TTL_MS = Number(process.env.UPLOAD_ANALYSIS_JOB_TTL_MINUTES || 60) * 60 * 1000;
+// A processing job whose lock is older than this was orphaned by a dead worker. Running
+// jobs refresh the lock every HEARTBEAT_INTERVAL_MS (and after each page range of a split
+// PDF), so a single long model call does not let another worker take the job over.
+const STALE_LOCK_MS = Number(process.env.UPLOAD_ANALYSIS_STALE_LOCK_MS || 5 * 60 * 1000);
+const HEARTBEAT_INTERVAL_MS = Math.min(60 * 1000, Math.floor(STALE_LOCK_MS / 3));
+const MAX_ATTEMPTS = 2;
+const PURGE_INTERVAL_MS = 5 * 60 * 1000;
+const RECOVER_INTERVAL_MS = 60 * 1000;
+
+const ACTIVE_STATUSES = ['queued', 'processing'];
 
-const jobs = new Map();
-const queue = [];
-let processing = false;
 let appRef = null;
-const CLEANUP_INTERVAL_MS = 60 * 1000;
-const JOB_TTL_MS = 10 * 60 * 1000;
-let cleanupTimer = null;
-
-function scheduleCleanup() {
-  if (cleanupTimer) return;
-  cleanupTimer = setInterval(() => {
-    const now = Date.now();
-    for (const [jobId, job] of jobs.entries()) {
-      if (now - job.createdAt > JOB_TTL_MS) {
-        jobs.delete(jobId);
-      }
-    }
-    if (jobs.size === 0 && cleanupTimer) {
-      clearInterval(cleanupTimer);
-      cleanupTimer = null;
-    }
-  }, CLEANUP_INTERVAL_MS);
-  if (cleanupTimer.unref) cleanupTimer.unref();
-}
+let workerEnabled = false;
+let pollTimer = null;
+let polling = false;
+let running = 0;
+let lastPurgeAt = 0;
+let lastRecoverAt = 0;
 
 function ensureApp() {
   if (!appRef) throw new Error('Upload analysis queue not initialized');
 }
 
-function scheduleProcessing() {
-  if (processing) return;
-  processing = true;
-  setImmediate(async () => {
-    try {
-      // Process jobs in parallel batches for better performance
-      const BATCH_SIZE = 10; // Process 10 jobs simultaneously (optimized for bulk uploads)
-      
-      while (queue.length > 0) {
-        const batch = [];
-        // Take up to BATCH_SIZE jobs from the queue
-        for (let i = 0; i < BATCH_SIZE && queue.length > 0; i++) {
-          const job = queue.shift();
-          if (job) {
-            job.status = 'processing';
-            job.updatedAt = Date.now();
-            batch.push(job);
-          }
-        }
-        
-        if (batch.length === 0) break;
-        
-        // Process all jobs in the batch in parallel
-        const promises = batch.map(async (job) => {
-          try {
-            const data = await performUploadAnalysis(appRef, job.payload);
-            job.status = 'succeeded';
-            job.result = { data };
-          } catch (error) {
-            if (error instanceof AnalysisError) {
-              job.status = 'failed';
-              job.result = {
-                error: error.message,
-                httpStatus: error.status,
-                fallback: error.fallback,
-              };
-            } else {
-              job.status = 'failed';
-              job.result = {
-                error: error?.message || String(error),
-                httpStatus: 500,
-              };
-              appRef?.log?.error?.(error, 'Upload analysis job failed unexpectedly');
-            }
-          }
-          job.updatedAt = Date.now();
-        });
-        
-        // Wait for all jobs in the batch to complete
-        await Promise.allSettled(promises);
-        
-        // Small delay between batches to prevent overwhelming the system
-        if (queue.length > 0) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-      }
-    } finally {
-      processing = false;
+function toJobView(row) {
+  if (!row) return null;
+  return {
+    jobId: row.id,
+    orgId: row.org_id,
+    userId: row.user_id,
+    storageKey: row.storage_key,
+    mimeType: row.mime_type || null,
+    status: row.status,
+    result: row.result || null,
+    error: row.error || null,
+    fallback: row.fallback || null,
+    httpStatus: row.http_status || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at || null,
+    expiresAt: row.expires_at,
+  };
+}
+
+// Write a job's outcome only while this worker still holds it, so a cancellation
+// (or a stale-lock takeover) that happened meanwhile is not overwritten
+async function finishJob(jobId, fields) {
+  const now = new Date().toISOString();
+  const { error } = await appRef.supabaseAdmin
+    .from('upload_analysis_jobs')
+    .update({ ...fields, locked_by: null, completed_at: now, updated_at: now })
+    .eq('id', jobId)
+    .eq('status', 'processing')
+    .eq('locked_by', WORKER_ID);
+  if (error) throw error;
+}
+
+// Refresh the job's lock; false when this worker no longer holds it (cancelled or taken over)
+async function heartbeat(jobId) {
+  const now = new Date().toISOString();
+  const { data, error } = await appRef.supabaseAdmin
+    .from('upload_analysis_jobs')
+    .update({ locked_at: now, updated_at: now })
+    .eq('id', jobId)
+    .eq('status', 'processing')
+    .eq('locked_by', WORKER_ID)
+    .select('id');
+  if (error) throw error;
+  return Boolean(data?.length);
+}
+
+async function recoverStaleJobs() {
+  lastRecoverAt = Date.now();
+  const now = new Date().toISOString();
+  const cutoff = new Date(Date.now() - STALE_LOCK_MS).toISOString();
+  const { data, error } = await appRef.supabaseAdmin
+    .from('upload_analysis_jobs')
+    .select('id, attempts')
+    .eq('status', 'processing')
+    .lt('locked_at', cutoff);
+  if (error) throw error;
+  for (const row of data || []) {
+    const fields = (row.attempts || 0) < MAX_ATTEMPTS
+      ? { status: 'queued', locked_by: null, locked_at: null, updated_at: now }
+      : { status: 'failed', error: 'Analysis was interrupted', http_status: 500, locked_by: null, completed_at: now, updated_at: now };
+    await appRef.supabaseAdmin
+      .from('upload_analysis_jobs')
+      .update(fields)
+      .eq('id', row.id)
+      .eq('status', 'processing')
+      .lt('locked_at', cutoff);
+  }
+  if (data?.length) appRef.log?.warn?.({ count: data.length }, 'Recovered stale upload analysis jobs');
+}
+
+async function purgeExpiredJobs() {
+  if (Date.now() - lastPurgeAt < PURGE_INTERVAL_MS) return;
+  lastPurgeAt = Date.now();
+  const { error } = await appRef.supabaseAdmin
+    .from('upload_analysis_jobs')
+    .delete()
+    .neq('status', 'processing')
+    .lt('expires_at', new Date().toISOString());
+  if (error) appRef.log?.warn?.(error, 'Failed to purge expired upload analysis jobs');
+}
+
+async function claimJob(row) {
+  const now = new Date().toISOString();
+  const { data, error } = await appRef.supabaseAdmin
+    .from('upload_analysis_jobs')
+    .update({ status: 'processing', locked_by: WORKER_ID, locked_at: now, attempts: (row.attempts || 0) + 1, updated_at: now })
+    .eq('id', row.id)
+    .eq('status', 'queued')
+    .select('*');
+  if (error) throw error;
+  return Array.isArray(data) && data.length > 0 ? data[0] : null;
+}
+
+async function runJob(job) {
+  const log = appRef.log || console;
+  // Set once the job was cancelled or taken over; the analysis stops at its next range
+  let lockLost = false;
+  const keepLock = async () => {
+    if (!lockLost && !(await heartbeat(job.id))) lockLost = true;
+    return !lockLost;
+  };
+  const heartbeatTimer = setInterval(() => {
+    keepLock().catch((err) => log.warn?.({ jobId: job.id, err: err?.message }, 'Upload analysis heartbeat failed'));
+  }, HEARTBEAT_INTERVAL_MS);
+  if (heartbeatTimer.unref) heartbeatTimer.unref();
+  try {
+    const usage = { orgId: job.org_id, operation: 'upload_analysis', log };
+    const data = await withUsageTracking(appRef.supabaseAdmin, usage, () => performUploadAnalysis(appRef, {
+      orgId: job.org_id,
+      userId: job.user_id,
+      storageKey: job.storage_key,
+      mimeType: job.mime_type,
+      onProgress: async () => {
+        // Stop spending on a job whose result would be discarded
+        if (!(await keepLock())) throw new AnalysisError('Analysis was cancelled', { status: 409 });
+      },
+    }));
+    await finishJob(job.id, { status: 'succeeded', result: data ?? null, error: null });
+  } catch (error) {
+    const fields = error instanceof AnalysisError
+      ? { status: 'failed', error: error.message, http_status: error.status, fallback: error.fallback ?? null }
+      : { status: 'failed', error: error?.message || String(error), http_status: 500 };
+    if (!(error instanceof AnalysisError)) log.error?.(error, 'Upload analysis job failed unexpectedly');
+    await finishJob(job.id, fields).catch((err) => log.error?.(err, 'Failed to record upload analysis failure'));
+  } finally {
+    clearInterval(heartbeatTimer);
+  }
+}
+
+async function poll() {
+  if (polling || !appRef) return;
+  polling = true;
+  try {
+    await purgeExpiredJobs();
+    if (Date.now() - lastRecoverAt >= RECOVER_INTERVAL_MS) await recoverStaleJobs();
+    const free = CONCURRENCY - running;
+    if (free <= 0) return;
+    const { data: rows, error } = await appRef.supabaseAdmin
+      .from('upload_analysis_jobs')
+      .select('*')
+      .eq('status', 'queued')
+      .order('created_at', { ascending: true })
+      .limit(free);
+    if (error) throw error;
+    for (const row of rows || []) {
+      const job = await claimJob(row);
+      if (!job) continue;
+      running++;
+      runJob(job).finally(() => {
+        running--;
+        schedulePoll(0);
+      });
     }
-  });
+  } catch (error) {
+    appRef?.log?.error?.(error, 'Upload analysis queue poll failed');
+  } finally {
+    polling = false;
+  }
+}
+
+function schedulePoll(delay = POLL_INTERVAL_MS) {
+  if (!appRef || !workerEnabled) return;
+  if (delay === 0) {
+    setImmediate(poll);
+    return;
+  }
+  if (pollTimer) return;
+  pollTimer = setInterval(poll, delay);
+  if (pollTimer.unref) pollTimer.unref();
 }
 
 function initUploadAnalysisQueue(app) {
   if (appRef) return; // already initialized
   appRef = app;
-  scheduleCleanup();
+  if ((process.env.UPLOAD_ANALYSIS_WORKER_ENABLED || 'true').toLowerCase() === 'false') {
+    app.log?.info?.('Upload analysis worker disabled on this instance');
+    return;
+  }
+  workerEnabled = true;
+  recoverStaleJobs()
+    .catch((error) => app.log?.error?.(error, 'Failed to recover stale upload analysis jobs'))
+    .finally(() => {
+      schedulePoll();
+      schedulePoll(0);
+    });
 }
 
-function enqueueUploadAnalysisJob(payload) {
+async function enqueueUploadAnalysisJob({ orgId, userId, storageKey, mimeType = null }) {
   ensureApp();
-  const id = randomUUID();
-  const job = {
-    id,
-    status: 'queued',
-    payload,
-    createdAt: Date.now(),
-    updatedAt: Date.now(),
-    result: null,
-  };
-  jobs.set(id, job);
-  queue.push(job);
-  scheduleProcessing();
-  scheduleCleanup();
-  return {
-    jobId: id,
-    status: job.status,
-    expiresAt: job.createdAt + JOB_TTL_MS,
-  };
+  const now = Date.now();
+  const { data, error } = await appRef.supabaseAdmin
+    .from('upload_analysis_jobs')
+    .insert({
+      org_id: orgId,
+      user_id: userId,
+      storage_key: storageKey,
+      mime_type: mimeType,
+      status: 'queued',
+      attempts: 0,
+      created_at: new Date(now).toISOString(),
+      updated_at: new Date(now).toISOString(),
+      expires_at: new Date(now + JOB_TTL_MS).toISOString(),
+    })
+    .select('*')
+    .single();
+  if (error) throw error;
+  schedulePoll(0);
+  return toJobView(data);
 }
 
-function getUploadAnalysisJob(jobId) {
-  const job = jobs.get(jobId);
-  if (!job) return null;
-  return {
-    jobId: job.id,
-    status: job.status,
-    createdAt: job.createdAt,
-    updatedAt: job.updatedAt,
-    result: job.result,
-    orgId: job.payload?.orgId,
-  };
+/**
+ * Load a job owned by the caller; jobs are private to the user who started them.
+ * @returns {Promise<Object|null>} Job view, or null when missing, expired or not theirs
+ */
+async function getUploadAnalysisJob({ orgId, userId, jobId }) {
+  ensureApp();
+  const { data, error } = await appRef.supabaseAdmin
+    .from('upload_analysis_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .eq('org_id', orgId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  if (data && data.status !== 'processing' && new Date(data.expires_at).getTime() < Date.now()) return null;
+  return toJobView(data);
+}
+
+/**
+ * The caller's queued and processing jobs in the org, oldest first.
+ */
+async function listUploadAnalysisJobs({ orgId, userId, limit = 100 }) {
+  ensureApp();
+  const { data, error } = await appRef.supabaseAdmin
+    .from('upload_analysis_jobs')
+    .select('*')
+    .eq('org_id', orgId)
+    .eq('user_id', userId)
+    .in('status', ACTIVE_STATUSES)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+  if (error) throw error;
+  return (data || []).map(toJobView);
+}
+
+/**
+ * Cancel a queued or processing job. A job already being analysed keeps running on its
+ * worker, but its result is discarded. Finished jobs are returned unchanged.
+ * @returns {Promise<Object|null>} Job view, or null when not found
+ */
+async function cancelUploadAnalysisJob({ orgId, userId, jobId }) {
+  const job = await getUploadAnalysisJob({ orgId, userId, jobId });
+  if (!job || !ACTIVE_STATUSES.includes(job.status)) return job;
+  const now = new Date().toISOString();
+  const { data, error } = await appRef.supabaseAdmin
+    .from('upload_analysis_jobs')
+    .update({ status: 'cancelled', locked_by: null, completed_at: now, updated_at: now })
+    .eq('id', jobId)
+    .in('status', ACTIVE_STATUSES)
+    .select('*');
+  if (error) throw error;
+  // Lost the race with the worker finishing it: report the final state
+  if (!data?.length) return getUploadAnalysisJob({ orgId, userId, jobId });
+  return toJobView(data[0]);
 }
 
-export { initUploadAnalysisQueue, enqueueUploadAnalysisJob, getUploadAnalysisJob };
+export {
+  initUploadAnalysisQueue,
+  recoverStaleJobs,
+  enqueueUploadAnalysisJob,
+  getUploadAnalysisJob,
+  listUploadAnalysisJobs,
+  cancelUploadAnalysisJob,
+};
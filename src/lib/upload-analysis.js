@@ -1,4 +1,7 @@
-import { uploadBufferToGemini, deleteGeminiFile, generateJsonFromGeminiFile } from './gemini-files.js';
+import { uploadBufferToGemini, deleteGeminiFile, generateJsonFromGeminiFile, generateJsonFromGeminiText } from './gemini-files.js';
+import { extractTextLocally } from './text-extractors.js';
+import { analyzePdfInRanges, isPdf, shouldSplitPdf, PDF_SPLIT_MAX_BYTES } from './pdf-ranges.js';
+import { loadCustomFields, buildCustomFieldsPrompt, buildCustomFieldsSchema, coerceExtractedValues } from './custom-fields.js';
 
 const GEMINI_OCR_SCHEMA = {
   type: 'object',
@@ -66,6 +69,55 @@ const GEMINI_SUMMARY_SCHEMA = {
   required: ['summary', 'keyPointers'],
 };
 
+const DEFAULT_SUMMARY_PROMPT = `Summarize this document in under 300 words. Focus on essential facts, decisions, and outcomes.
+
+Respond as JSON with two keys:
+- summary: a tight narrative paragraph (<=300 words) covering the key context and conclusions.
+- keyPointers: an array of 3-7 short bullet-style strings capturing the most important takeaways.`;
+
+function buildAnalysisPrompts(availableCategories, orgSummaryPrompt, customFields = []) {
+  const metadataSchema = {
+    ...GEMINI_META_SCHEMA,
+    properties: {
+      ...GEMINI_META_SCHEMA.properties,
+      category: { type: 'string', enum: availableCategories },
+    },
+  };
+  if (customFields.length) metadataSchema.properties.customFields = buildCustomFieldsSchema(customFields);
+  return {
+    prompts: {
+      ocr: 'Extract readable text from the document. Prefer returning text per page when possible. Always produce JSON that satisfies the provided schema. Provide concatenated text in extractedText when feasible.',
+      metadata: `You are an expert document information extractor. Fill all fields while respecting the allowed category list: ${availableCategories.join(', ')}. IMPORTANT: You MUST always select a category from the provided list. If none seem perfect, choose the closest match. Never leave category empty or undefined. Always produce JSON matching the provided schema.${customFields.length ? `\n\n${buildCustomFieldsPrompt(customFields)}` : ''}`,
+      summary: `${orgSummaryPrompt || DEFAULT_SUMMARY_PROMPT}\n\nReturn JSON compliant with the provided schema only.`,
+    },
+    schemas: {
+      ocr: GEMINI_OCR_SCHEMA,
+      metadata: metadataSchema,
+      summary: GEMINI_SUMMARY_SCHEMA,
+    },
+  };
+}
+
+// Fill gaps in model metadata and attach the combined summary
+function finalizeMetadata(metadata, { baseName, availableCategories, summaryText, keyPointers, customFields = [] }) {
+  const defaultCategory = availableCategories.includes('General') ? 'General' : availableCategories[0];
+  return {
+    title: (metadata && typeof metadata.title === 'string' && metadata.title.trim()) ? metadata.title : baseName,
+    subject: (metadata && typeof metadata.subject === 'string' && metadata.subject.trim()) ? metadata.subject : baseName,
+    keywords: Array.from(new Set((Array.isArray(metadata?.keywords) ? metadata.keywords : []).filter(Boolean).map((k) => String(k)).slice(0, 10).concat([baseName]))).slice(0, 10),
+    tags: Array.from(new Set((Array.isArray(metadata?.tags) ? metadata.tags : []).filter(Boolean).map((k) => String(k)).slice(0, 8).concat(['document']))).slice(0, 8),
+    summary: combineSummaryWithKeyPointers(summaryText || '', keyPointers),
+    keyPointers,
+    sender: typeof metadata?.sender === 'string' ? metadata.sender : undefined,
+    receiver: typeof metadata?.receiver === 'string' ? metadata.receiver : undefined,
+    senderOptions: Array.isArray(metadata?.senderOptions) ? metadata.senderOptions : [],
+    receiverOptions: Array.isArray(metadata?.receiverOptions) ? metadata.receiverOptions : [],
+    documentDate: typeof metadata?.documentDate === 'string' ? metadata.documentDate : undefined,
+    category: typeof metadata?.category === 'string' ? metadata.category : defaultCategory,
+    customFields: coerceExtractedValues(customFields, metadata?.customFields).values,
+  };
+}
+
 class AnalysisError extends Error {
   constructor(message, options = {}) {
     super(message);
@@ -170,7 +222,9 @@ async function processLargeFile(app, {
   effectiveMime,
   baseName,
   availableCategories,
-  orgSummaryPrompt
+  orgSummaryPrompt,
+  customFields = [],
+  onProgress
 }) {
   const log = app.log || console;
   const fileSizeMB = buffer.length / (1024 * 1024);
@@ -185,9 +239,13 @@ async function processLargeFile(app, {
         buffer,
         baseName,
         availableCategories,
-        orgSummaryPrompt
+        orgSummaryPrompt,
+        customFields,
+        onProgress
       });
     } catch (error) {
+      // e.g. the job was cancelled between page ranges
+      if (error instanceof AnalysisError) throw error;
       log.warn(error, 'Large PDF processing failed, using fallback metadata');
     }
   }
@@ -226,47 +284,36 @@ async function processLargeFile(app, {
   };
 }
 
-// Process large PDFs by attempting chunked analysis
+// Process large PDFs page range by page range (see pdf-ranges.js)
 async function processLargePdf(app, {
   orgId,
   storageKey,
-  buffer, 
+  buffer,
   baseName,
   availableCategories,
-  orgSummaryPrompt
+  orgSummaryPrompt,
+  customFields = [],
+  onProgress
 }) {
   const log = app.log || console;
-  const fileSizeMB = buffer.length / (1024 * 1024);
-  
-  // For now, use enhanced fallback metadata for large PDFs
-  // Future enhancement: Implement PDF.js chunking for pages or pdf2pic + OCR
-  const fileNameNoExt = baseName.replace(/\.[^/.]+$/, '');
-  
-  const pdfMetadata = {
-    title: fileNameNoExt,
-    subject: `${fileNameNoExt} - Large PDF Document`,
-    keywords: [baseName.replace(/[^A-Za-z0-9\s]/g, ''), 'PDF', 'large-file', 'document'],
-    tags: ['document', 'large-file', 'pdf', 'readable'],
-    summary: `Large PDF document (${fileSizeMB.toFixed(1)}MB) uploaded successfully. This document exceeded the automatic AI processing size limit but is fully available for download and review.`,
-    keyPointers: [
-      'Large PDF successfully uploaded',
-      `Document size: ${fileSizeMB.toFixed(1)}MB`,
-      'Full PDF available for download',
-      'Visual review recommended'
-    ],
-    sender: '',
-    receiver: '',
-    senderOptions: [],
-    receiverOptions: [],
-    documentDate: '',
-    category: availableCategories.includes('Report') ? 'Report' : (availableCategories.includes('General') ? 'General' : availableCategories[0]),
-  };
+  const { prompts, schemas } = buildAnalysisPrompts(availableCategories, orgSummaryPrompt, customFields);
+  const result = await analyzePdfInRanges(buffer, { displayName: baseName, prompts, schemas, log, onRange: onProgress });
+  if (result.failedRanges.length) {
+    log.warn({ orgId, storageKey, failedRanges: result.failedRanges.map((r) => `${r.startPage}-${r.endPage}`) }, 'Some PDF page ranges could not be analysed');
+  }
+  log.info({ orgId, storageKey, pageCount: result.pageCount, pages: result.pages.length }, 'Large PDF analysed in page ranges');
 
   return {
-    ocrText: '', // Future: Extract first few pages with pdf.js
-    metadata: pdfMetadata,
+    ocrText: result.ocrText,
+    metadata: finalizeMetadata(result.metadata, {
+      baseName,
+      availableCategories,
+      summaryText: result.summary,
+      keyPointers: result.keyPointers,
+      customFields,
+    }),
     geminiFile: null,
-    usedFallback: true,
+    usedFallback: result.failedRanges.length > 0,
   };
 }
 
@@ -300,10 +347,15 @@ function combineSummaryWithKeyPointers(summary, pointers) {
   return `${text}\n\nKey Points:\n${bullets}`;
 }
 
-async function performUploadAnalysis(app, { orgId, storageKey, mimeType }) {
+// `onProgress` is awaited after each page range of a split PDF (see pdf-ranges.js onRange)
+async function performUploadAnalysis(app, { orgId, storageKey, mimeType, onProgress }) {
   const log = app.log || console;
   const availableCategories = await loadOrgSettings(app, orgId);
   const orgSummaryPrompt = await loadOrgSummaryPrompt(app, orgId);
+  const customFields = await loadCustomFields(app.supabaseAdmin, orgId, { extractedOnly: true }).catch((err) => {
+    log.warn?.(err, 'Failed to load custom metadata fields');
+    return [];
+  });
 
   const fileBlob = await downloadStorageFile(app, storageKey);
   const fileSize = fileBlob.size;
@@ -311,7 +363,8 @@ async function performUploadAnalysis(app, { orgId, storageKey, mimeType }) {
 
   // Maximum file sizes for different types - conservative limits to prevent API failures
   const MAX_FILE_SIZES = {
-    'application/pdf': 50, // Reduced to 50MB to match frontend limit
+    // Larger PDFs are split into page ranges rather than sent whole
+    'application/pdf': PDF_SPLIT_MAX_BYTES / (1024 * 1024),
     'image/jpeg': 50,
     'image/png': 50,
     'image/gif': 50,
@@ -326,7 +379,7 @@ async function performUploadAnalysis(app, { orgId, storageKey, mimeType }) {
   const GEMINI_SAFE_SIZE_LIMIT = 50; // MB - Gemini Files API safe limit for reliable processing
   
   const mimeTypeKey = mimeType || fileBlob.type || 'application/octet-stream';
-  const maxFileSize = MAX_FILE_SIZES[mimeTypeKey] || 50; // Default: 50MB cap
+  const maxFileSize = (isPdf(mimeTypeKey, storageKey) ? MAX_FILE_SIZES['application/pdf'] : MAX_FILE_SIZES[mimeTypeKey]) || 50; // Default: 50MB cap
 
   // Only block files that are unreasonably large 
   if (fileSizeMB > maxFileSize) {
@@ -343,47 +396,69 @@ async function performUploadAnalysis(app, { orgId, storageKey, mimeType }) {
   const effectiveMime = mimeType || fileBlob.type || 'application/octet-stream';
   const baseName = sanitizeFilename(storageKey.split('/').pop() || 'Document');
 
+  if (shouldSplitPdf(fileSize, effectiveMime, storageKey)) {
+    return await processLargeFile(app, {
+      orgId,
+      storageKey,
+      buffer,
+      effectiveMime: 'application/pdf',
+      baseName,
+      availableCategories,
+      orgSummaryPrompt,
+      customFields,
+      onProgress
+    });
+  }
+
+  // Text-native formats (txt, csv, md, html, docx, xlsx) are read locally and never uploaded
+  let local = null;
+  try {
+    local = await extractTextLocally(buffer, { mimeType: effectiveMime, filename: storageKey });
+  } catch (error) {
+    log.warn({ orgId, storageKey, error: error?.message }, 'Local text extraction failed, using Gemini');
+  }
+
   // ALWAYS attempt processing - try Gemini first, fallback if needed!
   let geminiReference = null;
 
   // First try to upload to Gemini for any file size (attempt for larger files, guaranteed for smaller ones)
-  try {
-    geminiReference = await uploadBufferToGemini(buffer, {
-      mimeType: effectiveMime,
-      displayName: baseName,
-    });
-    log.info({ orgId, storageKey, fileId: geminiReference.fileId }, 'Successfully uploaded to Gemini');
-  } catch (error) {
-    // Enhanced error handling for files that are too large for Gemini
-    const errorMessage = error?.message || error?.toString() || '';
-    if (errorMessage.includes('too large') ||
-        errorMessage.includes('exceeded size') ||
-        errorMessage.includes('content length') ||
-        errorMessage.includes('files bytes are too large') ||
-        errorMessage.includes('400 Bad Request')) {
-      log.warn({ orgId, storageKey, sizeMb: fileSizeMB.toFixed(2), error: errorMessage }, 'File too large for Gemini processing, using enhanced processing');
-
-      // Switch to large file processing mode
-      return await processLargeFile(app, {
-        orgId,
-        storageKey,
-        buffer,
-        effectiveMime,
-        baseName,
-        availableCategories,
-        orgSummaryPrompt
+  if (!local) {
+    try {
+      geminiReference = await uploadBufferToGemini(buffer, {
+        mimeType: effectiveMime,
+        displayName: baseName,
       });
-    } else {
-      log.error(error, 'Failed to upload file to Gemini for unknown reason');
-      throw new AnalysisError('AI upload failed', { status: 503 });
+      log.info({ orgId, storageKey, fileId: geminiReference.fileId }, 'Successfully uploaded to Gemini');
+    } catch (error) {
+      // Enhanced error handling for files that are too large for Gemini
+      const errorMessage = error?.message || error?.toString() || '';
+      if (errorMessage.includes('too large') ||
+          errorMessage.includes('exceeded size') ||
+          errorMessage.includes('content length') ||
+          errorMessage.includes('files bytes are too large') ||
+          errorMessage.includes('400 Bad Request')) {
+        log.warn({ orgId, storageKey, sizeMb: fileSizeMB.toFixed(2), error: errorMessage }, 'File too large for Gemini processing, using enhanced processing');
+
+        // Switch to large file processing mode
+        return await processLargeFile(app, {
+          orgId,
+          storageKey,
+          buffer,
+          effectiveMime,
+          baseName,
+          availableCategories,
+          orgSummaryPrompt,
+          customFields,
+          onProgress
+        });
+      } else {
+        log.error(error, 'Failed to upload file to Gemini for unknown reason');
+        throw new AnalysisError('AI upload failed', { status: 503 });
+      }
     }
   }
 
-  const defaultSummary = `Summarize this document in under 300 words. Focus on essential facts, decisions, and outcomes.
-
-Respond as JSON with two keys:
-- summary: a tight narrative paragraph (<=300 words) covering the key context and conclusions.
-- keyPointers: an array of 3-7 short bullet-style strings capturing the most important takeaways.`;
+  const { prompts, schemas } = buildAnalysisPrompts(availableCategories, orgSummaryPrompt, customFields);
 
   const defaultMetadata = () => ({
     title: baseName,
@@ -405,31 +480,22 @@ Respond as JSON with two keys:
   let summaryText = '';
   let usedFallback = false;
 
-  const [ocrResult, metaResult, sumResult] = await Promise.allSettled([
-    generateJsonFromGeminiFile({
-      fileUri: geminiReference.fileUri,
-      mimeType: geminiReference.mimeType || effectiveMime,
-      prompt: 'Extract readable text from the document. Prefer returning text per page when possible. Always produce JSON that satisfies the provided schema. Provide concatenated text in extractedText when feasible.',
-      responseSchema: GEMINI_OCR_SCHEMA,
-    }),
-    generateJsonFromGeminiFile({
-      fileUri: geminiReference.fileUri,
-      mimeType: geminiReference.mimeType || effectiveMime,
-      prompt: `You are an expert document information extractor. Fill all fields while respecting the allowed category list: ${availableCategories.join(', ')}. IMPORTANT: You MUST always select a category from the provided list. If none seem perfect, choose the closest match. Never leave category empty or undefined. Always produce JSON matching the provided schema.`,
-      responseSchema: {
-        ...GEMINI_META_SCHEMA,
-        properties: {
-          ...GEMINI_META_SCHEMA.properties,
-          category: { type: 'string', enum: availableCategories },
-        },
-      },
-    }),
-    generateJsonFromGeminiFile({
+  // Locally extracted text is sent inline; without Gemini the metadata/summary fall back below
+  const generate = ({ prompt, responseSchema }) => (local
+    ? generateJsonFromGeminiText({ text: local.text, prompt, responseSchema })
+    : generateJsonFromGeminiFile({
       fileUri: geminiReference.fileUri,
       mimeType: geminiReference.mimeType || effectiveMime,
-      prompt: `${orgSummaryPrompt || defaultSummary}\n\nReturn JSON compliant with the provided schema only.`,
-      responseSchema: GEMINI_SUMMARY_SCHEMA,
-    }),
+      prompt,
+      responseSchema,
+    }));
+
+  const [ocrResult, metaResult, sumResult] = await Promise.allSettled([
+    local
+      ? Promise.resolve({ pages: local.pages, extractedText: local.text })
+      : generate({ prompt: prompts.ocr, responseSchema: schemas.ocr }),
+    generate({ prompt: prompts.metadata, responseSchema: schemas.metadata }),
+    generate({ prompt: prompts.summary, responseSchema: schemas.summary }),
   ]);
 
   // Check if any of the analysis steps failed due to size limits and switch to enhanced processing
@@ -450,7 +516,9 @@ Respond as JSON with two keys:
       effectiveMime,
       baseName,
       availableCategories,
-      orgSummaryPrompt
+      orgSummaryPrompt,
+      customFields,
+      onProgress
     });
   }
 
@@ -493,22 +561,7 @@ Respond as JSON with two keys:
     keyPointers = [];
   }
 
-  const combinedSummary = combineSummaryWithKeyPointers(summaryText || '', keyPointers);
-
-  metadata = {
-    title: (metadata && typeof metadata.title === 'string' && metadata.title.trim()) ? metadata.title : defaultMetadata().title,
-    subject: (metadata && typeof metadata.subject === 'string' && metadata.subject.trim()) ? metadata.subject : defaultMetadata().subject,
-    keywords: Array.from(new Set((Array.isArray(metadata?.keywords) ? metadata.keywords : []).filter(Boolean).map((k) => String(k)).slice(0, 10).concat([baseName]))).slice(0, 10),
-    tags: Array.from(new Set((Array.isArray(metadata?.tags) ? metadata.tags : []).filter(Boolean).map((k) => String(k)).slice(0, 8).concat(['document']))).slice(0, 8),
-    summary: combinedSummary,
-    keyPointers,
-    sender: typeof metadata?.sender === 'string' ? metadata.sender : undefined,
-    receiver: typeof metadata?.receiver === 'string' ? metadata.receiver : undefined,
-    senderOptions: Array.isArray(metadata?.senderOptions) ? metadata.senderOptions : [],
-    receiverOptions: Array.isArray(metadata?.receiverOptions) ? metadata.receiverOptions : [],
-    documentDate: typeof metadata?.documentDate === 'string' ? metadata.documentDate : undefined,
-    category: typeof metadata?.category === 'string' ? metadata.category : defaultMetadata().category,
-  };
+  metadata = finalizeMetadata(metadata, { baseName, availableCategories, summaryText, keyPointers, customFields });
 
   if (usedFallback) {
     log.info({ orgId, storageKey }, 'Gemini analysis completed with fallbacks');
@@ -1,10 +1,37 @@
 import { z } from 'zod';
 import { ai } from './ai.js';
 // Removed server-side AI router; orchestration handled by agno-service
-import { ingestDocument } from './ingest.js';
+import { initIngestionQueue, enqueueIngestionJob, getLatestIngestionJob } from './lib/ingestion-queue.js';
+import { createIngestProgressStream } from './lib/ingest-events.js';
+import { attachChunkLocations, chunkLocation } from './lib/chunk-window.js';
+import { generateEmbedding, filterChunksByEmbeddingModel } from './lib/embeddings.js';
+import { initEmbeddingProviders, resolveEmbeddingProvider } from './lib/embedding-providers.js';
+import { DUPLICATE_RESOLUTIONS, findExactDuplicates, recordDuplicates, toDuplicateView } from './lib/duplicates.js';
+import {
+  CHUNK_BYTES as RESUMABLE_CHUNK_BYTES,
+  toUploadView,
+  createUploadSession,
+  getUploadSession,
+  appendUploadChunk,
+  completeUploadSession,
+  abortUploadSession,
+  purgeExpiredUploadSessions,
+} from './lib/resumable-uploads.js';
 import { registerAllRoutes } from './routes/index.js';
 import { registerMetadataRoutes } from './routes/metadata.js';
-import { initUploadAnalysisQueue, enqueueUploadAnalysisJob, getUploadAnalysisJob } from './lib/upload-analysis-queue.js';
+import { loadCustomFields, mergeCustomFieldValues, parseCustomFieldFilters, applyCustomFieldFilters, matchesCustomFieldFilters } from './lib/custom-fields.js';
+import { PROVENANCE_SOURCES, PROVENANCE_COLUMNS, sourceProvenance, customFieldKey } from './lib/field-provenance.js';
+import { REVIEW_REASONS, REVIEW_STATUSES, REVIEWABLE_FIELDS, listReviewItems, resolveReviewItem, recordCorrections } from './lib/review-queue.js';
+import { LANGUAGES, loadOrgLanguageSettings, queryVariants } from './lib/languages.js';
+import { removePagePreviews, signPagePreviews } from './lib/page-previews.js';
+import { withUsageTracking, checkAiBudget, usagePeriod, summarizeAiUsage, topAiUsageDocuments } from './lib/ai-usage.js';
+import { SEARCH_TEXT_COLUMNS, SearchFiltersSchema, loadSearchScope, toSearchFilters, computeFacets, searchDocuments, countDocuments } from './lib/document-search.js';
+import { MAX_SMART_FOLDERS, SavedSearchSchema, listSavedSearches, loadSavedSearch, canManageSavedSearch, ensureCanShareWith, toSearchRequest, toSavedSearchView, toSmartFolder } from './lib/saved-searches.js';
+import { FUSION_STRATEGIES, SearchWeightsSchema, loadSearchTuning, withTuningOverrides } from './lib/search-fusion.js';
+import { parseSearchQuery, applySearchQuery, applyPlainTextFilter, describeSearchQuery } from './lib/search-query.js';
+import { MAX_EMAIL_BYTES, normalizeInboxAddress, generateInboxToken, hashInboxToken, toInboxView, authenticateInbox, ingestInboundEmail } from './lib/email-inbox.js';
+import { DOC_TYPES, TEMPLATE_VERSION, templateFilterFields, extractStructuredData, toStructuredColumns } from './lib/extraction-templates.js';
+import { initUploadAnalysisQueue, enqueueUploadAnalysisJob, getUploadAnalysisJob, listUploadAnalysisJobs, cancelUploadAnalysisJob } from './lib/upload-analysis-queue.js';
 import { getCompleteRolePermissions } from './lib/permission-helpers.js';
 
 function requireOrg(req) {
@@ -170,6 +197,15 @@ function toDbDocumentFields(draft) {
   return out;
 }
 
+// Provenance for the metadata a new document is created with
+function initialProvenance(dbFields, source, userId) {
+  const provided = PROVENANCE_COLUMNS.filter((c) => {
+    const v = dbFields[c];
+    return v !== undefined && v !== null && v !== '' && !(Array.isArray(v) && v.length === 0);
+  });
+  return sourceProvenance(provided, source, source === 'user' ? userId : null);
+}
+
 function mapDbToFrontendFields(data) {
   if (!data) return data;
   return {
@@ -187,6 +223,11 @@ function mapDbToFrontendFields(data) {
     isCurrentVersion: data.is_current_version,
     supersedesId: data.supersedes_id,
     documentDate: data.document_date,
+    customFields: data.custom_fields || {},
+    documentType: data.document_type || null,
+    fieldProvenance: data.field_provenance || {},
+    language: data.language || null,
+    summaryTranslation: data.summary_translation || null,
     orgId: data.org_id,
     // Add version field for backwards compatibility
     version: data.version_number || 1,
@@ -195,6 +236,171 @@ function mapDbToFrontendFields(data) {
   };
 }
 
+// Custom field filters from `cf.<field>[.<op>]` query keys; definitions are read with the
+// service role because org_metadata_config is not necessarily readable by every member
+async function customFieldFiltersFromQuery(app, orgId, query) {
+  if (!Object.keys(query || {}).some((k) => k.startsWith('cf.'))) return [];
+  const fields = await loadCustomFields(app.supabaseAdmin, orgId);
+  return parseCustomFieldFilters(fields, query, { fromQuery: true });
+}
+
+// `documentType=<type>` plus `sd.<field>[.<op>]` filters on that type's template fields
+function structuredFiltersFromQuery(query) {
+  const documentType = query?.documentType ? String(query.documentType) : null;
+  const hasFieldFilters = Object.keys(query || {}).some((k) => k.startsWith('sd.'));
+  if (!documentType && !hasFieldFilters) return null;
+  if (documentType && documentType !== 'other' && !DOC_TYPES.includes(documentType)) {
+    const err = new Error(`documentType must be one of: ${[...DOC_TYPES, 'other'].join(', ')}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  if (hasFieldFilters && (!documentType || documentType === 'other')) {
+    const err = new Error('sd.* filters need a documentType with a template');
+    err.statusCode = 400;
+    throw err;
+  }
+  const filters = hasFieldFilters
+    ? parseCustomFieldFilters(templateFilterFields(documentType), query, { fromQuery: true, prefix: 'sd.', noun: `${documentType} field` })
+    : [];
+  return { documentType, filters };
+}
+
+function applyStructuredFilters(query, structured) {
+  if (!structured) return query;
+  return applyCustomFieldFilters(query.eq('document_type', structured.documentType), structured.filters, { column: 'structured_data' });
+}
+
+// `language=<code>` matches documents with that language in any sizeable part of their text
+function languageFilterFromQuery(query) {
+  if (!query?.language) return null;
+  const language = String(query.language);
+  if (!LANGUAGES[language]) {
+    const err = new Error(`language must be one of: ${Object.keys(LANGUAGES).join(', ')}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return language;
+}
+
+function applyLanguageFilter(query, language) {
+  return language ? query.contains('languages', [language]) : query;
+}
+
+// The parsed q of a search and the filters it adds to a documents query (field filters in
+// q, custom fields, document type, language)
+async function searchRefinement(app, orgId, search) {
+  const parsedQuery = parseSearchQuery(search.q || '');
+  const customFilters = search.customFields
+    ? parseCustomFieldFilters(await loadCustomFields(app.supabaseAdmin, orgId), search.customFields)
+    : [];
+  const structuredFilters = structuredFiltersFromQuery({ documentType: search.documentType });
+  const language = languageFilterFromQuery({ language: search.language });
+  const refine = (query) => applyLanguageFilter(applyStructuredFilters(applyCustomFieldFilters(applySearchQuery(query, parsedQuery), customFilters), structuredFilters), language);
+  return { parsedQuery, refine };
+}
+
+// A unified search as the caller sees it: their access scope (pass `scope` to reuse one) and
+// the org's fusion settings. `search` is { q, filters, customFields, documentType, language }
+// as POST /orgs/:orgId/search takes them; saved searches run through here too.
+async function runDocumentSearch(app, req, orgId, search, { scope, semantic = true, fusion, weights, debug = false, limit = 20, offset = 0 } = {}) {
+  const db = req.supabase;
+  const q = search.q || '';
+  // Field filters in q narrow the results; the rest of q is what gets ranked
+  const { parsedQuery, refine } = await searchRefinement(app, orgId, search);
+
+  const tuning = withTuningOverrides(await loadSearchTuning(app.supabaseAdmin, orgId), { fusion, weights });
+  // The query embedding is billed to the org; over budget, the search is lexical only
+  const usage = { orgId, operation: 'search', log: req.log, enforceBudget: true };
+  const searchScope = scope || await loadSearchScope(db, { orgId, userId: req.user?.sub });
+  const result = await withUsageTracking(app.supabaseAdmin, usage, () => searchDocuments(db, {
+    orgId,
+    scope: searchScope,
+    q: parsedQuery.text,
+    filters: toSearchFilters(search.filters),
+    refine,
+    semantic,
+    tuning,
+    debug,
+    limit,
+    offset,
+    log: req.log,
+  }));
+  return { query: q, parsed: describeSearchQuery(parsedQuery), ...result };
+}
+
+// A search's document count from one count query, e.g. for a smart folder, without running
+// it. Free text is matched with ilike over metadata, as searches do without full-text
+// search, so the count is only `exact` for searches without free text.
+async function countDocumentSearch(app, req, orgId, search, { scope }) {
+  const { parsedQuery, refine } = await searchRefinement(app, orgId, search);
+  const { total, exact } = await countDocuments(req.supabase, {
+    orgId,
+    scope,
+    filters: toSearchFilters(search.filters),
+    refine: (query) => applyPlainTextFilter(refine(query), parsedQuery, SEARCH_TEXT_COLUMNS),
+  });
+  return { total, exact: exact && !parsedQuery.terms.length };
+}
+
+function toStructuredView(doc) {
+  return {
+    documentType: doc.document_type || null,
+    confidence: doc.document_type_confidence ?? null,
+    version: doc.structured_version ?? null,
+    extractedAt: doc.structured_extracted_at || null,
+    // The template's version changed since: re-run POST .../structured to refresh
+    stale: Boolean(doc.structured_data) && doc.structured_version !== TEMPLATE_VERSION,
+    data: doc.structured_data || null,
+  };
+}
+
+// Departments whose review items the caller may see: null for org admins (all of them)
+async function reviewDepartmentScope(req, orgId) {
+  const userId = req.user?.sub;
+  const { data: membership } = await req.supabase
+    .from('organization_users')
+    .select('role')
+    .eq('org_id', orgId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (membership?.role === 'orgAdmin') return null;
+  const { data: depts } = await req.supabase
+    .from('department_users')
+    .select('department_id')
+    .eq('org_id', orgId)
+    .eq('user_id', userId);
+  return (depts || []).map((d) => d.department_id);
+}
+
+function toReviewItemView(item, doc) {
+  const provenance = doc?.field_provenance || {};
+  return {
+    id: item.id,
+    docId: item.doc_id,
+    title: doc ? (doc.title || doc.filename || 'Untitled') : null,
+    departmentId: item.department_id || null,
+    status: item.status,
+    reasons: item.reasons || [],
+    problems: item.details?.problems || [],
+    // Current value and evidence for each reviewable field, flagged ones marked lowConfidence
+    fields: REVIEWABLE_FIELDS.map((name) => ({
+      name,
+      value: doc ? doc[name] ?? null : null,
+      source: provenance[name]?.source || null,
+      confidence: provenance[name]?.confidence ?? null,
+      page: provenance[name]?.page ?? null,
+      snippet: provenance[name]?.snippet ?? null,
+      lowConfidence: (item.fields || []).includes(name),
+    })),
+    customFields: doc?.custom_fields || {},
+    resolution: item.resolution || null,
+    resolvedBy: item.resolved_by || null,
+    resolvedAt: item.resolved_at || null,
+    createdAt: item.created_at,
+    updatedAt: item.updated_at,
+  };
+}
+
 function sanitizeFilename(name) {
   try {
     const trimmed = String(name || '').trim();
@@ -441,7 +647,9 @@ async function getAdminUserCached(app, userId) {
 }
 
 export function registerRoutes(app) {
+  initEmbeddingProviders(app);
   initUploadAnalysisQueue(app);
+  initIngestionQueue(app);
 
   app.get('/me', { preHandler: app.verifyAuth }, async (req) => {
     const db = req.supabase;
@@ -3010,6 +3218,11 @@ export function registerRoutes(app) {
     
     const { q, limit = 10000, offset = 0, departmentId } = req.query || {};
     const userId = req.user?.sub;
+    const customFilters = await customFieldFiltersFromQuery(app, orgId, req.query);
+    const structuredFilters = structuredFiltersFromQuery(req.query);
+    const language = languageFilterFromQuery(req.query);
+    // Field filters (sender:"MPCB" date:2024-01..2024-06 ...) plus free text
+    const parsedQuery = parseSearchQuery(q);
     
     // Check if user has permission to read documents
     // First get user's department context for permission checking
@@ -3047,7 +3260,7 @@ export function registerRoutes(app) {
     
     let query = db
       .from('documents')
-      .select('id, org_id, title, filename, type, folder_path, subject, description, category, tags, keywords, sender, receiver, document_date, uploaded_at, file_size_bytes, mime_type, content_hash, storage_key, department_id, version_group_id, version_number, is_current_version, supersedes_id, deleted_at, purge_after')
+      .select('id, org_id, title, filename, type, folder_path, subject, description, category, tags, keywords, sender, receiver, document_date, custom_fields, document_type, uploaded_at, file_size_bytes, mime_type, content_hash, storage_key, department_id, version_group_id, version_number, is_current_version, supersedes_id, deleted_at, purge_after')
       .eq('org_id', orgId)
       .order('uploaded_at', { ascending: false })
       .range(offset, offset + Number(limit) - 1);
@@ -3108,12 +3321,11 @@ export function registerRoutes(app) {
     // Debug: Let's see what's actually in the database
     // Remove heavy debug queries in production
     
-    if (q && String(q).trim()) {
-      const s = `%${String(q).trim()}%`;
-      query = query.or(
-        `title.ilike.${s},subject.ilike.${s},sender.ilike.${s},receiver.ilike.${s},description.ilike.${s}`
-      );
-    }
+    query = applyPlainTextFilter(query, parsedQuery, ['title', 'subject', 'sender', 'receiver', 'description']);
+    query = applySearchQuery(query, parsedQuery);
+    query = applyCustomFieldFilters(query, customFilters);
+    query = applyStructuredFilters(query, structuredFilters);
+    query = applyLanguageFilter(query, language);
     // Execute query
     const { data, error } = await query;
     if (error) {
@@ -3215,6 +3427,9 @@ export function registerRoutes(app) {
       isCurrentVersion: d.is_current_version,
       supersedesId: d.supersedes_id,
       documentDate: d.document_date,
+      customFields: d.custom_fields || {},
+      documentType: d.document_type || null,
+      language: d.language || null,
       deletedAt: d.deleted_at,
       purgeAfter: d.purge_after,
       // Add linked document IDs: explicit links (both directions) + version group siblings
@@ -3297,6 +3512,13 @@ export function registerRoutes(app) {
       isCurrentVersion: data.is_current_version,
       supersedesId: data.supersedes_id,
       documentDate: data.document_date,
+      customFields: data.custom_fields || {},
+      documentType: data.document_type || null,
+      // Per field: source (ai, user, import), model and prompt version, confidence, page and snippet
+      fieldProvenance: data.field_provenance || {},
+      language: data.language || null,
+      // English translation of the summary when the org writes summaries in another language
+      summaryTranslation: data.summary_translation || null,
       // Add linked document IDs from the links table
       linkedDocumentIds,
       // Add version field for backwards compatibility
@@ -3334,9 +3556,12 @@ export function registerRoutes(app) {
       contentHash: z.string().optional(),
       storageKey: z.string().optional(),
       departmentId: z.string().uuid().optional(),
+      // Who supplied the metadata above, e.g. 'ai' when it is the upload analysis suggestion
+      metadataSource: z.enum(PROVENANCE_SOURCES).default('user'),
     });
     const body = Schema.parse(req.body);
     const dbFields = toDbDocumentFields(body);
+    dbFields.field_provenance = initialProvenance(dbFields, body.metadataSource, userId);
     // Resolve department: non-admins must create within their own department(s)
     let departmentId = body.departmentId || null;
     let isAdmin = false;
@@ -3514,9 +3739,24 @@ export function registerRoutes(app) {
       receiver: z.string().optional(),
       document_date: z.string().optional(),
       is_current_version: z.boolean().optional(),
+      // Partial: only the listed fields change, null clears one
+      custom_fields: z.record(z.any()).optional(),
     });
     const { id } = req.params;
     const body = Schema.parse(req.body || {});
+    const { data: current, error: loadErr } = await db.from('documents').select('custom_fields, field_provenance').eq('org_id', orgId).eq('id', id).maybeSingle();
+    if (loadErr) throw loadErr;
+    if (!current) {
+      const err = new Error('Not found');
+      err.statusCode = 404;
+      throw err;
+    }
+    // Edited fields become user-sourced, so re-ingestion leaves them alone
+    const editedKeys = body.custom_fields ? Object.keys(body.custom_fields).map(customFieldKey) : [];
+    if (body.custom_fields) {
+      const fields = await loadCustomFields(app.supabaseAdmin, orgId);
+      body.custom_fields = mergeCustomFieldValues(fields, current.custom_fields, body.custom_fields);
+    }
     // Normalize empty strings → undefined for safe updates
     if (typeof body.document_date === 'string' && body.document_date.trim() === '') delete body.document_date;
     if (typeof body.title === 'string' && body.title.trim() === '') delete body.title;
@@ -3540,6 +3780,10 @@ export function registerRoutes(app) {
       })(body.document_date);
       if (iso) body.document_date = iso; else delete body.document_date;
     }
+    editedKeys.push(...PROVENANCE_COLUMNS.filter((c) => body[c] !== undefined));
+    if (editedKeys.length) {
+      body.field_provenance = { ...(current.field_provenance || {}), ...sourceProvenance(editedKeys, 'user', userId) };
+    }
     const { data, error } = await db.from('documents').update(body).eq('org_id', orgId).eq('id', id).select('*').single();
     if (error) throw error;
     await logAudit(app, orgId, userId, 'edit', { doc_id: id, title: data.title || data.filename, note: 'metadata updated' });
@@ -3587,18 +3831,21 @@ export function registerRoutes(app) {
       try { await app.supabaseAdmin.storage.from('documents').remove([document.storage_key]); } catch (e) { req.log.error(e, 'storage delete failed'); }
       try { await app.supabaseAdmin.storage.from('extractions').remove([`${orgId}/${id}.json`]); } catch {}
     }
+    try { await removePagePreviews(app.supabaseAdmin, { orgId, docId: id }); } catch {}
     await app.supabaseAdmin.from('documents').delete().eq('org_id', orgId).eq('id', id);
     await logAudit(app, orgId, userId, 'delete', { doc_id: id, note: `permanently deleted "${document.title || document.filename || 'untitled'}"`, storage_cleaned: !!document.storage_key });
     return { ok: true, storage_cleaned: !!document.storage_key, trashed: false, permanent: true };
   });
 
-  // Reingest a document: rerun OCR/metadata/chunks/embeddings
+  // Reingest a document: rerun OCR/metadata/chunks/embeddings. Work already done for the
+  // same file bytes is reused unless `force` is set.
   app.post('/orgs/:orgId/documents/:id/reingest', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
     const db = req.supabase;
     const orgId = await ensureActiveMember(req);
     // Require edit permission (RLS on documents will scope to allowed docs)
     await ensurePerm(req, 'documents.update', app);
     const { id } = req.params;
+    const { force = false } = z.object({ force: z.boolean().optional() }).parse(req.body || {});
     const { data: doc, error } = await db
       .from('documents')
       .select('id, storage_key, mime_type')
@@ -3611,10 +3858,8 @@ export function registerRoutes(app) {
       err.statusCode = 400;
       throw err;
     }
-    Promise.resolve().then(() => ingestDocument(app, { orgId, docId: id, storageKey: doc.storage_key, mimeType: doc.mime_type || 'application/octet-stream' })).catch((e) => {
-      req.log?.error(e, 'reingest failed');
-    });
-    return { ok: true };
+    const job = await enqueueIngestionJob({ orgId, docId: id, storageKey: doc.storage_key, mimeType: doc.mime_type || 'application/octet-stream', force });
+    return { ok: true, job };
   });
 
   // Reingest all documents for this org (best-effort, async). Admin only.
@@ -3629,17 +3874,104 @@ export function registerRoutes(app) {
       .not('storage_key', 'is', null)
       .limit(1000);
     if (error) throw error;
+    let queued = 0;
     for (const d of docs || []) {
-      Promise.resolve().then(() => ingestDocument(app, { orgId, docId: d.id, storageKey: d.storage_key, mimeType: d.mime_type || 'application/octet-stream' })).catch(() => {});
+      try {
+        await enqueueIngestionJob({ orgId, docId: d.id, storageKey: d.storage_key, mimeType: d.mime_type || 'application/octet-stream' });
+        queued++;
+      } catch (e) {
+        req.log?.warn(e, 'failed to queue reingest');
+      }
     }
-    return { ok: true, queued: (docs || []).length };
+    return { ok: true, queued };
   });
 
-  // Ingest status for a document
-  app.get('/orgs/:orgId/documents/:id/ingest', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+  // Chunks whose embedding was produced by a model other than the org's current one
+  function staleEmbeddingFilter(modelId) {
+    return `embedding_model.is.null,embedding_model.neq."${modelId}"`;
+  }
+
+  // Embedding provider for this org and how many chunks still use another model. Admin only.
+  app.get('/orgs/:orgId/embeddings/status', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
     const db = req.supabase;
     const orgId = await ensureActiveMember(req);
-    const { id } = req.params;
+    await ensureRole(req, ['orgAdmin']);
+    const provider = await resolveEmbeddingProvider(db, orgId);
+    const countChunks = async (apply) => {
+      const { count, error } = await apply(db
+        .from('doc_chunks')
+        .select('id', { count: 'exact', head: true })
+        .eq('org_id', orgId));
+      if (error) throw error;
+      return count || 0;
+    };
+    const total = await countChunks((q) => q);
+    const missing = await countChunks((q) => q.is('embedding', null));
+    const current = await countChunks((q) => q.eq('embedding_model', provider.modelId).not('embedding', 'is', null));
+    const { data: staleRows, error } = await db
+      .from('doc_chunks')
+      .select('doc_id')
+      .eq('org_id', orgId)
+      .not('embedding', 'is', null)
+      .or(staleEmbeddingFilter(provider.modelId))
+      .limit(5000);
+    if (error) throw error;
+    const staleDocIds = Array.from(new Set((staleRows || []).map((r) => r.doc_id)));
+    const stale = total - missing - current;
+    return {
+      provider: provider.name,
+      model: provider.modelId,
+      dimensions: provider.dimensions,
+      configured: provider.isConfigured(),
+      chunks: { total, current, stale, missing },
+      mixed: stale > 0,
+      staleDocIds,
+    };
+  });
+
+  // Re-embed existing chunks with the org's current provider (no OCR/re-chunking). Admin only.
+  // Defaults to every document that still has chunks from another model.
+  app.post('/orgs/:orgId/embeddings/reembed', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const db = req.supabase;
+    const orgId = await ensureActiveMember(req);
+    await ensureRole(req, ['orgAdmin']);
+    const Schema = z.object({ docIds: z.array(z.string().uuid()).max(1000).optional() });
+    const { docIds } = Schema.parse(req.body || {});
+    let ids = docIds;
+    if (!ids) {
+      const provider = await resolveEmbeddingProvider(db, orgId);
+      const { data, error } = await db
+        .from('doc_chunks')
+        .select('doc_id')
+        .eq('org_id', orgId)
+        .or(`embedding.is.null,${staleEmbeddingFilter(provider.modelId)}`)
+        .limit(5000);
+      if (error) throw error;
+      ids = Array.from(new Set((data || []).map((r) => r.doc_id))).slice(0, 1000);
+    }
+    if (ids.length === 0) return { ok: true, queued: 0 };
+    const { data: docs, error } = await db
+      .from('documents')
+      .select('id, storage_key, mime_type')
+      .eq('org_id', orgId)
+      .in('id', ids)
+      .not('storage_key', 'is', null);
+    if (error) throw error;
+    let queued = 0;
+    for (const d of docs || []) {
+      try {
+        await enqueueIngestionJob({ orgId, docId: d.id, storageKey: d.storage_key, mimeType: d.mime_type || 'application/octet-stream', mode: 'reembed' });
+        queued++;
+      } catch (e) {
+        req.log?.warn(e, 'failed to queue reembed');
+      }
+    }
+    return { ok: true, queued };
+  });
+
+  // Chunk/embedding readiness plus the latest ingestion job for a document
+  async function loadIngestStatus(req, orgId, id) {
+    const db = req.supabase;
     const { count: chunkCount, error: cntErr } = await db
       .from('doc_chunks')
       .select('id', { count: 'exact', head: true })
@@ -3655,7 +3987,39 @@ export function registerRoutes(app) {
       .limit(1);
     const hasEmbeddings = Array.isArray(embedRow) ? embedRow.length > 0 : false;
     const count = typeof chunkCount === 'number' ? chunkCount : 0;
-    return { chunks: count, hasEmbeddings, ready: count > 0 };
+    let job = null;
+    try { job = await getLatestIngestionJob(db, orgId, id); } catch (e) { req.log?.warn(e, 'ingest job lookup failed'); }
+    return { chunks: count, hasEmbeddings, ready: count > 0, job };
+  }
+
+  // Ingest status for a document
+  app.get('/orgs/:orgId/documents/:id/ingest', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const orgId = await ensureActiveMember(req);
+    const { id } = req.params;
+    return loadIngestStatus(req, orgId, id);
+  });
+
+  // Live ingest progress (SSE): snapshot, then stage transitions until complete/failed
+  app.get('/orgs/:orgId/documents/:id/ingest/stream', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req, reply) => {
+    const orgId = await ensureActiveMember(req);
+    const { id } = req.params;
+    // RLS scopes visibility; do not reveal progress for documents the caller cannot read
+    const { data: visible, error } = await req.supabase
+      .from('documents')
+      .select('id')
+      .eq('org_id', orgId)
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!visible) return reply.code(404).send({ error: 'Not found' });
+
+    const controller = new AbortController();
+    req.raw.on('close', () => controller.abort());
+    reply.sse(createIngestProgressStream({
+      docId: id,
+      loadSnapshot: () => loadIngestStatus(req, orgId, id),
+      signal: controller.signal,
+    }));
   });
 
   // Bulk document deletion endpoint
@@ -3717,6 +4081,12 @@ export function registerRoutes(app) {
           .remove([extractionKey])
           .catch(error => console.warn(`Failed to delete extraction data ${extractionKey}:`, error))
       );
+
+      // 3. Delete page previews
+      storageCleanupTasks.push(
+        removePagePreviews(app.supabaseAdmin, { orgId, docId: doc.id })
+          .catch(error => console.warn(`Failed to delete page previews for ${doc.id}:`, error))
+      );
     }
     
     // Execute all cleanup tasks in parallel (non-blocking)
@@ -4072,25 +4442,32 @@ export function registerRoutes(app) {
     return { suggestions };
   });
 
-  app.post('/orgs/:orgId/documents/:id/version', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
-    const db = req.supabase;
-    const orgId = await ensureActiveMember(req);
-    const userId = req.user?.sub;
-    const { id } = req.params;
-    const Schema = z.object({ draft: z.record(z.any()) });
-    const { draft } = Schema.parse(req.body);
-    const { data: base, error: berr } = await db.from('documents').select('*').eq('org_id', orgId).eq('id', id).single();
+  // Make room for a new current version of base: put base in a version group (its own, if
+  // it has none yet), demote the group's current version and pick the next version number
+  async function prepareNextVersion(db, orgId, baseId) {
+    const { data: base, error: berr } = await db.from('documents').select('*').eq('org_id', orgId).eq('id', baseId).single();
     if (berr) throw berr;
     const groupId = base.version_group_id || base.id;
     const { data: latestList, error: lerr } = await db.from('documents').select('version_number').eq('org_id', orgId).eq('version_group_id', groupId).order('version_number', { ascending: false }).limit(1);
     if (lerr) throw lerr;
     const nextNum = (latestList && latestList[0]?.version_number) ? (latestList[0].version_number + 1) : ((base.version_number || 1) + 1);
-    // Ensure base doc is part of the group and not current anymore
     if (!base.version_group_id) {
       await db.from('documents').update({ version_group_id: groupId, version_number: base.version_number || 1 }).eq('org_id', orgId).eq('id', base.id);
     }
     await db.from('documents').update({ is_current_version: false }).eq('org_id', orgId).eq('version_group_id', groupId);
+    return { base, groupId, nextNum };
+  }
+
+  app.post('/orgs/:orgId/documents/:id/version', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const db = req.supabase;
+    const orgId = await ensureActiveMember(req);
+    const userId = req.user?.sub;
+    const { id } = req.params;
+    const Schema = z.object({ draft: z.record(z.any()) });
+    const { draft } = Schema.parse(req.body);
+    const { base, groupId, nextNum } = await prepareNextVersion(db, orgId, id);
     const filtered = toDbDocumentFields(draft);
+    filtered.field_provenance = initialProvenance(filtered, PROVENANCE_SOURCES.includes(draft.metadataSource) ? draft.metadataSource : 'user', userId);
     // Avoid unique constraint conflicts across versions
     delete filtered.content_hash;
     const newDoc = { ...filtered, org_id: orgId, owner_user_id: userId, version_group_id: groupId, version_number: nextNum, is_current_version: true, supersedes_id: base.id };
@@ -4168,6 +4545,117 @@ export function registerRoutes(app) {
     return { ok: true };
   });
 
+  // Make an existing (just uploaded) document the current version of base's version group
+  async function attachDocumentAsVersion(db, orgId, baseId, docId) {
+    const { base, groupId, nextNum } = await prepareNextVersion(db, orgId, baseId);
+    const { data, error } = await db
+      .from('documents')
+      .update({ version_group_id: groupId, version_number: nextNum, is_current_version: true, supersedes_id: base.id, folder_path: base.folder_path })
+      .eq('org_id', orgId)
+      .eq('id', docId)
+      .select('*')
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  // Duplicates detected for an uploaded document (exact at finalize, near after ingestion)
+  app.get('/orgs/:orgId/documents/:id/duplicates', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const db = req.supabase;
+    const orgId = await ensureActiveMember(req);
+    const { id } = req.params;
+    const { data: rows, error } = await db
+      .from('document_duplicates')
+      .select('duplicate_of_id, kind, similarity, status, resolution, resolved_at, created_at')
+      .eq('org_id', orgId)
+      .eq('doc_id', id)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    if (!rows?.length) return { pending: false, duplicates: [] };
+    // RLS on documents hides matches the caller cannot see
+    const { data: docs, error: derr } = await db
+      .from('documents')
+      .select('id, title, filename, folder_path, uploaded_at, version_group_id, version_number, is_current_version')
+      .eq('org_id', orgId)
+      .in('id', rows.map((r) => r.duplicate_of_id));
+    if (derr) throw derr;
+    const byId = new Map((docs || []).map((d) => [d.id, d]));
+    const duplicates = rows
+      .filter((r) => byId.has(r.duplicate_of_id))
+      .map((r) => ({
+        ...toDuplicateView(byId.get(r.duplicate_of_id), { kind: r.kind, similarity: r.similarity }),
+        status: r.status,
+        resolution: r.resolution || null,
+        resolvedAt: r.resolved_at || null,
+      }));
+    return { pending: duplicates.some((d) => d.status === 'pending'), duplicates };
+  });
+
+  // Resolve a document's pending duplicates:
+  //   skip      - move the new upload to the recycle bin
+  //   version   - make it the new current version of the duplicate's version group
+  //   keep_both - keep it as an independent document
+  app.post('/orgs/:orgId/documents/:id/duplicates/resolve', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const db = req.supabase;
+    const orgId = await ensureActiveMember(req);
+    const userId = req.user?.sub;
+    const { id } = req.params;
+    const Schema = z.object({ action: z.enum(DUPLICATE_RESOLUTIONS), duplicateOf: z.string().uuid().optional() });
+    const { action, duplicateOf } = Schema.parse(req.body || {});
+    await ensurePerm(req, action === 'skip' ? 'documents.delete' : 'documents.update', app);
+
+    const { data: pending, error } = await db
+      .from('document_duplicates')
+      .select('duplicate_of_id')
+      .eq('org_id', orgId)
+      .eq('doc_id', id)
+      .eq('status', 'pending');
+    if (error) throw error;
+    const candidates = (pending || []).map((r) => r.duplicate_of_id);
+    if (candidates.length === 0) {
+      const err = new Error('No pending duplicates for this document');
+      err.statusCode = 404;
+      throw err;
+    }
+    if (duplicateOf && !candidates.includes(duplicateOf)) {
+      const err = new Error('Document is not a pending duplicate of this document');
+      err.statusCode = 400;
+      throw err;
+    }
+
+    let document = null;
+    if (action === 'version') {
+      const baseId = duplicateOf || (candidates.length === 1 ? candidates[0] : null);
+      if (!baseId) {
+        const err = new Error('duplicateOf is required when there are several duplicates');
+        err.statusCode = 400;
+        throw err;
+      }
+      document = mapDbToFrontendFields(await attachDocumentAsVersion(db, orgId, baseId, id));
+      await logAudit(app, orgId, userId, 'link', { doc_id: id, note: `duplicate attached as new version of ${baseId}` });
+    } else if (action === 'skip') {
+      const now = new Date();
+      const purgeAfter = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+      const { error: updErr } = await app.supabaseAdmin
+        .from('documents')
+        .update({ deleted_at: now.toISOString(), deleted_by: userId, purge_after: purgeAfter.toISOString() })
+        .eq('org_id', orgId)
+        .eq('id', id);
+      if (updErr) throw updErr;
+      await logAudit(app, orgId, userId, 'delete', { doc_id: id, note: 'duplicate upload skipped, moved to recycle bin' });
+    }
+
+    // Resolving settles every pending match for the document
+    const { error: resErr } = await app.supabaseAdmin
+      .from('document_duplicates')
+      .update({ status: 'resolved', resolution: action, resolved_by: userId, resolved_at: new Date().toISOString() })
+      .eq('org_id', orgId)
+      .eq('doc_id', id)
+      .eq('status', 'pending');
+    if (resErr) throw resErr;
+    return { ok: true, action, document };
+  });
+
   // Test endpoint to check array handling
   app.get('/orgs/:orgId/test-array', { preHandler: app.verifyAuth }, async (req) => {
     const db = req.supabase;
@@ -4359,7 +4847,7 @@ export function registerRoutes(app) {
       }
     }
 
-    return Array.from(children).sort().map((name) => {
+    const folders = Array.from(children).sort().map((name) => {
       const info = folderInfo.get(name);
       const departmentName = info?.departmentId ? departmentMap.get(info.departmentId) : null;
       return {
@@ -4371,6 +4859,34 @@ export function registerRoutes(app) {
         title: info?.title
       };
     });
+
+    // Smart folders (saved searches) follow the real ones at the root; ?smart=false skips them
+    if (pathArr.length || String(req.query?.smart) === 'false') return folders;
+    const scope = await loadSearchScope(db, { orgId, userId });
+    let savedSearches = [];
+    try {
+      savedSearches = await listSavedSearches(app.supabaseAdmin, { orgId, userId, scope, foldersOnly: true });
+    } catch (e) {
+      req.log.warn({ err: e.message }, 'Saved searches unavailable');
+    }
+    const missingDeptIds = savedSearches.map((s) => s.department_id).filter((id) => id && !departmentMap.has(id));
+    if (missingDeptIds.length) {
+      const { data: depts } = await db.from('departments').select('id, name').in('id', Array.from(new Set(missingDeptIds)));
+      for (const dept of depts || []) departmentMap.set(dept.id, dept.name);
+    }
+    // One count query per folder, in parallel; the searches themselves run when a folder is opened
+    const smartFolders = await Promise.all(savedSearches.slice(0, MAX_SMART_FOLDERS).map(async (row) => {
+      const departmentName = row.department_id ? departmentMap.get(row.department_id) || null : null;
+      try {
+        const { total, exact } = await countDocumentSearch(app, req, orgId, toSearchRequest(row), { scope });
+        return toSmartFolder(row, { total, exact, departmentName });
+      } catch (e) {
+        // E.g. a custom field the search filters on was removed since
+        req.log.warn({ err: e.message, savedSearchId: row.id }, 'Smart folder count failed');
+        return toSmartFolder(row, { departmentName });
+      }
+    }));
+    return [...folders, ...smartFolders];
   });
 
   app.post('/orgs/:orgId/folders', { preHandler: app.verifyAuth }, async (req) => {
@@ -4857,92 +5373,277 @@ export function registerRoutes(app) {
     const db = req.supabase;
     const orgId = await ensureActiveMember(req);
     const { q = '', limit = 50, offset = 0 } = req.query || {};
+    const customFilters = await customFieldFiltersFromQuery(app, orgId, req.query);
+    const structuredFilters = structuredFiltersFromQuery(req.query);
+    const language = languageFilterFromQuery(req.query);
     const s = `%${String(q).trim()}%`;
-    const { data, error } = await db
+    let query = db
       .from('documents')
       .select('*')
       .eq('org_id', orgId)
-      .or(`title.ilike.${s},subject.ilike.${s},sender.ilike.${s},receiver.ilike.${s},description.ilike.${s}`)
+      .is('deleted_at', null)
+      .or(`title.ilike.${s},subject.ilike.${s},sender.ilike.${s},receiver.ilike.${s},description.ilike.${s}`);
+    query = applyLanguageFilter(applyStructuredFilters(applyCustomFieldFilters(query, customFilters), structuredFilters), language);
+    const { data, error } = await query
       .order('uploaded_at', { ascending: false })
       .range(offset, offset + Math.min(Number(limit), 200) - 1);
     if (error) throw error;
     return data;
   });
 
-  // Semantic search using pgvector doc_chunks + OpenAI embeddings
-  app.post('/orgs/:orgId/search/semantic', { preHandler: app.verifyAuth }, async (req, reply) => {
+  // Unified search: lexical, metadata-embedding and chunk-embedding matches in one ranked
+  // list, limited to what the caller can read (as GET /documents), with facet counts
+  app.post('/orgs/:orgId/search', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
     const db = req.supabase;
     const orgId = await ensureActiveMember(req);
-    const Schema = z.object({ q: z.string().min(1), limit: z.number().int().min(1).max(100).optional(), threshold: z.number().min(-1).max(1).optional() });
-    const { q, limit = 20, threshold = 0 } = Schema.parse(req.body || {});
-
-    // Embed query via OpenAI REST API to avoid extra SDK deps
-    async function embedQuery(text) {
-      const apiKey = process.env.OPENAI_API_KEY;
-      if (!apiKey) return null;
-      const res = await fetch('https://api.openai.com/v1/embeddings', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ model: 'text-embedding-3-small', input: text }),
-      });
-      if (!res.ok) {
-        const errTxt = await res.text().catch(() => '');
-        throw new Error(`OpenAI embeddings error: ${res.status} ${errTxt}`);
-      }
-      const data = await res.json();
-      const emb = data?.data?.[0]?.embedding;
-      return Array.isArray(emb) ? emb : null;
+    const userId = req.user?.sub;
+    const Schema = z.object({
+      q: z.string().max(500).optional(),
+      filters: SearchFiltersSchema.optional(),
+      // { <field>: value | { eq|neq|gt|gte|lt|lte|contains: value } }
+      customFields: z.record(z.any()).optional(),
+      documentType: z.string().optional(),
+      language: z.string().optional(),
+      // Embedding legs (default on); off gives a cheaper, lexical-only search
+      semantic: z.boolean().optional(),
+      // Override the org's fusion settings for this search, e.g. while tuning them
+      fusion: z.enum(FUSION_STRATEGIES).optional(),
+      weights: SearchWeightsSchema.partial().optional(),
+      // Each result's per-leg scores and ranks
+      debug: z.boolean().optional(),
+      limit: z.number().int().min(1).max(100).optional(),
+      offset: z.number().int().min(0).optional(),
+    });
+    const body = Schema.parse(req.body || {});
+    const { q = '', semantic, fusion, weights, debug, limit, offset } = body;
+
+    const { data: userDepts } = await db
+      .from('department_users')
+      .select('department_id')
+      .eq('org_id', orgId)
+      .eq('user_id', userId);
+    try {
+      await ensurePerm(req, 'documents.read', app, { departmentId: userDepts?.[0]?.department_id || null });
+    } catch {
+      const parsed = describeSearchQuery(parseSearchQuery(q));
+      return { query: q, parsed, mode: 'browse', total: 0, truncated: false, results: [], facets: computeFacets([]) };
     }
 
-    let embedding = null;
-    try { embedding = await embedQuery(q); } catch (e) { req.log.warn(e, 'embed failed'); }
+    return runDocumentSearch(app, req, orgId, body, { semantic, fusion, weights, debug, limit, offset });
+  });
 
-    // If embeddings unavailable, fallback to lexical search quickly
-    if (!embedding) {
-      const s = `%${String(q).trim()}%`;
-      const { data, error } = await db
-        .from('documents')
-        .select('id, title, filename, type, uploaded_at')
-        .eq('org_id', orgId)
-        .or(`title.ilike.${s},subject.ilike.${s},sender.ilike.${s},receiver.ilike.${s},description.ilike.${s}`)
-        .order('uploaded_at', { ascending: false })
-        .limit(Math.min(limit, 50));
-      if (error) throw error;
-      return { mode: 'lexical', docs: (data || []).map(d => ({ id: d.id, title: d.title || d.filename || 'Untitled', type: d.type, uploadedAt: d.uploaded_at })) };
+  // Saved searches: private to their owner or shared with a department; those shown as
+  // folders are listed by GET /orgs/:orgId/folders as smart folders
+  async function savedSearchContext(req) {
+    const orgId = await ensureActiveMember(req);
+    const userId = req.user?.sub;
+    const { data: userDepts } = await req.supabase
+      .from('department_users')
+      .select('department_id')
+      .eq('org_id', orgId)
+      .eq('user_id', userId);
+    await ensurePerm(req, 'documents.read', app, { departmentId: userDepts?.[0]?.department_id || null });
+    const scope = await loadSearchScope(req.supabase, { orgId, userId });
+    return { orgId, userId, scope };
+  }
+
+  async function manageableSavedSearch(req, ctx) {
+    const row = await loadSavedSearch(app.supabaseAdmin, { ...ctx, id: req.params.id });
+    if (!canManageSavedSearch(row, ctx)) {
+      const err = new Error('Only the owner can change this saved search');
+      err.statusCode = 403;
+      throw err;
     }
+    return row;
+  }
 
-    // Vector match via RPC
-    const { data: chunks, error } = await db.rpc('match_doc_chunks', {
-      p_org_id: orgId,
-      p_query_embedding: embedding,
-      p_match_count: limit,
-      p_similarity_threshold: threshold,
-    });
+  app.get('/orgs/:orgId/saved-searches', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const ctx = await savedSearchContext(req);
+    const rows = await listSavedSearches(app.supabaseAdmin, ctx);
+    return rows.map((row) => toSavedSearchView(row, ctx));
+  });
+
+  // The search is run once to validate it; the response includes its current count
+  app.post('/orgs/:orgId/saved-searches', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req, reply) => {
+    const ctx = await savedSearchContext(req);
+    const body = SavedSearchSchema.parse(req.body || {});
+    ensureCanShareWith(body.departmentId, ctx.scope);
+    const row = { name: body.name, query: body.query.trim(), filters: body.filters, department_id: body.departmentId, show_as_folder: body.showAsFolder };
+    const { total } = await runDocumentSearch(app, req, ctx.orgId, toSearchRequest(row), { scope: ctx.scope, semantic: false, limit: 1 });
+    const { data, error } = await app.supabaseAdmin
+      .from('saved_searches')
+      .insert({ ...row, org_id: ctx.orgId, owner_id: ctx.userId })
+      .select('*')
+      .single();
     if (error) throw error;
+    reply.code(201);
+    return { ...toSavedSearchView(data, ctx), count: total };
+  });
 
-    const rows = Array.isArray(chunks) ? chunks : [];
-    // Aggregate by document, keep best similarity and top snippets per doc
-    const byDoc = new Map();
-    for (const r of rows) {
-      const id = r.doc_id;
-      const entry = byDoc.get(id) || { id, title: r.title || r.filename || 'Untitled', type: r.doc_type, uploadedAt: r.uploaded_at, bestSimilarity: -1, snippets: [] };
-      entry.bestSimilarity = Math.max(entry.bestSimilarity, Number(r.similarity || 0));
-      if (entry.snippets.length < 3) entry.snippets.push(String(r.content || '').slice(0, 500));
-      byDoc.set(id, entry);
+  app.patch('/orgs/:orgId/saved-searches/:id', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const ctx = await savedSearchContext(req);
+    const body = SavedSearchSchema.partial().parse(req.body || {});
+    const existing = await manageableSavedSearch(req, ctx);
+    if (body.departmentId) ensureCanShareWith(body.departmentId, ctx.scope);
+    const fields = { updated_at: new Date().toISOString() };
+    if (body.name !== undefined) fields.name = body.name;
+    if (body.query !== undefined) fields.query = body.query.trim();
+    if (body.filters !== undefined) fields.filters = body.filters;
+    if (body.departmentId !== undefined) fields.department_id = body.departmentId;
+    if (body.showAsFolder !== undefined) fields.show_as_folder = body.showAsFolder;
+    let count;
+    if (body.query !== undefined || body.filters !== undefined) {
+      ({ total: count } = await runDocumentSearch(app, req, ctx.orgId, toSearchRequest({ ...existing, ...fields }), { scope: ctx.scope, semantic: false, limit: 1 }));
     }
-    const docs = Array.from(byDoc.values()).sort((a, b) => (b.bestSimilarity - a.bestSimilarity));
-    const payload = {
-      mode: 'semantic',
-      query: q,
-      chunks: rows.map(r => ({
-        docId: r.doc_id,
+    const { data, error } = await app.supabaseAdmin
+      .from('saved_searches')
+      .update(fields)
+      .eq('org_id', ctx.orgId)
+      .eq('id', existing.id)
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      const err = new Error('Saved search not found');
+      err.statusCode = 404;
+      throw err;
+    }
+    return count === undefined ? toSavedSearchView(data, ctx) : { ...toSavedSearchView(data, ctx), count };
+  });
+
+  app.delete('/orgs/:orgId/saved-searches/:id', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req, reply) => {
+    const ctx = await savedSearchContext(req);
+    const existing = await manageableSavedSearch(req, ctx);
+    const { error } = await app.supabaseAdmin
+      .from('saved_searches')
+      .delete()
+      .eq('org_id', ctx.orgId)
+      .eq('id', existing.id);
+    if (error) throw error;
+    return reply.code(204).send();
+  });
+
+  // A smart folder's contents: the saved search run for the caller, newest first without
+  // free text. Lexical only (as the folder counts) unless ?semantic=true
+  app.get('/orgs/:orgId/saved-searches/:id/documents', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const ctx = await savedSearchContext(req);
+    const Schema = z.object({
+      limit: z.coerce.number().int().min(1).max(100).default(50),
+      offset: z.coerce.number().int().min(0).default(0),
+      semantic: z.enum(['true', 'false']).default('false'),
+    });
+    const { limit, offset, semantic } = Schema.parse(req.query || {});
+    const row = await loadSavedSearch(app.supabaseAdmin, { ...ctx, id: req.params.id });
+    const result = await runDocumentSearch(app, req, ctx.orgId, toSearchRequest(row), { scope: ctx.scope, semantic: semantic === 'true', limit, offset });
+    return { savedSearch: toSavedSearchView(row, ctx), ...result };
+  });
+
+  // Semantic search using pgvector doc_chunks + the org's embedding provider
+  app.post('/orgs/:orgId/search/semantic', { preHandler: app.verifyAuth }, async (req, reply) => {
+    const db = req.supabase;
+    const orgId = await ensureActiveMember(req);
+    const Schema = z.object({
+      q: z.string().min(1),
+      limit: z.number().int().min(1).max(100).optional(),
+      threshold: z.number().min(-1).max(1).optional(),
+      // { <field>: value | { eq|neq|gt|gte|lt|lte|contains: value } }
+      customFields: z.record(z.any()).optional(),
+      // Also search with the query translated into the org's search_languages (default on)
+      crossLingual: z.boolean().optional(),
+    });
+    const { q, limit = 20, threshold = 0, customFields, crossLingual = true } = Schema.parse(req.body || {});
+    const customFilters = customFields
+      ? parseCustomFieldFilters(await loadCustomFields(app.supabaseAdmin, orgId), customFields)
+      : [];
+
+    // A Marathi query finds English documents (and the reverse) through its translations
+    const { searchLanguages } = crossLingual ? await loadOrgLanguageSettings(app.supabaseAdmin, orgId) : { searchLanguages: [] };
+    // Translations and query embeddings are billed to the org; over budget, neither is made
+    // and the search falls back to the lexical one below
+    const usage = { orgId, operation: 'search', log: req.log, enforceBudget: true };
+    const { variants, embeddings } = await withUsageTracking(app.supabaseAdmin, usage, async () => {
+      const found = await queryVariants(q, searchLanguages, { log: req.log });
+      return { variants: found, embeddings: await Promise.all(found.map((v) => generateEmbedding(v.q, { db, orgId }))) };
+    });
+    const translations = variants.filter((v) => v.translated).map(({ language, q: text }) => ({ language, q: text }));
+
+    // Query with the org's embedding provider so vectors are comparable with its chunks
+    const provider = await resolveEmbeddingProvider(db, orgId);
+    const embedding = embeddings[0];
+
+    // If embeddings unavailable, fallback to lexical search quickly
+    if (!embedding) {
+      // Commas and parentheses in translations would break the or() filter syntax
+      const terms = variants.map((v) => (v.translated ? v.q.replace(/[,()]/g, ' ') : v.q).trim());
+      const clauses = terms.flatMap((t) => ['title', 'subject', 'sender', 'receiver', 'description'].map((col) => `${col}.ilike.%${t}%`));
+      const lexical = applyCustomFieldFilters(db
+        .from('documents')
+        .select('id, title, filename, type, uploaded_at')
+        .eq('org_id', orgId)
+        .or(clauses.join(',')), customFilters);
+      const { data, error } = await lexical
+        .order('uploaded_at', { ascending: false })
+        .limit(Math.min(limit, 50));
+      if (error) throw error;
+      return { mode: 'lexical', translations, docs: (data || []).map(d => ({ id: d.id, title: d.title || d.filename || 'Untitled', type: d.type, uploadedAt: d.uploaded_at })) };
+    }
+
+    // Vector match via RPC, once per query variant; a chunk keeps its best similarity
+    // Over-fetch when filtering so documents that fail the filter don't leave the page short
+    const matchCount = customFilters.length ? Math.min(limit * 5, 200) : limit;
+    const matches = await Promise.all(variants.map((v, i) => (embeddings[i]
+      ? db.rpc('match_doc_chunks', {
+        p_org_id: orgId,
+        p_query_embedding: embeddings[i],
+        p_match_count: matchCount,
+        p_similarity_threshold: threshold,
+      })
+      : { data: [] })));
+    const bestByChunk = new Map();
+    for (const { data: matched, error } of matches) {
+      if (error) throw error;
+      for (const r of matched || []) {
+        const prev = bestByChunk.get(r.chunk_id);
+        if (!prev || Number(r.similarity || 0) > Number(prev.similarity || 0)) bestByChunk.set(r.chunk_id, r);
+      }
+    }
+    const chunks = Array.from(bestByChunk.values())
+      .sort((a, b) => Number(b.similarity || 0) - Number(a.similarity || 0))
+      .slice(0, matchCount);
+
+    let current = await filterChunksByEmbeddingModel(db, chunks, provider.modelId);
+    if (customFilters.length && current?.length) {
+      const docIds = Array.from(new Set(current.map((r) => r.doc_id)));
+      const { data: docRows, error: docErr } = await db
+        .from('documents')
+        .select('id, custom_fields')
+        .eq('org_id', orgId)
+        .in('id', docIds);
+      if (docErr) throw docErr;
+      const allowed = new Set((docRows || []).filter((d) => matchesCustomFieldFilters(d.custom_fields, customFilters)).map((d) => d.id));
+      current = current.filter((r) => allowed.has(r.doc_id)).slice(0, limit);
+    }
+    const rows = await attachChunkLocations(db, current);
+    // Aggregate by document, keep best similarity and top snippets per doc
+    const byDoc = new Map();
+    for (const r of rows) {
+      const id = r.doc_id;
+      const entry = byDoc.get(id) || { id, title: r.title || r.filename || 'Untitled', type: r.doc_type, uploadedAt: r.uploaded_at, bestSimilarity: -1, snippets: [] };
+      entry.bestSimilarity = Math.max(entry.bestSimilarity, Number(r.similarity || 0));
+      if (entry.snippets.length < 3) entry.snippets.push(String(r.content || '').slice(0, 500));
+      byDoc.set(id, entry);
+    }
+    const docs = Array.from(byDoc.values()).sort((a, b) => (b.bestSimilarity - a.bestSimilarity));
+    const payload = {
+      mode: 'semantic',
+      query: q,
+      translations,
+      chunks: rows.map(r => ({
+        docId: r.doc_id,
         chunkId: r.chunk_id,
         chunkIndex: r.chunk_index,
         snippet: String(r.content || '').slice(0, 500),
-        page: typeof r.page === 'number' ? r.page : null,
+        ...chunkLocation(r),
         similarity: Number(r.similarity || 0),
       })),
       docs,
@@ -4951,62 +5652,77 @@ export function registerRoutes(app) {
   });
 
   // Backend OCR/metadata from Storage using Gemini Files API (async queue)
+  // Jobs live in upload_analysis_jobs, so any instance can report on or cancel them
+  function toAnalysisJobResponse(job) {
+    const base = { jobId: job.jobId, status: job.status, storageKey: job.storageKey, createdAt: job.createdAt, updatedAt: job.updatedAt };
+    if (job.status === 'succeeded') return { ...base, result: job.result };
+    if (job.status === 'failed') {
+      return {
+        ...base,
+        error: job.error || 'Analysis failed',
+        fallback: job.fallback,
+        httpStatus: job.httpStatus || 500,
+      };
+    }
+    return base;
+  }
+
+  function parseAnalysisJobId(req) {
+    const parsed = z.string().uuid().safeParse(req.params.jobId);
+    if (!parsed.success) {
+      const err = new Error('Job not found');
+      err.statusCode = 404;
+      throw err;
+    }
+    return parsed.data;
+  }
+
   app.post('/orgs/:orgId/uploads/analyze', { preHandler: app.verifyAuth }, async (req, reply) => {
     const orgId = await ensureActiveMember(req);
     const Schema = z.object({ storageKey: z.string(), mimeType: z.string().optional() });
     const { storageKey, mimeType } = Schema.parse(req.body);
 
     try {
-      const job = enqueueUploadAnalysisJob({
+      const job = await enqueueUploadAnalysisJob({
         orgId,
+        userId: req.user?.sub,
         storageKey,
         mimeType: mimeType || null,
-        userId: req.user?.sub || null,
       });
-      return reply.code(202).send(job);
+      return reply.code(202).send({ jobId: job.jobId, status: job.status, expiresAt: job.expiresAt });
     } catch (error) {
       req.log?.error?.(error, 'Failed to enqueue upload analysis job');
       return reply.code(500).send({ error: 'Failed to schedule analysis' });
     }
   });
 
+  // The caller's queued and running analyses, e.g. to restore progress after a page reload
+  app.get('/orgs/:orgId/uploads/analyze', { preHandler: app.verifyAuth }, async (req) => {
+    const orgId = await ensureActiveMember(req);
+    const jobs = await listUploadAnalysisJobs({ orgId, userId: req.user?.sub });
+    return { jobs: jobs.map(toAnalysisJobResponse) };
+  });
+
   app.get('/orgs/:orgId/uploads/analyze/:jobId', { preHandler: app.verifyAuth }, async (req, reply) => {
     const orgId = await ensureActiveMember(req);
-    const { jobId } = req.params;
+    const jobId = parseAnalysisJobId(req);
 
-    const job = getUploadAnalysisJob(jobId);
-    if (!job || job.orgId !== orgId) {
+    const job = await getUploadAnalysisJob({ orgId, userId: req.user?.sub, jobId });
+    if (!job) {
       return reply.code(404).send({ error: 'Job not found' });
     }
+    return toAnalysisJobResponse(job);
+  });
 
-    if (job.status === 'succeeded') {
-      return {
-        jobId: job.jobId,
-        status: 'succeeded',
-        result: job.result?.data || null,
-        createdAt: job.createdAt,
-        updatedAt: job.updatedAt,
-      };
-    }
+  app.delete('/orgs/:orgId/uploads/analyze/:jobId', { preHandler: app.verifyAuth }, async (req, reply) => {
+    const orgId = await ensureActiveMember(req);
+    const jobId = parseAnalysisJobId(req);
 
-    if (job.status === 'failed') {
-      return {
-        jobId: job.jobId,
-        status: 'failed',
-        error: job.result?.error || 'Analysis failed',
-        fallback: job.result?.fallback || null,
-        httpStatus: job.result?.httpStatus || 500,
-        createdAt: job.createdAt,
-        updatedAt: job.updatedAt,
-      };
+    const job = await cancelUploadAnalysisJob({ orgId, userId: req.user?.sub, jobId });
+    if (!job) {
+      return reply.code(404).send({ error: 'Job not found' });
     }
-
-    return {
-      jobId: job.jobId,
-      status: job.status,
-      createdAt: job.createdAt,
-      updatedAt: job.updatedAt,
-    };
+    return toAnalysisJobResponse(job);
   });
 
   // Temporary endpoint to apply RLS fix (temporarily without auth for fix)
@@ -5058,9 +5774,7 @@ export function registerRoutes(app) {
   });
 
   app.post('/orgs/:orgId/uploads/finalize', { preHandler: app.verifyAuth }, async (req) => {
-    const db = req.supabase;
     const orgId = await ensureActiveMember(req);
-    const userId = req.user?.sub;
     console.log('[FINALIZE] Request body:', req.body);
     console.log('[FINALIZE] Request body keys:', Object.keys(req.body || {}));
     const Schema = z.object({
@@ -5075,17 +5789,36 @@ export function registerRoutes(app) {
     });
     const body = Schema.parse(req.body);
     console.log('[FINALIZE] Parsed body:', body);
-    const { data, error } = await db
+    return finalizeUpload(req, orgId, body);
+  });
+
+  // Attach an uploaded file to its document record, flag exact duplicates and queue
+  // ingestion. Shared by /uploads/finalize and resumable upload completion.
+  async function finalizeUpload(req, orgId, body) {
+    const db = req.supabase;
+    const userId = req.user?.sub;
+    let duplicates = [];
+    if (body.contentHash) {
+      try { duplicates = await findExactDuplicates(db, orgId, body.contentHash, { excludeId: body.documentId }); } catch (e) { req.log?.warn(e, 'duplicate lookup failed'); }
+    }
+    const finalize = (fields) => db
       .from('documents')
-      .update({ storage_key: body.storageKey, file_size_bytes: body.fileSizeBytes, mime_type: body.mimeType, content_hash: body.contentHash })
+      .update(fields)
       .eq('org_id', orgId)
       .eq('id', body.documentId)
       .select('*')
       .single();
+    const fileFields = { storage_key: body.storageKey, file_size_bytes: body.fileSizeBytes, mime_type: body.mimeType };
+    let { data, error } = await finalize({ ...fileFields, content_hash: body.contentHash });
+    // content_hash may be unique per org; keep the file and leave the hash unset on a duplicate
+    if (error?.code === '23505' && body.contentHash) ({ data, error } = await finalize(fileFields));
     if (error) throw error;
     await logAudit(app, orgId, userId, 'edit', { doc_id: body.documentId, note: 'file finalized' });
+    if (duplicates.length > 0) {
+      try { await recordDuplicates(app.supabaseAdmin, { orgId, docId: body.documentId, duplicates }); } catch (e) { req.log?.warn(e, 'failed to record duplicates'); }
+    }
 
-    // Fire-and-forget ingestion (OCR/metadata via Gemini, chunking, embeddings)
+    // Queue durable ingestion (OCR/metadata via Gemini, chunking, embeddings)
     try {
       const geminiFile = body.geminiFileUri && body.geminiFileId
         ? {
@@ -5099,15 +5832,13 @@ export function registerRoutes(app) {
       } else {
         req.log?.info({ orgId, docId: body.documentId }, 'finalize received no Gemini file handle');
       }
-      // Run asynchronously; do not await to keep finalize snappy
-      Promise.resolve().then(() => ingestDocument(app, { orgId, docId: body.documentId, storageKey: body.storageKey, mimeType: body.mimeType, geminiFile })).catch((e) => {
-        req.log?.error(e, 'ingest pipeline failed');
-      });
+      // The worker picks the job up asynchronously; finalize only waits for the insert
+      await enqueueIngestionJob({ orgId, docId: body.documentId, storageKey: body.storageKey, mimeType: body.mimeType, geminiFile });
     } catch (e) {
       req.log?.warn(e, 'failed to schedule ingestion');
     }
-    return mapDbToFrontendFields(data);
-  });
+    return { ...mapDbToFrontendFields(data), duplicates };
+  }
 
   // Save extraction (OCR text + metadata) to Storage bucket 'extractions' as JSON
   app.post('/orgs/:orgId/documents/:id/extraction', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req, reply) => {
@@ -5236,6 +5967,284 @@ export function registerRoutes(app) {
     }
   });
 
+  // Document-type structured data (invoice line items, contract terms, inspection findings)
+  app.get('/orgs/:orgId/documents/:id/structured', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req, reply) => {
+    const orgId = await ensureActiveMember(req);
+    await ensurePerm(req, 'documents.read', app);
+    const { data, error } = await req.supabase
+      .from('documents')
+      .select('id, document_type, document_type_confidence, structured_data, structured_version, structured_extracted_at')
+      .eq('org_id', orgId)
+      .eq('id', req.params.id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return reply.code(404).send({ error: 'Not found' });
+    return { id: data.id, ...toStructuredView(data) };
+  });
+
+  // Structured data across documents of one type, e.g. ?documentType=invoice&sd.total_amount.gte=1000
+  app.get('/orgs/:orgId/structured', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const orgId = await ensureActiveMember(req);
+    await ensurePerm(req, 'documents.read', app);
+    const structuredFilters = structuredFiltersFromQuery(req.query);
+    if (!structuredFilters) {
+      const err = new Error('documentType is required');
+      err.statusCode = 400;
+      throw err;
+    }
+    const limit = Math.min(Math.max(Number(req.query?.limit) || 100, 1), 500);
+    const offset = Math.max(Number(req.query?.offset) || 0, 0);
+    const query = req.supabase
+      .from('documents')
+      .select('id, title, filename, document_date, document_type, document_type_confidence, structured_data, structured_version, structured_extracted_at')
+      .eq('org_id', orgId)
+      .is('deleted_at', null);
+    const { data, error } = await applyStructuredFilters(query, structuredFilters)
+      .order('document_date', { ascending: false, nullsFirst: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+    return {
+      documentType: structuredFilters.documentType,
+      fields: structuredFilters.documentType === 'other' ? [] : templateFilterFields(structuredFilters.documentType).map((f) => ({ name: f.field_name, type: f.field_type })),
+      documents: (data || []).map((d) => ({
+        id: d.id,
+        title: d.title || d.filename || 'Untitled',
+        documentDate: d.document_date,
+        ...toStructuredView(d),
+      })),
+    };
+  });
+
+  // Re-run classification and the template from the stored extraction text (no OCR).
+  // `documentType` forces a template when the classifier got the type wrong.
+  app.post('/orgs/:orgId/documents/:id/structured', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req, reply) => {
+    const orgId = await ensureActiveMember(req);
+    const userId = req.user?.sub;
+    await ensurePerm(req, 'documents.update', app);
+    const Schema = z.object({ documentType: z.enum(DOC_TYPES).optional() });
+    const body = Schema.parse(req.body || {});
+    const { id } = req.params;
+    const { data: doc, error: docErr } = await req.supabase
+      .from('documents')
+      .select('id, title, filename, category')
+      .eq('org_id', orgId)
+      .eq('id', id)
+      .maybeSingle();
+    if (docErr) throw docErr;
+    if (!doc) return reply.code(404).send({ error: 'Not found' });
+
+    const key = `${orgId}/${id}.json`;
+    const { data: blob, error: dlErr } = await app.supabaseAdmin.storage.from('extractions').download(key);
+    let extraction = null;
+    if (!dlErr && blob) {
+      try { extraction = JSON.parse(await blob.text()); } catch {}
+    }
+    if (!extraction || typeof extraction.ocrText !== 'string' || !extraction.ocrText.trim()) {
+      const err = new Error('No extracted text stored for this document; reingest it first');
+      err.statusCode = 409;
+      throw err;
+    }
+    let structured;
+    try {
+      const usage = { orgId, docId: id, operation: 'structured', log: req.log };
+      structured = await withUsageTracking(app.supabaseAdmin, usage, () => extractStructuredData(extraction.ocrText, {
+        title: doc.title || doc.filename,
+        category: doc.category,
+        docType: body.documentType,
+      }));
+    } catch (e) {
+      req.log.warn(e, 'Structured extraction failed');
+      const err = new Error(`Structured extraction failed: ${e?.message || e}`);
+      err.statusCode = 502;
+      throw err;
+    }
+    const { data: updated, error: updErr } = await app.supabaseAdmin
+      .from('documents')
+      .update(toStructuredColumns(structured))
+      .eq('org_id', orgId)
+      .eq('id', id)
+      .select('id, document_type, document_type_confidence, structured_data, structured_version, structured_extracted_at')
+      .single();
+    if (updErr) throw updErr;
+    try {
+      await app.supabaseAdmin.storage.from('extractions').upload(key, Buffer.from(JSON.stringify({ ...extraction, structured })), { contentType: 'application/json', upsert: true });
+    } catch (e) {
+      req.log.warn(e, 'Failed to update extraction JSON with structured data');
+    }
+    await logAudit(app, orgId, userId, 'edit', { doc_id: id, title: doc.title || doc.filename, note: `structured data extracted (${structured.docType})` });
+    return { id, ...toStructuredView(updated) };
+  });
+
+  // Extraction review queue: documents flagged by ingestion for a human to check
+  app.get('/orgs/:orgId/review-queue', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const orgId = await ensureActiveMember(req);
+    await ensurePerm(req, 'documents.update', app);
+    const Schema = z.object({
+      status: z.enum(REVIEW_STATUSES).default('pending'),
+      reason: z.enum(REVIEW_REASONS).optional(),
+      departmentId: z.string().uuid().optional(),
+      limit: z.coerce.number().int().min(1).max(200).default(50),
+      offset: z.coerce.number().int().min(0).default(0),
+    });
+    const q = Schema.parse(req.query || {});
+    const scope = await reviewDepartmentScope(req, orgId);
+    let departmentIds = scope;
+    if (q.departmentId) {
+      if (scope && !scope.includes(q.departmentId)) {
+        const err = new Error('Access denied to this department');
+        err.statusCode = 403;
+        throw err;
+      }
+      departmentIds = [q.departmentId];
+    }
+    const { items, total } = await listReviewItems(app.supabaseAdmin, { orgId, departmentIds, status: q.status, reason: q.reason, limit: q.limit, offset: q.offset });
+    const docIds = items.map((i) => i.doc_id);
+    const docs = new Map();
+    if (docIds.length) {
+      const { data, error } = await req.supabase
+        .from('documents')
+        .select('id, title, filename, subject, category, sender, receiver, document_date, custom_fields, field_provenance')
+        .eq('org_id', orgId)
+        .in('id', docIds);
+      if (error) throw error;
+      for (const d of data || []) docs.set(d.id, d);
+    }
+    // Items whose document the caller cannot read are left out
+    return { items: items.filter((i) => docs.has(i.doc_id)).map((i) => toReviewItemView(i, docs.get(i.doc_id))), total };
+  });
+
+  // Resolve review items in bulk. `accept` confirms the document's AI-filled fields,
+  // `correct` applies `fields` (and confirms the rest), `dismiss` closes the item unchanged.
+  // Each item succeeds or fails on its own.
+  app.post('/orgs/:orgId/review-queue/resolve', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const db = req.supabase;
+    const orgId = await ensureActiveMember(req);
+    const userId = req.user?.sub;
+    await ensurePerm(req, 'documents.update', app);
+    const FieldsSchema = z.object({
+      title: z.string().min(1).optional(),
+      subject: z.string().min(1).optional(),
+      category: z.string().min(1).optional(),
+      sender: z.string().optional(),
+      receiver: z.string().optional(),
+      document_date: z.string().optional(),
+      custom_fields: z.record(z.any()).optional(),
+    }).strict();
+    const Schema = z.object({
+      items: z.array(z.object({
+        reviewId: z.string().uuid(),
+        action: z.enum(['accept', 'correct', 'dismiss']),
+        fields: FieldsSchema.optional(),
+      })).min(1).max(100),
+    });
+    const { items } = Schema.parse(req.body || {});
+    const scope = await reviewDepartmentScope(req, orgId);
+    let customFieldDefs = null;
+
+    const resolveOne = async ({ reviewId, action, fields }) => {
+      const fail = (error, statusCode) => ({ reviewId, ok: false, statusCode, error });
+      const { data: review, error: reviewErr } = await app.supabaseAdmin
+        .from('document_reviews')
+        .select('*')
+        .eq('org_id', orgId)
+        .eq('id', reviewId)
+        .maybeSingle();
+      if (reviewErr) throw reviewErr;
+      if (!review || (scope && !scope.includes(review.department_id))) return fail('Not found', 404);
+      if (review.status !== 'pending') return fail(`Already ${review.status}`, 409);
+      if (action === 'correct' && (!fields || Object.keys(fields).length === 0)) return fail('correct needs fields', 400);
+
+      if (action === 'dismiss') {
+        if (!await resolveReviewItem(app.supabaseAdmin, { reviewId, resolution: 'dismissed', userId })) return fail('Already resolved', 409);
+        await logAudit(app, orgId, userId, 'edit', { doc_id: review.doc_id, note: 'review dismissed' });
+        return { reviewId, ok: true, status: 'dismissed' };
+      }
+
+      const { data: doc, error: docErr } = await db
+        .from('documents')
+        .select('id, title, filename, subject, category, sender, receiver, document_date, custom_fields, field_provenance')
+        .eq('org_id', orgId)
+        .eq('id', review.doc_id)
+        .maybeSingle();
+      if (docErr) throw docErr;
+      if (!doc) return fail('Not found', 404);
+
+      const provenance = { ...(doc.field_provenance || {}) };
+      const update = {};
+      const corrections = [];
+      const now = new Date().toISOString();
+      if (action === 'correct') {
+        const builtin = toDbDocumentFields(fields);
+        if (fields.document_date !== undefined && !builtin.document_date) return fail('document_date is not a date', 400);
+        for (const name of REVIEWABLE_FIELDS) {
+          if (fields[name] === undefined) continue;
+          const value = builtin[name] ?? null;
+          update[name] = value;
+          if (value !== (doc[name] ?? null)) corrections.push({ field: name, previous: doc[name] ?? null, corrected: value });
+        }
+        if (fields.custom_fields) {
+          customFieldDefs = customFieldDefs || await loadCustomFields(app.supabaseAdmin, orgId);
+          try {
+            update.custom_fields = mergeCustomFieldValues(customFieldDefs, doc.custom_fields, fields.custom_fields);
+          } catch (e) {
+            return fail(e.message, e.statusCode || 400);
+          }
+          for (const name of Object.keys(fields.custom_fields)) {
+            const previous = doc.custom_fields?.[name] ?? null;
+            const corrected = update.custom_fields[name] ?? null;
+            if (corrected !== previous) corrections.push({ field: customFieldKey(name), previous, corrected });
+          }
+        }
+        const edited = [...REVIEWABLE_FIELDS.filter((n) => fields[n] !== undefined), ...Object.keys(fields.custom_fields || {}).map(customFieldKey)];
+        Object.assign(provenance, sourceProvenance(edited, 'user', userId));
+      }
+      // Whatever the reviewer did not change, they confirmed: keep the evidence, make it user-owned
+      for (const [key, entry] of Object.entries(provenance)) {
+        if (entry?.source === 'ai') provenance[key] = { ...entry, source: 'user', userId, confirmedAt: now };
+      }
+      update.field_provenance = provenance;
+
+      // RLS can hide the document from updates while it stays readable; then nothing was saved
+      const { data: updated, error: updErr } = await db.from('documents').update(update).eq('org_id', orgId).eq('id', doc.id).select('id');
+      if (updErr) throw updErr;
+      if (!updated?.length) return fail('You cannot edit this document', 403);
+      const resolution = action === 'correct' ? 'corrected' : 'accepted';
+      if (!await resolveReviewItem(app.supabaseAdmin, { reviewId, resolution, userId })) return fail('Already resolved', 409);
+      if (corrections.length) {
+        try {
+          await recordCorrections(app.supabaseAdmin, corrections.map((c) => ({
+            org_id: orgId,
+            doc_id: doc.id,
+            review_id: reviewId,
+            field: c.field,
+            previous_value: c.previous,
+            corrected_value: c.corrected,
+            previous_confidence: doc.field_provenance?.[c.field]?.confidence ?? null,
+            document_title: update.title || doc.title || doc.filename || null,
+            snippet: doc.field_provenance?.[c.field]?.snippet ?? null,
+            corrected_by: userId,
+          })));
+        } catch (e) {
+          req.log.warn(e, 'Failed to record metadata corrections');
+        }
+      }
+      const note = corrections.length ? `review corrected: ${corrections.map((c) => c.field).join(', ')}` : 'review accepted';
+      await logAudit(app, orgId, userId, 'edit', { doc_id: doc.id, title: update.title || doc.title || doc.filename, note });
+      return { reviewId, ok: true, status: 'resolved', resolution, corrected: corrections.map((c) => c.field) };
+    };
+
+    const results = [];
+    for (const item of items) {
+      try {
+        results.push(await resolveOne(item));
+      } catch (e) {
+        req.log.warn({ reviewId: item.reviewId, err: e?.message }, 'Failed to resolve review item');
+        results.push({ reviewId: item.reviewId, ok: false, statusCode: e?.statusCode || 500, error: e?.message || 'Failed to resolve' });
+      }
+    }
+    return { results };
+  });
+
   app.post('/orgs/:orgId/uploads/direct', { preHandler: app.verifyAuth }, async (req, reply) => {
     const db = req.supabase;
     const orgId = await ensureActiveMember(req);
@@ -5270,6 +6279,93 @@ export function registerRoutes(app) {
     return { storageKey, contentType };
   });
 
+  // Resumable uploads (tus-style): create, PATCH byte ranges at Upload-Offset, GET/HEAD for
+  // the current offset after a dropped connection, then complete (optionally finalizing a
+  // document, which queues ingestion as /uploads/finalize does).
+  app.addContentTypeParser('application/offset+octet-stream', { parseAs: 'buffer', bodyLimit: RESUMABLE_CHUNK_BYTES }, (req, body, done) => done(null, body));
+
+  const sendUploadOffset = (reply, session) => reply
+    .header('Upload-Offset', String(session.received_bytes))
+    .header('Upload-Length', String(session.total_bytes))
+    .header('Cache-Control', 'no-store');
+
+  app.post('/orgs/:orgId/uploads/resumable', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req, reply) => {
+    const orgId = await ensureActiveMember(req);
+    await ensurePerm(req, 'storage.upload', app);
+    const Schema = z.object({
+      filename: z.string().min(1),
+      size: z.number().int().nonnegative(),
+      mimeType: z.string().optional(),
+      contentHash: z.string().optional(),
+    });
+    const body = Schema.parse(req.body || {});
+    await purgeExpiredUploadSessions(app.supabaseAdmin).catch(() => {});
+    let duplicates = [];
+    if (body.contentHash) {
+      try { duplicates = await findExactDuplicates(req.supabase, orgId, body.contentHash); } catch (e) { req.log?.warn(e, 'duplicate lookup failed'); }
+    }
+    const session = await createUploadSession(app.supabaseAdmin, { orgId, userId: req.user?.sub, ...body });
+    sendUploadOffset(reply, session)
+      .header('Location', `/orgs/${orgId}/uploads/resumable/${session.id}`)
+      .code(201);
+    return { ...toUploadView(session), duplicates };
+  });
+
+  // Also answers HEAD (Fastify exposes HEAD for GET routes) with the offset headers
+  app.get('/orgs/:orgId/uploads/resumable/:id', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req, reply) => {
+    const orgId = await ensureActiveMember(req);
+    const session = await getUploadSession(app.supabaseAdmin, { orgId, userId: req.user?.sub, uploadId: req.params.id });
+    sendUploadOffset(reply, session);
+    return toUploadView(session);
+  });
+
+  app.patch('/orgs/:orgId/uploads/resumable/:id', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req, reply) => {
+    const orgId = await ensureActiveMember(req);
+    const offset = Number(req.headers['upload-offset']);
+    if (!Buffer.isBuffer(req.body) || !Number.isInteger(offset) || offset < 0) {
+      const err = new Error('Expected an application/offset+octet-stream body and an Upload-Offset header');
+      err.statusCode = 400;
+      throw err;
+    }
+    const session = await getUploadSession(app.supabaseAdmin, { orgId, userId: req.user?.sub, uploadId: req.params.id });
+    try {
+      const updated = await appendUploadChunk(app.supabaseAdmin, session, { offset, chunk: req.body });
+      sendUploadOffset(reply, updated).code(204);
+      return reply.send();
+    } catch (e) {
+      // Tell the client where to resume from
+      if (typeof e.offset === 'number') reply.header('Upload-Offset', String(e.offset));
+      throw e;
+    }
+  });
+
+  app.post('/orgs/:orgId/uploads/resumable/:id/complete', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const orgId = await ensureActiveMember(req);
+    const Schema = z.object({ documentId: z.string().optional() });
+    const { documentId } = Schema.parse(req.body || {});
+    const session = await getUploadSession(app.supabaseAdmin, { orgId, userId: req.user?.sub, uploadId: req.params.id });
+    const storageKey = session.storage_key || `${orgId}/${Date.now()}-${sanitizeFilename(session.filename)}`;
+    const assembled = await completeUploadSession(app.supabaseAdmin, session, { storageKey });
+    const contentType = session.mime_type || 'application/octet-stream';
+    const result = { storageKey: assembled.storageKey, contentType, fileSizeBytes: assembled.size, sha256: assembled.sha256 };
+    if (!documentId) return result;
+    const document = await finalizeUpload(req, orgId, {
+      documentId,
+      storageKey: assembled.storageKey,
+      fileSizeBytes: assembled.size,
+      mimeType: contentType,
+      contentHash: session.content_hash || undefined,
+    });
+    return { ...result, document };
+  });
+
+  app.delete('/orgs/:orgId/uploads/resumable/:id', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req, reply) => {
+    const orgId = await ensureActiveMember(req);
+    const session = await getUploadSession(app.supabaseAdmin, { orgId, userId: req.user?.sub, uploadId: req.params.id });
+    await abortUploadSession(app.supabaseAdmin, session);
+    return reply.code(204).send();
+  });
+
   app.post('/orgs/:orgId/uploads/sign', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
     const orgId = await ensureActiveMember(req);
     // Require storage upload permission
@@ -5304,6 +6400,12 @@ export function registerRoutes(app) {
     });
     const body = Schema.parse(req.body);
 
+    // Let the client ask before uploading a file the org already has
+    let duplicates = [];
+    if (body.contentHash) {
+      try { duplicates = await findExactDuplicates(req.supabase, orgId, body.contentHash); } catch (e) { req.log?.warn(e, 'duplicate lookup failed'); }
+    }
+
     // Original signed URL approach for backward compatibility
     const key = `${orgId}/${Date.now()}-${sanitizeFilename(body.filename)}`;
     const { data, error } = await app.supabaseAdmin.storage.from('documents').createSignedUploadUrl(key);
@@ -5315,6 +6417,7 @@ export function registerRoutes(app) {
       path: data.path,
       token: data.token,
       expiresAt: data.expiresAt || null,
+      duplicates,
     };
   });
 
@@ -5698,6 +6801,324 @@ export function registerRoutes(app) {
     }
   });
 
+  // `pages=1,3-5` -> [1, 3, 4, 5]; at most PREVIEW_PAGES_PER_REQUEST pages per request
+  const PREVIEW_PAGES_PER_REQUEST = 200;
+  function parsePageList(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const pages = new Set();
+    for (const part of String(value).split(',')) {
+      const m = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+      const from = m ? Number(m[1]) : 0;
+      const to = m?.[2] ? Number(m[2]) : from;
+      if (!m || from < 1 || to < from || to - from >= PREVIEW_PAGES_PER_REQUEST) {
+        const err = new Error(`Invalid pages "${part.trim()}": use page numbers and ranges like 1,3-5`);
+        err.statusCode = 400;
+        throw err;
+      }
+      for (let p = from; p <= to; p++) pages.add(p);
+    }
+    if (pages.size > PREVIEW_PAGES_PER_REQUEST) {
+      const err = new Error(`At most ${PREVIEW_PAGES_PER_REQUEST} pages per request`);
+      err.statusCode = 400;
+      throw err;
+    }
+    return Array.from(pages);
+  }
+
+  // The document must be readable by the caller (RLS); previews are then signed with the
+  // service role like the original file
+  async function loadPreviewDocument(req, orgId, id) {
+    const { data: doc } = await req.supabase
+      .from('documents')
+      .select('id, mime_type')
+      .eq('org_id', orgId)
+      .eq('id', id)
+      .maybeSingle();
+    if (!doc) {
+      const err = new Error('Document not found');
+      err.statusCode = 404;
+      throw err;
+    }
+    return doc;
+  }
+
+  // Signed URLs for page previews generated at ingestion. Only scanned pages (and image
+  // uploads) are images (`kind: 'image'`); every other page is a one-page PDF (`kind: 'pdf'`,
+  // `application/pdf`) for the client to render, as the server has no PDF rasterizer. Pages
+  // without a preview are simply absent.
+  app.get('/orgs/:orgId/documents/:id/previews', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const orgId = await ensureActiveMember(req);
+    const { id } = req.params;
+    const pages = parsePageList(req.query?.pages);
+    await loadPreviewDocument(req, orgId, id);
+    const expiresIn = 3600;
+    let previews = await signPagePreviews(app.supabaseAdmin, { docId: id, pages, expiresIn });
+    if (!pages) previews = previews.slice(0, PREVIEW_PAGES_PER_REQUEST);
+    return {
+      docId: id,
+      pages: previews,
+      expires: new Date(Date.now() + expiresIn * 1000).toISOString(),
+    };
+  });
+
+  // One page, e.g. to open a citation's page
+  app.get('/orgs/:orgId/documents/:id/previews/:page', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const orgId = await ensureActiveMember(req);
+    const { id } = req.params;
+    const page = Number(req.params.page);
+    if (!Number.isInteger(page) || page < 1) {
+      const err = new Error('page must be a positive integer');
+      err.statusCode = 400;
+      throw err;
+    }
+    await loadPreviewDocument(req, orgId, id);
+    const expiresIn = 3600;
+    const [preview] = await signPagePreviews(app.supabaseAdmin, { docId: id, pages: [page], expiresIn });
+    if (!preview) {
+      const err = new Error(`No preview for page ${page}`);
+      err.statusCode = 404;
+      throw err;
+    }
+    return { docId: id, ...preview, expires: new Date(Date.now() + expiresIn * 1000).toISOString() };
+  });
+
+  // Model calls, tokens and estimated cost for the org (default: this month so far), the
+  // monthly budget and the most expensive documents
+  app.get('/orgs/:orgId/ai-usage', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const orgId = await ensureActiveMember(req);
+    await ensurePerm(req, 'org.update_settings', app);
+    const { since, until } = usagePeriod(req.query || {});
+    const admin = app.supabaseAdmin;
+    const [summary, top, budget] = await Promise.all([
+      summarizeAiUsage(admin, { orgId, since, until }),
+      topAiUsageDocuments(admin, { orgId, since, until, limit: 10 }),
+      checkAiBudget(admin, orgId),
+    ]);
+    const titles = new Map();
+    const docIds = top.map((d) => d.docId).filter(Boolean);
+    if (docIds.length) {
+      const { data } = await admin.from('documents').select('id, title, filename').eq('org_id', orgId).in('id', docIds);
+      for (const d of data || []) titles.set(d.id, d.title || d.filename || 'Untitled');
+    }
+    return {
+      orgId,
+      since,
+      until,
+      totals: summary.totals,
+      breakdown: summary.breakdown,
+      budget,
+      topDocuments: top.map((d) => ({ ...d, title: d.docId ? titles.get(d.docId) || null : null })),
+    };
+  });
+
+  // Every recorded AI operation for one document (ingest attempts, re-embeds, re-extractions)
+  app.get('/orgs/:orgId/documents/:id/ai-usage', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const orgId = await ensureActiveMember(req);
+    await ensurePerm(req, 'org.update_settings', app);
+    const { id } = req.params;
+    const { data, error } = await app.supabaseAdmin
+      .from('ai_usage_events')
+      .select('operation, provider, model, kind, calls, input_tokens, output_tokens, estimated, cost_usd, created_at')
+      .eq('org_id', orgId)
+      .eq('doc_id', id)
+      .order('created_at', { ascending: false })
+      .limit(500);
+    if (error) throw error;
+    const events = (data || []).map((r) => ({
+      operation: r.operation,
+      provider: r.provider,
+      model: r.model,
+      kind: r.kind,
+      calls: r.calls,
+      inputTokens: Number(r.input_tokens) || 0,
+      outputTokens: Number(r.output_tokens) || 0,
+      estimated: r.estimated === true,
+      costUsd: Number(r.cost_usd) || 0,
+      createdAt: r.created_at,
+    }));
+    const costUsd = events.reduce((sum, e) => sum + e.costUsd, 0);
+    return { docId: id, costUsd: Number(costUsd.toFixed(6)), events };
+  });
+
+  // Email-in: a mail server hook or forwarding service posts raw RFC 822 messages for an
+  // org inbox, authenticated by the inbox token in the X-Inbox-Token header (never the URL,
+  // which ends up in access logs)
+  app.addContentTypeParser('message/rfc822', { parseAs: 'buffer', bodyLimit: MAX_EMAIL_BYTES }, (req, body, done) => done(null, body));
+
+  app.post('/inbound/email/:address', { bodyLimit: MAX_EMAIL_BYTES }, async (req, reply) => {
+    const token = req.headers['x-inbox-token'];
+    const inbox = await authenticateInbox(app.supabaseAdmin, { address: req.params.address, token });
+    if (!inbox) {
+      const err = new Error('Unknown inbox or invalid token');
+      err.statusCode = 401;
+      throw err;
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      const err = new Error('Expected a message/rfc822 body');
+      err.statusCode = 415;
+      throw err;
+    }
+    const result = await ingestInboundEmail(app, { inbox, raw: req.body, log: req.log });
+    reply.code(result.duplicate ? 200 : 201);
+    return result;
+  });
+
+  const InboxSettings = {
+    departmentId: z.string().uuid(),
+    folderPath: z.array(z.string().min(1)).max(10),
+    includeBody: z.boolean(),
+    allowedSenders: z.array(z.string().regex(/^([^\s@]+)?@[^\s@]+$/, 'Expected an address or @domain')).max(100),
+    enabled: z.boolean(),
+  };
+
+  async function ensureOrgDepartment(orgId, departmentId) {
+    const { data } = await app.supabaseAdmin.from('departments').select('id').eq('org_id', orgId).eq('id', departmentId).maybeSingle();
+    if (!data) {
+      const err = new Error('Department not found in this organization');
+      err.statusCode = 400;
+      throw err;
+    }
+  }
+
+  app.get('/orgs/:orgId/email-inboxes', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const orgId = await ensureActiveMember(req);
+    await ensurePerm(req, 'org.update_settings', app);
+    const { data, error } = await app.supabaseAdmin
+      .from('email_inboxes')
+      .select('*')
+      .eq('org_id', orgId)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    return (data || []).map(toInboxView);
+  });
+
+  // The token is only returned here and when rotated; only its hash is stored
+  app.post('/orgs/:orgId/email-inboxes', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req, reply) => {
+    const orgId = await ensureActiveMember(req);
+    const userId = req.user?.sub;
+    await ensurePerm(req, 'org.update_settings', app);
+    const Schema = z.object({
+      address: z.string().email(),
+      departmentId: InboxSettings.departmentId,
+      folderPath: InboxSettings.folderPath.default(['Email']),
+      includeBody: InboxSettings.includeBody.default(true),
+      allowedSenders: InboxSettings.allowedSenders.default([]),
+    });
+    const body = Schema.parse(req.body || {});
+    await ensureOrgDepartment(orgId, body.departmentId);
+    const token = generateInboxToken();
+    const { data, error } = await app.supabaseAdmin
+      .from('email_inboxes')
+      .insert({
+        org_id: orgId,
+        address: normalizeInboxAddress(body.address),
+        token_hash: hashInboxToken(token),
+        department_id: body.departmentId,
+        folder_path: body.folderPath,
+        include_body: body.includeBody,
+        allowed_senders: body.allowedSenders.map((s) => s.toLowerCase()),
+        created_by: userId,
+      })
+      .select('*')
+      .single();
+    if (error?.code === '23505') {
+      const err = new Error('That address is already in use');
+      err.statusCode = 409;
+      throw err;
+    }
+    if (error) throw error;
+    await logAudit(app, orgId, userId, 'email.inbox', { note: `email inbox ${data.address} created` });
+    reply.code(201);
+    return { ...toInboxView(data), token };
+  });
+
+  app.patch('/orgs/:orgId/email-inboxes/:id', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const orgId = await ensureActiveMember(req);
+    const userId = req.user?.sub;
+    await ensurePerm(req, 'org.update_settings', app);
+    const Schema = z.object({
+      departmentId: InboxSettings.departmentId.optional(),
+      folderPath: InboxSettings.folderPath.optional(),
+      includeBody: InboxSettings.includeBody.optional(),
+      allowedSenders: InboxSettings.allowedSenders.optional(),
+      enabled: InboxSettings.enabled.optional(),
+      // Issue a new token; the old one stops working immediately
+      rotateToken: z.boolean().optional(),
+    });
+    const body = Schema.parse(req.body || {});
+    if (body.departmentId) await ensureOrgDepartment(orgId, body.departmentId);
+    const fields = { updated_at: new Date().toISOString() };
+    if (body.departmentId !== undefined) fields.department_id = body.departmentId;
+    if (body.folderPath !== undefined) fields.folder_path = body.folderPath;
+    if (body.includeBody !== undefined) fields.include_body = body.includeBody;
+    if (body.allowedSenders !== undefined) fields.allowed_senders = body.allowedSenders.map((s) => s.toLowerCase());
+    if (body.enabled !== undefined) fields.enabled = body.enabled;
+    const token = body.rotateToken ? generateInboxToken() : null;
+    if (token) fields.token_hash = hashInboxToken(token);
+    const { data, error } = await app.supabaseAdmin
+      .from('email_inboxes')
+      .update(fields)
+      .eq('org_id', orgId)
+      .eq('id', req.params.id)
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      const err = new Error('Inbox not found');
+      err.statusCode = 404;
+      throw err;
+    }
+    await logAudit(app, orgId, userId, 'email.inbox', { note: `email inbox ${data.address} updated${token ? ' (token rotated)' : ''}` });
+    return token ? { ...toInboxView(data), token } : toInboxView(data);
+  });
+
+  app.delete('/orgs/:orgId/email-inboxes/:id', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req, reply) => {
+    const orgId = await ensureActiveMember(req);
+    await ensurePerm(req, 'org.update_settings', app);
+    const { data, error } = await app.supabaseAdmin
+      .from('email_inboxes')
+      .delete()
+      .eq('org_id', orgId)
+      .eq('id', req.params.id)
+      .select('address');
+    if (error) throw error;
+    if (!data?.length) {
+      const err = new Error('Inbox not found');
+      err.statusCode = 404;
+      throw err;
+    }
+    await logAudit(app, orgId, req.user?.sub, 'email.inbox', { note: `email inbox ${data[0].address} deleted` });
+    return reply.code(204).send();
+  });
+
+  // Recent messages received by an inbox, including rejected and failed ones
+  app.get('/orgs/:orgId/email-inboxes/:id/messages', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
+    const orgId = await ensureActiveMember(req);
+    await ensurePerm(req, 'org.update_settings', app);
+    const Schema = z.object({ limit: z.coerce.number().int().min(1).max(200).default(50) });
+    const { limit } = Schema.parse(req.query || {});
+    const { data, error } = await app.supabaseAdmin
+      .from('email_messages')
+      .select('id, message_id, from_address, subject, sent_at, status, error, doc_ids, attachment_count, received_at')
+      .eq('org_id', orgId)
+      .eq('inbox_id', req.params.id)
+      .order('received_at', { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    return (data || []).map((m) => ({
+      id: m.id,
+      messageId: m.message_id,
+      from: m.from_address,
+      subject: m.subject,
+      sentAt: m.sent_at,
+      status: m.status,
+      error: m.error,
+      docIds: m.doc_ids || [],
+      attachments: m.attachment_count,
+      receivedAt: m.received_at,
+    }));
+  });
+
   // Recycle Bin APIs
   app.get('/orgs/:orgId/recycle-bin', { preHandler: [app.verifyAuth, app.requireIpAccess] }, async (req) => {
     const orgId = await ensureActiveMember(req);
@@ -5788,6 +7209,7 @@ export function registerRoutes(app) {
       try { await app.supabaseAdmin.storage.from('documents').remove([doc.storage_key]); } catch (e) { req.log.error(e, 'storage delete failed'); }
     }
     try { await app.supabaseAdmin.storage.from('extractions').remove([`${orgId}/${id}.json`]); } catch {}
+    try { await removePagePreviews(app.supabaseAdmin, { orgId, docId: id }); } catch {}
     await app.supabaseAdmin.from('documents').delete().eq('org_id', orgId).eq('id', id);
     try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, actor_user_id: req.user?.sub, type: 'documents.delete.permanent', doc_id: id }); } catch {}
     return { ok: true };
@@ -5815,6 +7237,7 @@ export function registerRoutes(app) {
       try {
         if (v.storage_key) await app.supabaseAdmin.storage.from('documents').remove([v.storage_key]);
         try { await app.supabaseAdmin.storage.from('extractions').remove([`${orgId}/${v.id}.json`]); } catch {}
+        try { await removePagePreviews(app.supabaseAdmin, { orgId, docId: v.id }); } catch {}
       } catch {}
       await app.supabaseAdmin.from('documents').delete().eq('org_id', orgId).eq('id', v.id);
       try { await app.supabaseAdmin.from('audit_events').insert({ org_id: orgId, actor_user_id: req.user?.sub, type: 'documents.purge', doc_id: v.id }); } catch {}
@@ -1,4 +1,6 @@
 import { z } from 'zod';
+import { BUILTIN_FIELD_NAMES, FieldValidationSchema, assertValidFieldDefinition } from '../lib/custom-fields.js';
+import { SearchWeightsSchema, SearchTuningSchema, loadSearchTuning, invalidateSearchTuningCache } from '../lib/search-fusion.js';
 
 function requireOrg(req) {
   const orgId = req.headers['x-org-id'] || req.params?.orgId;
@@ -77,6 +79,36 @@ export function registerMetadataRoutes(app) {
     return data || [];
   });
 
+  // Search ranking settings (fusion strategy, leg weights, minimum results)
+  app.get('/orgs/:orgId/metadata-config/search', { preHandler: app.verifyAuth }, async (req) => {
+    const orgId = await ensureActiveMember(req);
+    await ensureRole(req, ['orgAdmin']);
+    return loadSearchTuning(app.supabaseAdmin, orgId);
+  });
+
+  app.put('/orgs/:orgId/metadata-config/search', { preHandler: app.verifyAuth }, async (req) => {
+    const orgId = await ensureActiveMember(req);
+    await ensureRole(req, ['orgAdmin']);
+    const body = SearchTuningSchema.extend({ weights: SearchWeightsSchema.partial() }).partial().parse(req.body || {});
+    const current = await loadSearchTuning(app.supabaseAdmin, orgId);
+    const next = { ...current, ...body, weights: { ...current.weights, ...(body.weights || {}) } };
+    // Members can only read org_search_config; it is written with the service role
+    const { error } = await app.supabaseAdmin
+      .from('org_search_config')
+      .upsert({
+        org_id: orgId,
+        fusion: next.fusion,
+        weights: next.weights,
+        rrf_k: next.rrfK,
+        min_results: next.minResults,
+        updated_by: req.user?.sub,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'org_id' });
+    if (error) throw error;
+    invalidateSearchTuningCache(orgId);
+    return loadSearchTuning(app.supabaseAdmin, orgId);
+  });
+
   // Add new metadata field configuration
   app.post('/orgs/:orgId/metadata-config', { preHandler: app.verifyAuth }, async (req) => {
     const orgId = await ensureActiveMember(req);
@@ -85,23 +117,41 @@ export function registerMetadataRoutes(app) {
     const Schema = z.object({
       field_name: z.string().min(1),
       field_type: z.string().min(1),
+      label: z.string().min(1).optional(),
+      description: z.string().optional(),
       is_searchable: z.boolean().optional().default(true),
-      is_embedded: z.boolean().optional().default(true),
+      is_embedded: z.boolean().optional(),
+      is_extracted: z.boolean().optional().default(true),
+      is_required: z.boolean().optional().default(false),
+      validation: FieldValidationSchema.optional().default({}),
       weight: z.number().min(0).max(1).optional().default(1.0)
     });
     
     const body = Schema.parse(req.body);
+    // Any field without its own documents column is an org-defined custom field
+    const isCustom = !BUILTIN_FIELD_NAMES.has(body.field_name);
+    if (isCustom) assertValidFieldDefinition(body);
     
     const { data, error } = await req.supabase
       .from('org_metadata_config')
       .insert({
         org_id: orgId,
-        ...body
+        ...body,
+        // Typed values such as amounts and IDs rarely help semantic search
+        is_embedded: body.is_embedded ?? !isCustom,
+        is_custom: isCustom
       })
       .select('*')
       .single();
       
-    if (error) throw error;
+    if (error) {
+      if (error.code === '23505') {
+        const err = new Error(`Field ${body.field_name} is already configured`);
+        err.statusCode = 409;
+        throw err;
+      }
+      throw error;
+    }
     return data;
   });
 
@@ -114,12 +164,32 @@ export function registerMetadataRoutes(app) {
     
     const Schema = z.object({
       field_type: z.string().min(1).optional(),
+      label: z.string().min(1).optional(),
+      description: z.string().optional(),
       is_searchable: z.boolean().optional(),
       is_embedded: z.boolean().optional(),
+      is_extracted: z.boolean().optional(),
+      is_required: z.boolean().optional(),
+      validation: FieldValidationSchema.optional(),
       weight: z.number().min(0).max(1).optional()
     });
     
     const body = Schema.parse(req.body);
+
+    const { data: existing, error: loadError } = await req.supabase
+      .from('org_metadata_config')
+      .select('*')
+      .eq('org_id', orgId)
+      .eq('id', fieldId)
+      .maybeSingle();
+    if (loadError) throw loadError;
+    if (!existing) {
+      const err = new Error('Field not found');
+      err.statusCode = 404;
+      throw err;
+    }
+    // Stored values are not converted, so a custom field's definition must stay valid
+    if (existing.is_custom) assertValidFieldDefinition({ ...existing, ...body });
     
     const { data, error } = await req.supabase
       .from('org_metadata_config')
@@ -3,6 +3,10 @@
 
 import { z } from 'zod';
 import { getEffectivePermissions } from '../routes.js';
+import { CHUNKING_STRATEGIES, DEFAULT_CHUNKING_STRATEGY } from '../lib/chunking.js';
+import { EMBEDDING_PROVIDERS, invalidateEmbeddingProviderCache } from '../lib/embedding-providers.js';
+import { LANGUAGE_CODES, DEFAULT_SUMMARY_LANGUAGE } from '../lib/languages.js';
+import { invalidateAiBudgetCache } from '../lib/ai-usage.js';
 
 function requireOrg(req) {
   const orgId = req.headers['x-org-id'] || req.params?.orgId;
@@ -174,6 +178,12 @@ export function registerSettingsRoutes(app) {
       ip_allowlist_enabled: false,
       ip_allowlist_ips: [],
       categories: ['General', 'Legal', 'Financial', 'HR', 'Marketing', 'Technical', 'Invoice', 'Contract', 'Report', 'Correspondence'],
+      chunking_strategy: DEFAULT_CHUNKING_STRATEGY,
+      embedding_provider: null,
+      summary_language: DEFAULT_SUMMARY_LANGUAGE,
+      summary_translation: false,
+      search_languages: [],
+      ai_monthly_budget_usd: null,
     };
   });
 
@@ -191,6 +201,17 @@ export function registerSettingsRoutes(app) {
       ip_allowlist_enabled: z.boolean().optional(),
       ip_allowlist_ips: z.array(z.string()).optional(),
       categories: z.array(z.string()).optional(),
+      // Applies to documents ingested (or reingested) after the change
+      chunking_strategy: z.enum(CHUNKING_STRATEGIES).optional(),
+      // null falls back to EMBEDDING_PROVIDER; existing chunks keep their model until re-embedded
+      embedding_provider: z.enum(EMBEDDING_PROVIDERS).nullable().optional(),
+      // Language of AI summaries; with summary_translation an English translation is kept too
+      summary_language: z.enum(LANGUAGE_CODES).optional(),
+      summary_translation: z.boolean().optional(),
+      // Languages semantic search queries are translated into
+      search_languages: z.array(z.enum(LANGUAGE_CODES)).max(4).optional(),
+      // Monthly AI spend (USD) after which ingestion skips summaries and metadata embeddings; null = no limit
+      ai_monthly_budget_usd: z.number().min(0).nullable().optional(),
     });
     const body = Schema.parse(req.body || {});
     const payload = { org_id: orgId, ...body };
@@ -205,6 +226,8 @@ export function registerSettingsRoutes(app) {
     if (app.invalidateIpSettingsCache) {
       app.invalidateIpSettingsCache(orgId);
     }
+    invalidateEmbeddingProviderCache(orgId);
+    invalidateAiBudgetCache(orgId);
     
     return data;
   });
@@ -1,4 +1,5 @@
 import { generateEmbedding } from '../lib/embeddings.js';
+import { attachChunkLocations } from '../lib/chunk-window.js';
 
 // Folder-level multi-document QA: shortlist docs in scope, run per-doc QA, then synthesize
 // Returns { answer, citations, considered }
@@ -39,7 +40,7 @@ export async function folderMultiDocQA({ app, db, orgId, question, allowedDocIds
   const docMap = new Map((docDetails || []).map(d => [d.id, d]));
 
   // 3) For each doc, fetch top chunks and run per-doc QA (with MMR and coverage)
-  const emb = await generateEmbedding(question).catch(() => null);
+  const emb = await generateEmbedding(question, { db, orgId }).catch(() => null);
   const qaResults = [];
   function mmrSelect(list, k=6, lambda=0.7){
     const sel=[]; const usedIdx=new Set();
@@ -62,7 +63,7 @@ export async function folderMultiDocQA({ app, db, orgId, question, allowedDocIds
           .filter(c => c.doc_id === docId)
           .sort((a, b) => (b.similarity || 0) - (a.similarity || 0))
           .slice(0, 12);
-        topChunks = mmrSelect(pool, 6, 0.7);
+        topChunks = await attachChunkLocations(db, mmrSelect(pool, 6, 0.7));
       }
       const doc = docMap.get(docId) || { id: docId, title: 'Document' };
       const { qaAboutDoc } = await import('./qa-doc.js');
@@ -1,4 +1,5 @@
 import { generateEmbedding } from '../lib/embeddings.js';
+import { attachChunkLocations } from '../lib/chunk-window.js';
 
 /**
  * FolderSearch: answer a question over a folder subtree by selecting top docs and running doc QA/summarize
@@ -7,7 +8,7 @@ import { generateEmbedding } from '../lib/embeddings.js';
  */
 export async function folderSearch({ app, db, orgId, folderPath = [], question, allowedDocIds = new Set() }) {
   // Generate query embedding once
-  const emb = await generateEmbedding(question);
+  const emb = await generateEmbedding(question, { db, orgId });
 
   // Get candidate docs from subtree (allowedDocIds expected from caller)
   const candidateIds = Array.from(allowedDocIds);
@@ -50,7 +51,7 @@ export async function folderSearch({ app, db, orgId, folderPath = [], question,
         const list = (chunks || []).filter(c => c.doc_id === d.id)
           .sort((a, b) => (b.similarity || 0) - (a.similarity || 0))
           .slice(0, 6);
-        perDocChunks.set(d.id, list);
+        perDocChunks.set(d.id, await attachChunkLocations(db, list));
       }
     } catch {}
   }
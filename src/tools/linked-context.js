@@ -1,4 +1,5 @@
 import { generateEmbedding } from '../lib/embeddings.js';
+import { attachChunkLocations, chunkLocation } from '../lib/chunk-window.js';
 
 /**
  * LinkedContext: answer questions leveraging the focus doc + versions + linked docs
@@ -61,7 +62,7 @@ export async function linkedContext({ app, db, orgId, docId, question, includeVe
   let citations = [];
   let answer = '';
   try {
-    const emb = await generateEmbedding(question);
+    const emb = await generateEmbedding(question, { db, orgId });
     if (emb) {
       const { data: chunks } = await db.rpc('match_doc_chunks', {
         p_org_id: orgId,
@@ -69,9 +70,9 @@ export async function linkedContext({ app, db, orgId, docId, question, includeVe
         p_match_count: 200,
         p_similarity_threshold: 0.15,
       });
-      const pool = (chunks || []).filter(c => allowed.has(c.doc_id))
+      const pool = await attachChunkLocations(db, (chunks || []).filter(c => allowed.has(c.doc_id))
         .sort((a, b) => (b.similarity || 0) - (a.similarity || 0))
-        .slice(0, 10);
+        .slice(0, 10));
       const context = pool.map((c, i) => `(${i + 1}) [${titleOf(c.doc_id)}] ${String(c.content || '').slice(0, 700)}`).join('\n\n');
       // Compose answer using generation with citations
       const { generateText } = await import('../lib/ai-service.js');
@@ -80,7 +81,7 @@ export async function linkedContext({ app, db, orgId, docId, question, includeVe
         temperature: 0.25,
       });
       answer = String(gen?.text || '').trim();
-      citations = pool.slice(0, 5).map(c => ({ docId: c.doc_id, docName: titleOf(c.doc_id), snippet: String(c.content || '').slice(0, 500) }));
+      citations = pool.slice(0, 5).map(c => ({ docId: c.doc_id, docName: titleOf(c.doc_id), snippet: String(c.content || '').slice(0, 500), ...chunkLocation(c) }));
     }
   } catch {}
   if (!answer) answer = 'I could not find enough information in the related documents to answer that.';
@@ -1,4 +1,5 @@
 import { generateText } from '../lib/ai-service.js';
+import { chunkLocation } from '../lib/chunk-window.js';
 
 /**
  * Summarize a single document using prepared content
@@ -9,7 +10,7 @@ export async function summarizeDoc({ app, db, orgId, doc, contentText, topChunks
   let citations = [];
   try {
     const top = (topChunks || []).slice(0, 3);
-    citations = top.map(c => ({ docId: doc.id, docName: doc.title || doc.name || 'Document', snippet: String(c.content || '').slice(0, 500) }));
+    citations = top.map(c => ({ docId: doc.id, docName: doc.title || doc.name || 'Document', snippet: String(c.content || '').slice(0, 500), ...chunkLocation(c) }));
   } catch {}
 
   let answerText = '';
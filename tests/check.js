@@ -0,0 +1,25 @@
+/**
+ * Tiny runner for the behaviour checks (tests/test-*.js files listed in run-checks.js).
+ * A check file registers cases with `check` and ends with `await run()`.
+ */
+
+const cases = [];
+
+export function check(name, fn) {
+  cases.push({ name, fn });
+}
+
+export async function run() {
+  let failed = 0;
+  for (const { name, fn } of cases) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+  console.log(`\n${cases.length - failed}/${cases.length} passed`);
+  if (failed) process.exitCode = 1;
+}
@@ -0,0 +1,238 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * In-memory stand-in for the Supabase client, for behaviour checks of code that reads and
+ * writes tables. Supports the query builder calls src/ uses (filters, or() strings, order,
+ * range/limit, single/maybeSingle, counts, insert/update/upsert/delete), rpc() through
+ * `db.rpcs[name] = (args) => ({ data, error })` and a storage bucket map.
+ *
+ * `unique: { table: [['col_a', 'col_b']] }` makes inserts that repeat those columns fail
+ * with Postgres' unique violation (code 23505).
+ */
+export function createFakeDb(tables = {}, { unique = {} } = {}) {
+  const store = {};
+  for (const [name, rows] of Object.entries(tables)) store[name] = rows.map((r) => ({ ...r }));
+  const rpcs = {};
+  const buckets = {};
+  const table = (name) => (store[name] ||= []);
+
+  class Query {
+    constructor(name) {
+      this.name = name;
+      this.filters = [];
+      this.op = 'select';
+      this.orders = [];
+    }
+
+    select(columns, { count, head } = {}) {
+      this.returning = true;
+      this.count = Boolean(count);
+      this.head = Boolean(head);
+      return this;
+    }
+
+    insert(rows) { this.op = 'insert'; this.rows = [].concat(rows); return this; }
+    upsert(rows, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+      this.op = 'upsert';
+      this.rows = [].concat(rows);
+      this.conflict = onConflict.split(',');
+      this.ignoreDuplicates = ignoreDuplicates;
+      return this;
+    }
+    update(values) { this.op = 'update'; this.values = values; return this; }
+    delete() { this.op = 'delete'; return this; }
+
+    where(fn) { this.filters.push(fn); return this; }
+    eq(c, v) { return this.where((r) => valueOf(r, c) === v); }
+    neq(c, v) { return this.where((r) => valueOf(r, c) !== v); }
+    in(c, vs) { return this.where((r) => vs.includes(valueOf(r, c))); }
+    is(c, v) { return this.where((r) => (valueOf(r, c) ?? null) === v); }
+    lt(c, v) { return this.where((r) => compare(valueOf(r, c), v, (a, b) => a < b)); }
+    lte(c, v) { return this.where((r) => compare(valueOf(r, c), v, (a, b) => a <= b)); }
+    gt(c, v) { return this.where((r) => compare(valueOf(r, c), v, (a, b) => a > b)); }
+    gte(c, v) { return this.where((r) => compare(valueOf(r, c), v, (a, b) => a >= b)); }
+    ilike(c, pattern) { return this.where((r) => likeMatches(valueOf(r, c), pattern)); }
+    contains(c, v) { return this.where((r) => containsValue(valueOf(r, c), v)); }
+    not(c, op, v) { const inner = condition(c, op, String(v)); return this.where((r) => !inner(r)); }
+    filter(c, op, v) { return this.where(condition(c, op, String(v))); }
+    or(expression) { const conds = splitTopLevel(expression).map(parseCondition); return this.where((r) => conds.some((f) => f(r))); }
+
+    order(c, { ascending = true } = {}) { this.orders.push([c, ascending]); return this; }
+    limit(n) { this.limitTo = n; return this; }
+    range(from, to) { this.rangeOf = [from, to]; return this; }
+    single() { this.one = 'single'; return this; }
+    maybeSingle() { this.one = 'maybe'; return this; }
+
+    then(resolve, reject) {
+      return Promise.resolve().then(() => this.exec()).then(resolve, reject);
+    }
+
+    exec() {
+      const rows = table(this.name);
+      const matches = (r) => this.filters.every((f) => f(r));
+      let out = [];
+      if (this.op === 'insert') {
+        for (const r of this.rows) {
+          const conflict = (unique[this.name] || []).find((cols) => rows.some((x) => cols.every((k) => x[k] === r[k] && r[k] != null)));
+          if (conflict) return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${conflict.join(', ')}` } };
+        }
+        const now = new Date().toISOString();
+        out = this.rows.map((r) => ({ id: randomUUID(), created_at: now, updated_at: now, ...r }));
+        rows.push(...out);
+      } else if (this.op === 'upsert') {
+        for (const r of this.rows) {
+          const existing = rows.find((x) => this.conflict.every((k) => x[k] === r[k]));
+          if (existing && this.ignoreDuplicates) continue;
+          if (existing) out.push(Object.assign(existing, r));
+          else { const row = { id: randomUUID(), created_at: new Date().toISOString(), ...r }; rows.push(row); out.push(row); }
+        }
+      } else if (this.op === 'update') {
+        out = rows.filter(matches);
+        for (const r of out) Object.assign(r, this.values);
+      } else if (this.op === 'delete') {
+        out = rows.filter(matches);
+        store[this.name] = rows.filter((r) => !matches(r));
+      } else {
+        out = rows.filter(matches);
+      }
+      out = out.map((r) => structuredClone(r));
+      for (const [c, ascending] of [...this.orders].reverse()) {
+        out.sort((a, b) => (a[c] > b[c] ? 1 : a[c] < b[c] ? -1 : 0) * (ascending ? 1 : -1));
+      }
+      const count = out.length;
+      if (this.rangeOf) out = out.slice(this.rangeOf[0], this.rangeOf[1] + 1);
+      if (this.limitTo != null) out = out.slice(0, this.limitTo);
+      if (this.one === 'single') {
+        return out.length === 1 ? { data: out[0], error: null } : { data: null, error: { code: 'PGRST116', message: `expected one row, got ${out.length}` } };
+      }
+      if (this.one === 'maybe') return { data: out[0] ?? null, error: null };
+      if (this.op !== 'select' && !this.returning) return { data: null, error: null };
+      return { data: this.head ? null : out, error: null, count: this.count ? count : null };
+    }
+  }
+
+  return {
+    store,
+    rpcs,
+    buckets,
+    from: (name) => new Query(name),
+    rpc: async (name, args) => (rpcs[name] ? rpcs[name](args) : { data: null, error: { message: `no rpc ${name}` } }),
+    storage: {
+      listBuckets: async () => ({ data: Object.keys(buckets).map((name) => ({ name })), error: null }),
+      createBucket: async (name) => { buckets[name] ||= {}; return { data: { name }, error: null }; },
+      from: (bucket) => ({
+        upload: async (key, body, { contentType } = {}) => {
+          // Streams (e.g. a Readable of assembled parts) are read to the end first
+          if (body && typeof body !== 'string' && !ArrayBuffer.isView(body) && body[Symbol.asyncIterator]) {
+            const parts = [];
+            try {
+              for await (const part of body) parts.push(Buffer.from(part));
+            } catch (error) {
+              return { data: null, error: { message: error.message } };
+            }
+            body = Buffer.concat(parts);
+          }
+          (buckets[bucket] ||= {})[key] = { body: Buffer.from(body), contentType };
+          return { data: { path: key }, error: null };
+        },
+        download: async (key) => {
+          const file = buckets[bucket]?.[key];
+          return file ? { data: new Blob([file.body], { type: file.contentType }), error: null } : { data: null, error: { message: 'Object not found' } };
+        },
+        remove: async (keys) => { for (const k of keys) delete buckets[bucket]?.[k]; return { data: [], error: null }; },
+        list: async (prefix = '') => ({
+          data: Object.keys(buckets[bucket] || {}).filter((k) => k.startsWith(prefix)).map((k) => ({ name: k.slice(prefix.length).replace(/^\//, '') })),
+          error: null,
+        }),
+        createSignedUrl: async (key) => ({ data: { signedUrl: `https://storage.test/${bucket}/${key}` }, error: null }),
+        createSignedUrls: async (keys) => ({ data: keys.map((k) => ({ path: k, signedUrl: `https://storage.test/${bucket}/${k}` })), error: null }),
+      }),
+    },
+  };
+}
+
+// `col` or a JSON path such as `custom_fields->>amount`
+function valueOf(row, column) {
+  const m = /^(\w+)->(>?)(\w+)$/.exec(column);
+  if (!m) return row[column];
+  const v = row[m[1]]?.[m[3]];
+  return m[2] && v !== undefined && v !== null ? (typeof v === 'object' ? JSON.stringify(v) : String(v)) : v;
+}
+
+function compare(a, b, cmp) {
+  if (a === undefined || a === null) return false;
+  return typeof b === 'number' ? cmp(Number(a), b) : cmp(String(a), String(b));
+}
+
+function likeMatches(value, pattern) {
+  if (value === undefined || value === null) return false;
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\' && i + 1 < pattern.length) re += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    else if (ch === '%' || ch === '*') re += '.*';
+    else if (ch === '_') re += '.';
+    else re += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`, 'is').test(String(value));
+}
+
+function containsValue(actual, expected) {
+  if (Array.isArray(expected)) return Array.isArray(actual) && expected.every((x) => actual.includes(x));
+  if (expected && typeof expected === 'object') return Boolean(actual) && Object.entries(expected).every(([k, v]) => actual[k] === v);
+  return false;
+}
+
+// Split on commas outside quotes, parentheses and braces
+function splitTopLevel(s) {
+  const out = [];
+  let depth = 0;
+  let quoted = false;
+  let cur = '';
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (ch === '\\' && quoted) { cur += ch + s[++i]; continue; }
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && (ch === '(' || ch === '{')) depth++;
+    if (!quoted && (ch === ')' || ch === '}')) depth--;
+    if (!quoted && depth === 0 && ch === ',') { out.push(cur); cur = ''; } else cur += ch;
+  }
+  out.push(cur);
+  return out;
+}
+
+function unquote(v) {
+  return v.startsWith('"') ? v.slice(1, -1).replace(/\\(.)/g, '$1') : v;
+}
+
+function parseCondition(text) {
+  const group = /^(or|and)\((.*)\)$/s.exec(text);
+  if (group) {
+    const conds = splitTopLevel(group[2]).map(parseCondition);
+    return group[1] === 'or' ? (r) => conds.some((f) => f(r)) : (r) => conds.every((f) => f(r));
+  }
+  const m = /^([\w>-]+)\.(not\.)?(\w+)\.(.*)$/s.exec(text);
+  if (!m) throw new Error(`Unsupported filter "${text}"`);
+  const inner = condition(m[1], m[3], m[4]);
+  // As in SQL, NOT of a comparison with NULL is not true either
+  return m[2] ? (r) => valueOf(r, m[1]) != null && !inner(r) : inner;
+}
+
+function condition(column, op, raw) {
+  const list = () => splitTopLevel(raw.slice(1, -1)).map(unquote);
+  switch (op) {
+    case 'eq': return (r) => valueOf(r, column) != null && String(valueOf(r, column)) === unquote(raw);
+    case 'neq': return (r) => valueOf(r, column) != null && String(valueOf(r, column)) !== unquote(raw);
+    case 'is': return (r) => (valueOf(r, column) ?? null) === (raw === 'null' ? null : raw === 'true');
+    case 'in': return (r) => list().includes(String(valueOf(r, column)));
+    case 'cs': return (r) => containsValue(valueOf(r, column), list());
+    case 'ilike':
+    case 'like': return (r) => likeMatches(valueOf(r, column), unquote(raw));
+    case 'gt': case 'gte': case 'lt': case 'lte': {
+      const cmp = { gt: (a, b) => a > b, gte: (a, b) => a >= b, lt: (a, b) => a < b, lte: (a, b) => a <= b }[op];
+      const v = unquote(raw);
+      return (r) => compare(valueOf(r, column), Number.isFinite(Number(v)) && typeof valueOf(r, column) === 'number' ? Number(v) : v, cmp);
+    }
+    default: throw new Error(`Unsupported operator "${op}"`);
+  }
+}
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Runs every behaviour check (`npm test`). Each file runs in its own process, so module
+ * state and environment variables set by one do not leak into the next.
+ * Run with: node tests/run-checks.js
+ */
+
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const CHECKS = [
+  'test-ingestion-queue.js',
+  'test-search-query.js',
+  'test-ingest-events.js',
+  'test-text-extractors.js',
+  'test-chunking.js',
+  'test-chunk-locations.js',
+  'test-embedding-providers.js',
+  'test-embedding-batches.js',
+  'test-duplicates.js',
+  'test-ingestion-cache.js',
+  'test-resumable-uploads.js',
+  'test-upload-analysis-queue.js',
+  'test-pdf-ranges.js',
+  'test-custom-fields.js',
+  'test-extraction-templates.js',
+  'test-field-provenance.js',
+  'test-review-queue.js',
+  'test-languages.js',
+  'test-page-previews.js',
+  'test-ai-usage.js',
+  'test-email-in.js',
+  'test-document-search.js',
+  'test-full-text-search.js',
+  'test-search-fusion.js',
+  'test-saved-searches.js',
+];
+
+const dir = path.dirname(fileURLToPath(import.meta.url));
+const failed = [];
+for (const file of CHECKS) {
+  console.log(`\n▶ ${file}`);
+  const { status } = spawnSync(process.execPath, [path.join(dir, file)], { stdio: 'inherit' });
+  if (status !== 0) failed.push(file);
+}
+console.log(failed.length ? `\n❌ Failed: ${failed.join(', ')}` : `\n✅ All ${CHECKS.length} check files passed`);
+if (failed.length) process.exitCode = 1;
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for AI usage accounting (src/lib/ai-usage.js): cost estimates, the per-operation
+ * ledger written when work ends, reporting periods and the monthly budget.
+ * Run with: node tests/test-ai-usage.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+
+process.env.AI_PRICES_JSON = JSON.stringify({ 'test/cheap': { input: 1, output: 2 } });
+const {
+  estimateCost, recordModelUsage, withUsageTracking, usagePeriod, aiBudgetExceeded, checkAiBudget, invalidateAiBudgetCache, summarizeAiUsage,
+} = await import('../src/lib/ai-usage.js');
+
+check('cost is priced per million tokens, with overrides and unknown models free', () => {
+  assert.equal(estimateCost({ provider: 'test', model: 'cheap', inputTokens: 1e6, outputTokens: 5e5 }), 2);
+  assert.equal(estimateCost({ provider: 'gemini', model: 'gemini-2.0-flash', inputTokens: 1e6 }), 0.1);
+  assert.equal(estimateCost({ provider: 'local', model: 'none', inputTokens: 1e6 }), 0);
+});
+
+check('calls are grouped per model and kind and written when the work ends', async () => {
+  const db = createFakeDb({ ai_usage_events: [] });
+  await withUsageTracking(db, { orgId: 'o', docId: 'd', operation: 'ingest' }, async () => {
+    recordModelUsage({ provider: 'test', model: 'cheap', inputTokens: 1000, outputTokens: 10 });
+    recordModelUsage({ provider: 'test', model: 'cheap', inputTokens: 500.4, outputTokens: -3 });
+    recordModelUsage({ provider: 'test', model: 'cheap', kind: 'embed', inputTokens: 200, estimated: true });
+  });
+  const rows = db.store.ai_usage_events.map(({ kind, calls, input_tokens: i, output_tokens: o, cost_usd: c, estimated }) => [kind, calls, i, o, c, estimated]);
+  assert.deepEqual(rows, [['generate', 2, 1500, 10, 0.00152, false], ['embed', 1, 200, 0, 0.0002, true]]);
+  assert.equal(db.store.ai_usage_events[0].operation, 'ingest');
+});
+
+check('usage is kept when the work fails, and nothing is recorded outside tracking', async () => {
+  const db = createFakeDb({ ai_usage_events: [] });
+  recordModelUsage({ provider: 'test', model: 'cheap', inputTokens: 1 });
+  await assert.rejects(withUsageTracking(db, { orgId: 'o', operation: 'reembed' }, async () => {
+    recordModelUsage({ provider: 'test', model: 'cheap', inputTokens: 1 });
+    throw new Error('boom');
+  }), /boom/);
+  assert.equal(db.store.ai_usage_events.length, 1);
+});
+
+check('periods default to this month and must be ordered dates', () => {
+  const { since, until } = usagePeriod();
+  assert.match(since, /^\d{4}-\d{2}-01T00:00:00\.000Z$/);
+  assert.ok(until > since);
+  assert.deepEqual(usagePeriod({ since: '2024-01-01', until: '2024-02-01' }), { since: '2024-01-01T00:00:00.000Z', until: '2024-02-01T00:00:00.000Z' });
+  assert.throws(() => usagePeriod({ since: 'soon' }), (e) => e.statusCode === 400 && /since must be a date/.test(e.message));
+  assert.throws(() => usagePeriod({ since: '2024-02-01', until: '2024-01-01' }), /until must be after since/);
+});
+
+check('only budget-enforcing work stops once spend reaches the budget', async () => {
+  invalidateAiBudgetCache();
+  const db = createFakeDb({ org_settings: [{ org_id: 'o', ai_monthly_budget_usd: 5 }], ai_usage_events: [] });
+  db.rpcs.ai_usage_cost_since = () => ({ data: 5, error: null });
+  assert.equal(await aiBudgetExceeded(), false);
+  assert.equal(await withUsageTracking(db, { orgId: 'o', operation: 'ingest' }, aiBudgetExceeded), false);
+  assert.equal(await withUsageTracking(db, { orgId: 'o', operation: 'search', enforceBudget: true }, aiBudgetExceeded), true);
+});
+
+check('orgs without a budget are never over it', async () => {
+  invalidateAiBudgetCache();
+  const db = createFakeDb({ org_settings: [{ org_id: 'o', ai_monthly_budget_usd: null }] });
+  const status = await checkAiBudget(db, 'o');
+  assert.equal(status.exceeded, false);
+  assert.equal(status.monthlyBudgetUsd, null);
+});
+
+check('summaries keep embedding tokens apart from generation tokens', async () => {
+  const db = createFakeDb();
+  db.rpcs.ai_usage_summary = () => ({
+    data: [
+      { operation: 'ingest', kind: 'generate', calls: '3', input_tokens: '900', output_tokens: '90', cost_usd: '0.1' },
+      { operation: 'ingest', kind: 'embed', calls: '2', input_tokens: '400', output_tokens: '0', cost_usd: '0.2' },
+    ],
+    error: null,
+  });
+  const { totals } = await summarizeAiUsage(db, { orgId: 'o', since: 'a', until: 'b' });
+  assert.deepEqual(totals, { calls: 5, inputTokens: 900, outputTokens: 90, embeddingTokens: 400, costUsd: 0.3 });
+});
+
+await run();
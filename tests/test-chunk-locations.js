@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for chunk citation locations: the page index and [start, end) spans the chunkers
+ * record (src/lib/chunking.js) and how doc_chunks rows map to them (src/lib/chunk-window.js).
+ * Run with: node tests/test-chunk-locations.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+import { chunkDocument, toChunkLocationColumns } from '../src/lib/chunking.js';
+import { chunkLocation, attachChunkLocations } from '../src/lib/chunk-window.js';
+
+const squash = (s) => s.replace(/\s+/g, ' ').trim();
+// Chunk content without its [Sheet: …] / [Section: …] labels
+const body = (content) => content.replace(/^(\[(?:Sheet|Section): [^\]]*\] ?)+/, '');
+
+check('paragraph spans point at the source text, across pages', () => {
+  const pages = [
+    { page: 1, text: '  # Parties\n\nThis lease is made between   A and B.\n' },
+    { page: 2, text: 'Rent is due\non the first day of each month.' },
+  ];
+  const chunks = chunkDocument({ pages });
+  assert.deepEqual(chunks.map((c) => c.pageIndex), [0, 1]);
+  for (const c of chunks) {
+    const source = pages[c.pageIndex].text.slice(c.start, c.end);
+    assert.equal(squash(source), body(c.content));
+  }
+  assert.deepEqual(chunks[1].headingPath, ['Parties']);
+});
+
+check('sentences of a long paragraph each get their own span', () => {
+  const sentence = (i) => `Clause text number ${i} sets out an obligation that the parties agree to follow in full.`;
+  const text = Array.from({ length: 40 }, (_, i) => sentence(i)).join('  \n');
+  const chunks = chunkDocument({ pages: [{ page: 1, text }] });
+  assert.ok(chunks.length > 1);
+  for (const c of chunks) assert.equal(squash(text.slice(c.start, c.end)), c.content);
+  assert.equal(chunks[0].start, 0);
+  assert.equal(chunks.at(-1).end, text.length);
+});
+
+check('table pieces cover their rows; the first also covers the header', () => {
+  const rows = Array.from({ length: 50 }, (_, i) => `| ${i} | Line item number ${i} for the quarterly bill | ${i * 10} |`);
+  const text = ['| No | Item | Amount |', ...rows].join('\n');
+  const chunks = chunkDocument({ pages: [{ page: 3, text }] });
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks[0].start, 0);
+  for (const c of chunks.slice(1)) {
+    const source = text.slice(c.start, c.end);
+    assert.equal(source, c.content.split('\n').slice(1).join('\n'));
+  }
+  assert.equal(chunks.at(-1).end, text.length);
+});
+
+check('text without pages has offsets into the text and no page index', () => {
+  const text = 'Invoice 42\n\nTotal due: 1,200';
+  for (const strategy of ['structured', 'fixed']) {
+    const [c] = chunkDocument({ text, strategy });
+    assert.equal(c.pageIndex, null, strategy);
+    assert.equal(c.page, null, strategy);
+    assert.equal(squash(text.slice(c.start, c.end)), squash(body(c.content)), strategy);
+  }
+});
+
+check('fixed chunks are located in order even when they repeat', () => {
+  const text = Array.from({ length: 300 }, () => 'same words again').join(' ');
+  const chunks = chunkDocument({ pages: [{ page: 1, text }], strategy: 'fixed' });
+  assert.ok(chunks.length > 2);
+  for (let i = 1; i < chunks.length; i++) assert.ok(chunks[i].start > chunks[i - 1].start);
+  for (const c of chunks) assert.equal(text.slice(c.start, c.end), c.content);
+});
+
+check('location columns default missing values to null', () => {
+  assert.deepEqual(toChunkLocationColumns({ headingPath: ['A'], type: 'table', pageIndex: 0, start: 5, end: 9 }), {
+    heading_path: ['A'], chunk_type: 'table', page_index: 0, char_start: 5, char_end: 9,
+  });
+  assert.deepEqual(toChunkLocationColumns({}), { heading_path: [], chunk_type: 'paragraph', page_index: null, char_start: null, char_end: null });
+});
+
+check('rows map back to citation locations', () => {
+  assert.deepEqual(chunkLocation({ page: 2, heading_path: ['A', 'B'], chunk_type: 'list', page_index: 1, char_start: 0, char_end: 40 }), {
+    page: 2, headingPath: ['A', 'B'], chunkType: 'list', pageIndex: 1, charStart: 0, charEnd: 40,
+  });
+  assert.deepEqual(chunkLocation(null), { page: null, headingPath: [], chunkType: null, pageIndex: null, charStart: null, charEnd: null });
+});
+
+check('matched chunks get their stored locations', async () => {
+  const db = createFakeDb({ doc_chunks: [{ id: 'c1', heading_path: ['Rent'], chunk_type: 'paragraph', page_index: 0, char_start: 3, char_end: 30 }] });
+  const [hit, miss] = await attachChunkLocations(db, [{ chunk_id: 'c1', content: 'x', similarity: 0.9 }, { chunk_id: 'c2', content: 'y' }]);
+  assert.equal(hit.char_start, 3);
+  assert.deepEqual(hit.heading_path, ['Rent']);
+  assert.equal(hit.similarity, 0.9);
+  assert.deepEqual(miss, { chunk_id: 'c2', content: 'y' });
+});
+
+check('a failed location lookup returns the chunks unchanged', async () => {
+  const chunks = [{ chunk_id: 'c1', content: 'x' }];
+  const failing = { from: () => ({ select: () => ({ in: async () => ({ data: null, error: { message: 'column "chunk_type" does not exist' } }) }) }) };
+  assert.equal(await attachChunkLocations(failing, chunks), chunks);
+});
+
+await run();
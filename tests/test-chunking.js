@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the chunking strategies (src/lib/chunking.js): heading breadcrumbs, table rows
+ * and list items kept whole, clause detection, the fixed splitter and the per-org setting.
+ * Run with: node tests/test-chunking.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+import { chunkDocument, chunkText, loadOrgChunkingStrategy } from '../src/lib/chunking.js';
+
+const chunk = (text, strategy) => chunkDocument({ pages: [{ page: 1, text }], strategy });
+
+check('chunks carry the full heading breadcrumb', () => {
+  const chunks = chunk('ARTICLE 2 PAYMENT\n2.1 Rent\nThe Tenant shall pay rent monthly.\n2.2 Deposit\nA deposit of two months is due.');
+  assert.deepEqual(chunks.map((c) => c.headingPath), [['ARTICLE 2 PAYMENT', '2.1 Rent'], ['ARTICLE 2 PAYMENT', '2.2 Deposit']]);
+  assert.equal(chunks[1].content, '[Section: ARTICLE 2 PAYMENT > 2.2 Deposit] A deposit of two months is due.');
+});
+
+check('a numbered sentence is a clause, not a heading', () => {
+  const chunks = chunk('# Terms\n3.1 The Tenant shall keep the premises clean.\n3.2 The Landlord will repair the roof.');
+  assert.equal(chunks.length, 1);
+  assert.deepEqual(chunks[0].headingPath, ['Terms']);
+  assert.match(chunks[0].content, /3\.1 The Tenant[^\n]*\n3\.2 The Landlord/);
+});
+
+check('long tables are split between rows and repeat their header row', () => {
+  const rows = Array.from({ length: 60 }, (_, i) => `| 2024-01-${String(i % 28 + 1).padStart(2, '0')} | Electricity charge for meter ${i} | ${1000 + i} |`);
+  const chunks = chunk(['| Date | Description | Amount |', '|---|---|---|', ...rows].join('\n'));
+  assert.ok(chunks.length > 1);
+  for (const c of chunks) {
+    assert.equal(c.type, 'table');
+    assert.ok(c.content.startsWith('| Date | Description | Amount |\n|---|---|---|\n'));
+    assert.ok(c.content.length <= 1200);
+    for (const line of c.content.split('\n')) assert.match(line, /^\|.*\|$/);
+  }
+  const seen = chunks.flatMap((c) => c.content.split('\n').slice(2));
+  assert.deepEqual(seen, rows);
+});
+
+check('tab-separated rows are rendered as table cells', () => {
+  const [c] = chunk('Item\tQty\tPrice\nPaper\t10\t50\nInk\t2\t400');
+  assert.equal(c.type, 'table');
+  assert.equal(c.content, 'Item | Qty | Price\nPaper | 10 | 50\nInk | 2 | 400');
+});
+
+check('list items stay whole, with indented continuations joined', () => {
+  const items = Array.from({ length: 40 }, (_, i) => `• Obligation number ${i} applies to both parties equally\n    and survives termination`);
+  const chunks = chunk(items.join('\n'));
+  assert.ok(chunks.length > 1);
+  for (const c of chunks) {
+    assert.equal(c.type, 'list');
+    for (const line of c.content.split('\n')) assert.match(line, /^• Obligation number \d+ .* and survives termination$/);
+  }
+});
+
+check('Devanagari section keywords and short numbered titles are headings', () => {
+  const chunks = chunk('अध्याय 3 भुगतान\n३.१ भाडे भरणा\nभाडेकरू दर महिन्याला भाडे भरेल।');
+  assert.deepEqual(chunks[0].headingPath, ['अध्याय 3 भुगतान', '३.१ भाडे भरणा']);
+});
+
+check('worksheets start their own outline and are labelled', () => {
+  const chunks = chunkDocument({ pages: [{ page: 1, sheet: 'Q1', text: '# Summary\nTotals below' }, { page: 2, sheet: 'Q2', text: 'Revenue grew' }] });
+  assert.deepEqual(chunks.map((c) => c.headingPath), [['Summary'], []]);
+  assert.equal(chunks[1].content, '[Sheet: Q2] Revenue grew');
+});
+
+check('extracted sections keep their heading without repeating it', () => {
+  const chunks = chunkDocument({ pages: [{ page: null, section: 'Scope', level: 2, text: 'Scope\nCovers all sites.' }] });
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].page, null);
+  assert.deepEqual(chunks[0].headingPath, ['Scope']);
+  assert.equal(chunks[0].content, '[Section: Scope] Covers all sites.');
+});
+
+check('the fixed splitter overlaps consecutive chunks', () => {
+  const text = Array.from({ length: 400 }, (_, i) => `word${i}`).join(' ');
+  const parts = chunkText(text, { target: 300, overlap: 60 });
+  assert.ok(parts.length > 1);
+  for (let i = 1; i < parts.length; i++) {
+    const last = parts[i - 1].split(' ').pop();
+    const shared = parts[i].slice(0, parts[i].indexOf(`${last} `) + last.length);
+    assert.ok(shared.length > last.length && shared.length <= 60, `chunk ${i} does not overlap the previous one`);
+    assert.ok(parts[i - 1].endsWith(shared));
+    assert.ok(parts[i].length <= 300);
+  }
+});
+
+check('the fixed strategy labels a page by its first all-caps heading', () => {
+  const [c] = chunk('NOTICE OF RENEWAL\nThe lease renews on 1 April.', 'fixed');
+  assert.equal(c.content, '[Section: NOTICE OF RENEWAL] NOTICE OF RENEWAL The lease renews on 1 April.');
+  assert.deepEqual(c.headingPath, ['NOTICE OF RENEWAL']);
+});
+
+check('orgs without a valid setting get the structured strategy', async () => {
+  const db = createFakeDb({ org_settings: [{ org_id: 'a', chunking_strategy: 'fixed' }, { org_id: 'b', chunking_strategy: 'bogus' }] });
+  assert.equal(await loadOrgChunkingStrategy(db, 'a'), 'fixed');
+  assert.equal(await loadOrgChunkingStrategy(db, 'b'), 'structured');
+  assert.equal(await loadOrgChunkingStrategy(db, 'none'), 'structured');
+  const broken = { from() { throw new Error('column does not exist'); } };
+  assert.equal(await loadOrgChunkingStrategy(broken, 'a'), 'structured');
+});
+
+await run();
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for custom metadata fields (src/lib/custom-fields.js): value coercion (amounts,
+ * dates, booleans, enums), merging edits, and filters giving the same results in the
+ * database and in memory.
+ * Run with: node tests/test-custom-fields.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+import {
+  coerceFieldValue, mergeCustomFieldValues, coerceExtractedValues, parseCustomFieldFilters, applyCustomFieldFilters,
+  matchesCustomFieldFilters, assertValidFieldDefinition,
+} from '../src/lib/custom-fields.js';
+
+const amount = { field_name: 'amount', field_type: 'number', validation: { min: 0 } };
+const due = { field_name: 'due_date', field_type: 'date' };
+const paid = { field_name: 'paid', field_type: 'boolean' };
+const status = { field_name: 'status', field_type: 'enum', validation: { options: ['Open', 'Closed'] } };
+const ref = { field_name: 'ref', field_type: 'text', validation: { maxLength: 20 } };
+const fields = [amount, due, paid, status, ref];
+
+const value = (field, raw) => {
+  const result = coerceFieldValue(field, raw);
+  return result.ok ? result.value : null;
+};
+
+check('amounts as documents write them', () => {
+  assert.equal(value(amount, '₹1,20,000.50'), 120000.5);
+  assert.equal(value(amount, 'Rs. 1200/-'), 1200);
+  assert.equal(value(amount, '$ 1,200'), 1200);
+  assert.equal(value(amount, '1 200 INR'), 1200);
+  assert.equal(value(amount, 42), 42);
+});
+
+check('values with anything besides an amount are not numbers', () => {
+  for (const raw of ['27AAAPL1234C1Z5', '1.2e3', 'Invoice 42', '12 pcs', '1,2', '1.2.3', 'Rs.']) {
+    assert.equal(coerceFieldValue(amount, raw).ok, false, raw);
+  }
+  assert.match(coerceFieldValue(amount, '-5').error, /at least 0/);
+});
+
+check('numeric dates are read day first, whatever the host time zone', () => {
+  assert.equal(value(due, '05/03/2024'), '2024-03-05');
+  assert.equal(value(due, '5-3-2024'), '2024-03-05');
+  assert.equal(value(due, '31.12.2024'), '2024-12-31');
+  assert.equal(value(due, '2024-03-05'), '2024-03-05');
+  assert.equal(value(due, '2024/3/5'), '2024-03-05');
+  assert.equal(value(due, '2024-03-05T23:30:00+05:30'), '2024-03-05');
+});
+
+check('dates with month names', () => {
+  assert.equal(value(due, 'March 5, 2024'), '2024-03-05');
+  assert.equal(value(due, '5 March 2024'), '2024-03-05');
+  assert.equal(value(due, '05-Mar-2024'), '2024-03-05');
+  assert.equal(value(due, '1st Sept 2024'), '2024-09-01');
+});
+
+check('impossible or unclear dates are rejected', () => {
+  for (const raw of ['12/25/2024', '30/02/2024', '2024-13-01', '05/03/24', 'Mayor 5, 2024', 'next Tuesday', '1709596800000']) {
+    assert.equal(coerceFieldValue(due, raw).ok, false, raw);
+  }
+});
+
+check('booleans, enums and text rules', () => {
+  assert.equal(value(paid, 'Yes'), true);
+  assert.equal(value(paid, '0'), false);
+  assert.equal(coerceFieldValue(paid, 'maybe').ok, false);
+  assert.equal(value(status, 'closed'), 'Closed');
+  assert.equal(coerceFieldValue(status, 'pending').ok, false);
+  assert.equal(coerceFieldValue(ref, 'x'.repeat(21)).ok, false);
+  assert.equal(coerceFieldValue(ref, '  ').ok, false);
+});
+
+check('edits are merged, cleared with null and rejected as a whole when one is invalid', () => {
+  const next = mergeCustomFieldValues(fields, { amount: 10, ref: 'A1' }, { amount: '₹20', ref: null, paid: 'yes' });
+  assert.deepEqual(next, { amount: 20, paid: true });
+  assert.throws(() => mergeCustomFieldValues(fields, {}, { amount: 'GSTIN 27AAA', nope: 1 }), (e) => e.statusCode === 400 && /amount: not a number; nope: unknown field/.test(e.message));
+  assert.throws(() => mergeCustomFieldValues([{ ...ref, is_required: true }], { ref: 'A' }, { ref: null }), /ref: required/);
+});
+
+check('extracted values that do not validate are dropped', () => {
+  const { values, rejected } = coerceExtractedValues(fields, { amount: '27AAAPL1234C1Z5', due_date: '05/03/2024', status: null, other: 1 });
+  assert.deepEqual(values, { due_date: '2024-03-05' });
+  assert.equal(rejected.length, 1);
+});
+
+check('field definitions are checked before they are saved', () => {
+  assert.throws(() => assertValidFieldDefinition({ field_name: 'Amount', field_type: 'number' }), (e) => e.statusCode === 400);
+  assert.throws(() => assertValidFieldDefinition({ field_name: 'kind', field_type: 'enum', validation: {} }), /validation.options/);
+  assert.throws(() => assertValidFieldDefinition({ field_name: 'x', field_type: 'number', validation: { min: 5, max: 1 } }), /min/);
+  assert.doesNotThrow(() => assertValidFieldDefinition({ field_name: 'gstin', field_type: 'text', validation: { pattern: '^[0-9A-Z]{15}$' } }));
+});
+
+check('filters parse from query keys with typed values', () => {
+  const filters = parseCustomFieldFilters(fields, { 'cf.amount.gte': '₹1,000', 'cf.status': 'open', q: 'x' }, { fromQuery: true });
+  assert.deepEqual(filters.map((f) => [f.field.field_name, f.op, f.value]), [['amount', 'gte', 1000], ['status', 'eq', 'Open']]);
+  assert.throws(() => parseCustomFieldFilters(fields, { ref: { gt: 'a' } }), /only applies to number and date/);
+  assert.throws(() => parseCustomFieldFilters(fields, { amount: 'lots' }), (e) => e.statusCode === 400);
+});
+
+const docs = [
+  { id: 'a', custom_fields: { amount: 500, status: 'Open', ref: 'INV-1', due_date: '2024-03-05' } },
+  { id: 'b', custom_fields: { amount: 1500, status: 'Closed', ref: '50%_off', due_date: '2024-04-01' } },
+  { id: 'c', custom_fields: { ref: '50 percent off' } },
+  { id: 'd', custom_fields: {} },
+];
+
+async function databaseIds(filters) {
+  const db = createFakeDb({ documents: docs });
+  const { data } = await applyCustomFieldFilters(db.from('documents').select('id'), filters);
+  return data.map((d) => d.id).sort();
+}
+const memoryIds = (filters) => docs.filter((d) => matchesCustomFieldFilters(d.custom_fields, filters)).map((d) => d.id).sort();
+
+check('database and in-memory filters agree, including documents without the field', async () => {
+  const cases = [
+    [{ status: { neq: 'Open' } }, ['b', 'c', 'd']],
+    [{ amount: { neq: 500 } }, ['b', 'c', 'd']],
+    [{ status: 'Closed' }, ['b']],
+    [{ amount: { gt: 1000 } }, ['b']],
+    [{ due_date: { lt: '2024-04-01' } }, ['a']],
+    [{ ref: { contains: 'inv' } }, ['a']],
+  ];
+  for (const [input, expected] of cases) {
+    const filters = parseCustomFieldFilters(fields, input);
+    assert.deepEqual(await databaseIds(filters), expected, JSON.stringify(input));
+    assert.deepEqual(memoryIds(filters), expected, JSON.stringify(input));
+  }
+});
+
+check('contains treats % and _ literally', async () => {
+  const filters = parseCustomFieldFilters(fields, { ref: { contains: '50%_' } });
+  assert.deepEqual(await databaseIds(filters), ['b']);
+  assert.deepEqual(memoryIds(filters), ['b']);
+  const calls = [];
+  const recorder = { ilike: (column, pattern) => { calls.push([column, pattern]); return recorder; } };
+  applyCustomFieldFilters(recorder, filters);
+  assert.deepEqual(calls, [['custom_fields->>ref', '*50\\%\\_*']]);
+});
+
+await run();
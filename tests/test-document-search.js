@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for unified document search (src/lib/document-search.js): the caller's access
+ * scope, facet filters and counts, and ranking with full-text search or the ilike fallback.
+ * Only the lexical leg runs: embeddings are left out with `semantic: false`.
+ * Run with: node tests/test-document-search.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+import {
+  loadSearchScope, canReadDocument, toSearchFilters, computeFacets, searchDocuments, countDocuments, SearchFiltersSchema,
+} from '../src/lib/document-search.js';
+
+const doc = (fields) => ({
+  org_id: 'o', type: 'PDF', deleted_at: null, folder_path: [], tags: [], uploaded_at: '2024-01-01T00:00:00Z', ...fields,
+});
+const documents = () => [
+  doc({ id: 'a', title: 'Consent to Operate', category: 'Legal', sender: 'MPCB', department_id: 'legal', document_date: '2024-03-05', tags: ['consent'], uploaded_at: '2024-03-06T00:00:00Z' }),
+  doc({ id: 'b', title: 'Consent renewal fee', category: 'Finance', sender: 'MPCB', department_id: 'finance', document_date: '2023-11-01', tags: ['consent', 'fees'], uploaded_at: '2024-03-07T00:00:00Z' }),
+  doc({ id: 'c', title: 'Shared consent order', category: 'Legal', department_id: 'ops', folder_path: ['Shared', 'Orders'], document_date: '2022-01-01' }),
+  doc({ id: 'd', title: 'Consent draft', department_id: 'legal', deleted_at: '2024-04-01T00:00:00Z' }),
+  doc({ id: 'e', title: 'Electricity bill', category: 'Finance', department_id: 'legal', uploaded_at: '2024-02-01T00:00:00Z' }),
+  { id: 'f', org_id: 'o', type: 'folder', title: 'Consent', department_id: 'legal', folder_path: [] },
+];
+const legalScope = { all: false, departmentIds: ['legal'], folderPaths: [['Shared']] };
+
+check('members read their departments and folders shared with them', async () => {
+  const db = createFakeDb({
+    organization_users: [{ org_id: 'o', user_id: 'admin', role: 'orgAdmin' }, { org_id: 'o', user_id: 'm', role: 'member' }],
+    department_users: [{ org_id: 'o', user_id: 'm', department_id: 'legal' }],
+    folder_access: [{ org_id: 'o', department_id: 'legal', path: ['Shared'] }, { org_id: 'o', department_id: 'legal', path: ['Shared'] }, { org_id: 'o', department_id: 'other', path: ['Private'] }],
+  });
+  assert.deepEqual(await loadSearchScope(db, { orgId: 'o', userId: 'admin' }), { all: true, departmentIds: [], folderPaths: [] });
+  assert.deepEqual(await loadSearchScope(db, { orgId: 'o', userId: 'm' }), legalScope);
+  assert.equal(canReadDocument(doc({ department_id: 'ops', folder_path: ['Shared', 'x'] }), legalScope), true);
+  assert.equal(canReadDocument(doc({ department_id: 'ops', folder_path: ['x', 'Shared'] }), legalScope), false);
+  assert.equal(canReadDocument(doc({ department_id: 'legal', deleted_at: 'now' }), legalScope), false);
+});
+
+check('browsing lists readable documents newest first with facets over all of them', async () => {
+  const db = createFakeDb({ documents: documents() });
+  const out = await searchDocuments(db, { orgId: 'o', scope: legalScope, limit: 2 });
+  assert.equal(out.mode, 'browse');
+  assert.equal(out.total, 3);
+  assert.deepEqual(out.results.map((r) => r.id), ['a', 'e']);
+  assert.deepEqual(out.facets.category, [{ value: 'Legal', count: 2 }, { value: 'Finance', count: 1 }]);
+  assert.deepEqual(out.facets.year.map((y) => y.value), ['2024', '2022']);
+});
+
+check('without full-text search, metadata is matched by ilike and ranked by field', async () => {
+  const db = createFakeDb({ documents: documents() });
+  const out = await searchDocuments(db, { orgId: 'o', scope: { all: true }, q: 'consent', semantic: false, log: { warn() {} } });
+  assert.equal(out.mode, 'lexical');
+  assert.deepEqual(out.results.map((r) => r.id).sort(), ['a', 'b', 'c']);
+  assert.ok(out.results.every((r) => r.signals.keyword > 0));
+  const either = await searchDocuments(db, { orgId: 'o', scope: { all: true }, q: 'electricity OR consent -renewal', semantic: false, log: { warn() {} } });
+  assert.deepEqual(either.results.map((r) => r.id).sort(), ['a', 'c', 'e']);
+});
+
+check('full-text ranks are used when the search function exists', async () => {
+  const db = createFakeDb({ documents: documents() });
+  db.rpcs.search_documents_fts = () => ({ data: [{ doc_id: 'c', rank: 0.9 }, { doc_id: 'a', rank: 0.5 }, { doc_id: 'd', rank: 0.99 }], error: null });
+  db.rpcs.search_headlines = () => ({ data: [{ doc_id: 'a', title: 'Consent to [[mark]]Operate[[/mark]]', snippet: null }], error: null });
+  const out = await searchDocuments(db, { orgId: 'o', scope: legalScope, q: 'operate', semantic: false });
+  // d is in the recycle bin
+  assert.deepEqual(out.results.map((r) => r.id), ['c', 'a']);
+  assert.equal(out.results[1].highlights.title, 'Consent to <mark>Operate</mark>');
+});
+
+check('filters narrow every leg and the count agrees', async () => {
+  const filters = toSearchFilters(SearchFiltersSchema.parse({ tags: ['consent'], year: { from: 2023, to: 2023 } }));
+  assert.deepEqual([filters.yearFrom, filters.yearTo], [2023, 2023]);
+  const db = createFakeDb({ documents: documents() });
+  const out = await searchDocuments(db, { orgId: 'o', scope: { all: true }, filters });
+  assert.deepEqual(out.results.map((r) => r.id), ['b']);
+  assert.deepEqual(await countDocuments(db, { orgId: 'o', scope: { all: true }, filters }), { total: 1, exact: true });
+  assert.deepEqual(await countDocuments(db, { orgId: 'o', scope: legalScope }), { total: 3, exact: false });
+  assert.deepEqual(await countDocuments(db, { orgId: 'o', scope: { all: false, departmentIds: [], folderPaths: [] } }), { total: 0, exact: true });
+});
+
+check('facet values are counted once per document and trimmed', () => {
+  const facets = computeFacets([{ tags: ['a', 'a'], sender: ' MPCB ' }, { tags: ['a'], sender: 'MPCB' }, { sender: '' }]);
+  assert.deepEqual(facets.tags, [{ value: 'a', count: 2 }]);
+  assert.deepEqual(facets.sender, [{ value: 'MPCB', count: 2 }]);
+});
+
+await run();
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for upload duplicate detection (src/lib/duplicates.js): exact matches by content
+ * hash, near matches by sampled chunk embeddings, and recording pending duplicates.
+ * Run with: node tests/test-duplicates.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+import { findExactDuplicates, findNearDuplicates, recordDuplicates } from '../src/lib/duplicates.js';
+
+const doc = (id, fields = {}) => ({ id, org_id: 'o', title: id, type: 'document', deleted_at: null, uploaded_at: '2024-01-01', ...fields });
+
+check('exact duplicates share the hash and skip trashed docs, folders and the upload itself', async () => {
+  const db = createFakeDb({
+    documents: [
+      doc('a', { content_hash: 'h1', uploaded_at: '2024-01-01' }),
+      doc('b', { content_hash: 'h1', uploaded_at: '2024-02-01' }),
+      doc('trashed', { content_hash: 'h1', deleted_at: '2024-03-01' }),
+      doc('folder', { content_hash: 'h1', type: 'folder' }),
+      doc('other-org', { content_hash: 'h1', org_id: 'x' }),
+      doc('new', { content_hash: 'h1' }),
+      doc('c', { content_hash: 'h2' }),
+    ],
+  });
+  const found = await findExactDuplicates(db, 'o', 'h1', { excludeId: 'new' });
+  assert.deepEqual(found.map((d) => [d.id, d.kind, d.similarity]), [['b', 'exact', 1], ['a', 'exact', 1]]);
+  assert.deepEqual(await findExactDuplicates(db, 'o', null), []);
+});
+
+check('duplicate views fill defaults for missing fields', async () => {
+  const db = createFakeDb({ documents: [doc('a', { title: null, filename: 'bill.pdf', content_hash: 'h' })] });
+  const [view] = await findExactDuplicates(db, 'o', 'h');
+  assert.equal(view.title, 'bill.pdf');
+  assert.deepEqual(view.folderPath, []);
+  assert.equal(view.versionNumber, 1);
+  assert.equal(view.isCurrentVersion, true);
+});
+
+// match_doc_chunks stub: each sample vector is [n], matching the rows listed for n
+function nearDb(matchesBySample, documents) {
+  const db = createFakeDb({ documents });
+  const seen = [];
+  db.rpcs.match_doc_chunks = (args) => {
+    seen.push(args.p_query_embedding[0]);
+    return { data: matchesBySample[args.p_query_embedding[0]] || [], error: null };
+  };
+  return { db, seen };
+}
+
+check('near duplicates must match every sample, spread across the document', async () => {
+  const { db, seen } = nearDb(
+    {
+      0: [{ doc_id: 'twin', similarity: 0.99 }, { doc_id: 'cover-only', similarity: 0.99 }, { doc_id: 'new', similarity: 1 }],
+      3: [{ doc_id: 'twin', similarity: 0.97 }],
+      6: [{ doc_id: 'twin', similarity: 0.98 }, { doc_id: 'twin', similarity: 0.96 }],
+    },
+    [doc('twin'), doc('cover-only'), doc('new')],
+  );
+  const embeddings = Array.from({ length: 9 }, (_, i) => [i]);
+  const found = await findNearDuplicates(db, { orgId: 'o', docId: 'new', embeddings });
+  assert.deepEqual(seen, [0, 3, 6]);
+  assert.deepEqual(found.map((d) => [d.id, d.kind, d.similarity]), [['twin', 'near', 0.98]]);
+});
+
+check('other versions of the same document are not near duplicates', async () => {
+  const { db } = nearDb(
+    { 0: [{ doc_id: 'v1', similarity: 0.99 }, { doc_id: 'copy', similarity: 0.96 }] },
+    [doc('new', { version_group_id: 'g' }), doc('v1', { version_group_id: 'g' }), doc('copy', { version_group_id: 'other' })],
+  );
+  const found = await findNearDuplicates(db, { orgId: 'o', docId: 'new', embeddings: [[0], null] });
+  assert.deepEqual(found.map((d) => d.id), ['copy']);
+});
+
+check('documents without embeddings have no near duplicates', async () => {
+  const { db, seen } = nearDb({}, []);
+  assert.deepEqual(await findNearDuplicates(db, { orgId: 'o', docId: 'new', embeddings: [null, null] }), []);
+  assert.deepEqual(seen, []);
+});
+
+check('recording keeps the resolution of pairs seen before', async () => {
+  const db = createFakeDb({ document_duplicates: [{ org_id: 'o', doc_id: 'new', duplicate_of_id: 'a', kind: 'exact', similarity: 1, resolution: 'keep_both' }] });
+  await recordDuplicates(db, { orgId: 'o', docId: 'new', duplicates: [{ id: 'a', kind: 'exact', similarity: 1 }, { id: 'b', kind: 'near', similarity: 0.97 }] });
+  const rows = db.store.document_duplicates;
+  assert.equal(rows.length, 2);
+  assert.equal(rows.find((r) => r.duplicate_of_id === 'a').resolution, 'keep_both');
+  assert.equal(rows.find((r) => r.duplicate_of_id === 'b').kind, 'near');
+});
+
+await run();
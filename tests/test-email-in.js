@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for email-in (src/lib/email-parser.js, src/lib/email-inbox.js): parsing what mail
+ * clients send (folded headers, RFC 2047 and 2231, quoted-printable, nested multipart), and
+ * ingesting a message once however often it is delivered.
+ * Run with: node tests/test-email-in.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+import { parseEmail, parseHeaderParams, parseAddressList, htmlToText } from '../src/lib/email-parser.js';
+
+process.env.INGEST_WORKER_ENABLED = 'false';
+const { initIngestionQueue } = await import('../src/lib/ingestion-queue.js');
+const { ingestInboundEmail } = await import('../src/lib/email-inbox.js');
+
+const pdf = Buffer.from('%PDF-1.4 invoice');
+const message = [
+  'Message-ID: <abc@mail.example.com>',
+  'From: "Accounts, MSEDCL" <Bills@MSEDCL.example>',
+  'To: invoices@in.example.com,',
+  ' "Asha Rao" <asha@example.com>',
+  'Subject: =?utf-8?B?4KSs4KS/4KSy?= for',
+  ' March',
+  'Date: Tue, 14 Oct 2025 00:30:00 +0530',
+  'Content-Type: multipart/mixed; boundary="outer"',
+  '',
+  '--outer',
+  'Content-Type: multipart/alternative; boundary=inner',
+  '',
+  '--inner',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'Amount due: =E2=82=B91,200. Please pay before the 30th of this month, or a la=',
+  'te fee applies.',
+  '--inner',
+  'Content-Type: text/html',
+  '',
+  '<p>Amount due</p>',
+  '--inner--',
+  '--outer',
+  'Content-Type: application/pdf',
+  'Content-Disposition: attachment;',
+  " filename*0*=utf-8''%E0%A4%AC%E0%A4%BF%E0%A4%B2;",
+  ' filename*1=" March.pdf"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  pdf.toString('base64'),
+  '--outer--',
+  '',
+].join('\r\n');
+
+check('headers are unfolded and encoded words decoded', () => {
+  const parsed = parseEmail(message);
+  assert.equal(parsed.messageId, 'abc@mail.example.com');
+  assert.equal(parsed.subject, 'बिल for March');
+  assert.deepEqual(parsed.from, { name: 'Accounts, MSEDCL', address: 'bills@msedcl.example' });
+  assert.deepEqual(parsed.to.map((a) => a.address), ['invoices@in.example.com', 'asha@example.com']);
+  // The sender's calendar day, not the UTC one
+  assert.equal(parsed.day, '2025-10-14');
+});
+
+check('nested multipart bodies give the text part and the attachment bytes', () => {
+  const parsed = parseEmail(message);
+  assert.equal(parsed.text.trim(), 'Amount due: ₹1,200. Please pay before the 30th of this month, or a late fee applies.');
+  assert.equal(parsed.html.trim(), '<p>Amount due</p>');
+  assert.equal(parsed.attachments.length, 1);
+  const [file] = parsed.attachments;
+  assert.equal(file.filename, 'बिल March.pdf');
+  assert.ok(file.content.equals(pdf));
+  assert.equal(file.inline, false);
+});
+
+check('RFC 2231 parameters join in order and keep their charset', () => {
+  const { value, params } = parseHeaderParams("Attachment; filename*1*=%20copy.txt; filename*0*=iso-8859-1'en'r%E9sum%E9; size=\"10\"");
+  assert.equal(value, 'attachment');
+  assert.equal(params.filename, 'résumé copy.txt');
+  assert.equal(params.size, '10');
+});
+
+check('address lists skip groups and entries that are not addresses', () => {
+  assert.deepEqual(parseAddressList('undisclosed-recipients:;, "Rao; A" <a@b.in>, not-an-address'), [{ name: 'Rao; A', address: 'a@b.in' }]);
+});
+
+check('HTML-only messages get a plain-text body', () => {
+  assert.equal(htmlToText('<style>p{}</style><p>Dear&nbsp;sir,</p><p>Fees &amp; dues<br>&#8377;500</p>'), 'Dear sir,\nFees & dues\n₹500');
+  const parsed = parseEmail('Subject: x\nContent-Type: text/html\n\n<div>Hello</div>');
+  assert.equal(parsed.text, 'Hello');
+});
+
+function inboxDb(messages = []) {
+  const db = createFakeDb({ email_messages: messages, documents: [], document_links: [], audit_events: [], ingestion_jobs: [], email_inboxes: [] }, {
+    unique: { email_messages: [['inbox_id', 'message_id']] },
+  });
+  db.buckets.documents = {};
+  initIngestionQueue({ supabaseAdmin: db, log: { info() {}, warn() {}, error() {} } });
+  return db;
+}
+const inbox = { id: 'in1', org_id: 'o', address: 'invoices@in.example.com', department_id: 'dep', created_by: 'u', include_body: true, allowed_senders: [] };
+
+check('a message becomes linked documents and is recorded as processed', async () => {
+  const db = inboxDb();
+  const result = await ingestInboundEmail({ supabaseAdmin: db }, { inbox, raw: Buffer.from(message) });
+  assert.equal(result.duplicate, false);
+  assert.deepEqual(result.documents.map((d) => d.role), ['body', 'attachment']);
+  assert.equal(db.store.document_links.length, 1);
+  assert.equal(db.store.ingestion_jobs.length, 2);
+  const [row] = db.store.email_messages;
+  assert.equal(row.status, 'processed');
+  assert.equal(row.doc_ids.length, 2);
+  const body = db.store.documents.find((d) => d.type === 'Email');
+  assert.equal(body.receiver, 'Asha Rao');
+});
+
+check('deliveries of the same message create its documents once', async () => {
+  const db = inboxDb();
+  const app = { supabaseAdmin: db };
+  const results = await Promise.all([1, 2, 3].map(() => ingestInboundEmail(app, { inbox, raw: Buffer.from(message) })));
+  assert.equal(results.filter((r) => !r.duplicate).length, 1);
+  assert.equal(db.store.documents.length, 2);
+  assert.equal(db.store.email_messages.length, 1);
+  const again = await ingestInboundEmail(app, { inbox, raw: Buffer.from(message) });
+  assert.equal(again.duplicate, true);
+  assert.deepEqual(again.documents.map((d) => d.id).sort(), results.find((r) => !r.duplicate).documents.map((d) => d.id).sort());
+});
+
+check('a failed, rejected or abandoned delivery can be retried', async () => {
+  for (const [status, receivedAt] of [['failed', new Date().toISOString()], ['rejected', new Date().toISOString()], ['processing', '2024-01-01T00:00:00Z']]) {
+    const db = inboxDb([{ id: 'm', org_id: 'o', inbox_id: 'in1', message_id: 'abc@mail.example.com', status, doc_ids: [], received_at: receivedAt }]);
+    const result = await ingestInboundEmail({ supabaseAdmin: db }, { inbox, raw: Buffer.from(message) });
+    assert.equal(result.duplicate, false, status);
+    assert.equal(db.store.email_messages[0].status, 'processed', status);
+  }
+});
+
+check('a delivery still processing elsewhere is a duplicate', async () => {
+  const db = inboxDb([{ id: 'm', org_id: 'o', inbox_id: 'in1', message_id: 'abc@mail.example.com', status: 'processing', doc_ids: [], received_at: new Date().toISOString() }]);
+  const result = await ingestInboundEmail({ supabaseAdmin: db }, { inbox, raw: Buffer.from(message) });
+  assert.deepEqual(result, { messageId: 'abc@mail.example.com', duplicate: true, documents: [] });
+  assert.equal(db.store.documents.length, 0);
+});
+
+check('senders outside the allow list are rejected and recorded', async () => {
+  const db = inboxDb();
+  await assert.rejects(
+    ingestInboundEmail({ supabaseAdmin: db }, { inbox: { ...inbox, allowed_senders: ['@example.com'] }, raw: Buffer.from(message) }),
+    (e) => e.statusCode === 403,
+  );
+  assert.equal(db.store.email_messages[0].status, 'rejected');
+  assert.equal(db.store.documents.length, 0);
+});
+
+await run();
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for batched chunk embedding (src/lib/embedding-batches.js): batch planning against
+ * provider limits, partial failures, splitting rejected batches and the resumable
+ * "embed missing chunks" path.
+ * Run with: node tests/test-embedding-batches.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+
+// Fail retryable batches at once instead of backing off for seconds
+process.env.EMBEDDING_BATCH_RETRIES = '0';
+const { planEmbeddingBatches, embedInBatches, embedMissingChunks } = await import('../src/lib/embedding-batches.js');
+
+const quiet = { warn() {}, info() {} };
+
+// Provider returning [length] vectors; `fail(texts)` may return an error to throw
+function fakeProvider({ limits = {}, fail } = {}) {
+  const calls = [];
+  return {
+    name: 'fake',
+    modelId: 'fake/v1',
+    limits: { maxBatchItems: 100, tokensPerMinute: 0, ...limits },
+    calls,
+    async embed(texts) {
+      calls.push(texts);
+      const error = fail?.(texts);
+      if (error) throw error;
+      return texts.map((t) => [t.length]);
+    },
+  };
+}
+const httpError = (status) => Object.assign(new Error(`status ${status}`), { status });
+
+check('batches respect item and token limits and skip empty inputs', () => {
+  const texts = ['a'.repeat(30), '', 'b'.repeat(30), '  ', 'c'.repeat(30), 'd'.repeat(30)];
+  const byItems = planEmbeddingBatches(texts, { maxBatchItems: 3 });
+  assert.deepEqual(byItems.map((b) => b.indexes), [[0, 2, 4], [5]]);
+  // 30 chars ≈ 10 tokens each
+  const byTokens = planEmbeddingBatches(texts, { maxBatchItems: 10, maxBatchTokens: 20 });
+  assert.deepEqual(byTokens.map((b) => b.indexes), [[0, 2], [4, 5]]);
+});
+
+check('over-long inputs are truncated to the per-input limit', () => {
+  const [batch] = planEmbeddingBatches(['x'.repeat(1000)], { maxInputTokens: 100 });
+  assert.equal(batch.texts[0].length, 300);
+});
+
+check('every successful batch is reported as it completes', async () => {
+  const provider = fakeProvider({ limits: { maxBatchItems: 2 } });
+  const seen = [];
+  const result = await embedInBatches(['aa', 'bbb', '', 'c'], provider, { log: quiet, onBatch: (b) => seen.push(b) });
+  assert.deepEqual(result.embeddings, [[2], [3], null, [1]]);
+  assert.equal(result.failed, 0);
+  assert.deepEqual(seen, [{ indexes: [0, 1], embeddings: [[2], [3]] }, { indexes: [3], embeddings: [[1]] }]);
+});
+
+check('a failed batch loses only its own inputs', async () => {
+  const provider = fakeProvider({ limits: { maxBatchItems: 2 }, fail: (texts) => (texts.includes('boom') ? httpError(503) : null) });
+  const result = await embedInBatches(['a', 'b', 'boom', 'c', 'd'], provider, { log: quiet });
+  assert.deepEqual(result.embeddings, [[1], [1], null, null, [1]]);
+  assert.equal(result.failed, 2);
+  assert.equal(result.errors.length, 1);
+});
+
+check('a rejected batch is split until the bad input is isolated', async () => {
+  const provider = fakeProvider({ fail: (texts) => (texts.includes('too long') ? httpError(400) : null) });
+  const result = await embedInBatches(['a', 'b', 'too long', 'c', 'd'], provider, { log: quiet });
+  assert.deepEqual(result.embeddings, [[1], [1], null, [1], [1]]);
+  assert.equal(result.failed, 1);
+  assert.ok(provider.calls.some((texts) => texts.length === 1 && texts[0] === 'too long'));
+});
+
+check('only chunks without a vector from this model are embedded, and are written back', async () => {
+  const db = createFakeDb({
+    doc_chunks: [
+      { org_id: 'o', doc_id: 'd', chunk_index: 0, content: 'done', embedding: [4], embedding_model: 'fake/v1', embedding_dim: 1 },
+      { org_id: 'o', doc_id: 'd', chunk_index: 1, content: 'missing', embedding: null, embedding_model: null, embedding_dim: null },
+      { org_id: 'o', doc_id: 'd', chunk_index: 2, content: 'old model', embedding: [9], embedding_model: 'other/v0', embedding_dim: 1 },
+      { org_id: 'o', doc_id: 'other', chunk_index: 0, content: 'not this doc', embedding_dim: null },
+    ],
+  });
+  const provider = fakeProvider();
+  const progress = [];
+  const result = await embedMissingChunks(db, { orgId: 'o', docId: 'd', provider, log: quiet, onProgress: (p) => progress.push(p) });
+  assert.deepEqual(result, { total: 2, embedded: 2, failed: 0, errors: [] });
+  assert.deepEqual(provider.calls, [['missing', 'old model']]);
+  const rows = db.store.doc_chunks.filter((r) => r.doc_id === 'd');
+  assert.equal(rows.length, 3);
+  assert.deepEqual(rows.map((r) => [r.embedding, r.embedding_model, r.embedding_dim]), [[[4], 'fake/v1', 1], [[7], 'fake/v1', 1], [[9], 'fake/v1', 1]]);
+  assert.deepEqual(progress.at(-1), { total: 2, embedded: 2 });
+});
+
+check('a second run resumes with what failed before', async () => {
+  let down = true;
+  const db = createFakeDb({ doc_chunks: ['a', 'b', 'c'].map((content, i) => ({ org_id: 'o', doc_id: 'd', chunk_index: i, content, embedding_dim: null })) });
+  const provider = fakeProvider({ limits: { maxBatchItems: 1 }, fail: (texts) => (down && texts[0] === 'b' ? httpError(500) : null) });
+  const first = await embedMissingChunks(db, { orgId: 'o', docId: 'd', provider, log: quiet });
+  assert.deepEqual([first.embedded, first.failed], [2, 1]);
+  down = false;
+  provider.calls.length = 0;
+  const second = await embedMissingChunks(db, { orgId: 'o', docId: 'd', provider, log: quiet });
+  assert.deepEqual([second.total, second.embedded], [1, 1]);
+  assert.deepEqual(provider.calls, [['b']]);
+});
+
+await run();
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for embedding providers (src/lib/embedding-providers.js): the offline hashing
+ * provider's vectors and how the provider is chosen for a deployment and an org.
+ * Run with: node tests/test-embedding-providers.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+
+process.env.EMBEDDING_PROVIDER = 'local';
+const {
+  getEmbeddingProvider, resolveEmbeddingProvider, invalidateEmbeddingProviderCache, initEmbeddingProviders,
+} = await import('../src/lib/embedding-providers.js');
+
+const local = getEmbeddingProvider('local');
+const cosine = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+check('local vectors are deterministic, unit length and sized for doc_chunks', async () => {
+  const [a, b] = await local.embed(['Electricity bill for March', 'Electricity bill for March']);
+  assert.equal(a.length, local.dimensions);
+  assert.deepEqual(a, b);
+  assert.ok(Math.abs(cosine(a, a) - 1) < 1e-9);
+  assert.equal(local.modelId, 'local/hash-v1');
+});
+
+check('empty input gets no vector', async () => {
+  assert.deepEqual(await local.embed(['', '  ...  ', null]), [null, null, null]);
+});
+
+check('texts sharing words are closer than unrelated ones', async () => {
+  const [query, near, far] = await local.embed(['water bill march', 'Water bill for March 2024', 'lease agreement renewal clause']);
+  assert.ok(cosine(query, near) > 0.3);
+  assert.ok(cosine(query, near) > cosine(query, far) + 0.2);
+});
+
+check('case and punctuation do not change the vector; Devanagari is tokenised', async () => {
+  const [a, b, c] = await local.embed(['Rent, Deposit!', 'rent deposit', 'किराया भुगतान']);
+  assert.deepEqual(a, b);
+  assert.ok(c.some((v) => v !== 0));
+});
+
+check('unknown provider names fall back to the deployment default', () => {
+  assert.equal(getEmbeddingProvider('nope').name, 'local');
+  assert.equal(getEmbeddingProvider('gemini').name, 'gemini');
+});
+
+check('an org setting overrides the default and is cached until invalidated', async () => {
+  const db = createFakeDb({ org_settings: [{ org_id: 'o1', embedding_provider: 'gemini' }, { org_id: 'o2', embedding_provider: 'bogus' }] });
+  initEmbeddingProviders({ supabaseAdmin: db });
+  assert.equal((await resolveEmbeddingProvider(null, 'o1')).name, 'gemini');
+  assert.equal((await resolveEmbeddingProvider(null, 'o2')).name, 'local');
+  db.store.org_settings[0].embedding_provider = 'openai';
+  assert.equal((await resolveEmbeddingProvider(null, 'o1')).name, 'gemini');
+  invalidateEmbeddingProviderCache('o1');
+  assert.equal((await resolveEmbeddingProvider(null, 'o1')).name, 'openai');
+});
+
+check('a failed settings lookup uses the default', async () => {
+  initEmbeddingProviders({ supabaseAdmin: { from() { throw new Error('column "embedding_provider" does not exist'); } } });
+  invalidateEmbeddingProviderCache();
+  assert.equal((await resolveEmbeddingProvider(null, 'o1')).name, 'local');
+  assert.equal((await resolveEmbeddingProvider(null, null)).name, 'local');
+});
+
+await run();
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for document-type templates (src/lib/extraction-templates.js): normalising model
+ * output into typed fields and rows, the computed fields, and `sd.` filters on the result.
+ * Run with: node tests/test-extraction-templates.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+import { normalizeStructuredData, templateFilterFields, toStructuredColumns, DOC_TYPES } from '../src/lib/extraction-templates.js';
+import { parseCustomFieldFilters, applyCustomFieldFilters } from '../src/lib/custom-fields.js';
+
+check('invoice values are typed and line items checked against the total', () => {
+  const data = normalizeStructuredData('invoice', {
+    invoice_number: 'INV-42',
+    invoice_date: '05/03/2024',
+    total_amount: '₹1,250.00',
+    tax_total: 'GSTIN 27AAAPL1234C1Z5',
+    line_items: [
+      { description: 'Energy charges', amount: '1,000' },
+      { description: 'Fixed charges', quantity: '1', amount: 250 },
+      { description: '', amount: null },
+    ],
+  });
+  assert.equal(data.invoice_date, '2024-03-05');
+  assert.equal(data.total_amount, 1250);
+  assert.equal(data.tax_total, null);
+  assert.equal(data.vendor, null);
+  assert.equal(data.line_items.length, 2);
+  assert.equal(data.line_items_total, 1250);
+  assert.equal(data.totals_match, true);
+});
+
+check('totals that do not add up are flagged; missing totals are unknown', () => {
+  const mismatch = normalizeStructuredData('invoice', { subtotal: 900, total_amount: 1000, line_items: [{ amount: 1000 }] });
+  assert.equal(mismatch.totals_match, false);
+  const unknown = normalizeStructuredData('invoice', { line_items: [{ amount: 5 }] });
+  assert.equal(unknown.totals_match, null);
+});
+
+check('inspection reports count violations and find the next deadline', () => {
+  const data = normalizeStructuredData('inspection_report', {
+    inspection_date: '2024-06-01',
+    violations: [
+      { description: 'No consent display', deadline: '30/07/2024' },
+      { description: 'Effluent above limit', deadline: '2024-07-15' },
+      { description: 'Log book missing', deadline: 'soon' },
+    ],
+    findings: 'not a list',
+  });
+  assert.equal(data.violation_count, 3);
+  assert.equal(data.next_deadline, '2024-07-15');
+  assert.deepEqual(data.findings, []);
+  assert.equal(data.violations[2].deadline, null);
+});
+
+check('unknown types have no data', () => {
+  assert.equal(normalizeStructuredData('other', { a: 1 }), null);
+  assert.deepEqual(DOC_TYPES, ['invoice', 'contract', 'inspection_report']);
+});
+
+check('results map to document columns', () => {
+  const result = { docType: 'contract', confidence: 0.9, version: 1, data: { auto_renews: true }, extractedAt: '2024-01-01T00:00:00Z' };
+  assert.deepEqual(toStructuredColumns(result), {
+    document_type: 'contract',
+    document_type_confidence: 0.9,
+    structured_data: { auto_renews: true },
+    structured_extracted_at: '2024-01-01T00:00:00Z',
+    structured_version: 1,
+  });
+});
+
+check('sd. filters cover stated and computed fields', async () => {
+  const fields = templateFilterFields('invoice');
+  assert.ok(fields.some((f) => f.field_name === 'totals_match'));
+  assert.deepEqual(templateFilterFields('other'), []);
+  const filters = parseCustomFieldFilters(fields, { 'sd.total_amount.gte': '1,000', 'sd.totals_match': 'no' }, { fromQuery: true, prefix: 'sd.', noun: 'structured field' });
+  const db = createFakeDb({
+    documents: [
+      { id: 'a', structured_data: { total_amount: 1250, totals_match: false } },
+      { id: 'b', structured_data: { total_amount: 1250, totals_match: true } },
+      { id: 'c', structured_data: { total_amount: 900, totals_match: false } },
+    ],
+  });
+  const { data } = await applyCustomFieldFilters(db.from('documents').select('id'), filters, { column: 'structured_data' });
+  assert.deepEqual(data.map((d) => d.id), ['a']);
+  assert.throws(() => parseCustomFieldFilters(fields, { 'sd.nope': 'x' }, { fromQuery: true, prefix: 'sd.', noun: 'structured field' }), /Unknown structured field: nope/);
+});
+
+await run();
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for metadata provenance (src/lib/field-provenance.js): locating supporting text,
+ * the entries recorded for AI-filled fields, and which fields ingestion may overwrite.
+ * Run with: node tests/test-field-provenance.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { locateEvidence, buildAiProvenance, sourceProvenance, canAutofill, customFieldKey } from '../src/lib/field-provenance.js';
+
+const pages = [
+  { page: 1, text: 'MAHARASHTRA POLLUTION CONTROL BOARD\nConsent to Operate' },
+  { page: 2, text: 'Issued to Acme   Chemicals\nPvt. Ltd. on 5 March 2024.\nAmount payable: ₹1,200' },
+];
+
+check('evidence is found across line breaks and case, on the right page', () => {
+  assert.deepEqual(locateEvidence(pages, '', ['acme chemicals pvt. ltd.']), { page: 2, snippet: 'Issued to Acme Chemicals Pvt. Ltd. on 5 March 2024. Amount payable: ₹1,200' });
+});
+
+check('the first needle found wins, and short or missing ones are skipped', () => {
+  const found = locateEvidence(pages, '', [null, 'ab', 'not in the text', 'Consent to Operate']);
+  assert.equal(found.page, 1);
+  assert.equal(locateEvidence(pages, '', ['nowhere']), null);
+});
+
+check('without pages the full text is searched', () => {
+  assert.deepEqual(locateEvidence([], 'Subject: renewal of lease', ['renewal']), { page: null, snippet: 'Subject: renewal of lease' });
+});
+
+check('long pages give a snippet around the match', () => {
+  const text = `${'x '.repeat(300)}Invoice No. 42 ${'y '.repeat(300)}`;
+  const { snippet } = locateEvidence([{ page: 3, text }], '', ['Invoice No. 42']);
+  assert.ok(snippet.length <= 200);
+  assert.match(snippet, /Invoice No\. 42/);
+});
+
+check('AI entries record the model, confidence and supporting text', () => {
+  const out = buildAiProvenance({
+    metadata: { title: 'Consent to Operate', sender: 'MPCB', documentDate: '2024-03-05', category: 'Legal', tags: ['consent'], summary: '', customFields: { vendor: 'Acme Chemicals' } },
+    evidence: { title: { confidence: 0.9, quote: 'Consent to Operate' }, sender: { confidence: 7, quote: 'Pollution Control Board' }, documentDate: { confidence: 0.8, quote: null } },
+    modelFields: new Set(['title', 'sender', 'documentDate']),
+    pages,
+    text: '',
+    model: 'gemini-2.0-flash',
+  });
+  assert.deepEqual(Object.keys(out).sort(), ['category', 'custom_fields.vendor', 'document_date', 'sender', 'tags', 'title']);
+  assert.equal(out.title.source, 'ai');
+  assert.equal(out.title.model, 'gemini-2.0-flash');
+  assert.equal(out.title.page, 1);
+  assert.equal(out.sender.confidence, 1);
+  assert.equal(out.document_date.snippet, null);
+  // Filled from defaults rather than by the model
+  assert.equal(out.category.confidence, 0);
+  assert.equal(out[customFieldKey('vendor')].page, 2);
+  assert.equal(out.description, undefined);
+});
+
+check('user and import entries carry who set them', () => {
+  const out = sourceProvenance(['title', 'tags'], 'import', 'u1');
+  assert.deepEqual(Object.keys(out), ['title', 'tags']);
+  assert.equal(out.title.source, 'import');
+  assert.equal(out.tags.userId, 'u1');
+});
+
+check('ingestion never overwrites a user or import value, even a cleared one', () => {
+  assert.equal(canAutofill({ title: { source: 'user' } }, 'title', ''), false);
+  assert.equal(canAutofill({ sender: { source: 'import' } }, 'sender', 'X'), false);
+  assert.equal(canAutofill({ title: { source: 'ai' } }, 'title', 'Old guess'), true);
+  assert.equal(canAutofill({}, 'tags', []), true);
+  // Values set before provenance existed are kept
+  assert.equal(canAutofill({}, 'title', 'Typed by hand'), false);
+});
+
+await run();
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for full-text search (src/lib/full-text-search.js): compiling the web-search
+ * syntax to to_tsquery, escaping headlines, and falling back when the migration is missing.
+ * Run with: node tests/test-full-text-search.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+import { toTsQuery, headlineToHtml, searchFullText, fullTextHeadlines } from '../src/lib/full-text-search.js';
+
+check('words, phrases and prefixes', () => {
+  assert.equal(toTsQuery('Consent  renewal'), 'consent & renewal');
+  assert.equal(toTsQuery('"consent order" renew*'), '(consent <-> order) & renew:*');
+  assert.equal(toTsQuery('e-mail 2024/25'), '(e <-> mail) & (2024 <-> 25)');
+});
+
+check('OR joins its neighbours and negations exclude', () => {
+  assert.equal(toTsQuery('water OR air permit'), '(water | air) & permit');
+  assert.equal(toTsQuery('notice -draft -"draft copy"'), 'notice & !draft & !(draft <-> copy)');
+  // OR next to a negation would match documents without the word: it is ignored
+  assert.equal(toTsQuery('notice OR -draft'), 'notice & !draft');
+  assert.equal(toTsQuery('OR notice OR'), 'notice');
+});
+
+check('queries with nothing to match compile to null', () => {
+  assert.equal(toTsQuery('-draft'), null);
+  assert.equal(toTsQuery('!!! &&'), null);
+  assert.equal(toTsQuery(''), null);
+});
+
+check('Indic words keep their vowel signs', () => {
+  assert.equal(toTsQuery('प्रदूषण नियंत्रण'), 'प्रदूषण & नियंत्रण');
+});
+
+check('headlines are escaped before matches are marked', () => {
+  assert.equal(headlineToHtml('<b>Fees</b> & [[mark]]dues[[/mark]]'), '&lt;b&gt;Fees&lt;/b&gt; &amp; <mark>dues</mark>');
+  assert.equal(headlineToHtml(null), null);
+});
+
+check('a missing search function means null, so callers fall back to ilike', async () => {
+  const db = createFakeDb();
+  assert.equal(await searchFullText(db, 'o', 'consent', { log: { warn() {} } }), null);
+  assert.deepEqual(await searchFullText(db, 'o', '-draft'), []);
+  assert.deepEqual(await fullTextHeadlines(db, 'consent', [{ docId: 'a' }], { log: { warn() {} } }), new Map());
+});
+
+check('matches are read from the search function', async () => {
+  const db = createFakeDb();
+  let args;
+  db.rpcs.search_documents_fts = (a) => {
+    args = a;
+    return { data: [{ doc_id: 'a', rank: '0.5', metadata_rank: '0.2', chunk_id: 'c1', chunk_rank: '0.5' }], error: null };
+  };
+  assert.deepEqual(await searchFullText(db, 'o', 'water OR air', { limit: 5 }), [{ docId: 'a', rank: 0.5, metadataRank: 0.2, chunkId: 'c1', chunkRank: 0.5 }]);
+  assert.deepEqual(args, { p_org_id: 'o', p_query: '(water | air)', p_limit: 5 });
+});
+
+await run();
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for ingestion progress streaming (src/lib/ingest-events.js): the snapshot, the
+ * SSE events queue transitions map to, de-duplication and the end of the stream.
+ * Run with: node tests/test-ingest-events.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { publishIngestEvent, createIngestProgressStream } from '../src/lib/ingest-events.js';
+
+// Collect the stream's messages while `drive` publishes events
+async function collect({ docId, snapshot, drive, pollMs = 10_000 }) {
+  const controller = new AbortController();
+  const stream = createIngestProgressStream({ docId, loadSnapshot: async () => snapshot, signal: controller.signal, pollMs, heartbeatMs: 10_000 });
+  const messages = [];
+  const done = (async () => {
+    for await (const m of stream) messages.push(m);
+  })();
+  await new Promise((r) => setImmediate(r));
+  await drive?.();
+  const timer = setTimeout(() => controller.abort(), 500);
+  await done;
+  clearTimeout(timer);
+  return messages.map((m) => ({ event: m.event, data: m.data && JSON.parse(m.data) }));
+}
+
+check('a finished job ends the stream after the snapshot', async () => {
+  const messages = await collect({ docId: 'd1', snapshot: { job: { jobId: 'j', status: 'succeeded' } } });
+  assert.deepEqual(messages.map((m) => m.event), ['snapshot']);
+});
+
+check('a legacy document that is already chunked ends the stream', async () => {
+  const messages = await collect({ docId: 'd2', snapshot: { job: null, ready: true } });
+  assert.deepEqual(messages.map((m) => m.event), ['snapshot']);
+});
+
+check('stages, a retry and completion map to SSE events', async () => {
+  const messages = await collect({
+    docId: 'd3',
+    snapshot: { job: { jobId: 'j', status: 'queued', attempts: 0 } },
+    drive: async () => {
+      publishIngestEvent({ docId: 'd3', jobId: 'j', status: 'processing', stage: 'ocr', attempts: 1 });
+      publishIngestEvent({ docId: 'd3', jobId: 'j', status: 'queued', stage: 'ocr', attempts: 1, lastError: 'timeout', nextRunAt: '2026-01-01T00:00:00Z' });
+      publishIngestEvent({ docId: 'd3', jobId: 'j', status: 'processing', stage: 'embed', attempts: 2, chunks: 4 });
+      publishIngestEvent({ docId: 'd3', jobId: 'j', status: 'succeeded', stage: 'complete', attempts: 2, chunks: 4 });
+    },
+  });
+  assert.deepEqual(messages.map((m) => m.event), ['snapshot', 'stage', 'retry', 'stage', 'complete']);
+  assert.equal(messages[2].data.error, 'timeout');
+  assert.equal(messages[2].data.nextRunAt, '2026-01-01T00:00:00Z');
+  assert.equal(messages[3].data.chunks, 4);
+});
+
+check('repeated states are sent once', async () => {
+  const messages = await collect({
+    docId: 'd4',
+    snapshot: { job: { jobId: 'j', status: 'processing', stage: 'ocr', attempts: 1 } },
+    drive: async () => {
+      publishIngestEvent({ docId: 'd4', jobId: 'j', status: 'processing', stage: 'ocr', attempts: 1 });
+      publishIngestEvent({ docId: 'd4', jobId: 'j', status: 'failed', stage: 'ocr', attempts: 1, lastError: 'bad file' });
+    },
+  });
+  assert.deepEqual(messages.map((m) => m.event), ['snapshot', 'failed']);
+  assert.equal(messages[1].data.error, 'bad file');
+});
+
+check('events for other documents are not sent', async () => {
+  const messages = await collect({
+    docId: 'd5',
+    snapshot: { job: { jobId: 'j', status: 'queued' } },
+    drive: async () => {
+      publishIngestEvent({ docId: 'other', status: 'succeeded' });
+      publishIngestEvent({ docId: 'd5', status: 'succeeded' });
+    },
+  });
+  assert.deepEqual(messages.map((m) => m.event), ['snapshot', 'complete']);
+});
+
+await run();
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for content-addressed ingestion reuse (src/lib/ingestion-cache.js): cache hits and
+ * misses, copying a source document's chunks and updating the entry for identical bytes.
+ * Run with: node tests/test-ingestion-cache.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+import { hashContent, lookupIngestionCache, copyCachedChunks, saveIngestionCache } from '../src/lib/ingestion-cache.js';
+
+const sha = hashContent(Buffer.from('%PDF-1.7 bill'));
+
+async function cachedDb({ extraction = { ocrText: 'Water bill', ocrPages: [{ page: 1, text: 'Water bill' }] } } = {}) {
+  const db = createFakeDb({
+    ingestion_cache: [{ org_id: 'o', content_sha256: sha, doc_id: 'src', chunking_strategy: 'structured', embedding_model: 'openai/text-embedding-3-small', chunk_count: 2 }],
+  });
+  if (extraction !== undefined) {
+    await db.storage.from('extractions').upload('o/src.json', typeof extraction === 'string' ? extraction : JSON.stringify(extraction));
+  }
+  return db;
+}
+
+check('identical bytes hash identically', () => {
+  assert.equal(sha, hashContent(Buffer.from('%PDF-1.7 bill')));
+  assert.notEqual(sha, hashContent(Buffer.from('%PDF-1.7 bill ')));
+  assert.match(sha, /^[0-9a-f]{64}$/);
+});
+
+check('a hit returns the source document and its extraction', async () => {
+  const hit = await lookupIngestionCache(await cachedDb(), { orgId: 'o', contentSha256: sha });
+  assert.equal(hit.sourceDocId, 'src');
+  assert.equal(hit.embeddingModel, 'openai/text-embedding-3-small');
+  assert.equal(hit.chunkCount, 2);
+  assert.equal(hit.extraction.ocrText, 'Water bill');
+});
+
+check('entries are per org', async () => {
+  assert.equal(await lookupIngestionCache(await cachedDb(), { orgId: 'other', contentSha256: sha }), null);
+});
+
+check('a missing or unreadable extraction is a miss', async () => {
+  const db = createFakeDb({ ingestion_cache: [{ org_id: 'o', content_sha256: sha, doc_id: 'src' }] });
+  assert.equal(await lookupIngestionCache(db, { orgId: 'o', contentSha256: sha }), null);
+  assert.equal(await lookupIngestionCache(await cachedDb({ extraction: '{not json' }), { orgId: 'o', contentSha256: sha }), null);
+  assert.equal(await lookupIngestionCache(await cachedDb({ extraction: { pages: [] } }), { orgId: 'o', contentSha256: sha }), null);
+  assert.equal(await lookupIngestionCache(db, { orgId: 'o', contentSha256: null }), null);
+});
+
+check('copying replaces the target chunks with the source chunks and vectors', async () => {
+  const db = createFakeDb({
+    doc_chunks: [
+      { org_id: 'o', doc_id: 'src', chunk_index: 1, content: 'second', embedding: [0.2], embedding_model: 'm', heading_path: ['A'] },
+      { org_id: 'o', doc_id: 'src', chunk_index: 0, content: 'first', embedding: [0.1], embedding_model: 'm', heading_path: [] },
+      { org_id: 'o', doc_id: 'dst', chunk_index: 0, content: 'stale', embedding: null },
+      { org_id: 'o', doc_id: 'dst', chunk_index: 5, content: 'stale tail', embedding: null },
+    ],
+  });
+  assert.equal(await copyCachedChunks(db, { orgId: 'o', sourceDocId: 'src', docId: 'dst' }), 2);
+  const copied = db.store.doc_chunks.filter((c) => c.doc_id === 'dst').sort((a, b) => a.chunk_index - b.chunk_index);
+  assert.deepEqual(copied.map((c) => [c.chunk_index, c.content, c.embedding, c.heading_path]), [[0, 'first', [0.1], []], [1, 'second', [0.2], ['A']]]);
+  assert.equal(db.store.doc_chunks.filter((c) => c.doc_id === 'src').length, 2);
+});
+
+check('a source without chunks copies nothing and keeps the target', async () => {
+  const db = createFakeDb({ doc_chunks: [{ org_id: 'o', doc_id: 'dst', chunk_index: 0, content: 'kept' }] });
+  assert.equal(await copyCachedChunks(db, { orgId: 'o', sourceDocId: 'src', docId: 'dst' }), 0);
+  assert.equal(db.store.doc_chunks.length, 1);
+});
+
+check('re-ingesting the source itself leaves its chunks in place', async () => {
+  const db = createFakeDb({ doc_chunks: [{ org_id: 'o', doc_id: 'src', chunk_index: 0, content: 'x' }] });
+  assert.equal(await copyCachedChunks(db, { orgId: 'o', sourceDocId: 'src', docId: 'src' }), 1);
+  assert.equal(db.store.doc_chunks.length, 1);
+});
+
+check('saving points the entry for the bytes at the newest document', async () => {
+  const db = await cachedDb();
+  await saveIngestionCache(db, { orgId: 'o', contentSha256: sha, docId: 'newer', chunkingStrategy: 'fixed', embeddingModel: 'local/hash-v1', chunkCount: 7 });
+  assert.equal(db.store.ingestion_cache.length, 1);
+  assert.deepEqual(
+    (({ doc_id, chunking_strategy, embedding_model, chunk_count }) => ({ doc_id, chunking_strategy, embedding_model, chunk_count }))(db.store.ingestion_cache[0]),
+    { doc_id: 'newer', chunking_strategy: 'fixed', embedding_model: 'local/hash-v1', chunk_count: 7 },
+  );
+  await saveIngestionCache(db, { orgId: 'o', contentSha256: null, docId: 'x' });
+  assert.equal(db.store.ingestion_cache.length, 1);
+});
+
+await run();
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the durable ingestion queue (src/lib/ingestion-queue.js): stale-lock recovery
+ * and how enqueueing treats a document that already has a pending or running job.
+ * Run with: node tests/test-ingestion-queue.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+
+// No worker loop: these checks drive the queue's functions directly
+process.env.INGEST_WORKER_ENABLED = 'false';
+const { initIngestionQueue, enqueueIngestionJob, recoverStaleJobs } = await import('../src/lib/ingestion-queue.js');
+
+const minutesAgo = (n) => new Date(Date.now() - n * 60 * 1000).toISOString();
+const db = createFakeDb({ ingestion_jobs: [] });
+initIngestionQueue({ supabaseAdmin: db, log: { info() {}, warn() {}, error() {} } });
+
+function job(fields) {
+  const row = {
+    id: fields.id,
+    org_id: 'org',
+    doc_id: fields.doc_id || fields.id,
+    storage_key: 'org/file.pdf',
+    mime_type: 'application/pdf',
+    payload: { mode: 'ingest' },
+    attempts: 1,
+    max_attempts: 5,
+    created_at: minutesAgo(30),
+    ...fields,
+  };
+  db.store.ingestion_jobs.push(row);
+  return row;
+}
+const row = (id) => db.store.ingestion_jobs.find((r) => r.id === id);
+
+check('jobs whose lock went stale are requeued', async () => {
+  job({ id: 'orphaned', status: 'processing', locked_by: 'dead-worker', locked_at: minutesAgo(10) });
+  job({ id: 'alive', status: 'processing', locked_by: 'other-worker', locked_at: minutesAgo(1) });
+  await recoverStaleJobs();
+  assert.equal(row('orphaned').status, 'queued');
+  assert.equal(row('orphaned').locked_by, null);
+  assert.equal(row('alive').status, 'processing');
+  assert.equal(row('alive').locked_by, 'other-worker');
+});
+
+check('finished jobs are left alone by recovery', async () => {
+  job({ id: 'done', status: 'succeeded', locked_by: null, locked_at: minutesAgo(60) });
+  await recoverStaleJobs();
+  assert.equal(row('done').status, 'succeeded');
+});
+
+check('a queued job takes the new inputs instead of a second job', async () => {
+  job({ id: 'waiting', doc_id: 'doc-q', status: 'queued', run_after: minutesAgo(0) });
+  const view = await enqueueIngestionJob({ orgId: 'org', docId: 'doc-q', storageKey: 'org/new.pdf', mimeType: 'application/pdf' });
+  assert.equal(view.jobId, 'waiting');
+  assert.equal(row('waiting').storage_key, 'org/new.pdf');
+  assert.equal(db.store.ingestion_jobs.filter((r) => r.doc_id === 'doc-q').length, 1);
+});
+
+check('a running job covers a request for the same file', async () => {
+  job({ id: 'running', doc_id: 'doc-r', status: 'processing', locked_by: 'w', locked_at: minutesAgo(0) });
+  const view = await enqueueIngestionJob({ orgId: 'org', docId: 'doc-r', storageKey: 'org/file.pdf', mimeType: 'application/pdf' });
+  assert.equal(view.jobId, 'running');
+  assert.equal(view.followUp, false);
+});
+
+check('a new file while the job runs is kept as its follow-up', async () => {
+  job({ id: 'running2', doc_id: 'doc-f', status: 'processing', locked_by: 'w', locked_at: minutesAgo(0) });
+  const view = await enqueueIngestionJob({ orgId: 'org', docId: 'doc-f', storageKey: 'org/v2.pdf', mimeType: 'application/pdf' });
+  assert.equal(view.followUp, true);
+  assert.equal(row('running2').follow_up.storageKey, 'org/v2.pdf');
+});
+
+check('a re-embed does not downgrade a pending full ingest', async () => {
+  job({ id: 'full', doc_id: 'doc-e', status: 'queued', run_after: minutesAgo(0) });
+  await enqueueIngestionJob({ orgId: 'org', docId: 'doc-e', storageKey: 'org/file.pdf', mode: 'reembed' });
+  assert.equal(row('full').payload.mode, 'ingest');
+});
+
+check('a document without a pending job gets a new one', async () => {
+  const view = await enqueueIngestionJob({ orgId: 'org', docId: 'doc-new', storageKey: 'org/a.pdf', mimeType: 'application/pdf' });
+  assert.equal(view.status, 'queued');
+  assert.equal(view.attempts, 0);
+});
+
+await run();
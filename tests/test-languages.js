@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for language detection (src/lib/languages.js): scripts, telling Hindi from
+ * Marathi, bilingual text, word tokens in Indic scripts and org language settings.
+ * Gemini is left unconfigured, so queries are never translated.
+ * Run with: node tests/test-languages.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+
+for (const key of ['GEMINI_API_KEY', 'GOOGLE_API_KEY', 'GOOGLE_APPLICATION_CREDENTIALS', 'GOOGLE_APPLICATION_CREDENTIALS_JSON']) delete process.env[key];
+const { detectLanguage, tokenize, queryVariants, loadOrgLanguageSettings } = await import('../src/lib/languages.js');
+
+check('languages are told apart by script', () => {
+  assert.equal(detectLanguage('Consent to operate renewal').language, 'en');
+  assert.equal(detectLanguage('வரி செலுத்துதல் அறிவிப்பு').language, 'ta');
+  assert.equal(detectLanguage('ਪੰਜਾਬ ਸਰਕਾਰ').language, 'pa');
+  assert.deepEqual(detectLanguage('12/03/2024 - 1,200'), { language: null, script: null, confidence: 0, languages: [] });
+});
+
+check('Devanagari text is Hindi or Marathi by its common words', () => {
+  assert.equal(detectLanguage('यह आदेश सभी विभागों के लिए है और तुरंत लागू होगा').language, 'hi');
+  const marathi = detectLanguage('हा आदेश सर्व विभागांसाठी आहे आणि तो तात्काळ लागू करण्यात येईल');
+  assert.equal(marathi.language, 'mr');
+  assert.equal(marathi.script, 'Devanagari');
+  assert.equal(marathi.confidence, 1);
+});
+
+check('short Devanagari text falls back to the given language', () => {
+  assert.equal(detectLanguage('महानगरपालिका', { fallback: 'mr' }).language, 'mr');
+  assert.equal(detectLanguage('महानगरपालिका', { fallback: 'en' }).language, 'hi');
+  assert.ok(detectLanguage('महानगरपालिका').confidence < 1);
+});
+
+check('bilingual notices list both languages', () => {
+  const out = detectLanguage('सूचना Notice: यह कार्यालय बंद है और सोमवार को खुलेगा. The office is closed');
+  assert.deepEqual(out.languages.sort(), ['en', 'hi']);
+});
+
+check('tokens keep Indic vowel signs inside words', () => {
+  assert.deepEqual(tokenize('महाराष्ट्र प्रदूषण नियंत्रण मंडळ'), ['महाराष्ट्र', 'प्रदूषण', 'नियंत्रण', 'मंडळ']);
+  assert.deepEqual(tokenize('The GST No. is 27AAA', { minLength: 2 }), ['the', 'gst', 'no', 'is', '27aaa']);
+  assert.deepEqual(tokenize(null), []);
+});
+
+check('queries are searched as written when Gemini is unavailable', async () => {
+  assert.deepEqual(await queryVariants('pollution consent', ['hi', 'mr']), [{ language: 'en', q: 'pollution consent', translated: false }]);
+});
+
+check('org settings ignore unknown languages and default when missing', async () => {
+  const db = createFakeDb({ org_settings: [{ org_id: 'o', summary_language: 'mr', summary_translation: true, search_languages: ['hi', 'xx'] }] });
+  assert.deepEqual(await loadOrgLanguageSettings(db, 'o'), { summaryLanguage: 'mr', summaryTranslation: true, searchLanguages: ['hi'] });
+  assert.deepEqual(await loadOrgLanguageSettings(db, 'none'), { summaryLanguage: 'en', summaryTranslation: false, searchLanguages: [] });
+});
+
+await run();
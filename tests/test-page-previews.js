@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for page previews (src/lib/page-previews.js): scanned pages keep their JPEG, other
+ * pages become one-page PDFs, images preview themselves, and storing replaces a document's
+ * previews.
+ * Run with: node tests/test-page-previews.js
+ */
+
+import assert from 'node:assert/strict';
+import { PDFDocument } from 'pdf-lib';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+import { buildPagePreviews, storePagePreviews, signPagePreviews, hasCurrentPreviews } from '../src/lib/page-previews.js';
+
+// Just enough of a JPEG for pdf-lib: SOI, a baseline frame header for 80x100 RGB, EOI
+const JPEG = new Uint8Array([0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x64, 0x00, 0x50, 0x03, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1, 0xff, 0xd9]);
+
+// A scanned page (the JPEG filling a page of the same proportions) then a text page
+async function mixedPdf() {
+  const doc = await PDFDocument.create();
+  const image = await doc.embedJpg(JPEG);
+  doc.addPage([400, 500]).drawImage(image, { x: 0, y: 0, width: 400, height: 500 });
+  doc.addPage([400, 500]).drawText('Notice', { x: 20, y: 400 });
+  return Buffer.from(await doc.save());
+}
+
+async function collect(pages) {
+  const out = [];
+  for await (const p of pages) out.push(p);
+  return out;
+}
+
+check('scanned pages are previewed by their JPEG, others by a one-page PDF', async () => {
+  const { pageCount, pages } = await buildPagePreviews(await mixedPdf(), { mimeType: 'application/pdf' });
+  assert.equal(pageCount, 2);
+  const [scan, text] = await collect(pages);
+  assert.deepEqual([scan.page, scan.kind, scan.width, scan.height], [1, 'image', 80, 100]);
+  assert.ok(Buffer.from(JPEG).equals(scan.bytes));
+  assert.deepEqual([text.page, text.kind, text.contentType], [2, 'pdf', 'application/pdf']);
+  assert.equal((await PDFDocument.load(text.bytes)).getPageCount(), 1);
+});
+
+check('images are their own preview and other files have none', async () => {
+  const image = await buildPagePreviews(Buffer.from('x'), { filename: 'scan.PNG' });
+  assert.deepEqual(await collect(image.pages), [{ page: 1, kind: 'image', contentType: 'image/jpeg', original: true }]);
+  const docx = await buildPagePreviews(Buffer.from('x'), { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' });
+  assert.equal(docx.pageCount, null);
+  assert.deepEqual(await collect(docx.pages), []);
+});
+
+check('storing uploads each page and replaces the old previews', async () => {
+  const db = createFakeDb({ document_page_previews: [{ doc_id: 'd', page: 9, bucket: 'previews', storage_key: 'o/d/page-9.pdf' }] });
+  db.buckets.previews = { 'o/d/page-9.pdf': { body: Buffer.from('old') } };
+  const previews = await buildPagePreviews(await mixedPdf(), { mimeType: 'application/pdf' });
+  assert.equal(await storePagePreviews(db, { orgId: 'o', docId: 'd', storageKey: 'o/d.pdf', contentSha256: 'abc', previews }), 2);
+  assert.deepEqual(Object.keys(db.buckets.previews).sort(), ['o/d/page-1.jpg', 'o/d/page-2.pdf']);
+  assert.deepEqual(db.store.document_page_previews.map((r) => [r.page, r.kind, r.storage_key]), [[1, 'image', 'o/d/page-1.jpg'], [2, 'pdf', 'o/d/page-2.pdf']]);
+  assert.equal(await hasCurrentPreviews(db, { docId: 'd', contentSha256: 'abc' }), true);
+  assert.equal(await hasCurrentPreviews(db, { docId: 'd', contentSha256: 'changed' }), false);
+});
+
+check('an image document points its preview at the original', async () => {
+  const db = createFakeDb({ document_page_previews: [] });
+  const previews = await buildPagePreviews(Buffer.from('x'), { mimeType: 'image/png' });
+  await storePagePreviews(db, { orgId: 'o', docId: 'd', storageKey: 'o/photo.png', contentSha256: 'abc', previews });
+  const [row] = db.store.document_page_previews;
+  assert.deepEqual([row.bucket, row.storage_key, row.content_type], ['documents', 'o/photo.png', 'image/png']);
+  assert.deepEqual(db.buckets.previews, {});
+});
+
+check('signed URLs come back in page order for the requested pages', async () => {
+  const db = createFakeDb({
+    document_page_previews: [
+      { doc_id: 'd', page: 2, kind: 'pdf', content_type: 'application/pdf', bucket: 'previews', storage_key: 'o/d/page-2.pdf' },
+      { doc_id: 'd', page: 1, kind: 'image', content_type: 'image/png', bucket: 'documents', storage_key: 'o/photo.png' },
+      { doc_id: 'd', page: 3, kind: 'pdf', content_type: 'application/pdf', bucket: 'previews', storage_key: 'o/d/page-3.pdf' },
+    ],
+  });
+  const signed = await signPagePreviews(db, { docId: 'd', pages: [1, 2] });
+  assert.deepEqual(signed.map((s) => [s.page, s.url]), [[1, 'https://storage.test/documents/o/photo.png'], [2, 'https://storage.test/previews/o/d/page-2.pdf']]);
+});
+
+await run();
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for page-range processing of large PDFs (src/lib/pdf-ranges.js): splitting into
+ * ranges, reconciling per-range metadata, and stopping the remaining ranges after a failure.
+ * Gemini is left unconfigured, so every range upload fails at once.
+ * Run with: node tests/test-pdf-ranges.js
+ */
+
+import assert from 'node:assert/strict';
+import { PDFDocument } from 'pdf-lib';
+import { check, run } from './check.js';
+
+process.env.PDF_RANGE_MAX_PAGES = '3';
+for (const key of ['GEMINI_API_KEY', 'GOOGLE_API_KEY', 'GOOGLE_APPLICATION_CREDENTIALS', 'GOOGLE_APPLICATION_CREDENTIALS_JSON']) delete process.env[key];
+const { splitPdf, reconcileRangeMetadata, analyzePdfInRanges, shouldSplitPdf } = await import('../src/lib/pdf-ranges.js');
+
+async function pdfWithPages(n) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < n; i++) doc.addPage([200, 200]);
+  return Buffer.from(await doc.save());
+}
+const quiet = { warn() {} };
+const prompts = { ocr: 'ocr', metadata: 'metadata', summary: 'summary' };
+
+check('only PDFs over the threshold are split', () => {
+  assert.equal(shouldSplitPdf(100 * 1024 * 1024, 'application/pdf'), true);
+  assert.equal(shouldSplitPdf(100 * 1024 * 1024, 'application/octet-stream', 'scan.PDF'), true);
+  assert.equal(shouldSplitPdf(1024, 'application/pdf'), false);
+  assert.equal(shouldSplitPdf(100 * 1024 * 1024, 'image/tiff', 'scan.tif'), false);
+});
+
+check('PDFs split into consecutive ranges of the configured size', async () => {
+  const { pageCount, ranges } = await splitPdf(await pdfWithPages(7));
+  assert.equal(pageCount, 7);
+  const seen = [];
+  for await (const range of ranges) {
+    const part = await PDFDocument.load(range.buffer);
+    seen.push([range.startPage, range.endPage, part.getPageCount()]);
+  }
+  assert.deepEqual(seen, [[1, 3, 3], [4, 6, 3], [7, 7, 1]]);
+});
+
+check('cover-page fields come from the first range that has them', () => {
+  const merged = reconcileRangeMetadata([
+    { title: '  ', sender: 'MSEDCL', evidence: { sender: 'p1' } },
+    null,
+    { title: 'Electricity Bill', sender: 'Other', documentDate: '2024-03-05', evidence: { title: 'p4', sender: 'p4' } },
+  ]);
+  assert.equal(merged.title, 'Electricity Bill');
+  assert.equal(merged.sender, 'MSEDCL');
+  assert.equal(merged.documentDate, '2024-03-05');
+  assert.deepEqual(merged.evidence, { sender: 'p1', title: 'p4' });
+});
+
+check('category is decided by majority, ties going to the first range', () => {
+  assert.equal(reconcileRangeMetadata([{ category: 'Legal' }, { category: 'Finance' }, { category: 'Finance' }]).category, 'Finance');
+  assert.equal(reconcileRangeMetadata([{ category: 'Legal' }, { category: 'Finance' }]).category, 'Legal');
+});
+
+check('keywords and tags are ranked by how many ranges mention them', () => {
+  const merged = reconcileRangeMetadata([
+    { keywords: ['rent', 'deposit', 'Rent'], tags: ['lease'] },
+    { keywords: ['penalty', 'RENT'], tags: ['lease', 'pune'] },
+    { keywords: ['penalty'], tags: [] },
+  ]);
+  assert.deepEqual(merged.keywords, ['rent', 'penalty', 'deposit']);
+  assert.deepEqual(merged.tags, ['lease', 'pune']);
+});
+
+check('custom fields keep the first stated value', () => {
+  const merged = reconcileRangeMetadata([{ customFields: { amount: null, gstin: '' } }, { customFields: { amount: 1200, gstin: '27AAAPL1234C1Z5' } }, { customFields: { amount: 99 } }]);
+  assert.deepEqual(merged.customFields, { amount: 1200, gstin: '27AAAPL1234C1Z5' });
+});
+
+check('failed ranges are reported, and all failing is an error', async () => {
+  const ranges = [];
+  await assert.rejects(
+    analyzePdfInRanges(await pdfWithPages(7), { prompts, log: quiet, onRange: (r) => ranges.push([r.startPage, r.endPage, r.done]) }),
+    /all PDF page ranges failed: Gemini FileManager not configured/,
+  );
+  assert.deepEqual(ranges.map(([s, e]) => [s, e]).sort((a, b) => a[0] - b[0]), [[1, 3], [4, 6], [7, 7]]);
+});
+
+check('after one range fails the others stop taking new ranges', async () => {
+  let calls = 0;
+  const onRange = async () => {
+    calls++;
+    if (calls === 1) throw new Error('Analysis was cancelled');
+  };
+  await assert.rejects(analyzePdfInRanges(await pdfWithPages(30), { prompts, log: quiet, onRange }), /Analysis was cancelled/);
+  // Let the other worker finish the range it had already taken
+  await new Promise((r) => setTimeout(r, 50));
+  assert.ok(calls <= 2, `${calls} ranges were analysed after the cancel`);
+});
+
+await run();
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for resumable uploads (src/lib/resumable-uploads.js): offsets that must line up,
+ * resuming after a lost response, assembly into the documents bucket and cleanup of parts.
+ * Run with: node tests/test-resumable-uploads.js
+ */
+
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+import {
+  UPLOAD_BUCKET, createUploadSession, getUploadSession, appendUploadChunk, completeUploadSession,
+  abortUploadSession, purgeExpiredUploadSessions, toUploadView,
+} from '../src/lib/resumable-uploads.js';
+
+const file = Buffer.from('0123456789abcdefghij');
+const ids = { orgId: 'o', userId: 'u' };
+
+async function newSession(db = createFakeDb({ upload_sessions: [] })) {
+  const session = await createUploadSession(db, { ...ids, filename: 'scan.pdf', mimeType: 'application/pdf', size: file.length });
+  return { db, session };
+}
+const partKeys = (db) => Object.keys(db.buckets[UPLOAD_BUCKET] || {});
+const rejects = (promise, statusCode) => assert.rejects(promise, (e) => e.statusCode === statusCode);
+
+check('a new session starts at offset 0 in the private uploads bucket', async () => {
+  const { db, session } = await newSession();
+  const view = toUploadView(session);
+  assert.deepEqual([view.offset, view.size, view.status], [0, 20, 'uploading']);
+  assert.ok(db.buckets[UPLOAD_BUCKET]);
+});
+
+check('ranges must start at the received offset', async () => {
+  const { db, session } = await newSession();
+  const after = await appendUploadChunk(db, session, { offset: 0, chunk: file.subarray(0, 8) });
+  assert.equal(after.received_bytes, 8);
+  await assert.rejects(appendUploadChunk(db, after, { offset: 4, chunk: file.subarray(4, 12) }), (e) => e.statusCode === 409 && e.offset === 8);
+  await rejects(appendUploadChunk(db, after, { offset: 8, chunk: Buffer.alloc(13) }), 413);
+});
+
+check('a range retried after a lost response is refused and its part removed', async () => {
+  const { db, session } = await newSession();
+  await appendUploadChunk(db, session, { offset: 0, chunk: file.subarray(0, 8) });
+  // The client never saw the response and retries from the session it had
+  await rejects(appendUploadChunk(db, session, { offset: 0, chunk: file.subarray(0, 8) }), 409);
+  assert.equal(partKeys(db).length, 1);
+  const current = await getUploadSession(db, { ...ids, uploadId: session.id });
+  assert.equal(current.received_bytes, 8);
+});
+
+check('completing assembles the parts in order with their hash, then deletes them', async () => {
+  const { db, session } = await newSession();
+  let s = session;
+  for (let offset = 0; offset < file.length; offset += 7) {
+    s = await appendUploadChunk(db, s, { offset, chunk: file.subarray(offset, offset + 7) });
+  }
+  const result = await completeUploadSession(db, s, { storageKey: 'o/scan.pdf' });
+  assert.deepEqual(result, { storageKey: 'o/scan.pdf', size: 20, sha256: crypto.createHash('sha256').update(file).digest('hex') });
+  assert.deepEqual(db.buckets.documents['o/scan.pdf'].body, file);
+  assert.equal(partKeys(db).length, 0);
+  const done = await getUploadSession(db, { ...ids, uploadId: session.id });
+  assert.equal(done.status, 'complete');
+  // Completing again (e.g. a retried finalize) returns the same result
+  assert.deepEqual(await completeUploadSession(db, done, { storageKey: 'ignored' }), result);
+});
+
+check('an incomplete or damaged upload cannot complete', async () => {
+  const { db, session } = await newSession();
+  const partial = await appendUploadChunk(db, session, { offset: 0, chunk: file.subarray(0, 10) });
+  await assert.rejects(completeUploadSession(db, partial, { storageKey: 'o/x.pdf' }), (e) => e.statusCode === 409 && e.offset === 10);
+  const full = await appendUploadChunk(db, partial, { offset: 10, chunk: file.subarray(10) });
+  delete db.buckets[UPLOAD_BUCKET][full.parts[0].key];
+  await assert.rejects(completeUploadSession(db, full, { storageKey: 'o/x.pdf' }));
+  assert.equal(db.buckets.documents?.['o/x.pdf'], undefined);
+});
+
+check('sessions belong to their creator and expire', async () => {
+  const { db, session } = await newSession();
+  await rejects(getUploadSession(db, { orgId: 'o', userId: 'someone-else', uploadId: session.id }), 404);
+  db.store.upload_sessions[0].expires_at = new Date(Date.now() - 1000).toISOString();
+  await rejects(getUploadSession(db, { ...ids, uploadId: session.id }), 410);
+});
+
+check('oversized files are refused up front', async () => {
+  await rejects(createUploadSession(createFakeDb(), { ...ids, filename: 'huge.pdf', size: 10 * 1024 ** 4 }), 413);
+});
+
+check('aborting and purging expired sessions remove their parts', async () => {
+  const { db, session } = await newSession();
+  const s = await appendUploadChunk(db, session, { offset: 0, chunk: file.subarray(0, 5) });
+  await abortUploadSession(db, s);
+  assert.equal(db.store.upload_sessions[0].status, 'aborted');
+  assert.equal(partKeys(db).length, 0);
+  await rejects(appendUploadChunk(db, { ...s, status: 'aborted' }, { offset: 5, chunk: file.subarray(5) }), 409);
+
+  const { session: stale } = await newSession(db);
+  await appendUploadChunk(db, stale, { offset: 0, chunk: file.subarray(0, 5) });
+  db.store.upload_sessions.find((r) => r.id === stale.id).expires_at = new Date(Date.now() - 1000).toISOString();
+  assert.equal(await purgeExpiredUploadSessions(db), 1);
+  assert.equal(db.store.upload_sessions.find((r) => r.id === stale.id).status, 'aborted');
+  assert.equal(partKeys(db).length, 0);
+});
+
+await run();
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the review queue (src/lib/review-queue.js): what gets flagged after ingestion,
+ * keeping one pending item per document, resolving items once, and the correction examples
+ * added to the metadata prompt.
+ * Run with: node tests/test-review-queue.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+import {
+  assessExtraction, syncDocumentReview, flagDocumentForReview, listReviewItems, resolveReviewItem, loadCorrectionExamples,
+  buildCorrectionExamplesPrompt,
+} from '../src/lib/review-queue.js';
+
+const ai = (confidence) => ({ source: 'ai', confidence });
+
+check('low-confidence AI fields are flagged, user values never are', () => {
+  const out = assessExtraction({ provenance: { title: ai(0.2), sender: ai(0.9), subject: { source: 'user', confidence: 0 } }, category: 'Legal' });
+  assert.deepEqual(out, { reasons: ['low_confidence'], fields: ['title'], details: {} });
+});
+
+check('failed extraction and the default category are flagged', () => {
+  const out = assessExtraction({ provenance: { category: ai(0.8) }, category: 'general', problems: ['pages 4-6 failed'] });
+  assert.deepEqual(out.reasons, ['extraction_failed', 'category_fallback']);
+  assert.deepEqual(out.details, { problems: ['pages 4-6 failed'] });
+  assert.deepEqual(assessExtraction({ provenance: { category: ai(0.8) }, category: 'Finance' }).reasons, []);
+});
+
+check('a document keeps one pending item, resolved when re-ingesting finds nothing', async () => {
+  const db = createFakeDb({ document_reviews: [] });
+  const id = await syncDocumentReview(db, { orgId: 'o', docId: 'd', reasons: ['low_confidence'], fields: ['title'] });
+  assert.equal(await syncDocumentReview(db, { orgId: 'o', docId: 'd', reasons: ['extraction_failed'] }), id);
+  assert.equal(db.store.document_reviews.length, 1);
+  assert.deepEqual(db.store.document_reviews[0].reasons, ['extraction_failed']);
+  assert.equal(await syncDocumentReview(db, { orgId: 'o', docId: 'd', reasons: [] }), null);
+  assert.equal(db.store.document_reviews[0].status, 'resolved');
+  assert.equal(db.store.document_reviews[0].resolution, 'reingested');
+});
+
+check('flagging adds a reason and note to the pending item', async () => {
+  const db = createFakeDb({
+    documents: [{ id: 'd', org_id: 'o', department_id: 'dep' }],
+    document_reviews: [{ id: 'r', org_id: 'o', doc_id: 'd', status: 'pending', reasons: ['low_confidence'], fields: ['title'], details: { problems: ['timeout'] } }],
+  });
+  assert.equal(await flagDocumentForReview(db, { orgId: 'o', docId: 'd', reason: 'extraction_failed', note: 'gave up' }), 'r');
+  const item = db.store.document_reviews[0];
+  assert.deepEqual(item.reasons, ['low_confidence', 'extraction_failed']);
+  assert.deepEqual(item.fields, ['title']);
+  assert.deepEqual(item.details.problems, ['timeout', 'gave up']);
+  assert.equal(item.department_id, 'dep');
+});
+
+check('listing filters by reason and department', async () => {
+  const db = createFakeDb({
+    document_reviews: [
+      { id: 'a', org_id: 'o', status: 'pending', reasons: ['low_confidence'], department_id: 'x', created_at: '2024-01-01' },
+      { id: 'b', org_id: 'o', status: 'pending', reasons: ['extraction_failed'], department_id: 'y', created_at: '2024-01-02' },
+      { id: 'c', org_id: 'o', status: 'resolved', reasons: ['low_confidence'], department_id: 'x', created_at: '2024-01-03' },
+    ],
+  });
+  assert.deepEqual((await listReviewItems(db, { orgId: 'o' })).items.map((i) => i.id), ['b', 'a']);
+  assert.deepEqual((await listReviewItems(db, { orgId: 'o', reason: 'low_confidence' })).items.map((i) => i.id), ['a']);
+  assert.equal((await listReviewItems(db, { orgId: 'o', departmentIds: [] })).total, 0);
+});
+
+check('an item is resolved once; a second resolve reports it was not pending', async () => {
+  const db = createFakeDb({ document_reviews: [{ id: 'r', org_id: 'o', status: 'pending' }] });
+  assert.equal(await resolveReviewItem(db, { reviewId: 'r', resolution: 'dismissed', userId: 'u' }), true);
+  assert.equal(db.store.document_reviews[0].status, 'dismissed');
+  assert.equal(db.store.document_reviews[0].resolved_by, 'u');
+  assert.equal(await resolveReviewItem(db, { reviewId: 'r', resolution: 'corrected', userId: 'v' }), false);
+  assert.equal(db.store.document_reviews[0].resolved_by, 'u');
+});
+
+check('correction examples are the newest per field and value', async () => {
+  const db = createFakeDb({
+    metadata_corrections: [
+      { org_id: 'o', field: 'sender', previous_value: 'MSEB', corrected_value: 'MSEDCL', created_at: '2024-01-03' },
+      { org_id: 'o', field: 'sender', previous_value: 'msedcl', corrected_value: 'MSEDCL', created_at: '2024-01-02' },
+      { org_id: 'o', field: 'category', previous_value: 'General', corrected_value: 'Finance', created_at: '2024-01-01' },
+      { org_id: 'other', field: 'title', previous_value: 'x', corrected_value: 'y', created_at: '2024-01-04' },
+    ],
+  });
+  const examples = await loadCorrectionExamples(db, 'o');
+  assert.deepEqual(examples.map((e) => [e.field, e.previous_value]), [['sender', 'MSEB'], ['category', 'General']]);
+  assert.deepEqual(await loadCorrectionExamples(db, 'o', 0), []);
+});
+
+check('the prompt shows each correction with its context', () => {
+  assert.equal(buildCorrectionExamplesPrompt([]), '');
+  const prompt = buildCorrectionExamplesPrompt([{ field: 'sender', previous_value: '', corrected_value: 'MSEDCL', document_title: 'Electricity Bill' }]);
+  assert.match(prompt, /- sender: extracted \(empty\), corrected to "MSEDCL" \(document "Electricity Bill"\)$/);
+});
+
+await run();
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for saved searches and smart folders (src/lib/saved-searches.js): who can see,
+ * run and manage a search, the search a saved one runs, and counting a smart folder's
+ * documents the way the folders listing does.
+ * Run with: node tests/test-saved-searches.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+import {
+  SavedSearchSchema, listSavedSearches, loadSavedSearch, canManageSavedSearch, ensureCanShareWith, toSearchRequest, toSmartFolder,
+} from '../src/lib/saved-searches.js';
+import { SEARCH_TEXT_COLUMNS, countDocuments, toSearchFilters } from '../src/lib/document-search.js';
+import { parseSearchQuery, applySearchQuery, applyPlainTextFilter } from '../src/lib/search-query.js';
+
+const admin = { all: true, departmentIds: [], folderPaths: [] };
+const member = { all: false, departmentIds: ['legal'], folderPaths: [] };
+const loner = { all: false, departmentIds: [], folderPaths: [] };
+
+const searchesDb = () => createFakeDb({
+  saved_searches: [
+    { id: 'mine', org_id: 'o', owner_id: 'u', department_id: null, name: 'B mine', show_as_folder: true },
+    { id: 'legal', org_id: 'o', owner_id: 'v', department_id: 'legal', name: 'A legal', show_as_folder: false },
+    { id: 'finance', org_id: 'o', owner_id: 'v', department_id: 'finance', name: 'C finance', show_as_folder: true },
+    { id: 'private', org_id: 'o', owner_id: 'v', department_id: null, name: 'D private', show_as_folder: true },
+    { id: 'elsewhere', org_id: 'other', owner_id: 'u', department_id: null, name: 'E elsewhere', show_as_folder: true },
+  ],
+});
+const listed = async (userId, scope, opts = {}) => (await listSavedSearches(searchesDb(), { orgId: 'o', userId, scope, ...opts })).map((s) => s.id);
+
+check('members see their own searches and those shared with their departments', async () => {
+  assert.deepEqual(await listed('u', member), ['legal', 'mine']);
+  assert.deepEqual(await listed('u', member, { foldersOnly: true }), ['mine']);
+  assert.deepEqual(await listed('u', loner), ['mine']);
+});
+
+check('admins see every shared search but not others\' private ones', async () => {
+  assert.deepEqual(await listed('u', admin), ['legal', 'mine', 'finance']);
+  await assert.rejects(loadSavedSearch(searchesDb(), { orgId: 'o', userId: 'u', scope: admin, id: 'private' }), (e) => e.statusCode === 404);
+  assert.equal((await loadSavedSearch(searchesDb(), { orgId: 'o', userId: 'u', scope: member, id: 'legal' })).name, 'A legal');
+});
+
+check('owners manage their searches, admins also manage shared ones', () => {
+  assert.equal(canManageSavedSearch({ owner_id: 'u' }, { userId: 'u', scope: member }), true);
+  assert.equal(canManageSavedSearch({ owner_id: 'v', department_id: 'legal' }, { userId: 'u', scope: member }), false);
+  assert.equal(canManageSavedSearch({ owner_id: 'v', department_id: 'legal' }, { userId: 'u', scope: admin }), true);
+  assert.equal(canManageSavedSearch({ owner_id: 'v', department_id: null }, { userId: 'u', scope: admin }), false);
+});
+
+check('searches are shared only with the sharer\'s departments', () => {
+  assert.doesNotThrow(() => ensureCanShareWith('legal', member));
+  assert.doesNotThrow(() => ensureCanShareWith(null, loner));
+  assert.throws(() => ensureCanShareWith('finance', member), (e) => e.statusCode === 403);
+  assert.doesNotThrow(() => ensureCanShareWith('finance', admin));
+});
+
+check('a saved search runs as the search body it was saved from', () => {
+  const saved = SavedSearchSchema.parse({ name: ' Renewals ', query: 'tag:renewal', filters: { category: ['Legal'], customFields: { amount: { gt: 5 } }, language: 'mr' } });
+  assert.equal(saved.name, 'Renewals');
+  assert.equal(saved.showAsFolder, true);
+  assert.equal(saved.departmentId, null);
+  assert.deepEqual(toSearchRequest({ query: saved.query, filters: saved.filters }), {
+    q: 'tag:renewal', filters: { category: ['Legal'] }, customFields: { amount: { gt: 5 } }, documentType: undefined, language: 'mr',
+  });
+  assert.throws(() => SavedSearchSchema.parse({ name: '  ' }));
+});
+
+check('smart folders are counted with one query, approximately when there is free text', async () => {
+  const db = createFakeDb({
+    documents: [
+      { id: 'a', org_id: 'o', type: 'PDF', deleted_at: null, title: 'Consent renewal', tags: ['renewal'], category: 'Legal' },
+      { id: 'b', org_id: 'o', type: 'PDF', deleted_at: null, title: 'Renewal draft', tags: ['renewal'], category: 'Legal' },
+      { id: 'c', org_id: 'o', type: 'PDF', deleted_at: null, title: 'Consent', tags: [], category: 'Legal' },
+    ],
+  });
+  // As countDocumentSearch in routes.js does it
+  const count = async (row) => {
+    const search = toSearchRequest(row);
+    const parsed = parseSearchQuery(search.q);
+    const { total, exact } = await countDocuments(db, {
+      orgId: 'o',
+      scope: admin,
+      filters: toSearchFilters(search.filters),
+      refine: (query) => applyPlainTextFilter(applySearchQuery(query, parsed), parsed, SEARCH_TEXT_COLUMNS),
+    });
+    return toSmartFolder(row, { total, exact: exact && !parsed.terms.length });
+  };
+  const folder = await count({ id: 's', name: 'Renewals', query: 'tag:renewal', filters: { category: ['Legal'] } });
+  assert.deepEqual([folder.count, folder.countApproximate, folder.smart], [2, false, true]);
+  const withText = await count({ id: 't', name: 'Final renewals', query: 'tag:renewal -draft' });
+  assert.deepEqual([withText.count, withText.countApproximate], [1, true]);
+  assert.equal(toSmartFolder({ id: 'x', name: 'Broken' }).countApproximate, false);
+});
+
+await run();
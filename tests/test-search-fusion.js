@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for rank fusion (src/lib/search-fusion.js): reciprocal rank fusion, z-score fusion,
+ * leg weights, per-search overrides and topping up weak result lists.
+ * Run with: node tests/test-search-fusion.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+import {
+  DEFAULT_SEARCH_TUNING, fuseLegs, selectResults, withTuningOverrides, loadSearchTuning, invalidateSearchTuningCache,
+} from '../src/lib/search-fusion.js';
+
+const leg = (entries) => new Map(Object.entries(entries));
+const ids = (fused) => fused.map((f) => f.docId);
+
+check('RRF sums weight / (k + rank) over the legs a document is in', () => {
+  const fused = fuseLegs({ metadata: leg({ x: 0.9, y: 0.8 }), keyword: leg({ y: 12 }) }, DEFAULT_SEARCH_TUNING);
+  assert.deepEqual(ids(fused), ['y', 'x']);
+  assert.equal(fused[0].score, Number((1 / 62 + 1 / 61).toFixed(6)));
+  assert.equal(fused[1].score, Number((1 / 61).toFixed(6)));
+  assert.deepEqual(fused[0].legs, { metadata: { score: 0.8, rank: 2 }, keyword: { score: 12, rank: 1 } });
+  assert.equal(fused[0].maxScore, 12);
+});
+
+check('RRF only uses ranks, so score scales do not matter', () => {
+  const small = fuseLegs({ content: leg({ a: 0.3, b: 0.2 }), keyword: leg({ b: 0.002, a: 0.001 }) }, DEFAULT_SEARCH_TUNING);
+  const large = fuseLegs({ content: leg({ a: 30, b: 20 }), keyword: leg({ b: 200, a: 100 }) }, DEFAULT_SEARCH_TUNING);
+  assert.deepEqual(small.map((f) => f.score), large.map((f) => f.score));
+});
+
+check('a leg weighted 0 does not change the ranking', () => {
+  const tuning = withTuningOverrides(DEFAULT_SEARCH_TUNING, { weights: { keyword: 0 } });
+  assert.deepEqual(tuning.weights, { metadata: 1, content: 1, keyword: 0 });
+  assert.deepEqual(ids(fuseLegs({ metadata: leg({ x: 0.9, y: 0.8 }), keyword: leg({ y: 12 }) }, tuning)), ['x', 'y']);
+});
+
+check('z-score counts a missing document as the leg minimum and breaks ties by best score', () => {
+  const tuning = withTuningOverrides(DEFAULT_SEARCH_TUNING, { fusion: 'zscore' });
+  const fused = fuseLegs({ metadata: leg({ x: 1, y: 0 }), content: leg({ y: 10, z: 0 }) }, tuning);
+  assert.deepEqual(fused.map((f) => [f.docId, f.score]), [['y', 0], ['x', 0], ['z', -2]]);
+});
+
+check('overrides replace only the settings they name', () => {
+  const org = { fusion: 'zscore', weights: { metadata: 2, content: 1, keyword: 1 }, rrfK: 10, minResults: 5 };
+  assert.deepEqual(withTuningOverrides(org, { weights: { keyword: 3 }, minResults: 0 }), {
+    fusion: 'zscore', weights: { metadata: 2, content: 1, keyword: 3 }, rrfK: 10, minResults: 0,
+  });
+  assert.deepEqual(withTuningOverrides(org, {}), org);
+});
+
+check('weak queries are topped up to minResults in fused order', () => {
+  const fused = [{ docId: 'a', maxScore: 0.2 }, { docId: 'b', maxScore: 0.9 }, { docId: 'c', maxScore: 0.1 }, { docId: 'd', maxScore: 0.1 }];
+  assert.deepEqual(ids(selectResults(fused, { minScore: 0.5, minResults: 3 })), ['a', 'b', 'c']);
+  assert.deepEqual(ids(selectResults(fused, { minScore: 0.5, minResults: 0 })), ['b']);
+  assert.deepEqual(ids(selectResults(fused, { minScore: 0, limit: 2 })), ['a', 'b']);
+});
+
+check('org settings are read from org_search_config, with defaults for the rest', async () => {
+  invalidateSearchTuningCache();
+  const db = createFakeDb({ org_search_config: [{ org_id: 'o', fusion: 'zscore', weights: { keyword: 2 }, rrf_k: 20, min_results: null }] });
+  assert.deepEqual(await loadSearchTuning(db, 'o'), { fusion: 'zscore', weights: { metadata: 1, content: 1, keyword: 2 }, rrfK: 20, minResults: 3 });
+  assert.deepEqual(await loadSearchTuning(db, 'none'), DEFAULT_SEARCH_TUNING);
+});
+
+await run();
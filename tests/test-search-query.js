@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the field-qualified search syntax (src/lib/search-query.js):
+ * parsing into filters and free text, and the PostgREST filters they compile to.
+ * Run with: node tests/test-search-query.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+import { parseSearchQuery, compileClause, plainTextFilter, applyPlainTextFilter } from '../src/lib/search-query.js';
+
+// Filter strings of each OR-group of a parsed query
+function compiled(input) {
+  return parseSearchQuery(input).filters.map((group) => group.map(compileClause));
+}
+
+check('text field matches anywhere, quoted for PostgREST', () => {
+  assert.deepEqual(compiled('sender:MPCB'), [['sender.ilike."*MPCB*"']]);
+  assert.deepEqual(compiled('from:"Smith, John"'), [['sender.ilike."*Smith, John*"']]);
+});
+
+check('exact and array fields', () => {
+  assert.deepEqual(compiled('category:Legal'), [['category.ilike."Legal"']]);
+  assert.deepEqual(compiled('tag:renewal'), [['tags.cs.{"renewal"}']]);
+});
+
+check('negated filters keep documents without the field', () => {
+  assert.deepEqual(compiled('-tag:draft'), [['or(tags.is.null,tags.not.cs.{"draft"})']]);
+});
+
+check('LIKE wildcards in values are literal', () => {
+  // \% in the LIKE pattern, its backslash escaped again inside PostgREST's quotes
+  assert.deepEqual(compiled('title:50%_off'), [['title.ilike."*50\\\\%\\\\_off*"']]);
+});
+
+check('OR joins field filters into one group', () => {
+  assert.deepEqual(compiled('sender:a OR receiver:b'), [['sender.ilike."*a*"', 'receiver.ilike."*b*"']]);
+});
+
+check('date ranges', () => {
+  assert.deepEqual(compiled('date:2024-01..2024-06'), [['and(document_date.gte.2024-01-01,document_date.lte.2024-06-30)']]);
+  assert.deepEqual(compiled('date:>=2024-03'), [['document_date.gte.2024-03-01']]);
+  assert.deepEqual(compiled('uploaded:2024'), [['and(uploaded_at.gte.2024-01-01,uploaded_at.lt.2025-01-01)']]);
+});
+
+check('impossible dates are rejected', () => {
+  for (const q of ['date:2024-13', 'date:2024-02-30', 'date:2024-06..2024-01']) {
+    assert.throws(() => parseSearchQuery(q), (e) => e.statusCode === 400, q);
+  }
+});
+
+check('OR between free text and a field filter is rejected', () => {
+  assert.throws(() => parseSearchQuery('water OR sender:x'), (e) => e.statusCode === 400);
+  assert.throws(() => parseSearchQuery('sender:x OR water'), (e) => e.statusCode === 400);
+});
+
+check('free text is kept apart from filters', () => {
+  const parsed = parseSearchQuery('"water bill" -draft sender:MPCB');
+  assert.equal(parsed.text, '"water bill" -draft');
+  assert.equal(parsed.filters.length, 1);
+});
+
+check('free text filter survives commas and parentheses', () => {
+  const parsed = parseSearchQuery('"Smith, John" (2024)');
+  assert.deepEqual(plainTextFilter(parsed, ['title', 'subject']), [
+    'title.ilike."*Smith, John*",subject.ilike."*Smith, John*"',
+    'title.ilike."*(2024)*",subject.ilike."*(2024)*"',
+  ]);
+  assert.deepEqual(plainTextFilter(parseSearchQuery('sender:x'), ['title']), []);
+});
+
+check('free text keeps OR groups and negations for the list filter', () => {
+  assert.deepEqual(parseSearchQuery('invoice OR receipt -draft').terms, [
+    [{ text: 'invoice', negated: false }, { text: 'receipt', negated: false }],
+    [{ text: 'draft', negated: true }],
+  ]);
+  assert.deepEqual(plainTextFilter(parseSearchQuery('-"draft copy"'), ['title', 'subject']), [
+    'and(or(title.is.null,title.not.ilike."*draft copy*"),or(subject.is.null,subject.not.ilike."*draft copy*"))',
+  ]);
+  // As in full-text search, OR never joins a negated word
+  assert.deepEqual(parseSearchQuery('notice OR -draft').terms.map((g) => g.length), [1, 1]);
+});
+
+check('free text matches documents the way full-text search would', async () => {
+  const db = createFakeDb({
+    documents: [
+      { id: 'invoice', title: 'Invoice March', subject: 'Water bill' },
+      { id: 'receipt', title: 'Receipt', subject: null },
+      { id: 'draft', title: 'Invoice draft', subject: 'Water' },
+      { id: 'other', title: 'Consent order', subject: 'Water bill' },
+    ],
+  });
+  const ids = async (q) => {
+    const { data } = await applyPlainTextFilter(db.from('documents').select('id'), parseSearchQuery(q), ['title', 'subject']);
+    return data.map((d) => d.id).sort();
+  };
+  assert.deepEqual(await ids('invoice OR receipt'), ['draft', 'invoice', 'receipt']);
+  assert.deepEqual(await ids('invoice OR receipt -draft'), ['invoice', 'receipt']);
+  assert.deepEqual(await ids('invoice water'), ['draft', 'invoice']);
+  assert.deepEqual(await ids('"water bill"'), ['invoice', 'other']);
+  assert.deepEqual(await ids('-water'), ['receipt']);
+});
+
+await run();
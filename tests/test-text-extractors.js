@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for local text extraction (src/lib/text-extractors.js): choosing an extractor
+ * by MIME type or extension, and the pages/sections each text-native format produces.
+ * Run with: node tests/test-text-extractors.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { getExtractor, extractTextLocally } from '../src/lib/text-extractors.js';
+
+const extract = (text, options) => extractTextLocally(Buffer.from(text), options);
+
+// Stored (uncompressed) zip with the given entries; the reader does not verify CRCs
+function zip(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name);
+    const data = Buffer.from(content);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBuf.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, data);
+    central.push(entry, nameBuf);
+    offset += 30 + nameBuf.length + data.length;
+  }
+  const dir = Buffer.concat(central);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(dir.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, eocd]);
+}
+
+check('extractors are found by MIME type, then by extension', () => {
+  assert.equal(getExtractor('text/csv; charset=utf-8', 'x.bin').name, 'csv');
+  assert.equal(getExtractor('application/octet-stream', 'org/notes.MD').name, 'markdown');
+  assert.equal(getExtractor('application/pdf', 'scan.pdf'), null);
+});
+
+check('plain text splits pages at form feeds', async () => {
+  const result = await extract('first page\r\n\fsecond page\f  ', { mimeType: 'text/plain' });
+  assert.equal(result.structure, 'pages');
+  assert.deepEqual(result.pages, [{ page: 1, text: 'first page' }, { page: 2, text: 'second page' }]);
+});
+
+check('files without text return null so OCR takes over', async () => {
+  assert.equal(await extract(' \n\f\n', { mimeType: 'text/plain' }), null);
+  assert.equal(await extract('data', { mimeType: 'image/png' }), null);
+});
+
+check('markdown has a section per heading, ignoring # inside code fences', async () => {
+  const { pages } = await extract('intro\n# Terms\nPay in 30 days\n```\n# not a heading\n```\n## Late fees ##\n2% a month', { filename: 'a.md' });
+  assert.deepEqual(pages.map((p) => [p.section, p.level, p.page]), [[null, null, null], ['Terms', 1, null], ['Late fees', 2, null]]);
+  assert.match(pages[1].text, /# not a heading/);
+});
+
+check('CSV keeps quoted commas and doubled quotes in one cell', async () => {
+  const { pages } = await extract('name,amount\n"Smith, John","1,200"\n"say ""hi""",3\n,\n', { filename: 'org/ledger.csv' });
+  assert.equal(pages[0].sheet, 'ledger.csv');
+  assert.equal(pages[0].text, 'name | amount\nSmith, John | 1,200\nsay "hi" | 3');
+});
+
+check('TSV is split on tabs', async () => {
+  const { pages } = await extract('a\tb, c\n1\t2', { mimeType: 'text/tab-separated-values' });
+  assert.equal(pages[0].text, 'a | b, c\n1 | 2');
+});
+
+check('HTML drops scripts and decodes entities, leaving out-of-range ones as written', async () => {
+  const html = '<html><head><title>x</title></head><body><script>alert(1)</script><h1>Fees &amp; charges</h1><p>&#8377;500 &ndash; due</p><table><tr><td>a</td><td>b</td></tr></table><p>&#99999999;</p></body></html>';
+  const { pages } = await extract(html, { mimeType: 'text/html' });
+  assert.equal(pages.length, 1);
+  assert.equal(pages[0].section, 'Fees & charges');
+  assert.equal(pages[0].text, 'Fees & charges\n₹500 – due\na | b\n&#99999999;');
+});
+
+check('docx paragraphs, headings and tables', async () => {
+  const p = (text, style) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t>${text}</w:t></w:r></w:p>`;
+  const xml = `<w:document><w:body>${p('Lease')}${p('Rent', 'Heading2')}${p('Due &lt;monthly&gt;')}<w:tbl><w:tr><w:tc>${p('Month')}</w:tc><w:tc>${p('Amount')}</w:tc></w:tr></w:tbl></w:body></w:document>`;
+  const { pages, extractor } = await extractTextLocally(zip({ 'word/document.xml': xml }), { filename: 'lease.docx' });
+  assert.equal(extractor, 'docx');
+  assert.deepEqual(pages.map((s) => [s.section, s.text]), [[null, 'Lease'], ['Rent', 'Rent\nDue <monthly>\nMonth | Amount']]);
+});
+
+await run();
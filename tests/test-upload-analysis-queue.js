@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the upload analysis queue (src/lib/upload-analysis-queue.js): stale-lock
+ * recovery, and listing and cancelling a user's jobs.
+ * Run with: node tests/test-upload-analysis-queue.js
+ */
+
+import assert from 'node:assert/strict';
+import { check, run } from './check.js';
+import { createFakeDb } from './fake-db.js';
+
+// No worker loop: these checks drive the queue's functions directly
+process.env.UPLOAD_ANALYSIS_WORKER_ENABLED = 'false';
+const {
+  initUploadAnalysisQueue, recoverStaleJobs, enqueueUploadAnalysisJob, listUploadAnalysisJobs, cancelUploadAnalysisJob, getUploadAnalysisJob,
+} = await import('../src/lib/upload-analysis-queue.js');
+
+const minutesAgo = (n) => new Date(Date.now() - n * 60 * 1000).toISOString();
+const db = createFakeDb({ upload_analysis_jobs: [] });
+initUploadAnalysisQueue({ supabaseAdmin: db, log: { info() {}, warn() {}, error() {} } });
+
+function job(fields) {
+  const row = { org_id: 'o', user_id: 'u', storage_key: 'o/tmp/scan.pdf', created_at: minutesAgo(20), expires_at: minutesAgo(-60), ...fields };
+  db.store.upload_analysis_jobs.push(row);
+  return row;
+}
+const row = (id) => db.store.upload_analysis_jobs.find((r) => r.id === id);
+
+check('an orphaned job is requeued while it has attempts left', async () => {
+  job({ id: 'orphaned', status: 'processing', attempts: 1, locked_by: 'dead', locked_at: minutesAgo(10) });
+  job({ id: 'alive', status: 'processing', attempts: 1, locked_by: 'busy', locked_at: minutesAgo(1) });
+  await recoverStaleJobs();
+  assert.equal(row('orphaned').status, 'queued');
+  assert.equal(row('orphaned').locked_by, null);
+  assert.equal(row('alive').status, 'processing');
+});
+
+check('an orphaned job out of attempts fails', async () => {
+  job({ id: 'spent', status: 'processing', attempts: 2, locked_by: 'dead', locked_at: minutesAgo(10) });
+  await recoverStaleJobs();
+  assert.equal(row('spent').status, 'failed');
+  assert.equal(row('spent').error, 'Analysis was interrupted');
+  assert.ok(row('spent').completed_at);
+});
+
+check('users only see their own active jobs', async () => {
+  const view = await enqueueUploadAnalysisJob({ orgId: 'o', userId: 'lister', storageKey: 'o/a.pdf' });
+  job({ id: 'theirs', user_id: 'someone', status: 'queued' });
+  job({ id: 'finished', user_id: 'lister', status: 'succeeded' });
+  const jobs = await listUploadAnalysisJobs({ orgId: 'o', userId: 'lister' });
+  assert.deepEqual(jobs.map((j) => j.jobId), [view.jobId]);
+  assert.equal(await getUploadAnalysisJob({ orgId: 'o', userId: 'someone', jobId: view.jobId }), null);
+});
+
+check('cancelling a running job releases its lock so its result is discarded', async () => {
+  job({ id: 'running', user_id: 'c', status: 'processing', attempts: 1, locked_by: 'w', locked_at: minutesAgo(0) });
+  const view = await cancelUploadAnalysisJob({ orgId: 'o', userId: 'c', jobId: 'running' });
+  assert.equal(view.status, 'cancelled');
+  assert.equal(row('running').locked_by, null);
+  // A cancelled job is not picked up again by recovery
+  row('running').locked_at = minutesAgo(30);
+  await recoverStaleJobs();
+  assert.equal(row('running').status, 'cancelled');
+});
+
+check('finished jobs are returned unchanged by cancel', async () => {
+  job({ id: 'done', user_id: 'c', status: 'succeeded', result: { title: 'x' } });
+  const view = await cancelUploadAnalysisJob({ orgId: 'o', userId: 'c', jobId: 'done' });
+  assert.equal(view.status, 'succeeded');
+  assert.deepEqual(view.result, { title: 'x' });
+});
+
+await run();